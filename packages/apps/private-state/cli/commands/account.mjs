@@ -2,11 +2,13 @@ import {
   assertAccountGetBridgeFundArgs,
   assertAccountGetL1AddressArgs,
   assertAccountImportArgs,
+  assertAccountSetRemoteSignerArgs,
   assertDepositBridgeArgs,
   assertWithdrawBridgeArgs,
   handleAccountGetBridgeFund,
   handleAccountGetL1Address,
   handleAccountImport,
+  handleAccountSetRemoteSigner,
   handleDepositBridge,
   handleWithdrawBridge,
   loadExplicitCommandRuntime,
@@ -21,7 +23,11 @@ export const accountCommands = Object.freeze({
   "account-import": async (args) => {
     assertAccountImportArgs(args);
     await requireCurrentTermsAcceptanceForCommand(args);
-    handleAccountImport({ args });
+    await handleAccountImport({ args });
+  },
+  "account-set-remote-signer": async (args) => {
+    assertAccountSetRemoteSignerArgs(args);
+    await handleAccountSetRemoteSigner({ args });
   },
   "account-get-bridge-fund": async (args) => {
     assertAccountGetBridgeFundArgs(args);
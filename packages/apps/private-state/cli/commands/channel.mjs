@@ -1,16 +1,28 @@
 import {
   assertCreateChannelArgs,
   assertAbandonChannelOperationArgs,
+  assertChannelAdminSetJoinTollArgs,
+  assertChannelAdminSetObserverArgs,
+  assertChannelAdminShowPolicyArgs,
+  assertChannelAdminShowRefundScheduleArgs,
+  assertChannelListArgs,
   assertExitChannelArgs,
   assertGetChannelArgs,
+  assertGetChannelMembersArgs,
   assertJoinChannelArgs,
   assertProviderChainIdMatchesNetwork,
   assertRecoverWorkspaceArgs,
   assertSetWorkspaceMirrorArgs,
   handleChannelCreate,
   handleAbandonChannelOperation,
+  handleChannelAdminSetJoinToll,
+  handleChannelAdminSetObserver,
+  handleChannelAdminShowPolicy,
+  handleChannelAdminShowRefundSchedule,
+  handleChannelList,
   handleExitChannel,
   handleGetChannel,
+  handleGetChannelMembers,
   handleJoinChannel,
   handleSetChannelWorkspaceMirror,
   handleWorkspaceInit,
@@ -38,6 +50,16 @@ export const channelCommands = Object.freeze({
     const { network, provider } = loadExplicitCommandRuntime(args, { prepareArtifacts: true });
     await handleGetChannel({ args, network, provider });
   },
+  "channel-get-members": async (args) => {
+    assertGetChannelMembersArgs(args);
+    const { network, provider } = loadExplicitCommandRuntime(args, { prepareArtifacts: true });
+    await handleGetChannelMembers({ args, network, provider });
+  },
+  "channel-list": async (args) => {
+    assertChannelListArgs(args);
+    const { network, provider } = loadExplicitCommandRuntime(args, { prepareArtifacts: true });
+    await handleChannelList({ args, network, provider });
+  },
   "channel-set-workspace-mirror": async (args) => {
     assertSetWorkspaceMirrorArgs(args);
     await requireCurrentTermsAcceptanceForCommand(args);
@@ -50,6 +72,28 @@ export const channelCommands = Object.freeze({
     const { network, provider } = loadExplicitCommandRuntime(args, { prepareArtifacts: true });
     await handleAbandonChannelOperation({ args, network, provider });
   },
+  "channel-admin-set-join-toll": async (args) => {
+    assertChannelAdminSetJoinTollArgs(args);
+    await requireCurrentTermsAcceptanceForCommand(args);
+    const { network, provider } = loadExplicitCommandRuntime(args, { prepareArtifacts: true });
+    await handleChannelAdminSetJoinToll({ args, network, provider });
+  },
+  "channel-admin-set-observer": async (args) => {
+    assertChannelAdminSetObserverArgs(args);
+    await requireCurrentTermsAcceptanceForCommand(args);
+    const { network, provider } = loadExplicitCommandRuntime(args, { prepareArtifacts: true });
+    await handleChannelAdminSetObserver({ args, network, provider });
+  },
+  "channel-admin-show-policy": async (args) => {
+    assertChannelAdminShowPolicyArgs(args);
+    const { network, provider } = loadExplicitCommandRuntime(args, { prepareArtifacts: true });
+    await handleChannelAdminShowPolicy({ args, network, provider });
+  },
+  "channel-admin-show-refund-schedule": async (args) => {
+    assertChannelAdminShowRefundScheduleArgs(args);
+    const { network, provider } = loadExplicitCommandRuntime(args, { prepareArtifacts: true });
+    await handleChannelAdminShowRefundSchedule({ args, network, provider });
+  },
   "channel-join": async (args) => {
     assertJoinChannelArgs(args);
     await requireCurrentTermsAcceptanceForCommand(args);
@@ -0,0 +1,26 @@
+import {
+  assertContactsAddArgs,
+  assertContactsListArgs,
+  assertContactsRemoveArgs,
+  handleContactsAdd,
+  handleContactsList,
+  handleContactsRemove,
+  loadExplicitCommandRuntime,
+} from "../lib/runtime.mjs";
+
+export const contactsCommands = Object.freeze({
+  "contacts-add": async (args) => {
+    assertContactsAddArgs(args);
+    const { network, provider } = loadExplicitCommandRuntime(args, { prepareArtifacts: true });
+    await handleContactsAdd({ args, network, provider });
+  },
+  "contacts-list": async (args) => {
+    assertContactsListArgs(args);
+    const { network, provider } = loadExplicitCommandRuntime(args, { prepareArtifacts: true });
+    await handleContactsList({ args, network, provider });
+  },
+  "contacts-remove": async (args) => {
+    assertContactsRemoveArgs(args);
+    handleContactsRemove({ args });
+  },
+});
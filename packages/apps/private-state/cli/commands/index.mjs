@@ -1,15 +1,20 @@
 import {
   assertHelpCommandsArgs,
+  assertServeArgs,
   assertVersionArgs,
   closeBrowserWalletBridgeSession,
+  closeHardwareWalletSessions,
   cliOutput,
   configureOutput,
+  handleServe,
   parseArgs,
   printHelp,
   printVersion,
+  unlockKeystoreForCommand,
 } from "../lib/runtime.mjs";
 import { accountCommands } from "./account.mjs";
 import { channelCommands } from "./channel.mjs";
+import { contactsCommands } from "./contacts.mjs";
 import { investigatorCommands } from "./investigator.mjs";
 import { notesCommands } from "./notes.mjs";
 import { secretCommands } from "./secret.mjs";
@@ -23,9 +28,29 @@ const COMMANDS = Object.freeze({
   ...secretCommands,
   ...channelCommands,
   ...walletCommands,
+  ...contactsCommands,
   ...notesCommands,
+  serve: async (args) => {
+    assertServeArgs(args);
+    await handleServe({ args, dispatch: dispatchPrivateStateCliCommand });
+  },
 });
 
+export async function dispatchPrivateStateCliCommand(args) {
+  if (args.command === "help-commands") {
+    assertHelpCommandsArgs(args);
+    printHelp();
+    return;
+  }
+
+  const command = COMMANDS[args.command];
+  if (!command) {
+    throw new Error(`Unsupported command: ${args.command}`);
+  }
+  await unlockKeystoreForCommand(args);
+  await command(args);
+}
+
 export async function runPrivateStateCli(argv) {
   let args = {};
   try {
@@ -43,21 +68,12 @@ export async function runPrivateStateCli(argv) {
       return;
     }
 
-    if (args.command === "help-commands") {
-      assertHelpCommandsArgs(args);
-      printHelp();
-      return;
-    }
-
-    const command = COMMANDS[args.command];
-    if (!command) {
-      throw new Error(`Unsupported command: ${args.command}`);
-    }
-    await command(args);
+    await dispatchPrivateStateCliCommand(args);
   } catch (error) {
     cliOutput.error(error, args);
     process.exitCode = 1;
   } finally {
     await closeBrowserWalletBridgeSession();
+    await closeHardwareWalletSessions();
   }
 }
@@ -1,12 +1,20 @@
 import {
+  assertConsolidateNotesArgs,
   assertMintNotesArgs,
   assertRedeemNotesArgs,
   assertTransferNotesArgs,
+  assertWalletCreatePaymentRequestArgs,
   assertWalletGetNotesArgs,
+  assertWalletPayRequestArgs,
+  assertWalletWatchArgs,
+  handleConsolidateNotes,
   handleMintNotes,
   handleRedeemNotes,
   handleTransferNotes,
+  handleWalletCreatePaymentRequest,
   handleWalletGetNotes,
+  handleWalletPayRequest,
+  handleWalletWatch,
   loadWalletCommandRuntime,
   requireCurrentTermsAcceptanceForCommand,
 } from "../lib/runtime.mjs";
@@ -30,10 +38,34 @@ export const notesCommands = Object.freeze({
     const { provider } = loadWalletCommandRuntime(args, { prepareArtifacts: true });
     await handleWalletGetNotes({ args, provider });
   },
+  "wallet-watch": async (args) => {
+    assertWalletWatchArgs(args);
+    await requireCurrentTermsAcceptanceForCommand(args);
+    const { provider } = loadWalletCommandRuntime(args, { prepareArtifacts: true });
+    await handleWalletWatch({ args, provider });
+  },
   "wallet-transfer-notes": async (args) => {
     assertTransferNotesArgs(args);
     await requireCurrentTermsAcceptanceForCommand(args);
     const { provider } = loadWalletCommandRuntime(args, { prepareArtifacts: true });
     await handleTransferNotes({ args, provider });
   },
+  "wallet-consolidate-notes": async (args) => {
+    assertConsolidateNotesArgs(args);
+    await requireCurrentTermsAcceptanceForCommand(args);
+    const { provider } = loadWalletCommandRuntime(args, { prepareArtifacts: true });
+    await handleConsolidateNotes({ args, provider });
+  },
+  "wallet-create-payment-request": async (args) => {
+    assertWalletCreatePaymentRequestArgs(args);
+    await requireCurrentTermsAcceptanceForCommand(args);
+    const { network, provider } = loadWalletCommandRuntime(args, { prepareArtifacts: true });
+    await handleWalletCreatePaymentRequest({ args, network, provider });
+  },
+  "wallet-pay-request": async (args) => {
+    assertWalletPayRequestArgs(args);
+    await requireCurrentTermsAcceptanceForCommand(args);
+    const { provider } = loadWalletCommandRuntime(args, { prepareArtifacts: true });
+    await handleWalletPayRequest({ args, provider });
+  },
 });
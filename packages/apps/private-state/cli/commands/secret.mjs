@@ -1,8 +1,14 @@
 import {
   assertCreatePrivateKeySourceArgs,
   assertCreateWalletSecretSourceArgs,
+  assertKeyAgentArgs,
+  assertKeystoreStatusArgs,
+  assertMigrateKeystoreArgs,
   handleCreatePrivateKeySource,
   handleCreateWalletSecretSource,
+  handleKeyAgent,
+  handleKeystoreStatus,
+  handleMigrateKeystore,
   requireCurrentTermsAcceptanceForCommand,
 } from "../lib/runtime.mjs";
 
@@ -17,4 +23,17 @@ export const secretCommands = Object.freeze({
     await requireCurrentTermsAcceptanceForCommand(args);
     await handleCreateWalletSecretSource({ args });
   },
+  "secret-migrate-keystore": async (args) => {
+    assertMigrateKeystoreArgs(args);
+    await requireCurrentTermsAcceptanceForCommand(args);
+    await handleMigrateKeystore({ args });
+  },
+  "secret-keystore-status": async (args) => {
+    assertKeystoreStatusArgs(args);
+    handleKeystoreStatus({ args });
+  },
+  agent: async (args) => {
+    assertKeyAgentArgs(args);
+    await handleKeyAgent({ args });
+  },
 });
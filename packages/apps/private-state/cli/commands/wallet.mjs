@@ -3,21 +3,33 @@ import {
   assertProviderChainIdMatchesNetwork,
   assertListLocalWalletsArgs,
   assertRecoverWalletArgs,
+  assertCreateWatchOnlyWalletArgs,
+  assertWalletAddHookArgs,
+  assertWalletApplyDeltaArgs,
   assertWalletExportBackupArgs,
+  assertWalletExportDeltaArgs,
   assertWalletExportKeyArgs,
   assertWalletGetChannelFundArgs,
   assertWalletGetMetaArgs,
   assertWalletImportBackupArgs,
   assertWalletImportKeyArgs,
+  assertWalletListHooksArgs,
+  assertWalletRemoveHookArgs,
   handleGrothVaultMove,
   handleListLocalWallets,
   handleRecoverWallet,
+  handleCreateWatchOnlyWallet,
+  handleWalletAddHook,
+  handleWalletApplyDelta,
   handleWalletExportBackup,
+  handleWalletExportDelta,
   handleWalletExportKey,
   handleWalletGetChannelFund,
   handleWalletGetMeta,
   handleWalletImportBackup,
   handleWalletImportKey,
+  handleWalletListHooks,
+  handleWalletRemoveHook,
   loadExplicitCommandRuntime,
   loadWalletCommandRuntime,
   requireCurrentTermsAcceptanceForCommand,
@@ -31,7 +43,7 @@ export const walletCommands = Object.freeze({
   "wallet-export-backup": async (args) => {
     assertWalletExportBackupArgs(args);
     await requireCurrentTermsAcceptanceForCommand(args);
-    handleWalletExportBackup({ args });
+    await handleWalletExportBackup({ args });
   },
   "wallet-export-viewing-key": async (args) => {
     assertWalletExportKeyArgs(args, "wallet-export-viewing-key");
@@ -46,17 +58,28 @@ export const walletCommands = Object.freeze({
   "wallet-import-backup": async (args) => {
     assertWalletImportBackupArgs(args);
     await requireCurrentTermsAcceptanceForCommand(args);
-    handleWalletImportBackup({ args });
+    await handleWalletImportBackup({ args });
   },
   "wallet-import-viewing-key": async (args) => {
     assertWalletImportKeyArgs(args, "wallet-import-viewing-key");
     await requireCurrentTermsAcceptanceForCommand(args);
-    handleWalletImportKey({ args, keyKind: "viewing" });
+    await handleWalletImportKey({ args, keyKind: "viewing" });
   },
   "wallet-import-spending-key": async (args) => {
     assertWalletImportKeyArgs(args, "wallet-import-spending-key");
     await requireCurrentTermsAcceptanceForCommand(args);
-    handleWalletImportKey({ args, keyKind: "spending" });
+    await handleWalletImportKey({ args, keyKind: "spending" });
+  },
+  "wallet-export-delta": async (args) => {
+    assertWalletExportDeltaArgs(args);
+    await requireCurrentTermsAcceptanceForCommand(args);
+    handleWalletExportDelta({ args });
+  },
+  "wallet-apply-delta": async (args) => {
+    assertWalletApplyDeltaArgs(args);
+    await requireCurrentTermsAcceptanceForCommand(args);
+    const { provider } = loadWalletCommandRuntime(args, { prepareArtifacts: true });
+    await handleWalletApplyDelta({ args, provider });
   },
   "wallet-recover-workspace": async (args) => {
     assertRecoverWalletArgs(args);
@@ -65,6 +88,13 @@ export const walletCommands = Object.freeze({
     await assertProviderChainIdMatchesNetwork({ provider, network, rpcUrl });
     await handleRecoverWallet({ args, network, provider, rpcUrl });
   },
+  "wallet-create-watch-only": async (args) => {
+    assertCreateWatchOnlyWalletArgs(args);
+    await requireCurrentTermsAcceptanceForCommand(args);
+    const { network, provider, rpcUrl } = loadExplicitCommandRuntime(args, { staticNetwork: true, prepareArtifacts: true });
+    await assertProviderChainIdMatchesNetwork({ provider, network, rpcUrl });
+    await handleCreateWatchOnlyWallet({ args, provider, rpcUrl });
+  },
   "wallet-get-meta": async (args) => {
     assertWalletGetMetaArgs(args);
     const { provider } = loadWalletCommandRuntime(args, { prepareArtifacts: true });
@@ -87,4 +117,16 @@ export const walletCommands = Object.freeze({
     const { provider } = loadWalletCommandRuntime(args, { prepareArtifacts: true });
     await handleGrothVaultMove({ args, provider, direction: "withdraw" });
   },
+  "wallet-add-hook": async (args) => {
+    assertWalletAddHookArgs(args);
+    handleWalletAddHook({ args });
+  },
+  "wallet-list-hooks": async (args) => {
+    assertWalletListHooksArgs(args);
+    handleWalletListHooks({ args });
+  },
+  "wallet-remove-hook": async (args) => {
+    assertWalletRemoveHookArgs(args);
+    handleWalletRemoveHook({ args });
+  },
 });
@@ -0,0 +1,337 @@
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHmac,
+  createPrivateKey,
+  createPublicKey,
+  diffieHellman,
+  generateKeyPairSync,
+  hkdfSync,
+  randomBytes,
+  scryptSync,
+  timingSafeEqual,
+} from "node:crypto";
+
+// age v1 (https://age-encryption.org/v1) with X25519 and scrypt recipients.
+export const AGE_HEADER_LINE = "age-encryption.org/v1";
+export const DEFAULT_AGE_SCRYPT_LOG_N = 17;
+const AGE_MAX_SCRYPT_LOG_N = 22;
+const AGE_CHUNK_BYTES = 64 * 1024;
+const AGE_TAG_BYTES = 16;
+const AGE_RECIPIENT_HRP = "age";
+const AGE_IDENTITY_HRP = "age-secret-key-";
+const X25519_PKCS8_PREFIX = Buffer.from("302e020100300506032b656e04220420", "hex");
+const X25519_SPKI_PREFIX = Buffer.from("302a300506032b656e032100", "hex");
+const BECH32_CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function bech32Polymod(values) {
+  const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let bit = 0; bit < 5; bit += 1) {
+      if ((top >>> bit) & 1) {
+        checksum ^= generators[bit];
+      }
+    }
+  }
+  return checksum;
+}
+
+function bech32HrpExpand(hrp) {
+  return [...[...hrp].map((char) => char.charCodeAt(0) >>> 5), 0, ...[...hrp].map((char) => char.charCodeAt(0) & 31)];
+}
+
+function convertBits(data, fromBits, toBits, pad) {
+  let accumulator = 0;
+  let bits = 0;
+  const output = [];
+  const maxValue = (1 << toBits) - 1;
+  const maxAccumulator = (1 << (fromBits + toBits - 1)) - 1;
+  for (const value of data) {
+    accumulator = ((accumulator << fromBits) | value) & maxAccumulator;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      output.push((accumulator >>> bits) & maxValue);
+    }
+  }
+  if (pad && bits > 0) {
+    output.push((accumulator << (toBits - bits)) & maxValue);
+  } else {
+    expect(pad || (bits < fromBits && ((accumulator << (toBits - bits)) & maxValue) === 0), "Invalid bech32 padding.");
+  }
+  return output;
+}
+
+function bech32Encode(hrp, bytes) {
+  const words = convertBits(bytes, 8, 5, true);
+  const polymod = bech32Polymod([...bech32HrpExpand(hrp), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+  const checksum = Array.from({ length: 6 }, (_, index) => (polymod >>> (5 * (5 - index))) & 31);
+  return `${hrp}1${[...words, ...checksum].map((word) => BECH32_CHARSET[word]).join("")}`;
+}
+
+function bech32Decode(value) {
+  const text = String(value).trim();
+  expect(text === text.toLowerCase() || text === text.toUpperCase(), "bech32 strings must not mix case.");
+  const lower = text.toLowerCase();
+  const separator = lower.lastIndexOf("1");
+  expect(separator > 0 && lower.length - separator > 6, "Malformed bech32 string.");
+  const hrp = lower.slice(0, separator);
+  const words = [...lower.slice(separator + 1)].map((char) => {
+    const word = BECH32_CHARSET.indexOf(char);
+    expect(word >= 0, "Malformed bech32 string.");
+    return word;
+  });
+  expect(bech32Polymod([...bech32HrpExpand(hrp), ...words]) === 1, "bech32 checksum mismatch.");
+  return { hrp, bytes: Buffer.from(convertBits(words.slice(0, -6), 5, 8, false)) };
+}
+
+function x25519PrivateKey(secret) {
+  return createPrivateKey({ key: Buffer.concat([X25519_PKCS8_PREFIX, secret]), format: "der", type: "pkcs8" });
+}
+
+function x25519PublicKey(publicKey) {
+  return createPublicKey({ key: Buffer.concat([X25519_SPKI_PREFIX, publicKey]), format: "der", type: "spki" });
+}
+
+function x25519PublicBytes(privateKey) {
+  return createPublicKey(privateKey).export({ format: "der", type: "spki" }).subarray(X25519_SPKI_PREFIX.length);
+}
+
+function hkdf(ikm, salt, info) {
+  return Buffer.from(hkdfSync("sha256", ikm, salt, info, 32));
+}
+
+function chachaSeal(key, nonce, plaintext) {
+  const cipher = createCipheriv("chacha20-poly1305", key, nonce, { authTagLength: AGE_TAG_BYTES });
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function chachaOpen(key, nonce, sealed) {
+  expect(sealed.length >= AGE_TAG_BYTES, "age ciphertext is truncated.");
+  const decipher = createDecipheriv("chacha20-poly1305", key, nonce, { authTagLength: AGE_TAG_BYTES });
+  decipher.setAuthTag(sealed.subarray(sealed.length - AGE_TAG_BYTES));
+  return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - AGE_TAG_BYTES)), decipher.final()]);
+}
+
+function base64Raw(bytes) {
+  return Buffer.from(bytes).toString("base64").replace(/=+$/u, "");
+}
+
+function fromBase64Raw(text) {
+  expect(/^[A-Za-z0-9+/]*$/u.test(text), "age header contains invalid base64.");
+  return Buffer.from(text, "base64");
+}
+
+export function generateAgeIdentity() {
+  const { privateKey } = generateKeyPairSync("x25519");
+  const secret = privateKey.export({ format: "der", type: "pkcs8" }).subarray(X25519_PKCS8_PREFIX.length);
+  return {
+    identity: bech32Encode(AGE_IDENTITY_HRP, secret).toUpperCase(),
+    recipient: bech32Encode(AGE_RECIPIENT_HRP, x25519PublicBytes(privateKey)),
+  };
+}
+
+export function parseAgeRecipients(value) {
+  const entries = String(value).split(",").map((entry) => entry.trim()).filter(Boolean);
+  expect(entries.length > 0, "--recipient requires at least one age recipient.");
+  return entries.map((entry) => {
+    let decoded;
+    try {
+      decoded = bech32Decode(entry);
+    } catch {
+      decoded = null;
+    }
+    expect(
+      decoded?.hrp === AGE_RECIPIENT_HRP && decoded.bytes.length === 32,
+      `Invalid age recipient ${entry}; expected an age1... X25519 public key.`,
+    );
+    return entry.toLowerCase();
+  });
+}
+
+export function parseAgeIdentities(contents) {
+  const identities = String(contents)
+    .split(/\r?\n/u)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      const decoded = bech32Decode(line);
+      expect(decoded.hrp === AGE_IDENTITY_HRP && decoded.bytes.length === 32, "Identity file lines must be AGE-SECRET-KEY-1... keys.");
+      return decoded.bytes;
+    });
+  expect(identities.length > 0, "Identity file does not contain any AGE-SECRET-KEY-1... keys.");
+  return identities;
+}
+
+export function isAgeEncrypted(data) {
+  return Buffer.from(data.subarray(0, AGE_HEADER_LINE.length + 1)).toString("latin1") === `${AGE_HEADER_LINE}\n`;
+}
+
+function wrapX25519(fileKey, recipient) {
+  const recipientPublic = bech32Decode(recipient).bytes;
+  const { privateKey } = generateKeyPairSync("x25519");
+  const share = x25519PublicBytes(privateKey);
+  const shared = diffieHellman({ privateKey, publicKey: x25519PublicKey(recipientPublic) });
+  const wrapKey = hkdf(shared, Buffer.concat([share, recipientPublic]), "age-encryption.org/v1/X25519");
+  return { args: ["X25519", base64Raw(share)], body: chachaSeal(wrapKey, Buffer.alloc(12), fileKey) };
+}
+
+function wrapScrypt(fileKey, passphrase, logN) {
+  const salt = randomBytes(16);
+  const wrapKey = ageScryptKey(passphrase, salt, logN);
+  return { args: ["scrypt", base64Raw(salt), String(logN)], body: chachaSeal(wrapKey, Buffer.alloc(12), fileKey) };
+}
+
+function ageScryptKey(passphrase, salt, logN) {
+  expect(typeof passphrase === "string" && passphrase.length > 0, "Archive passphrase must not be empty.");
+  const n = 2 ** logN;
+  return scryptSync(
+    Buffer.from(passphrase, "utf8"),
+    Buffer.concat([Buffer.from("age-encryption.org/v1/scrypt", "latin1"), salt]),
+    32,
+    { N: n, r: 8, p: 1, maxmem: 128 * n * 8 + 32 * 1024 * 1024 },
+  );
+}
+
+function formatStanza({ args, body }) {
+  const encoded = base64Raw(body);
+  const lines = [];
+  for (let offset = 0; offset <= encoded.length; offset += 64) {
+    lines.push(encoded.slice(offset, offset + 64));
+  }
+  return `-> ${args.join(" ")}\n${lines.join("\n")}\n`;
+}
+
+function headerMac(fileKey, headerWithoutMac) {
+  return createHmac("sha256", hkdf(fileKey, Buffer.alloc(0), "header")).update(headerWithoutMac, "latin1").digest();
+}
+
+function streamNonce(counter, last) {
+  const nonce = Buffer.alloc(12);
+  nonce.writeUIntBE(counter, 5, 6);
+  nonce[11] = last ? 1 : 0;
+  return nonce;
+}
+
+export function encryptAge(plaintext, { recipients = [], passphrase = null, scryptLogN = DEFAULT_AGE_SCRYPT_LOG_N } = {}) {
+  expect((recipients.length > 0) !== (passphrase !== null), "age encryption needs either recipients or a passphrase.");
+  const fileKey = randomBytes(16);
+  const stanzas = passphrase === null
+    ? recipients.map((recipient) => wrapX25519(fileKey, recipient))
+    : [wrapScrypt(fileKey, passphrase, scryptLogN)];
+  const headerWithoutMac = `${AGE_HEADER_LINE}\n${stanzas.map(formatStanza).join("")}---`;
+  const header = `${headerWithoutMac} ${base64Raw(headerMac(fileKey, headerWithoutMac))}\n`;
+  const nonce = randomBytes(16);
+  const payloadKey = hkdf(fileKey, nonce, "payload");
+  const chunks = [];
+  const data = Buffer.from(plaintext);
+  let counter = 0;
+  for (let offset = 0; ; offset += AGE_CHUNK_BYTES, counter += 1) {
+    const last = offset + AGE_CHUNK_BYTES >= data.length;
+    chunks.push(chachaSeal(payloadKey, streamNonce(counter, last), data.subarray(offset, offset + AGE_CHUNK_BYTES)));
+    if (last) {
+      break;
+    }
+  }
+  return Buffer.concat([Buffer.from(header, "latin1"), nonce, ...chunks]);
+}
+
+function parseAgeHeader(data) {
+  const text = data.toString("latin1");
+  const macMarker = text.indexOf("\n--- ");
+  expect(isAgeEncrypted(data) && macMarker > 0, "File is not an age-encrypted archive.");
+  const macEnd = text.indexOf("\n", macMarker + 1);
+  expect(macEnd > 0, "age header is truncated.");
+  const lines = text.slice(AGE_HEADER_LINE.length + 1, macMarker + 1).split("\n").slice(0, -1);
+  const stanzas = [];
+  for (let index = 0; index < lines.length;) {
+    expect(lines[index].startsWith("-> "), "Malformed age header stanza.");
+    const args = lines[index].slice(3).split(" ");
+    const bodyLines = [];
+    for (index += 1; ; index += 1) {
+      expect(index < lines.length, "Malformed age header stanza body.");
+      bodyLines.push(lines[index]);
+      if (lines[index].length < 64) {
+        index += 1;
+        break;
+      }
+    }
+    stanzas.push({ args, body: fromBase64Raw(bodyLines.join("")) });
+  }
+  return {
+    stanzas,
+    headerWithoutMac: text.slice(0, macMarker + 4),
+    mac: fromBase64Raw(text.slice(macMarker + 5, macEnd)),
+    payload: data.subarray(macEnd + 1),
+  };
+}
+
+export function ageRecipientTypes(data) {
+  return parseAgeHeader(Buffer.from(data)).stanzas.map(({ args }) => args[0]);
+}
+
+function unwrapFileKey(stanzas, { identities, passphrase }) {
+  if (stanzas.some(({ args }) => args[0] === "scrypt")) {
+    expect(stanzas.length === 1, "An age scrypt stanza must be the only recipient.");
+    const [{ args, body }] = stanzas;
+    const logN = Number(args[2]);
+    expect(Number.isInteger(logN) && logN > 0 && logN <= AGE_MAX_SCRYPT_LOG_N, "age scrypt work factor is out of range.");
+    expect(passphrase !== null, "This archive is passphrase-encrypted; a passphrase is required.");
+    try {
+      return chachaOpen(ageScryptKey(passphrase, fromBase64Raw(args[1]), logN), Buffer.alloc(12), body);
+    } catch {
+      throw new Error("Incorrect archive passphrase.");
+    }
+  }
+  expect(identities.length > 0, "This archive is encrypted to an age recipient; an identity file is required.");
+  for (const secret of identities) {
+    const privateKey = x25519PrivateKey(secret);
+    const identityPublic = x25519PublicBytes(privateKey);
+    for (const { args, body } of stanzas.filter((stanza) => stanza.args[0] === "X25519")) {
+      const share = fromBase64Raw(args[1]);
+      const shared = diffieHellman({ privateKey, publicKey: x25519PublicKey(share) });
+      expect(!shared.equals(Buffer.alloc(32)), "age X25519 stanza has an invalid ephemeral share.");
+      try {
+        return chachaOpen(hkdf(shared, Buffer.concat([share, identityPublic]), "age-encryption.org/v1/X25519"), Buffer.alloc(12), body);
+      } catch {
+        // Not addressed to this identity; try the next stanza.
+      }
+    }
+  }
+  throw new Error("None of the identities in the identity file can decrypt this archive.");
+}
+
+export function decryptAge(data, { identities = [], passphrase = null } = {}) {
+  const { stanzas, headerWithoutMac, mac, payload } = parseAgeHeader(Buffer.from(data));
+  const fileKey = unwrapFileKey(stanzas, { identities, passphrase });
+  const expectedMac = headerMac(fileKey, headerWithoutMac);
+  expect(mac.length === expectedMac.length && timingSafeEqual(mac, expectedMac), "age header MAC mismatch.");
+  expect(payload.length >= 16, "age payload is truncated.");
+  const payloadKey = hkdf(fileKey, payload.subarray(0, 16), "payload");
+  const sealedChunkBytes = AGE_CHUNK_BYTES + AGE_TAG_BYTES;
+  const chunks = [];
+  let counter = 0;
+  for (let offset = 16; ; offset += sealedChunkBytes, counter += 1) {
+    const last = offset + sealedChunkBytes >= payload.length;
+    const sealed = payload.subarray(offset, offset + sealedChunkBytes);
+    expect(!last || counter === 0 || sealed.length > AGE_TAG_BYTES, "age payload ends with an empty chunk.");
+    try {
+      chunks.push(chachaOpen(payloadKey, streamNonce(counter, last), sealed));
+    } catch {
+      throw new Error("age payload failed authentication; the archive is corrupted or truncated.");
+    }
+    if (last) {
+      break;
+    }
+  }
+  return Buffer.concat(chunks);
+}
@@ -0,0 +1,159 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes, randomUUID } from "node:crypto";
+
+export const BACKUP_SHARE_FORMAT = "tokamak-private-state-wallet-backup-share";
+export const BACKUP_SHARE_FORMAT_VERSION = 1;
+export const MAX_BACKUP_SHARES = 255;
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+// GF(2^8) with the AES reduction polynomial; 3 generates the multiplicative group.
+const GF_EXP = new Uint8Array(510);
+const GF_LOG = new Uint8Array(256);
+for (let index = 0, value = 1; index < 255; index += 1) {
+  GF_EXP[index] = value;
+  GF_EXP[index + 255] = value;
+  GF_LOG[value] = index;
+  value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+}
+
+function gfMul(left, right) {
+  return left === 0 || right === 0 ? 0 : GF_EXP[GF_LOG[left] + GF_LOG[right]];
+}
+
+function gfDiv(left, right) {
+  return left === 0 ? 0 : GF_EXP[GF_LOG[left] + 255 - GF_LOG[right]];
+}
+
+export function parseBackupShareCounts({ shares, threshold }) {
+  const shareCount = Number(shares);
+  const thresholdCount = Number(threshold);
+  expect(
+    Number.isInteger(shareCount) && shareCount >= 2 && shareCount <= MAX_BACKUP_SHARES,
+    `--shares must be an integer from 2 to ${MAX_BACKUP_SHARES}.`,
+  );
+  expect(
+    Number.isInteger(thresholdCount) && thresholdCount >= 2 && thresholdCount <= shareCount,
+    "--threshold must be an integer from 2 to --shares.",
+  );
+  return { shares: shareCount, threshold: thresholdCount };
+}
+
+export function splitBackupSecret(secret, { shares, threshold }) {
+  const outputs = Array.from({ length: shares }, () => Buffer.alloc(secret.length));
+  for (let byteIndex = 0; byteIndex < secret.length; byteIndex += 1) {
+    const coefficients = [secret[byteIndex], ...randomBytes(threshold - 1)];
+    for (let shareIndex = 0; shareIndex < shares; shareIndex += 1) {
+      const x = shareIndex + 1;
+      let y = 0;
+      for (let power = coefficients.length - 1; power >= 0; power -= 1) {
+        y = gfMul(y, x) ^ coefficients[power];
+      }
+      outputs[shareIndex][byteIndex] = y;
+    }
+  }
+  return outputs.map((data, shareIndex) => ({ index: shareIndex + 1, data }));
+}
+
+export function combineBackupSecret(shares) {
+  const length = shares[0].data.length;
+  const secret = Buffer.alloc(length);
+  for (let byteIndex = 0; byteIndex < length; byteIndex += 1) {
+    let value = 0;
+    for (const share of shares) {
+      let basis = 1;
+      for (const other of shares) {
+        if (other.index !== share.index) {
+          basis = gfMul(basis, gfDiv(other.index, other.index ^ share.index));
+        }
+      }
+      value ^= gfMul(share.data[byteIndex], basis);
+    }
+    secret[byteIndex] = value;
+  }
+  return secret;
+}
+
+function sha256Hex(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+// Each share holds the whole encrypted backup plus one Shamir share of its AES key.
+export function sealBackupShares(archive, { shares, threshold }) {
+  const key = randomBytes(32);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const payload = Buffer.concat([cipher.update(archive), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  const setId = randomUUID();
+  const payloadSha256 = sha256Hex(payload);
+  return splitBackupSecret(key, { shares, threshold }).map(({ index, data }) => ({
+    manifest: {
+      format: BACKUP_SHARE_FORMAT,
+      formatVersion: BACKUP_SHARE_FORMAT_VERSION,
+      setId,
+      shareIndex: index,
+      shareCount: shares,
+      threshold,
+      cipher: "aes-256-gcm",
+      iv: iv.toString("hex"),
+      tag: tag.toString("hex"),
+      payloadSha256,
+      share: data.toString("hex"),
+    },
+    payload,
+  }));
+}
+
+export function validateBackupShareManifest(manifest) {
+  expect(manifest?.format === BACKUP_SHARE_FORMAT, "Backup share has an unsupported format.");
+  expect(
+    Number(manifest.formatVersion) === BACKUP_SHARE_FORMAT_VERSION,
+    `Backup share format version ${manifest.formatVersion} is not supported.`,
+  );
+  expect(manifest.cipher === "aes-256-gcm", `Backup share cipher ${manifest.cipher} is not supported.`);
+  expect(
+    Number.isInteger(manifest.shareIndex) && manifest.shareIndex >= 1 && manifest.shareIndex <= manifest.shareCount,
+    "Backup share has an invalid share index.",
+  );
+  parseBackupShareCounts({ shares: manifest.shareCount, threshold: manifest.threshold });
+  expect(/^[0-9a-f]{64}$/u.test(manifest.share), "Backup share key data is malformed.");
+}
+
+export function openBackupShares(entries) {
+  expect(entries.length > 0, "No backup shares were provided.");
+  for (const { manifest } of entries) {
+    validateBackupShareManifest(manifest);
+  }
+  const [{ manifest: first }] = entries;
+  for (const { manifest, payload } of entries) {
+    expect(
+      manifest.setId === first.setId
+        && manifest.threshold === first.threshold
+        && manifest.shareCount === first.shareCount
+        && manifest.payloadSha256 === first.payloadSha256,
+      "Backup shares come from different backup exports.",
+    );
+    expect(sha256Hex(payload) === manifest.payloadSha256, `Backup share ${manifest.shareIndex} payload is corrupted.`);
+  }
+  const indexes = new Set(entries.map(({ manifest }) => manifest.shareIndex));
+  expect(indexes.size === entries.length, "Backup shares must not repeat a share index.");
+  expect(
+    entries.length >= first.threshold,
+    `Backup needs ${first.threshold} of ${first.shareCount} shares; only ${entries.length} provided.`,
+  );
+  const key = combineBackupSecret(entries.map(({ manifest }) => ({
+    index: manifest.shareIndex,
+    data: Buffer.from(manifest.share, "hex"),
+  })));
+  const decipher = createDecipheriv("aes-256-gcm", key, Buffer.from(first.iv, "hex"));
+  decipher.setAuthTag(Buffer.from(first.tag, "hex"));
+  try {
+    return Buffer.concat([decipher.update(entries[0].payload), decipher.final()]);
+  } catch {
+    throw new Error("Backup shares do not reconstruct the backup key; at least one share is altered.");
+  }
+}
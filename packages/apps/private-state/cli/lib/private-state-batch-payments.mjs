@@ -0,0 +1,204 @@
+import { ethers } from "ethers";
+import { PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES } from "./private-state-controller-functions.mjs";
+import { formatCsv, splitCsvLine } from "./private-state-csv.mjs";
+import { planTransferNotes } from "./private-state-note-selection.mjs";
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function normalizeBatchPaymentRow({ row, recipient, amount }) {
+  expect(
+    typeof recipient === "string" && ethers.isAddress(recipient.trim()),
+    `Invalid batch payment row ${row}: recipient must be a channel-local address.`,
+  );
+  const normalizedAmount = typeof amount === "number" ? String(amount) : amount;
+  expect(
+    typeof normalizedAmount === "string" && /^\d+(\.\d+)?$/.test(normalizedAmount.trim()),
+    `Invalid batch payment row ${row}: amount must be a non-negative decimal token amount.`,
+  );
+  return {
+    row,
+    recipient: ethers.getAddress(recipient.trim()),
+    amount: normalizedAmount.trim(),
+  };
+}
+
+function parseBatchPaymentCsv(text) {
+  const lines = text.split(/\r?\n/)
+    .map((line, index) => ({ lineNumber: index + 1, line: line.trim() }))
+    .filter(({ line }) => line.length > 0 && !line.startsWith("#"));
+  expect(lines.length > 0, "The batch payment CSV is empty.");
+  const header = splitCsvLine(lines[0].line).map((name) => name.toLowerCase());
+  const recipientColumn = header.indexOf("recipient");
+  const amountColumn = header.indexOf("amount");
+  expect(
+    recipientColumn >= 0 && amountColumn >= 0,
+    "The batch payment CSV header must name recipient and amount columns.",
+  );
+  return lines.slice(1).map(({ lineNumber, line }) => {
+    let fields;
+    try {
+      fields = splitCsvLine(line);
+    } catch (error) {
+      throw new Error(`Invalid batch payment CSV line ${lineNumber}: ${error.message}`);
+    }
+    return normalizeBatchPaymentRow({
+      row: lineNumber,
+      recipient: fields[recipientColumn],
+      amount: fields[amountColumn],
+    });
+  });
+}
+
+function parseBatchPaymentJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("The batch payment JSON file is not valid JSON.");
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed?.payments;
+  expect(Array.isArray(entries), "The batch payment JSON file must be an array or an object with a payments array.");
+  return entries.map((entry, index) => normalizeBatchPaymentRow({
+    row: index + 1,
+    recipient: entry?.recipient,
+    amount: entry?.amount,
+  }));
+}
+
+export function parseBatchPaymentFile(text, format) {
+  expect(format === "csv" || format === "json", `Unsupported batch payment format: ${format}.`);
+  const rows = format === "csv" ? parseBatchPaymentCsv(text) : parseBatchPaymentJson(text);
+  expect(rows.length > 0, "The batch payment file contains no payment rows.");
+  return rows;
+}
+
+export function batchPaymentFileFormat(filePath) {
+  const extension = String(filePath).toLowerCase().split(".").pop();
+  expect(
+    extension === "csv" || extension === "json",
+    `Unsupported batch payment file ${filePath}. Use a .csv or .json file.`,
+  );
+  return extension;
+}
+
+export function maxBatchPaymentsPerTransfer(shapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES) {
+  const outputCounts = shapes.map((shape) => shape.outputCount);
+  const withChange = outputCounts
+    .filter((count) => count >= 2)
+    .reduce((largest, count) => Math.max(largest, count - 1), 0);
+  const recipientCount = withChange > 0 ? withChange : Math.max(0, ...outputCounts);
+  expect(recipientCount > 0, "No registered transfer shape can pay batch rows.");
+  return recipientCount;
+}
+
+export function groupBatchPayments(rows, shapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES) {
+  const groupSize = maxBatchPaymentsPerTransfer(shapes);
+  const groups = [];
+  for (let index = 0; index < rows.length; index += groupSize) {
+    groups.push(rows.slice(index, index + groupSize));
+  }
+  return groups;
+}
+
+function batchPaymentKey(row) {
+  return `${ethers.getAddress(row.recipient)}:${ethers.toBigInt(row.amountBaseUnits).toString()}`;
+}
+
+function batchGroupIsSettled(group) {
+  return group.status === "completed" || group.steps.some((step) => step.kind === "payment");
+}
+
+export function selectBatchPaymentRun({ batches, contentHash, resume = false, newBatch = false }) {
+  expect(!(resume && newBatch), "wallet transfer-notes --resume and --new-batch cannot be combined.");
+  const inProgress = batches.find((batch) => batch.status === "in-progress");
+  if (newBatch) {
+    expect(
+      !inProgress,
+      `Batch ${inProgress?.batchId} for this file is still in progress; rerun without --new-batch to finish it first.`,
+    );
+    return null;
+  }
+  if (inProgress) {
+    return inProgress;
+  }
+  const completed = batches.find((batch) => batch.status === "completed");
+  if (resume) {
+    expect(completed, "There is no earlier batch for this file to resume; omit --resume.");
+    return completed;
+  }
+  expect(
+    !completed,
+    [
+      `This file was already paid as batch ${completed?.batchId}, completed at ${completed?.updatedAt}`,
+      completed?.contentHash === contentHash ? "with the same contents." : "with different contents.",
+      "Pass --new-batch to pay every row again, or --resume to pay only rows that batch did not pay.",
+    ].join(" "),
+  );
+  return null;
+}
+
+export function reconcileBatchPaymentRows({ batch, rows, shapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES }) {
+  const settledGroups = batch.groups.filter(batchGroupIsSettled);
+  const settledRowIds = new Set(settledGroups.flatMap((group) => group.rows));
+  const unmatchedSettledRows = new Map();
+  for (const row of batch.rows.filter((candidate) => settledRowIds.has(candidate.id))) {
+    const key = batchPaymentKey(row);
+    unmatchedSettledRows.set(key, [...(unmatchedSettledRows.get(key) ?? []), row]);
+  }
+  const fileRowById = new Map();
+  const pendingRows = [];
+  let nextId = batch.rows.reduce((next, row) => Math.max(next, row.id + 1), 0);
+  for (const row of rows) {
+    const settledRow = unmatchedSettledRows.get(batchPaymentKey(row))?.shift();
+    if (settledRow) {
+      fileRowById.set(settledRow.id, row.row);
+    } else {
+      pendingRows.push({ ...row, id: nextId });
+      nextId += 1;
+    }
+  }
+  return {
+    settledRowCount: fileRowById.size,
+    rows: [
+      ...batch.rows
+        .filter((row) => settledRowIds.has(row.id))
+        .map((row) => ({ ...row, row: fileRowById.get(row.id) ?? row.row })),
+      ...pendingRows,
+    ],
+    groups: [
+      ...settledGroups,
+      ...groupBatchPayments(pendingRows, shapes).map((groupRows) => ({
+        rows: groupRows.map((row) => row.id),
+        status: "pending",
+        steps: [],
+      })),
+    ].map((group, index) => ({ ...group, index })),
+  };
+}
+
+export function planBatchTransfers({ notes, groupAmounts, shapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES }) {
+  let workingNotes = [...notes];
+  return groupAmounts.map((outputAmounts, groupIndex) => {
+    const { steps } = planTransferNotes({ notes: workingNotes, outputAmounts, shapes });
+    const consumed = new Set(steps.flatMap((step) => step.inputNotes.map((note) => note.commitment)));
+    const payment = steps.at(-1);
+    workingNotes = [
+      ...workingNotes.filter((note) => !consumed.has(note.commitment)),
+      ...steps
+        .filter((step) => step.kind === "merge" && !consumed.has(step.outputNote.commitment))
+        .map((step) => ({ ...step.outputNote, commitment: `${step.outputNote.commitment}-group-${groupIndex}` })),
+      ...(payment.changeAmount > 0n
+        ? [{ commitment: `planned-change-${groupIndex}`, value: payment.changeAmount.toString(), planned: true }]
+        : []),
+    ];
+    return { steps };
+  });
+}
+
+export function formatBatchReceiptCsv(receipts) {
+  return formatCsv(["row", "recipient", "amount", "status", "commitment", "txHash", "blockNumber"], receipts);
+}
@@ -0,0 +1,82 @@
+import { getAddress } from "ethers";
+
+export const CHANNEL_DIRECTORY_FORMAT = "tokamak-private-state-channel-directory";
+export const CHANNEL_DIRECTORY_FORMAT_VERSION = 1;
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+export function createChannelDirectory({ chainId, bridgeCore, fromBlock }) {
+  return {
+    format: CHANNEL_DIRECTORY_FORMAT,
+    formatVersion: CHANNEL_DIRECTORY_FORMAT_VERSION,
+    chainId: Number(chainId),
+    bridgeCore: getAddress(bridgeCore),
+    fromBlock: Number(fromBlock),
+    lastScannedBlock: Number(fromBlock) - 1,
+    channels: {},
+  };
+}
+
+// A cache scanned against another chain or BridgeCore deployment lists different channels, so it is rebuilt instead.
+export function channelDirectoryMatches(directory, { chainId, bridgeCore, fromBlock = null }) {
+  return directory?.format === CHANNEL_DIRECTORY_FORMAT
+    && Number(directory.formatVersion) === CHANNEL_DIRECTORY_FORMAT_VERSION
+    && Number(directory.chainId) === Number(chainId)
+    && getAddress(directory.bridgeCore) === getAddress(bridgeCore)
+    && (fromBlock === null || Number(directory.fromBlock) <= Number(fromBlock));
+}
+
+export function recordChannelCreated(directory, {
+  channelId,
+  dappId,
+  manager,
+  bridgeTokenVault,
+  blockNumber,
+  transactionHash,
+}) {
+  const key = channelId.toString();
+  expect(!directory.channels[key], `Channel ${key} was created twice in the BridgeCore event scan.`);
+  directory.channels[key] = {
+    channelId: key,
+    dappId: Number(dappId),
+    manager: getAddress(manager),
+    bridgeTokenVault: getAddress(bridgeTokenVault),
+    createdAtBlock: Number(blockNumber),
+    createdTxHash: transactionHash,
+    joinedCount: 0,
+    exitedCount: 0,
+  };
+}
+
+export function recordChannelMembershipChange(directory, { manager, joined }) {
+  const managerAddress = getAddress(manager);
+  const channel = Object.values(directory.channels).find((entry) => entry.manager === managerAddress);
+  expect(channel, `Channel manager ${managerAddress} emitted a membership event but no ChannelCreated event.`);
+  if (joined) {
+    channel.joinedCount += 1;
+  } else {
+    channel.exitedCount += 1;
+  }
+}
+
+export function recordChannelMembershipLogs(directory, { logs, channelManagerInterface }) {
+  for (const log of logs) {
+    const { name } = channelManagerInterface.parseLog(log) ?? {};
+    expect(
+      name === "ChannelTokenVaultIdentityRegistered" || name === "ChannelTokenVaultIdentityExited",
+      `Log ${log.transactionHash} from channel manager ${log.address} is not a membership event.`,
+    );
+    recordChannelMembershipChange(directory, {
+      manager: log.address,
+      joined: name === "ChannelTokenVaultIdentityRegistered",
+    });
+  }
+}
+
+export function channelMemberCount(channel) {
+  return channel.joinedCount - channel.exitedCount;
+}
@@ -0,0 +1,112 @@
+import { getAddress } from "ethers";
+import { formatCsv } from "./private-state-csv.mjs";
+
+export const DEFAULT_CHANNEL_MEMBER_PAGE_SIZE = 100;
+export const MAX_CHANNEL_MEMBER_PAGE_SIZE = 1000;
+const CHANNEL_MEMBER_CSV_COLUMNS = Object.freeze([
+  "l1Address",
+  "l2Address",
+  "leafIndex",
+  "status",
+  "joinBlock",
+  "joinedAt",
+  "joinTxHash",
+  "joinTollPaid",
+  "exitBlock",
+  "exitTxHash",
+  "refundPaid",
+  "refundBps",
+]);
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function compareLogPosition(left, right) {
+  return left.blockNumber - right.blockNumber || left.logIndex - right.logIndex;
+}
+
+// One record per registration; the refund is the vault event from the exit transaction.
+export function buildChannelMemberRegistry({ registeredEvents, exitedEvents, refundEvents }) {
+  const refunds = new Map(refundEvents.map((event) => [
+    `${event.transactionHash.toLowerCase()}:${getAddress(event.user)}`,
+    event,
+  ]));
+  const timeline = [
+    ...registeredEvents.map((event) => ({ ...event, joined: true })),
+    ...exitedEvents.map((event) => ({ ...event, joined: false })),
+  ].sort(compareLogPosition);
+  const members = [];
+  const openMembers = new Map();
+  for (const event of timeline) {
+    const l1Address = getAddress(event.l1Address);
+    const key = `${l1Address}:${event.leafIndex.toString()}`;
+    if (event.joined) {
+      expect(!openMembers.has(key), `${l1Address} registered leaf ${event.leafIndex} twice without exiting.`);
+      const member = {
+        l1Address,
+        l2Address: getAddress(event.l2Address),
+        leafIndex: event.leafIndex.toString(),
+        status: "member",
+        joinBlock: event.blockNumber,
+        joinedAt: new Date(Number(event.joinedAt) * 1000).toISOString(),
+        joinTxHash: event.transactionHash,
+        joinTollPaid: event.joinTollPaid.toString(),
+        exitBlock: null,
+        exitTxHash: null,
+        refundPaid: null,
+        refundBps: null,
+      };
+      members.push(member);
+      openMembers.set(key, member);
+      continue;
+    }
+    const member = openMembers.get(key);
+    expect(member, `${l1Address} exited leaf ${event.leafIndex} without a matching registration.`);
+    const refund = refunds.get(`${event.transactionHash.toLowerCase()}:${l1Address}`);
+    member.status = "exited";
+    member.exitBlock = event.blockNumber;
+    member.exitTxHash = event.transactionHash;
+    member.refundPaid = refund ? refund.amount.toString() : null;
+    member.refundBps = refund ? Number(refund.refundBps) : null;
+    openMembers.delete(key);
+  }
+  return members;
+}
+
+export function parseChannelMemberPage({ page, pageSize }) {
+  const pageNumber = page === undefined ? 1 : Number(page);
+  const size = pageSize === undefined ? DEFAULT_CHANNEL_MEMBER_PAGE_SIZE : Number(pageSize);
+  expect(Number.isInteger(pageNumber) && pageNumber >= 1, "--page must be a positive integer.");
+  expect(
+    Number.isInteger(size) && size >= 1 && size <= MAX_CHANNEL_MEMBER_PAGE_SIZE,
+    `--page-size must be an integer from 1 to ${MAX_CHANNEL_MEMBER_PAGE_SIZE}.`,
+  );
+  return { page: pageNumber, pageSize: size };
+}
+
+export function paginateChannelMembers(members, { page, pageSize }) {
+  const totalPages = Math.max(1, Math.ceil(members.length / pageSize));
+  expect(page <= totalPages, `--page ${page} is past the last page (${totalPages}).`);
+  return {
+    page,
+    pageSize,
+    totalPages,
+    members: members.slice((page - 1) * pageSize, page * pageSize),
+  };
+}
+
+export function channelMemberExportFormat(filePath) {
+  const extension = String(filePath).split(".").pop().toLowerCase();
+  expect(
+    extension === "csv" || extension === "json",
+    `Unsupported member export file ${filePath}. Use a .csv or .json file.`,
+  );
+  return extension;
+}
+
+export function formatChannelMembersCsv(members) {
+  return formatCsv(CHANNEL_MEMBER_CSV_COLUMNS, members);
+}
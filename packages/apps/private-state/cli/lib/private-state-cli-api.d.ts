@@ -0,0 +1,190 @@
+export type PrivateStateCliErrorCode =
+  | "TERMS_ACCEPTANCE_REQUIRED"
+  | "MISSING_RPC_URL"
+  | "UNKNOWN_WALLET"
+  | "MISSING_DEPLOYMENT_ARTIFACTS"
+  | "MISSING_CHANNEL_REGISTRATION"
+  | "UNKNOWN_CHANNEL"
+  | "MISSING_CHANNEL_OBSERVER"
+  | "CHANNEL_OPERATION_ABANDONED"
+  | "STALE_WORKSPACE"
+  | "STALE_CHANNEL_ROOT"
+  | "TX_DRY_RUN_FAILED"
+  | "TX_SUBMIT_FAILED"
+  | "UNKNOWN_COMMAND"
+  | "INVALID_PARAMS"
+  | "KEYSTORE_LOCKED"
+  | "WATCH_ONLY_WALLET";
+
+export declare const PRIVATE_STATE_CLI_ERROR_CODES: Readonly<{ [Code in PrivateStateCliErrorCode]: Code }>;
+
+export declare class PrivateStateCliError extends Error {
+  constructor(code: PrivateStateCliErrorCode | string, message: string, options?: ErrorOptions & { details?: unknown });
+  name: "PrivateStateCliError";
+  code: PrivateStateCliErrorCode | string;
+  details?: unknown;
+}
+
+export type PrivateStateCliEvent =
+  | {
+    event: "progress";
+    action: string;
+    phase: string;
+    message: string;
+    details: Record<string, unknown>;
+  }
+  | {
+    event: "warning" | "note";
+    kind: string;
+    message: string;
+    details: Record<string, unknown>;
+  };
+
+export interface PrivateStateCliResult {
+  ok: true;
+  action: string;
+  [field: string]: unknown;
+}
+
+export interface WalletNoteStatus {
+  owner: string;
+  valueBaseUnits: string | null;
+  valueTokens: string | null;
+  commitment: string;
+  nullifier: string;
+  encryptedNoteValue: unknown;
+  memo: string | null;
+  walletStatus: "unused" | "spent";
+  bridgeCommitmentExists: boolean;
+  bridgeNullifierUsed: boolean;
+  walletStatusMatchesBridge: boolean;
+  sourceFunction: string | null;
+  sourceTxHash: string | null;
+  createdAtTxHash: string | null;
+  createdAtBlockNumber: number | null;
+  createdAtLogIndex: number | null;
+  createdByFunction: string | null;
+  createdOutputIndex: number | null;
+  spentAtTxHash: string | null;
+  spentAtBlockNumber: number | null;
+  spentAtLogIndex: number | null;
+  spentByFunction: string | null;
+  spentInputIndex: number | null;
+  counterpartyL2Address: string | null;
+  counterpartyDirection: string | null;
+  counterpartyConfidence: string | null;
+}
+
+export interface WalletGetNotesResult extends PrivateStateCliResult {
+  action: "wallet get-notes";
+  wallet: string;
+  network: string;
+  channelName: string;
+  controller: string;
+  unusedNotes: WalletNoteStatus[];
+  spentNotes: WalletNoteStatus[];
+  unusedTotalBaseUnits: string | null;
+  unusedTotalTokens: string | null;
+  spentTotalBaseUnits: string | null;
+  spentTotalTokens: string | null;
+  bridgeStatusMismatches: number;
+  noteReceiveLastScannedBlock: number;
+  noteReceiveTargetBlock: number;
+  noteReceiveTargetNextBlock: number;
+  viewingKeyAvailable: boolean;
+  recoveredWalletWorkspace: boolean;
+  recoveredFromLogs: number;
+  scannedDeliveryLogs: number;
+  linkedEvidence: unknown;
+  noteReceiveScanRange: unknown;
+  evidenceExport: unknown;
+}
+
+export type PrivateStateCommandParams = Record<string, unknown>;
+
+export interface PrivateStateCommandOptions {
+  provider?: unknown;
+  signer?: unknown;
+  txSubmitter?: unknown;
+  output?: {
+    event?: (event: PrivateStateCliEvent) => void;
+    result?: (result: PrivateStateCliResult) => void;
+  } | null;
+}
+
+export declare function runPrivateStateCommand(
+  command: string,
+  params?: PrivateStateCommandParams,
+  options?: PrivateStateCommandOptions,
+): Promise<PrivateStateCliResult>;
+
+export declare function unlockPrivateStateKeystore(passphrase: string): void;
+
+export declare function lockPrivateStateKeystore(): void;
+
+export interface PrivateStateCliClient {
+  run(command: string, params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  install(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  uninstall(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  setRpc(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  secretCreatePrivateKeySource(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  secretCreateWalletSecretSource(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  secretMigrateKeystore(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  secretKeystoreStatus(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  helpCommands(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  helpUpdate(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  helpDoctor(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  helpGuide(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  helpObserver(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  helpTransactionFees(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  investigator(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  accountImport(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  accountSetRemoteSigner(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  accountGetL1Address(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  accountGetBridgeFund(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  channelCreate(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  channelRecoverWorkspace(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  channelSetWorkspaceMirror(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  channelAbandonOperation(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  channelAdminSetJoinToll(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  channelAdminSetObserver(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  channelAdminShowPolicy(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  channelAdminShowRefundSchedule(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  channelGetMeta(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  channelList(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  channelGetMembers(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  accountDepositBridge(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  accountWithdrawBridge(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletRecoverWorkspace(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletCreateWatchOnly(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  channelJoin(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletGetMeta(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletList(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletExportBackup(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletExportViewingKey(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletExportSpendingKey(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletImportBackup(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletImportViewingKey(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletImportSpendingKey(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletExportDelta(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletApplyDelta(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletDepositChannel(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletWithdrawChannel(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletGetChannelFund(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  channelExit(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletMintNotes(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletTransferNotes(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletCreatePaymentRequest(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletPayRequest(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletConsolidateNotes(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletRedeemNotes(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletGetNotes(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<WalletGetNotesResult>;
+  walletAddHook(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletListHooks(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  walletRemoveHook(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  contactsAdd(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  contactsList(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+  contactsRemove(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<PrivateStateCliResult>;
+}
+
+export declare function createPrivateStateCliClient(defaults?: PrivateStateCommandOptions): Readonly<PrivateStateCliClient>;
@@ -0,0 +1,76 @@
+import { dispatchPrivateStateCliCommand } from "../commands/index.mjs";
+import { PRIVATE_STATE_CLI_COMMANDS } from "./private-state-cli-command-registry.mjs";
+import {
+  CLI_ERROR_CODES,
+  PrivateStateCliError,
+  buildCommandArgsFromParams,
+  enableWarmCommandRuntime,
+  lockKeystoreSession,
+  runCommandInProcess,
+  unlockKeystoreSession,
+} from "./runtime.mjs";
+
+export { CLI_ERROR_CODES as PRIVATE_STATE_CLI_ERROR_CODES, PrivateStateCliError };
+
+let commandQueue = Promise.resolve();
+
+function commandMethodName(commandId) {
+  return commandId.replace(/-([a-z])/g, (_match, letter) => letter.toUpperCase());
+}
+
+function assertInjectedSigner(signer, label) {
+  if (signer === undefined || signer === null) {
+    return;
+  }
+  if (typeof signer.address !== "string" || typeof signer.sendTransaction !== "function") {
+    throw new PrivateStateCliError(
+      CLI_ERROR_CODES.INVALID_PARAMS,
+      `${label} must be an ethers signer that exposes its address.`,
+    );
+  }
+}
+
+export async function runPrivateStateCommand(command, params = {}, {
+  provider = null,
+  signer = null,
+  txSubmitter = null,
+  output = null,
+} = {}) {
+  const args = buildCommandArgsFromParams(command, params);
+  assertInjectedSigner(signer, "signer");
+  assertInjectedSigner(txSubmitter, "txSubmitter");
+  const run = commandQueue.then(() => runCommandInProcess({
+    args,
+    dispatch: dispatchPrivateStateCliCommand,
+    output,
+    provider,
+    signer,
+    txSubmitter,
+  }));
+  commandQueue = run.catch(() => {});
+  return await run;
+}
+
+export function unlockPrivateStateKeystore(passphrase) {
+  unlockKeystoreSession(passphrase);
+}
+
+export function lockPrivateStateKeystore() {
+  lockKeystoreSession();
+}
+
+export function createPrivateStateCliClient(defaults = {}) {
+  enableWarmCommandRuntime();
+  const run = (command, params = {}, overrides = {}) => runPrivateStateCommand(command, params, {
+    ...defaults,
+    ...overrides,
+  });
+  return Object.freeze({
+    run,
+    ...Object.fromEntries(
+      PRIVATE_STATE_CLI_COMMANDS
+        .filter((command) => command.longRunning !== true)
+        .map((command) => [commandMethodName(command.id), (params, overrides) => run(command.id, params, overrides)]),
+    ),
+  });
+}
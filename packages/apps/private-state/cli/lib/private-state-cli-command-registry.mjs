@@ -53,7 +53,7 @@ export const PRIVATE_STATE_CLI_FIELD_CATALOG = Object.freeze({
     type: "text",
     placeholder: "my-account",
     valueLabel: "<NAME>",
-    hint: "Local account alias. Omit it on supported commands to use a MetaMask-compatible browser wallet instead.",
+    hint: "Local account alias, including hardware-wallet accounts. Omit it on supported commands to use a MetaMask-compatible browser wallet instead.",
     option: "--account",
   },
   leaderAccount: {
@@ -61,7 +61,7 @@ export const PRIVATE_STATE_CLI_FIELD_CATALOG = Object.freeze({
     type: "text",
     placeholder: "leader-account",
     valueLabel: "<ACCOUNT>",
-    hint: "Required with --publish-workspace-mirror. Signs the workspace mirror manifest and must match the on-chain channel leader.",
+    hint: "Required with --publish-workspace-mirror and by channel admin set commands. Must be a local account that matches the on-chain channel leader.",
     option: "--leader-account",
     optional: true,
   },
@@ -82,6 +82,41 @@ export const PRIVATE_STATE_CLI_FIELD_CATALOG = Object.freeze({
     hint: "Source file permissions are not enforced; the imported canonical account secret is protected.",
     option: "--private-key-file",
   },
+  hardwareWallet: {
+    label: "Hardware Wallet",
+    type: "text",
+    placeholder: "ledger",
+    valueLabel: "<ledger|trezor>",
+    hint: "Register a USB hardware wallet account instead of importing a private-key file.",
+    option: "--hardware-wallet",
+    optional: true,
+  },
+  remoteSigner: {
+    label: "Remote Signer Address",
+    type: "text",
+    placeholder: "0xYourEthereumAddress",
+    valueLabel: "<ADDRESS>",
+    hint: "Register an address held by the configured remote signer instead of importing a private-key file.",
+    option: "--remote-signer",
+    optional: true,
+  },
+  allowedAddresses: {
+    label: "Allowed Addresses",
+    type: "text",
+    placeholder: "0xTreasury,0xLeader",
+    valueLabel: "<ADDRESS,...>",
+    hint: "Comma-separated addresses the CLI may ask the remote signer to sign for.",
+    option: "--allowed-addresses",
+  },
+  hdPath: {
+    label: "Derivation Path",
+    type: "text",
+    placeholder: "m/44'/60'/0'/0/0",
+    valueLabel: "<PATH>",
+    hint: "Hardware wallet BIP-32 derivation path. Defaults to m/44'/60'/0'/0/0.",
+    option: "--hd-path",
+    optional: true,
+  },
   joinToll: {
     label: "Join Toll",
     type: "text",
@@ -89,6 +124,24 @@ export const PRIVATE_STATE_CLI_FIELD_CATALOG = Object.freeze({
     valueLabel: "<TOKENS>",
     option: "--join-toll",
   },
+  leader: {
+    label: "Channel Leader",
+    type: "text",
+    placeholder: "0xLeaderAddress",
+    valueLabel: "<ADDRESS>",
+    hint: "Optional for channel list. Lists only channels led by this Ethereum address.",
+    option: "--leader",
+    optional: true,
+  },
+  fromBlock: {
+    label: "From Block",
+    type: "text",
+    placeholder: "21000000",
+    valueLabel: "<BLOCK>",
+    hint: "Optional for channel list. First block of a new directory scan. Defaults to the bridge deployment block.",
+    option: "--from-block",
+    optional: true,
+  },
   walletSecretPath: {
     label: "Wallet Secret File",
     type: "text",
@@ -111,6 +164,49 @@ export const PRIVATE_STATE_CLI_FIELD_CATALOG = Object.freeze({
     valueLabel: "<PATH>",
     option: "--output",
   },
+  passphraseFile: {
+    label: "Passphrase File",
+    type: "text",
+    placeholder: "/path/to/passphrase",
+    valueLabel: "<PATH>",
+    hint: "Read the keystore or archive passphrase from this file instead of prompting in the terminal.",
+    option: "--passphrase-file",
+    optional: true,
+  },
+  encrypt: {
+    label: "Encrypt",
+    type: "checkbox",
+    hint: "Write the export as an age-encrypted file, to --recipient keys or to a passphrase from --passphrase-file or the terminal.",
+    option: "--encrypt",
+    optional: true,
+  },
+  recipient: {
+    label: "age Recipients",
+    type: "text",
+    placeholder: "age1...",
+    valueLabel: "<AGE_RECIPIENT,...>",
+    hint: "Comma-separated age X25519 public keys to encrypt the export to instead of a passphrase.",
+    option: "--recipient",
+    optional: true,
+  },
+  identityFile: {
+    label: "age Identity File",
+    type: "text",
+    placeholder: "/path/to/age-identity.txt",
+    valueLabel: "<PATH>",
+    hint: "age identity file with the AGE-SECRET-KEY-1... key that decrypts a recipient-encrypted import.",
+    option: "--identity-file",
+    optional: true,
+  },
+  sinceBlock: {
+    label: "Since Block",
+    type: "text",
+    placeholder: "21000000",
+    valueLabel: "<BLOCK>",
+    hint: "Carry only notes created, spent, or observed at or after this block. Defaults to the wallet's join block.",
+    option: "--since-block",
+    optional: true,
+  },
   random: {
     label: "Random Secret",
     type: "checkbox",
@@ -149,6 +245,15 @@ export const PRIVATE_STATE_CLI_FIELD_CATALOG = Object.freeze({
     hint: "JSON array of token amounts. Use quoted strings for decimal amounts, for example [\"1.5\",\"2\"].",
     option: "--amounts",
   },
+  memos: {
+    label: "Memos",
+    type: "textarea",
+    placeholder: "[\"invoice-1042\",null]",
+    valueLabel: "<JSON_ARRAY>",
+    hint: "JSON array of per-recipient memos, each up to 256 UTF-8 bytes or null. Only the recipient can decrypt its memo.",
+    option: "--memos",
+    optional: true,
+  },
   noteIds: {
     label: "Note IDs",
     type: "textarea",
@@ -162,9 +267,125 @@ export const PRIVATE_STATE_CLI_FIELD_CATALOG = Object.freeze({
     type: "textarea",
     placeholder: "[\"0xRecipientChannelAddress\"]",
     valueLabel: "<JSON_ARRAY>",
-    hint: "JSON array of recipient channel-local addresses. Its length must match --amounts.",
+    hint: "JSON array of recipient channel-local addresses, l1:0x... L1 addresses of channel members, or @contact names. Its length must match --amounts.",
     option: "--recipients",
   },
+  reference: {
+    label: "Reference",
+    type: "text",
+    placeholder: "invoice-1042",
+    valueLabel: "<TEXT>",
+    hint: "Up to 64 printable ASCII characters that identify the payment, such as an invoice number.",
+    option: "--reference",
+    optional: true,
+  },
+  request: {
+    label: "Payment Request",
+    type: "textarea",
+    placeholder: "tokamak-private-state:0xRecipientChannelAddress?v=1&network=mainnet&...",
+    valueLabel: "<URI>",
+    hint: "Payment request URI from wallet create-payment-request.",
+    option: "--request",
+  },
+  name: {
+    label: "Contact Name",
+    type: "text",
+    placeholder: "alice",
+    valueLabel: "<NAME>",
+    hint: "Contact name used as @name in --recipients. Letters, digits, dots, dashes, and underscores; case-insensitive.",
+    option: "--name",
+  },
+  address: {
+    label: "Channel-Local Address",
+    type: "text",
+    placeholder: "0xRecipientChannelAddress",
+    valueLabel: "<L2_ADDRESS>",
+    hint: "The contact's channel-local (L2) address, as shown by wallet get-meta.",
+    option: "--address",
+  },
+  threshold: {
+    label: "Threshold",
+    type: "text",
+    placeholder: "1",
+    valueLabel: "<N>",
+    hint: "For wallet consolidate-notes, unused notes with a value below this token amount are merged. For wallet export backup, the number of shares needed to restore the backup.",
+    option: "--threshold",
+  },
+  shares: {
+    label: "Shares",
+    type: "text",
+    placeholder: "5",
+    valueLabel: "<N>",
+    hint: "Split the backup into this many encrypted share archives. Requires --threshold.",
+    option: "--shares",
+    optional: true,
+  },
+  page: {
+    label: "Page",
+    type: "text",
+    placeholder: "1",
+    valueLabel: "<N>",
+    hint: "Page of results to print, starting at 1. Defaults to 1.",
+    option: "--page",
+    optional: true,
+  },
+  pageSize: {
+    label: "Page Size",
+    type: "text",
+    placeholder: "100",
+    valueLabel: "<N>",
+    hint: "Results per page, from 1 to 1000. Defaults to 100.",
+    option: "--page-size",
+    optional: true,
+  },
+  maxProofs: {
+    label: "Max Proofs",
+    type: "text",
+    placeholder: "4",
+    valueLabel: "<N>",
+    hint: "Maximum number of proof-backed merge transactions to run. Defaults to 4.",
+    option: "--max-proofs",
+    optional: true,
+  },
+  batch: {
+    label: "Batch Payment File",
+    type: "text",
+    placeholder: "./payments.csv",
+    valueLabel: "<FILE>",
+    hint: "CSV with recipient and amount columns, or JSON array of {recipient, amount} rows. Replaces --recipients and --amounts.",
+    option: "--batch",
+    optional: true,
+  },
+  report: {
+    label: "Receipt Report",
+    type: "text",
+    placeholder: "./payments.receipts.csv",
+    valueLabel: "<FILE>",
+    hint: "With --batch, where to write the per-row receipt CSV. Defaults to <batch-file>.receipts.csv.",
+    option: "--report",
+    optional: true,
+  },
+  resume: {
+    label: "Resume Batch",
+    type: "checkbox",
+    hint: "With --batch, continue the last completed batch for this file and pay only rows it did not pay.",
+    option: "--resume",
+    optional: true,
+  },
+  newBatch: {
+    label: "New Batch",
+    type: "checkbox",
+    hint: "With --batch, pay every row of a file that an earlier batch already completed.",
+    option: "--new-batch",
+    optional: true,
+  },
+  planOnly: {
+    label: "Plan Only",
+    type: "checkbox",
+    hint: "With automatic note selection, print the transfer plan and fee estimate without submitting any transaction.",
+    option: "--plan-only",
+    optional: true,
+  },
   docker: {
     label: "Docker Install Mode",
     type: "checkbox",
@@ -247,11 +468,11 @@ export const PRIVATE_STATE_CLI_FIELD_CATALOG = Object.freeze({
     optional: true,
   },
   url: {
-    label: "Workspace Mirror URL",
+    label: "URL",
     type: "text",
     placeholder: "https://mirror.example",
     valueLabel: "<URL>",
-    hint: "Base URL for the channel workspace mirror protocol.",
+    hint: "Workspace mirror or channel observer base URL, or a loopback http(s) URL for remote signers and wallet hooks.",
     option: "--url",
   },
   force: {
@@ -261,6 +482,57 @@ export const PRIVATE_STATE_CLI_FIELD_CATALOG = Object.freeze({
     option: "--force",
     optional: true,
   },
+  ttl: {
+    label: "TTL Seconds",
+    type: "text",
+    placeholder: "3600",
+    valueLabel: "<SECONDS>",
+    hint: "How long the key agent holds unlocked keys before it wipes them and exits. Defaults to 3600.",
+    option: "--ttl",
+    optional: true,
+  },
+  port: {
+    label: "Port",
+    type: "text",
+    placeholder: "8645",
+    valueLabel: "<PORT>",
+    hint: "Loopback TCP port for the JSON-RPC server. Defaults to 8645.",
+    option: "--port",
+    optional: true,
+  },
+  socket: {
+    label: "Socket Path",
+    type: "text",
+    placeholder: "/tmp/private-state-cli.sock",
+    valueLabel: "<PATH>",
+    hint: "Unix socket path to listen on. serve uses a loopback TCP port when it is omitted.",
+    option: "--socket",
+    optional: true,
+  },
+  event: {
+    label: "Hook Events",
+    type: "text",
+    placeholder: "note-received,note-spent",
+    valueLabel: "<EVENTS>",
+    hint: "Comma-separated wallet events: note-received, note-spent, channel-root-changed, wallet-exited, or all.",
+    option: "--event",
+  },
+  exec: {
+    label: "Hook Command",
+    type: "text",
+    placeholder: "./on-wallet-event.sh",
+    valueLabel: "<COMMAND>",
+    hint: "Shell command that receives each event as JSON on stdin.",
+    option: "--exec",
+    optional: true,
+  },
+  hookId: {
+    label: "Hook ID",
+    type: "text",
+    placeholder: "3f9c2a71b0de",
+    valueLabel: "<ID>",
+    option: "--hook-id",
+  },
   json: {
     label: "JSON Output",
     type: "checkbox",
@@ -363,6 +635,32 @@ export const PRIVATE_STATE_CLI_COMMANDS = Object.freeze([
       "After creating the file, pass it to channel join --wallet-secret-path",
     ],
   },
+  {
+    id: "secret-migrate-keystore",
+    display: "secret migrate-keystore",
+    description: "Enable the passphrase-encrypted keystore and encrypt existing account private keys and wallet key files.",
+    fields: ["passphraseFile"],
+    optionalFields: ["passphraseFile"],
+    usage: "optional --passphrase-file",
+    help: [
+      "Requires current Service Terms acceptance before prompting for the passphrase",
+      "The first run creates the keystore and asks for the new passphrase twice; later runs unlock it and encrypt any remaining plaintext files",
+      "Account private keys are written as Web3 Secret Storage v3 JSON, so other Ethereum wallets can import them with the same passphrase",
+      "Wallet viewing and spending key files are written as scrypt and AES-256-GCM envelopes",
+      "Each file is re-read and decrypted before it replaces the plaintext version",
+      "Once enabled, commands that read account or wallet keys prompt once per run, or read the passphrase file named by PRIVATE_STATE_KEYSTORE_PASSPHRASE_FILE",
+    ],
+  },
+  {
+    id: "secret-keystore-status",
+    display: "secret keystore-status",
+    description: "Show whether the keystore is enabled and which secret files are still stored as plaintext.",
+    fields: [],
+    usage: "no options",
+    help: [
+      "Reads local secret files only to detect whether they are encrypted; never decrypts or prints secrets",
+    ],
+  },
   {
     id: "help-commands",
     display: "help commands",
@@ -447,12 +745,68 @@ export const PRIVATE_STATE_CLI_COMMANDS = Object.freeze([
       "Do not give the raw evidence ZIP to User-Controlled AI Agents, support channels, or untrusted parties",
     ],
   },
+  {
+    id: "serve",
+    longRunning: true,
+    description: "Run a local JSON-RPC server that executes CLI commands in one warm process.",
+    fields: ["port", "socket", "json"],
+    usage: "optional --port or --socket, and optional --json",
+    help: [
+      "Listens on 127.0.0.1:8645 by default; use --port for another loopback port or --socket for a Unix socket",
+      "Each request is a JSON-RPC 2.0 POST whose method is a command id or display name, such as wallet-get-notes or wallet get-notes",
+      "Params use the command's option names, such as {\"wallet\": \"...\", \"network\": \"sepolia\"}; true sets a flag and arrays are passed as JSON",
+      "Results and errors use the same payloads as --json; command errors are JSON-RPC error -32000 with the error payload in error.data",
+      "Send Accept: application/x-ndjson to stream progress and warning events as JSON-RPC event notifications before the final response",
+      "Requests run one at a time and reuse RPC providers, deployment artifacts, and unchanged channel workspace files between requests",
+      "Every request must send Authorization: Bearer <TOKEN>; the token is regenerated at startup and written to ~/tokamak-private-channels/secrets/serve/token",
+      "Method rpc.commands lists the callable commands and their params",
+    ],
+  },
+  {
+    id: "agent",
+    longRunning: true,
+    description: "Hold unlocked keystore keys in memory behind a Unix socket so later commands need no passphrase.",
+    fields: ["ttl", "socket"],
+    usage: "optional --ttl and --socket",
+    help: [
+      "Requires the passphrase-encrypted keystore from secret migrate-keystore; asks for the passphrase once and decrypts every key file into memory",
+      "Listens on ~/tokamak-private-channels/secrets/agent/agent.sock by default; set PRIVATE_STATE_AGENT_SOCK when using --socket",
+      "Must run in its own terminal: every command that asks for keys is shown there and released only after the user approves it",
+      "Commands receive only the keys for their --account, --leader-account, --tx-submitter, and --wallet, plus the wallet owner's account key",
+      "Wipes the keys and exits when --ttl elapses or on Ctrl-C; commands then fall back to the passphrase prompt",
+      "account import, channel join, wallet recover-workspace, and wallet import key commands write new key files and still ask for the passphrase",
+      "Not available on Windows",
+    ],
+  },
   {
     id: "account-import",
     display: "account import",
-    description: "Import a private-key source file into a protected local Ethereum account secret for later --account use.",
-    fields: ["account", "network", "privateKeyFile"],
-    usage: "--account, --network, and --private-key-file",
+    description: "Import a private-key source file, or register a USB hardware wallet or remote signer address, as a local Ethereum account for later --account use.",
+    fields: ["account", "network", "privateKeyFile", "hardwareWallet", "hdPath", "remoteSigner"],
+    optionalFields: ["privateKeyFile"],
+    usage: "--account, --network, and one of --private-key-file, --hardware-wallet with optional --hd-path, or --remote-signer",
+    help: [
+      "--hardware-wallet ledger|trezor reads the address from the connected device and stores only the device kind, derivation path, and address; no private key is written to disk",
+      "Hardware-wallet accounts work with --account, --leader-account, --tx-submitter, and as the owner of wallets joined with them",
+      "Every transaction, message, and EIP-712 signature is confirmed on the device, including the note-receive key derivation signature",
+      "Ledger requires the Ethereum app to be open, with blind signing enabled for contract calls",
+      "User-Controlled AI Agents must not confirm hardware wallet prompts for the user",
+      "--remote-signer <ADDRESS> binds the account to an address on the signer configured with account set-remote-signer; the address must be allowlisted and served by the endpoint",
+      "Remote-signer accounts delegate eth_signTransaction, personal_sign, and eth_signTypedData_v4, and the CLI rejects any result that does not match the request and address",
+    ],
+  },
+  {
+    id: "account-set-remote-signer",
+    display: "account set-remote-signer",
+    description: "Configure the loopback JSON-RPC remote signer and the addresses the CLI may use with it.",
+    fields: ["network", "url", "allowedAddresses"],
+    usage: "--network, --url, and --allowed-addresses",
+    help: [
+      "--url must be a loopback address; reach a remote signing service through a local tunnel or proxy",
+      "The endpoint must answer eth_accounts, eth_signTransaction, personal_sign, and eth_signTypedData_v4 in the web3signer and Clef style",
+      "Rerun the command to replace the endpoint or allowlist; accounts bound to an address that is no longer allowlisted stop working immediately",
+      "Warns when an allowlisted address is not currently served by the endpoint",
+    ],
   },
   {
     id: "account-get-l1-address",
@@ -546,6 +900,47 @@ export const PRIVATE_STATE_CLI_COMMANDS = Object.freeze([
       "Abandonment does not block existing note activity, wallet redeem-notes, wallet withdraw-channel, or channel exit",
     ],
   },
+  {
+    id: "channel-admin-set-join-toll",
+    display: "channel admin set-join-toll",
+    description: "Let the channel leader change the Join Toll charged to new channel members.",
+    installMode: "full",
+    fields: ["channelName", "network", "leaderAccount", "joinToll"],
+    usage: "--channel-name, --network, --leader-account, --join-toll",
+    help: [
+      "Only the on-chain channel leader can change the Join Toll; --leader-account must be a local account for that address",
+      "The new Join Toll applies to later joins; members who already joined keep the toll they paid for exit refunds",
+      "Prints the immutable channel policy snapshot before signing; the Join Toll is the only ChannelManager setting this changes",
+    ],
+  },
+  {
+    id: "channel-admin-set-observer",
+    display: "channel admin set-observer",
+    description: "Let the channel leader register or update the channel's public observer URL.",
+    installMode: "full",
+    fields: ["channelName", "network", "leaderAccount", "url"],
+    usage: "--channel-name, --network, --leader-account, --url",
+    help: [
+      "Only the on-chain channel leader can update the registered observer URL; --leader-account must be a local account for that address",
+      "help observer and channel list report the registered URL",
+    ],
+  },
+  {
+    id: "channel-admin-show-policy",
+    display: "channel admin show-policy",
+    description: "Read a channel's immutable policy snapshot, DApp label, and managed storage addresses.",
+    installMode: "read-only",
+    fields: ["channelName", "network"],
+    usage: "--channel-name, --network",
+  },
+  {
+    id: "channel-admin-show-refund-schedule",
+    display: "channel admin show-refund-schedule",
+    description: "Read a channel's Join Toll and the exit refund schedule fixed at channel creation.",
+    installMode: "read-only",
+    fields: ["channelName", "network"],
+    usage: "--channel-name, --network",
+  },
   {
     id: "channel-get-meta",
     display: "channel get-meta",
@@ -554,6 +949,35 @@ export const PRIVATE_STATE_CLI_COMMANDS = Object.freeze([
     fields: ["channelName", "network"],
     usage: "--channel-name, --network",
   },
+  {
+    id: "channel-list",
+    display: "channel list",
+    description: "Discover channels from BridgeCore ChannelCreated events with their leader, DApp, Join Toll, policy, URLs, and member count.",
+    installMode: "read-only",
+    fields: ["network", "leader", "fromBlock"],
+    usage: "--network and optional --leader, --from-block",
+    help: [
+      "Scans BridgeCore ChannelCreated and channel membership events with the configured eth_getLogs rate limit",
+      "The scan is cached in ~/tokamak-private-channels/workspace/<network>/channel-directory.json; later runs scan only new blocks",
+      "The first scan starts at --from-block, else at the BridgeCore deployment block found with historical eth_getCode calls",
+      "A --from-block earlier than the cached scan start rebuilds the cache from that block",
+      "Channel names are shown only for channels with a local workspace; on-chain events carry only the channel id",
+    ],
+  },
+  {
+    id: "channel-get-members",
+    display: "channel get-members",
+    description: "Reconstruct a channel's current and past members from its registration and exit events.",
+    installMode: "read-only",
+    fields: ["channelName", "network", "page", "pageSize", "output"],
+    optionalFields: ["output"],
+    usage: "--channel-name, --network, and optional --page, --page-size, --output",
+    help: [
+      "Each registration is one row with L1 address, channel-local address, leaf index, join block, exit block, Join Toll paid, and exit refund paid in tokens",
+      "Scans ChannelManager registration and exit events and bridge vault exit refunds from the channel genesis block",
+      "--output <FILE> writes every member row, not only the printed page, as CSV or JSON chosen by the file extension",
+    ],
+  },
   {
     id: "account-deposit-bridge",
     display: "account deposit-bridge",
@@ -610,6 +1034,21 @@ export const PRIVATE_STATE_CLI_COMMANDS = Object.freeze([
       "Prints RPC log scan progress while refreshing channel state and rebuilding received-note state",
     ],
   },
+  {
+    id: "wallet-create-watch-only",
+    display: "wallet create-watch-only",
+    description: "Create a watch-only wallet from a viewing key file exported by wallet export viewing-key.",
+    installMode: "read-only",
+    fields: ["input", "network"],
+    usage: "--input and --network",
+    help: [
+      "Needs no L1 signer and never stores a spending key; the wallet owner exports the viewing key and shares only that file",
+      "Checks the viewing key against the note-receive public key registered on-chain for the owner's L1 address before creating the wallet",
+      "Rebuilds the wallet and received-note history from channel logs, like wallet recover-workspace",
+      "wallet get-notes, --export-evidence, wallet watch, and wallet hooks work as for any wallet with a viewing key",
+      "Spending, minting, redeeming, channel fund moves, channel exit, and wallet import spending-key refuse watch-only wallets with WATCH_ONLY_WALLET",
+    ],
+  },
   {
     id: "channel-join",
     display: "channel join",
@@ -659,12 +1098,15 @@ export const PRIVATE_STATE_CLI_COMMANDS = Object.freeze([
     id: "wallet-export-backup",
     display: "wallet export backup",
     description: "Export a wallet backup ZIP without spending keys, viewing keys, derivation material, or plaintext note secrets.",
-    fields: ["network", "wallet", "output"],
-    usage: "--network, --wallet, and --output",
+    fields: ["network", "wallet", "output", "shares", "threshold", "encrypt", "recipient", "passphraseFile"],
+    optionalFields: ["shares", "threshold"],
+    usage: "--network, --wallet, --output, optional --shares <N> with --threshold <N>, and optional --encrypt with --recipient or --passphrase-file",
     help: [
       "Requires current Service Terms acceptance on mainnet; Sepolia and anvil exports do not require Terms acceptance",
       "Includes wallet note-tracking metadata, public key metadata, and channel workspace cache",
       "Excludes Ethereum private keys, spending keys, viewing private keys, wallet secrets, owner, value, and salt",
+      "With --shares and --threshold, writes <output>.share-<i>-of-<N>.zip archives instead of one ZIP; any --threshold of them restore the backup",
+      "With --encrypt, writes an age-encrypted file for shared or cloud storage; without --recipient it asks for a passphrase twice",
     ],
   },
   {
@@ -684,9 +1126,10 @@ export const PRIVATE_STATE_CLI_COMMANDS = Object.freeze([
     id: "wallet-export-spending-key",
     display: "wallet export spending-key",
     description: "Export a secret .key file containing the wallet spending private key and public spending-key metadata.",
-    fields: ["network", "wallet", "output"],
-    usage: "--network, --wallet, and --output",
+    fields: ["network", "wallet", "output", "encrypt", "recipient", "passphraseFile"],
+    usage: "--network, --wallet, --output, and optional --encrypt with --recipient or --passphrase-file",
     help: [
+      "With --encrypt, writes an age-encrypted .key file; without --recipient it asks for a passphrase twice",
       "Requires an interactive terminal on mainnet because the output file contains secret-bearing spending authority",
       "Sepolia and anvil exports do not require interactive confirmation",
       "Anyone with the exported file may be able to spend, transfer, or redeem Private Notes when other required wallet state is available",
@@ -697,10 +1140,12 @@ export const PRIVATE_STATE_CLI_COMMANDS = Object.freeze([
     id: "wallet-import-backup",
     display: "wallet import backup",
     description: "Import a backup ZIP created by wallet export backup.",
-    fields: ["input", "network"],
+    fields: ["input", "network", "identityFile", "passphraseFile"],
     optionalFields: ["network"],
-    usage: "--input and optional --network",
+    usage: "--input, optional --network, and --identity-file or --passphrase-file for encrypted backups",
     help: [
+      "Detects age-encrypted backups and decrypts them with --identity-file, --passphrase-file, or a terminal passphrase prompt",
+      "Pass comma-separated share archives to --input to reassemble a backup exported with --shares",
       "Use --network anvil or --network sepolia for non-mainnet imports that should not require Service Terms acceptance",
       "Mainnet imports, and imports without a network selector, require current Service Terms acceptance",
       "Refuses to overwrite existing wallet metadata or workspace cache files",
@@ -719,9 +1164,34 @@ export const PRIVATE_STATE_CLI_COMMANDS = Object.freeze([
     id: "wallet-import-spending-key",
     display: "wallet import spending-key",
     description: "Import a secret .key file created by wallet export spending-key.",
-    fields: ["input", "network"],
+    fields: ["input", "network", "identityFile", "passphraseFile"],
     optionalFields: ["network"],
-    usage: "--input and optional --network",
+    usage: "--input, optional --network, and --identity-file or --passphrase-file for encrypted key files",
+  },
+  {
+    id: "wallet-export-delta",
+    display: "wallet export delta",
+    description: "Export the wallet's note and cursor changes since a block, for another machine that holds the same wallet.",
+    fields: ["network", "wallet", "output", "sinceBlock"],
+    usage: "--network, --wallet, --output, and optional --since-block",
+    help: [
+      "Carries commitments, nullifiers, encrypted note payloads, and the note-receive scan cursor; never owner, value, salt, or keys",
+      "Use the receiving wallet's noteReceiveLastScannedBlock from wallet get-meta as --since-block to keep the delta small",
+      "Notes without an encrypted note value cannot travel in a delta; they are left out and listed in a warning",
+    ],
+  },
+  {
+    id: "wallet-apply-delta",
+    display: "wallet apply-delta",
+    description: "Merge a delta from wallet export delta into the same local wallet without rescanning the chain.",
+    installMode: "read-only",
+    fields: ["input", "wallet", "network"],
+    usage: "--input, --wallet, and --network",
+    help: [
+      "Decrypts the delta's notes with the local viewing key, merges them, and resolves every note's status against the current bridge state",
+      "Refuses a delta that starts after the local note-receive cursor, because the blocks in between would be skipped",
+      "Never overwrites local notes; spend metadata from the delta fills gaps in local records, and a note the delta reports spent is marked spent only when its nullifier is used on-chain",
+    ],
   },
   {
     id: "wallet-deposit-channel",
@@ -790,11 +1260,12 @@ export const PRIVATE_STATE_CLI_COMMANDS = Object.freeze([
   {
     id: "wallet-mint-notes",
     display: "wallet mint-notes",
-    description: "Mint one or two private-state notes from the wallet's channel balance.",
+    description: "Mint one to six private-state notes from the wallet's channel balance.",
     installMode: "full",
     fields: ["wallet", "network", "amounts", "txSubmitter"],
     usage: "--wallet, --network, --amounts, and optional --tx-submitter",
     help: [
+      "The number of positive --amounts entries selects mintNotes1 through mintNotes6; the channel's registered DApp must include the selected function",
       "Refreshes the local channel workspace through the saved recovery index before proving the mint when the scan fits the 7,200-block pre-command budget",
       "Requires both viewing and spending key capability so the accepted mint can be recovered through the normal note event path",
       "Use --tx-submitter <ACCOUNT> when a separate local Ethereum account should submit the transaction and pay gas",
@@ -812,16 +1283,31 @@ export const PRIVATE_STATE_CLI_COMMANDS = Object.freeze([
   {
     id: "wallet-transfer-notes",
     display: "wallet transfer-notes",
-    description: "Spend input notes into the registered 1->1, 1->2, or 2->1 private transfer shapes.",
+    description: "Spend explicitly selected or automatically selected input notes into the private transfer shapes registered for the channel.",
     installMode: "full",
-    fields: ["wallet", "network", "noteIds", "recipients", "amounts", "txSubmitter"],
-    usage: "--wallet, --network, --note-ids <JSON_ARRAY>, --recipients <JSON_ARRAY>, --amounts <JSON_ARRAY>, and optional --tx-submitter",
+    fields: ["wallet", "network", "noteIds", "recipients", "amounts", "memos", "batch", "report", "resume", "newBatch", "planOnly", "txSubmitter"],
+    optionalFields: ["noteIds", "recipients", "amounts"],
+    usage: "--wallet, --network, either --recipients <JSON_ARRAY> with --amounts <JSON_ARRAY> and optional --memos <JSON_ARRAY> or --batch <FILE>, optional --note-ids <JSON_ARRAY>, optional --report <FILE>, optional --resume or --new-batch, optional --plan-only, and optional --tx-submitter",
     help: [
       "--note-ids must be a JSON array of input note commitment IDs from wallet get-notes, for example '[\"0xNOTE1\",\"0xNOTE2\"]'",
       "--recipients must be a JSON array of recipient channel-local addresses, for example '[\"0xRECIPIENT1\",\"0xRECIPIENT2\"]'",
+      "--recipients entries may name saved contacts as @name; each contact's channel registration is re-checked before the transfer",
+      "--recipients entries of the form l1:0x... resolve to the channel-local address registered for that L1 address and fail when it has not joined the channel; bare 0x... entries are always channel-local addresses",
       "--amounts must be a JSON array of token amounts, preferably quoted for decimals, for example '[\"1.5\",\"2\"]'",
-      "--recipients length must equal --amounts length; supported transfer shapes are 1->1, 1->2, and 2->1",
-      "The sum of output amounts must equal the sum of the selected input note values",
+      "--memos attaches an optional memo to each recipient output, aligned with --recipients; use null to skip an output. Each memo is encrypted to the recipient's note-receive key and appended to the transaction calldata, and the recipient sees it in wallet get-notes",
+      "Memos are best-effort: the calldata trailer is not covered by the transaction's proof, so a relayer can strip or replace it, and the recipient then sees no memo while the payment itself still arrives",
+      "--recipients length must equal --amounts length; the controller supports 1->1, 1->2, 1->3, 2->1, 2->2, 3->1, 3->2, and 4->1 transfers, and the channel's registered DApp must include the selected shape",
+      "With --note-ids, the sum of output amounts must equal the sum of the selected input note values",
+      "Without --note-ids, the CLI selects unused notes from the wallet, prefers an exact match, and otherwise adds one change output back to the wallet's own channel-local address",
+      "When no single registered shape covers the amount, the CLI plans merge transfers into the wallet's own address first, prints the plan with an estimated total fee, and runs the steps in order",
+      "Merge transfers use the largest registered 4->1, 3->1, or 2->1 shape that fits, and the plan output lists the merge shapes in use",
+      "Plan progress is saved encrypted under the wallet operations directory; rerunning the same command resumes an interrupted plan without re-spending completed steps",
+      "Use --plan-only to print the transfer plan and fee estimate without submitting any transaction",
+      "--batch <FILE> reads payment rows from a CSV file with recipient and amount columns or a JSON array of {recipient, amount} objects, and replaces --recipients and --amounts",
+      "Batch rows are grouped into the largest registered transfer shape that leaves room for a change output; progress is checkpointed encrypted under the wallet operations directory with a batch ID and the file contents hash",
+      "Rerunning a file whose batch is still in progress resumes it; rows are matched by recipient and amount, so rows already paid or submitted are skipped even after the file is edited",
+      "Once a file's batch has completed, rerunning it fails unless --new-batch pays every row again or --resume pays only rows that batch did not pay",
+      "Batch runs write a per-row receipt CSV with row, recipient, amount, status, output commitment, transaction hash, and block number to --report or <batch-file>.receipts.csv after every transfer",
       "Refreshes the local channel workspace and received-note logs through saved recovery indexes before proving the transfer when scans fit the 7,200-block pre-command budget",
       "Use --tx-submitter <ACCOUNT> when a separate local Ethereum account should submit the transaction and pay gas",
       ACTION_IMPACT_HELP.browserWalletTxSubmitter,
@@ -835,14 +1321,71 @@ export const PRIVATE_STATE_CLI_COMMANDS = Object.freeze([
       ACTION_IMPACT_HELP.warningSummary,
     ],
   },
+  {
+    id: "wallet-create-payment-request",
+    display: "wallet create-payment-request",
+    description: "Encode this wallet's channel-local address, note-receive key, and an amount as a payment request URI and QR payload.",
+    installMode: "read-only",
+    fields: ["wallet", "network", "amount", "reference"],
+    usage: "--wallet, --network, --amount, and optional --reference",
+    help: [
+      "The URI carries the network, channel name, channel-local address, note-receive public key, amount, and optional reference",
+      "Checks that the wallet's registration and note-receive key are current on-chain before printing the request",
+      "qrPayload is the exact string to render as a QR code; it is identical to uri",
+      "Watch-only wallets can create payment requests because receiving needs only the viewing key",
+    ],
+  },
+  {
+    id: "wallet-pay-request",
+    display: "wallet pay-request",
+    description: "Validate a payment request URI against the channel registration and pay it with wallet transfer-notes.",
+    installMode: "full",
+    fields: ["wallet", "network", "request", "planOnly", "txSubmitter"],
+    usage: "--wallet, --network, the payment request URI as an argument or --request <URI>, optional --plan-only, and optional --tx-submitter",
+    help: [
+      "The request network and channel must match --network and the wallet's channel",
+      "The recipient must still be registered in the channel with exactly the note-receive public key in the request; otherwise nothing is paid",
+      "Pays the requested amount with automatic note selection, including a merge plan when one transfer cannot cover it",
+      "A request reference is sent to the recipient as the payment's encrypted memo",
+      "Quote the URI in the shell because it contains & characters",
+      "Use --tx-submitter <ACCOUNT> when a separate local Ethereum account should submit the transaction and pay gas",
+      ACTION_IMPACT_HELP.warningSummary,
+    ],
+  },
+  {
+    id: "wallet-consolidate-notes",
+    display: "wallet consolidate-notes",
+    description: "Merge unused notes below a threshold into larger notes owned by the same wallet.",
+    installMode: "full",
+    fields: ["wallet", "network", "threshold", "maxProofs", "planOnly", "txSubmitter"],
+    usage: "--wallet, --network, --threshold <TOKENS>, optional --max-proofs <N>, optional --plan-only, and optional --tx-submitter",
+    help: [
+      "Merges unused notes whose value is below --threshold into notes owned by the wallet's own channel-local address",
+      "Each merge is one proof-backed transfer and uses the largest registered 4->1, 3->1, or 2->1 transfer shape that fits the remaining small notes",
+      "--max-proofs caps the number of merge transactions; the default is 4",
+      "Prints a preview of the resulting note set and an estimated total fee before submitting; --plan-only stops after the preview",
+      "Refreshes the local channel workspace and received-note logs through saved recovery indexes before proving each merge when scans fit the 7,200-block pre-command budget",
+      "Use --tx-submitter <ACCOUNT> when a separate local Ethereum account should submit the transactions and pay gas",
+      ACTION_IMPACT_HELP.browserWalletTxSubmitter,
+      ACTION_IMPACT_HELP.localL2Keys,
+      "Warning summary: emits public accepted-transition, input nullifier, output commitment, encrypted note-delivery, root update, and transaction events for every merge.",
+      "Private note state changes by consuming small input notes and creating larger self-owned output notes; note values and ownership are not public by default.",
+      ACTION_IMPACT_HELP.provenance,
+      ACTION_IMPACT_HELP.policy,
+      ACTION_IMPACT_HELP.secretRecovery,
+      ACTION_IMPACT_HELP.illegalUse,
+      ACTION_IMPACT_HELP.warningSummary,
+    ],
+  },
   {
     id: "wallet-redeem-notes",
     display: "wallet redeem-notes",
-    description: "Redeem one tracked note back into the wallet's channel balance.",
+    description: "Redeem one to four tracked notes back into the wallet's channel balance.",
     installMode: "full",
     fields: ["wallet", "network", "noteIds", "txSubmitter"],
     usage: "--wallet, --network, --note-ids, and optional --tx-submitter",
     help: [
+      "The number of --note-ids entries selects redeemNotes1 through redeemNotes4; the channel's registered DApp must include the selected function",
       "Refreshes the local channel workspace and received-note logs through saved recovery indexes before proving the redeem when scans fit the 7,200-block pre-command budget",
       "Use --tx-submitter <ACCOUNT> when a separate local Ethereum account should submit the transaction and pay gas",
       ACTION_IMPACT_HELP.browserWalletTxSubmitter,
@@ -873,6 +1416,94 @@ export const PRIVATE_STATE_CLI_COMMANDS = Object.freeze([
       "User-Controlled AI Agents must not confirm this export or receive the raw evidence ZIP",
     ],
   },
+  {
+    id: "wallet-watch",
+    display: "wallet watch",
+    description: "Follow a wallet's channel block by block and report received and spent notes as they land.",
+    installMode: "read-only",
+    longRunning: true,
+    fields: ["wallet", "network", "json"],
+    usage: "--wallet, --network, and optional --json",
+    help: [
+      "Requires the wallet's viewing key",
+      "Catches up from the saved note recovery cursor first, then on every new block refreshes the channel workspace and scans only the note-delivery logs between the cursor and that block",
+      "Emits one note event per received or spent note; with --json each event is a JSON line on stderr",
+      "A failed refresh prints a warning and the watch retries on the next block",
+      "Runs until SIGINT or SIGTERM, then prints a summary result",
+      "Not available through serve mode or the Node API because it does not return",
+    ],
+  },
+  {
+    id: "wallet-add-hook",
+    display: "wallet add-hook",
+    description: "Register a local HTTP or shell hook that fires on wallet note, root, and exit events.",
+    fields: ["network", "wallet", "event", "url", "exec"],
+    optionalFields: ["url"],
+    usage: "--network, --wallet, --event, and one of --url or --exec",
+    help: [
+      "Events: note-received, note-spent, channel-root-changed, wallet-exited, or all",
+      "--url must be a loopback address; each event is sent as a JSON POST with x-private-state-event-id and x-private-state-event-type headers",
+      "--exec runs a shell command with the event JSON on stdin and PRIVATE_STATE_EVENT_ID and PRIVATE_STATE_EVENT_TYPE in the environment",
+      "Hooks fire whenever a command refreshes the wallet's received notes and when channel exit completes",
+      "Notes already in the wallet when the first hook is added do not fire events",
+      "Each command makes one delivery attempt per queued event with a two-second timeout; failed deliveries persist in an encrypted delivery queue and retry on the next wallet refresh until they succeed or reach ten attempts",
+      "Event payloads contain plaintext note values and owners; only point hooks at processes you control",
+    ],
+  },
+  {
+    id: "wallet-list-hooks",
+    display: "wallet list-hooks",
+    description: "Show a wallet's registered hooks and their pending deliveries.",
+    fields: ["network", "wallet"],
+    usage: "--network and --wallet",
+    help: [
+      "Reads only local wallet files",
+    ],
+  },
+  {
+    id: "wallet-remove-hook",
+    display: "wallet remove-hook",
+    description: "Remove a registered wallet hook and drop its pending deliveries.",
+    fields: ["network", "wallet", "hookId"],
+    usage: "--network, --wallet, and --hook-id",
+    help: [
+      "Use wallet list-hooks to find the hook ID",
+    ],
+  },
+  {
+    id: "contacts-add",
+    display: "contacts add",
+    description: "Save a verified channel-local recipient address under a contact name.",
+    installMode: "read-only",
+    fields: ["channelName", "network", "name", "address"],
+    usage: "--channel-name, --network, --name, and --address",
+    help: [
+      "The address must be registered in the channel with a note-receive public key; the registration leaf and key are stored with the contact",
+      "Use the contact as @name in wallet transfer-notes --recipients, for example '[\"@alice\"]'",
+      "Contacts are stored per network and channel in the channel workspace",
+    ],
+  },
+  {
+    id: "contacts-list",
+    display: "contacts list",
+    description: "List a channel's contacts after re-checking each registration on-chain.",
+    installMode: "read-only",
+    fields: ["channelName", "network"],
+    usage: "--channel-name and --network",
+    help: [
+      "Contacts whose registration was removed or replaced since they were added are flagged as exited and refused as recipients",
+    ],
+  },
+  {
+    id: "contacts-remove",
+    display: "contacts remove",
+    description: "Remove a contact from a channel's address book.",
+    fields: ["channelName", "network", "name"],
+    usage: "--channel-name, --network, and --name",
+    help: [
+      "Reads and writes only the local contacts file",
+    ],
+  },
 ]);
 
 export function privateStateCliCommandInstallMode(command) {
@@ -0,0 +1,65 @@
+import { getAddress } from "ethers";
+
+const CONTACT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/u;
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+export function normalizeContactName(value) {
+  const name = String(value).trim().replace(/^@/u, "");
+  expect(
+    CONTACT_NAME_PATTERN.test(name),
+    `Invalid contact name ${value}. Use 1-64 letters, digits, dots, dashes, or underscores, starting with a letter or digit.`,
+  );
+  return name.toLowerCase();
+}
+
+export function isContactReference(value) {
+  return typeof value === "string" && value.startsWith("@");
+}
+
+export function createContact({ name, l2Address, registration, noteReceivePubKey }) {
+  const now = new Date().toISOString();
+  return {
+    name: normalizeContactName(name),
+    l2Address: getAddress(l2Address),
+    leafIndex: registration.leafIndex.toString(),
+    noteReceivePubKey: {
+      x: noteReceivePubKey.x,
+      yParity: Number(noteReceivePubKey.yParity),
+    },
+    addedAt: now,
+    verifiedAt: now,
+    exitedAt: null,
+  };
+}
+
+// A registration that is gone or moved to another leaf or note-receive key means the contact exited the channel.
+export function contactRegistrationStatus(contact, { registration, noteReceivePubKey }) {
+  if (!registration.exists) {
+    return "exited";
+  }
+  const sameIdentity = registration.leafIndex.toString() === contact.leafIndex
+    && BigInt(noteReceivePubKey.x) === BigInt(contact.noteReceivePubKey.x)
+    && Number(noteReceivePubKey.yParity) === contact.noteReceivePubKey.yParity;
+  return sameIdentity ? "registered" : "changed";
+}
+
+export function resolveContactRecipients(recipients, contacts) {
+  return recipients.map((recipient, index) => {
+    if (!isContactReference(recipient)) {
+      return recipient;
+    }
+    const name = normalizeContactName(recipient);
+    const contact = contacts[name];
+    expect(contact, `Unknown contact @${name} in --recipients[${index}]. Add it with contacts add.`);
+    expect(
+      contact.exitedAt === null,
+      `Contact @${name} (${contact.l2Address}) exited the channel at ${contact.exitedAt}; it can no longer receive notes.`,
+    );
+    return contact.l2Address;
+  });
+}
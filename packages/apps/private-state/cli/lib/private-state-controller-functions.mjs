@@ -0,0 +1,119 @@
+import { ethers } from "ethers";
+
+export const PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES = Object.freeze([
+  Object.freeze({ inputCount: 1, outputCount: 1 }),
+  Object.freeze({ inputCount: 1, outputCount: 2 }),
+  Object.freeze({ inputCount: 1, outputCount: 3 }),
+  Object.freeze({ inputCount: 2, outputCount: 1 }),
+  Object.freeze({ inputCount: 2, outputCount: 2 }),
+  Object.freeze({ inputCount: 3, outputCount: 1 }),
+  Object.freeze({ inputCount: 3, outputCount: 2 }),
+  Object.freeze({ inputCount: 4, outputCount: 1 }),
+]);
+export const PRIVATE_STATE_CONTROLLER_MINT_NOTES_OUTPUT_COUNTS = Object.freeze([1, 2, 3, 4, 5, 6]);
+export const PRIVATE_STATE_CONTROLLER_REDEEM_NOTES_INPUT_COUNTS = Object.freeze([1, 2, 3, 4]);
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+export function formatTransferNotesShapes(shapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES) {
+  return shapes.map(({ inputCount, outputCount }) => `${inputCount}->${outputCount}`).join(", ");
+}
+
+function formatCounts(counts) {
+  return counts.length === 0 ? "none" : counts.join(", ");
+}
+
+export function registeredControllerMethodNames({ controllerAbi, functionProofs, controllerAddress }) {
+  expect(Array.isArray(functionProofs), "DApp registration manifest is missing functionMetadataProofs.functions.");
+  const controller = ethers.getAddress(controllerAddress);
+  const registeredSelectors = new Set(
+    functionProofs
+      .map((candidate) => candidate?.metadata)
+      .filter((metadata) => metadata && ethers.getAddress(metadata.entryContract) === controller)
+      .map((metadata) => String(metadata.functionSig).toLowerCase()),
+  );
+  const names = new Set();
+  new ethers.Interface(controllerAbi).forEachFunction((fragment) => {
+    if (registeredSelectors.has(fragment.selector.toLowerCase())) {
+      names.add(fragment.name);
+    }
+  });
+  return names;
+}
+
+export function registeredNoteFunctionMatrix(methodNames) {
+  return {
+    transferShapes: PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES.filter(({ inputCount, outputCount }) => (
+      methodNames.has(`transferNotes${inputCount}To${outputCount}`)
+    )),
+    mintOutputCounts: PRIVATE_STATE_CONTROLLER_MINT_NOTES_OUTPUT_COUNTS.filter((count) => methodNames.has(`mintNotes${count}`)),
+    redeemInputCounts: PRIVATE_STATE_CONTROLLER_REDEEM_NOTES_INPUT_COUNTS.filter((count) => methodNames.has(`redeemNotes${count}`)),
+  };
+}
+
+export function selectTransferNotesMethod(
+  inputCount,
+  outputCount,
+  registeredShapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES,
+) {
+  const method = `transferNotes${inputCount}To${outputCount}`;
+  expect(
+    PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES.some((shape) => (
+      shape.inputCount === inputCount && shape.outputCount === outputCount
+    )),
+    [
+      `wallet transfer-notes cannot spend ${inputCount} input note(s) into ${outputCount} output(s).`,
+      `The controller supports ${formatTransferNotesShapes(PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES)} transfers.`,
+    ].join(" "),
+  );
+  expect(
+    registeredShapes.some((shape) => shape.inputCount === inputCount && shape.outputCount === outputCount),
+    [
+      `The channel's registered DApp does not include ${method}.`,
+      `Supported transfer shapes for this channel: ${formatTransferNotesShapes(registeredShapes)}.`,
+    ].join(" "),
+  );
+  return method;
+}
+
+export function selectMintNotesMethod(
+  noteCount,
+  registeredCounts = PRIVATE_STATE_CONTROLLER_MINT_NOTES_OUTPUT_COUNTS,
+) {
+  expect(noteCount >= 1, "wallet mint-notes requires at least one output amount.");
+  expect(
+    PRIVATE_STATE_CONTROLLER_MINT_NOTES_OUTPUT_COUNTS.includes(noteCount),
+    `wallet mint-notes supports at most ${PRIVATE_STATE_CONTROLLER_MINT_NOTES_OUTPUT_COUNTS.at(-1)} output amounts.`,
+  );
+  expect(
+    registeredCounts.includes(noteCount),
+    [
+      `The channel's registered DApp does not include mintNotes${noteCount}.`,
+      `Supported mint output counts for this channel: ${formatCounts(registeredCounts)}.`,
+    ].join(" "),
+  );
+  return `mintNotes${noteCount}`;
+}
+
+export function selectRedeemNotesMethod(
+  noteCount,
+  registeredCounts = PRIVATE_STATE_CONTROLLER_REDEEM_NOTES_INPUT_COUNTS,
+) {
+  expect(noteCount >= 1, "wallet redeem-notes requires at least one input note.");
+  expect(
+    PRIVATE_STATE_CONTROLLER_REDEEM_NOTES_INPUT_COUNTS.includes(noteCount),
+    `wallet redeem-notes supports at most ${PRIVATE_STATE_CONTROLLER_REDEEM_NOTES_INPUT_COUNTS.at(-1)} input notes.`,
+  );
+  expect(
+    registeredCounts.includes(noteCount),
+    [
+      `The channel's registered DApp does not include redeemNotes${noteCount}.`,
+      `Supported redeem input counts for this channel: ${formatCounts(registeredCounts)}.`,
+    ].join(" "),
+  );
+  return `redeemNotes${noteCount}`;
+}
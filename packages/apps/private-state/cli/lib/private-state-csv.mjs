@@ -0,0 +1,46 @@
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+export function splitCsvLine(line) {
+  const fields = [];
+  let current = "";
+  let quoted = false;
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (quoted) {
+      if (char === "\"" && line[index + 1] === "\"") {
+        current += "\"";
+        index += 1;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  expect(!quoted, "Unterminated quoted field.");
+  fields.push(current.trim());
+  return fields;
+}
+
+export function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replaceAll("\"", "\"\"")}"` : text;
+}
+
+export function formatCsv(columns, records) {
+  return [
+    columns.join(","),
+    ...records.map((record) => columns.map((column) => csvField(record[column])).join(",")),
+  ].join("\n").concat("\n");
+}
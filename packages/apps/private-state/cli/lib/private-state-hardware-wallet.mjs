@@ -0,0 +1,349 @@
+import {
+  AbstractSigner,
+  Signature,
+  Transaction,
+  TypedDataEncoder,
+  copyRequest,
+  ethers,
+  getAddress,
+  resolveAddress,
+} from "ethers";
+
+export const HARDWARE_WALLET_KINDS = Object.freeze(["ledger", "trezor"]);
+export const DEFAULT_HARDWARE_WALLET_PATH = "m/44'/60'/0'/0/0";
+
+const HARDWARE_WALLET_TRANSPORT_PACKAGES = Object.freeze({
+  ledger: "@ledgerhq/hw-transport-node-hid",
+  trezor: "@trezor/connect",
+});
+const LEDGER_ETH_CLA = 0xe0;
+const LEDGER_ETH_INS = Object.freeze({
+  GET_ADDRESS: 0x02,
+  SIGN_TRANSACTION: 0x04,
+  SIGN_PERSONAL_MESSAGE: 0x08,
+  SIGN_EIP712_HASHED: 0x0c,
+});
+const LEDGER_APDU_CHUNK_SIZE = 255;
+const LEDGER_STATUS_OK = 0x9000;
+const LEDGER_STATUS_MESSAGES = Object.freeze({
+  0x5515: "the Ledger is locked; unlock it and retry",
+  0x6511: "the Ethereum app is not open on the Ledger",
+  0x6985: "the request was rejected on the Ledger",
+  0x6a80: "the Ledger Ethereum app rejected the request data; enable blind signing for contract calls",
+  0x6d00: "the Ethereum app is not open on the Ledger",
+  0x6e00: "the Ethereum app is not open on the Ledger",
+});
+const HARDENED_OFFSET = 0x80000000;
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+export function parseHardwareWalletKind(value) {
+  const kind = String(value).trim().toLowerCase();
+  expect(
+    HARDWARE_WALLET_KINDS.includes(kind),
+    `--hardware-wallet must be one of: ${HARDWARE_WALLET_KINDS.join(", ")}.`,
+  );
+  return kind;
+}
+
+export function normalizeHardwareWalletPath(value = DEFAULT_HARDWARE_WALLET_PATH) {
+  const normalized = String(value).trim().replace(/[hH]/gu, "'");
+  expect(/^m(\/\d+'?){1,10}$/u.test(normalized), `Invalid --hd-path ${value}. Use a BIP-32 path such as ${DEFAULT_HARDWARE_WALLET_PATH}.`);
+  for (const component of normalized.split("/").slice(1)) {
+    expect(Number.parseInt(component, 10) < HARDENED_OFFSET, `Invalid --hd-path ${value}: component ${component} is out of range.`);
+  }
+  return normalized;
+}
+
+function encodeBip32Path(hdPath) {
+  const components = normalizeHardwareWalletPath(hdPath).split("/").slice(1);
+  const encoded = Buffer.alloc(1 + components.length * 4);
+  encoded[0] = components.length;
+  components.forEach((component, index) => {
+    const hardened = component.endsWith("'");
+    const number = Number.parseInt(component, 10);
+    encoded.writeUInt32BE(hardened ? number + HARDENED_OFFSET : number, 1 + index * 4);
+  });
+  return encoded;
+}
+
+function ledgerStatusMessage(status) {
+  const hex = `0x${status.toString(16).padStart(4, "0")}`;
+  return `Ledger request failed (${hex}): ${LEDGER_STATUS_MESSAGES[status] ?? "unexpected device status"}.`;
+}
+
+function decodeLedgerSignature(response) {
+  expect(response.length >= 65, "Ledger returned a truncated signature.");
+  return {
+    v: response[0],
+    r: ethers.hexlify(response.subarray(1, 33)),
+    s: ethers.hexlify(response.subarray(33, 65)),
+  };
+}
+
+export function createLedgerEthClient(transport) {
+  async function exchange(ins, p1, data) {
+    const apdu = Buffer.concat([Buffer.from([LEDGER_ETH_CLA, ins, p1, 0x00, data.length]), data]);
+    const response = Buffer.from(await transport.exchange(apdu));
+    expect(response.length >= 2, "Ledger returned an empty response.");
+    const status = response.readUInt16BE(response.length - 2);
+    if (status !== LEDGER_STATUS_OK) {
+      const error = new Error(ledgerStatusMessage(status));
+      error.statusCode = status;
+      throw error;
+    }
+    return response.subarray(0, response.length - 2);
+  }
+
+  // Payload beyond the first APDU goes out in continuation APDUs (P1 = 0x80).
+  async function exchangeChunked(ins, header, payload) {
+    let offset = Math.min(payload.length, LEDGER_APDU_CHUNK_SIZE - header.length);
+    let response = await exchange(ins, 0x00, Buffer.concat([header, payload.subarray(0, offset)]));
+    while (offset < payload.length) {
+      const end = Math.min(payload.length, offset + LEDGER_APDU_CHUNK_SIZE);
+      response = await exchange(ins, 0x80, payload.subarray(offset, end));
+      offset = end;
+    }
+    return response;
+  }
+
+  return {
+    kind: "ledger",
+    async getAddress(hdPath) {
+      const response = await exchange(LEDGER_ETH_INS.GET_ADDRESS, 0x00, encodeBip32Path(hdPath));
+      const publicKeyLength = response[0];
+      const addressLength = response[1 + publicKeyLength];
+      const address = response.subarray(2 + publicKeyLength, 2 + publicKeyLength + addressLength).toString("ascii");
+      return getAddress(`0x${address}`);
+    },
+    async signTransaction(hdPath, transaction) {
+      return decodeLedgerSignature(await exchangeChunked(
+        LEDGER_ETH_INS.SIGN_TRANSACTION,
+        encodeBip32Path(hdPath),
+        Buffer.from(ethers.getBytes(transaction.unsignedSerialized)),
+      ));
+    },
+    async signMessage(hdPath, messageBytes) {
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(messageBytes.length);
+      return decodeLedgerSignature(await exchangeChunked(
+        LEDGER_ETH_INS.SIGN_PERSONAL_MESSAGE,
+        Buffer.concat([encodeBip32Path(hdPath), length]),
+        Buffer.from(messageBytes),
+      ));
+    },
+    async signTypedData(hdPath, { domain, types, value }) {
+      return decodeLedgerSignature(await exchange(
+        LEDGER_ETH_INS.SIGN_EIP712_HASHED,
+        0x00,
+        Buffer.concat([
+          encodeBip32Path(hdPath),
+          Buffer.from(ethers.getBytes(TypedDataEncoder.hashDomain(domain))),
+          Buffer.from(ethers.getBytes(TypedDataEncoder.from(types).hash(value))),
+        ]),
+      ));
+    },
+    async close() {
+      await transport.close?.();
+    },
+  };
+}
+
+function trezorQuantity(value) {
+  return value === null || value === undefined ? undefined : ethers.toQuantity(value);
+}
+
+function trezorTransaction(transaction) {
+  const common = {
+    to: transaction.to ?? "",
+    value: trezorQuantity(transaction.value),
+    data: transaction.data,
+    chainId: Number(transaction.chainId),
+    nonce: trezorQuantity(transaction.nonce),
+    gasLimit: trezorQuantity(transaction.gasLimit),
+  };
+  if (transaction.type === 2) {
+    return {
+      ...common,
+      maxFeePerGas: trezorQuantity(transaction.maxFeePerGas),
+      maxPriorityFeePerGas: trezorQuantity(transaction.maxPriorityFeePerGas),
+    };
+  }
+  expect(transaction.type === 0 || transaction.type === null, `Trezor signing does not support transaction type ${transaction.type}.`);
+  return {
+    ...common,
+    gasPrice: trezorQuantity(transaction.gasPrice),
+  };
+}
+
+function typedDataDomainFields(domain) {
+  const fieldTypes = {
+    name: "string",
+    version: "string",
+    chainId: "uint256",
+    verifyingContract: "address",
+    salt: "bytes32",
+  };
+  return Object.keys(fieldTypes)
+    .filter((name) => domain[name] !== undefined && domain[name] !== null)
+    .map((name) => ({ name, type: fieldTypes[name] }));
+}
+
+function trezorSignature(payload) {
+  return Signature.from(`0x${String(payload.signature).replace(/^0x/u, "")}`);
+}
+
+export function createTrezorEthClient(connect) {
+  async function call(method, params) {
+    const response = await connect[method](params);
+    expect(response?.success, `Trezor ${method} failed: ${response?.payload?.error ?? "unknown error"}.`);
+    return response.payload;
+  }
+
+  return {
+    kind: "trezor",
+    async getAddress(hdPath) {
+      const payload = await call("ethereumGetAddress", { path: normalizeHardwareWalletPath(hdPath), showOnTrezor: false });
+      return getAddress(payload.address);
+    },
+    async signTransaction(hdPath, transaction) {
+      return await call("ethereumSignTransaction", {
+        path: normalizeHardwareWalletPath(hdPath),
+        transaction: trezorTransaction(transaction),
+      });
+    },
+    async signMessage(hdPath, messageBytes) {
+      const payload = await call("ethereumSignMessage", {
+        path: normalizeHardwareWalletPath(hdPath),
+        message: ethers.hexlify(messageBytes).slice(2),
+        hex: true,
+      });
+      return trezorSignature(payload);
+    },
+    async signTypedData(hdPath, { domain, types, value }) {
+      const encoder = TypedDataEncoder.from(types);
+      const payload = await call("ethereumSignTypedData", {
+        path: normalizeHardwareWalletPath(hdPath),
+        data: {
+          types: { EIP712Domain: typedDataDomainFields(domain), ...types },
+          primaryType: encoder.primaryType,
+          domain,
+          message: value,
+        },
+        metamask_v4_compat: true,
+        domain_separator_hash: TypedDataEncoder.hashDomain(domain),
+        message_hash: encoder.hash(value),
+      });
+      return trezorSignature(payload);
+    },
+    async close() {
+      connect.dispose?.();
+    },
+  };
+}
+
+async function importHardwareTransport(kind) {
+  const packageName = HARDWARE_WALLET_TRANSPORT_PACKAGES[kind];
+  try {
+    const module = await import(packageName);
+    return module.default?.default ?? module.default ?? module;
+  } catch (error) {
+    if (error?.code === "ERR_MODULE_NOT_FOUND") {
+      throw new Error(
+        `${kind} hardware wallet support needs the optional ${packageName} package. Reinstall the CLI with optional dependencies enabled.`,
+      );
+    }
+    throw error;
+  }
+}
+
+export async function openHardwareWalletClient(kind) {
+  if (parseHardwareWalletKind(kind) === "ledger") {
+    const TransportNodeHid = await importHardwareTransport("ledger");
+    return createLedgerEthClient(await TransportNodeHid.create());
+  }
+  const TrezorConnect = await importHardwareTransport("trezor");
+  await TrezorConnect.init({
+    manifest: {
+      appName: "private-state-cli",
+      appUrl: "https://github.com/tokamak-network/Tokamak-zk-EVM-contracts",
+    },
+    lazyLoad: false,
+    popup: false,
+  });
+  return createTrezorEthClient(TrezorConnect);
+}
+
+// Device v encodings differ by model, so the parity is recovered against the expected account.
+function recoverDeviceSignature(digest, deviceSignature, expectedAddress) {
+  for (const yParity of [0, 1]) {
+    const signature = Signature.from({ r: deviceSignature.r, s: deviceSignature.s, yParity });
+    if (ethers.recoverAddress(digest, signature) === expectedAddress) {
+      return signature;
+    }
+  }
+  throw new Error(`Hardware wallet signature does not belong to ${expectedAddress}. Check the device account and --hd-path.`);
+}
+
+export class HardwareWalletSigner extends AbstractSigner {
+  static async connect({ client, path, provider = null, expectedAddress = null }) {
+    const address = getAddress(await client.getAddress(path));
+    if (expectedAddress) {
+      expect(
+        address === getAddress(expectedAddress),
+        `The ${client.kind} at ${path} reports ${address}, but this account requires ${getAddress(expectedAddress)}.`,
+      );
+    }
+    return new HardwareWalletSigner({ client, path, address, provider });
+  }
+
+  constructor({ client, path, address, provider = null }) {
+    super(provider);
+    this.client = client;
+    this.path = normalizeHardwareWalletPath(path);
+    this.address = getAddress(address);
+    this.kind = client.kind;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new HardwareWalletSigner({ client: this.client, path: this.path, address: this.address, provider });
+  }
+
+  async signTransaction(transaction) {
+    const request = copyRequest(transaction);
+    const { to, from } = await ethers.resolveProperties({
+      to: request.to ? resolveAddress(request.to, this) : undefined,
+      from: request.from ? resolveAddress(request.from, this) : undefined,
+    });
+    if (to !== undefined) {
+      request.to = to;
+    }
+    if (from !== undefined) {
+      expect(getAddress(from) === this.address, `Transaction from ${from} cannot be signed by ${this.address}.`);
+    }
+    delete request.from;
+    const unsigned = Transaction.from(request);
+    const deviceSignature = await this.client.signTransaction(this.path, unsigned);
+    unsigned.signature = recoverDeviceSignature(unsigned.unsignedHash, deviceSignature, this.address);
+    return unsigned.serialized;
+  }
+
+  async signMessage(message) {
+    const messageBytes = typeof message === "string" ? ethers.toUtf8Bytes(message) : ethers.getBytes(message);
+    const deviceSignature = await this.client.signMessage(this.path, messageBytes);
+    return recoverDeviceSignature(ethers.hashMessage(messageBytes), deviceSignature, this.address).serialized;
+  }
+
+  async signTypedData(domain, types, value) {
+    const deviceSignature = await this.client.signTypedData(this.path, { domain, types, value });
+    return recoverDeviceSignature(TypedDataEncoder.hash(domain, types, value), deviceSignature, this.address).serialized;
+  }
+}
@@ -0,0 +1,148 @@
+import fs from "node:fs";
+import net from "node:net";
+import path from "node:path";
+
+export const KEY_AGENT_SOCKET_ENV = "PRIVATE_STATE_AGENT_SOCK";
+export const DEFAULT_KEY_AGENT_TTL_SECONDS = 3600;
+export const KEY_AGENT_REQUEST_TIMEOUT_MS = 300_000;
+const KEY_AGENT_MAX_LINE_BYTES = 64 * 1024;
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function sameAddress(left, right) {
+  return String(left).toLowerCase() === String(right).toLowerCase();
+}
+
+// contents is the encrypted file each plaintext came from, so clients can detect key files changed on disk.
+export function createKeyAgent({ entries, ttlMs, approve, now = Date.now }) {
+  let held = [...entries];
+  const expiresAt = now() + ttlMs;
+  let approvals = Promise.resolve();
+
+  const expired = () => now() >= expiresAt;
+  const clear = () => {
+    held = [];
+  };
+  const describe = (entry) => ({
+    path: entry.path,
+    kind: entry.kind,
+    ...(entry.address ? { address: entry.address } : {}),
+  });
+
+  async function request({ command, paths = [], addresses = [] }) {
+    expect(!expired() && held.length > 0, "The key agent has expired or holds no keys.");
+    const matched = held.filter((entry) => (
+      paths.includes(entry.path)
+      || (entry.address && addresses.some((address) => sameAddress(address, entry.address)))
+    ));
+    if (matched.length === 0) {
+      return { entries: [] };
+    }
+    const decision = approvals.then(() => approve({ command: String(command), keys: matched.map(describe) }));
+    approvals = decision.catch(() => {});
+    expect(await decision === true, `The key agent declined ${command}.`);
+    expect(!expired(), "The key agent expired while waiting for approval.");
+    return {
+      entries: matched.map(({ path: filePath, contents, plaintext }) => ({ path: filePath, contents, plaintext })),
+    };
+  }
+
+  return {
+    expiresAt,
+    expired,
+    clear,
+    async handle({ method, params = {} }) {
+      if (method === "status") {
+        return {
+          expiresAt: new Date(expiresAt).toISOString(),
+          keys: expired() ? [] : held.map(describe),
+        };
+      }
+      if (method === "request") {
+        return await request(params);
+      }
+      if (method === "lock") {
+        clear();
+        return { locked: true };
+      }
+      throw new Error(`Unsupported key agent method: ${method}.`);
+    },
+  };
+}
+
+export async function startKeyAgentServer({ socketPath, agent }) {
+  fs.mkdirSync(path.dirname(socketPath), { recursive: true, mode: 0o700 });
+  if (fs.existsSync(socketPath)) {
+    expect(fs.statSync(socketPath).isSocket(), `Key agent socket path exists and is not a socket: ${socketPath}`);
+    fs.rmSync(socketPath);
+  }
+  const server = net.createServer((socket) => {
+    let buffered = "";
+    socket.setEncoding("utf8");
+    socket.on("error", () => {});
+    socket.on("data", (chunk) => {
+      buffered += chunk;
+      if (buffered.length > KEY_AGENT_MAX_LINE_BYTES) {
+        socket.destroy();
+        return;
+      }
+      const newline = buffered.indexOf("\n");
+      if (newline < 0) {
+        return;
+      }
+      const line = buffered.slice(0, newline);
+      buffered = "";
+      Promise.resolve()
+        .then(() => agent.handle(JSON.parse(line)))
+        .then(
+          (result) => ({ result }),
+          (error) => ({ error: { message: String(error?.message ?? error) } }),
+        )
+        .then((response) => {
+          socket.end(`${JSON.stringify(response)}\n`);
+        });
+    });
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(socketPath, resolve);
+  });
+  fs.chmodSync(socketPath, 0o600);
+  return server;
+}
+
+export function requestKeyAgent(socketPath, method, params = {}, { timeoutMs = KEY_AGENT_REQUEST_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath);
+    let buffered = "";
+    const fail = (error) => {
+      socket.destroy();
+      reject(error);
+    };
+    socket.setEncoding("utf8");
+    socket.setTimeout(timeoutMs, () => fail(new Error(`Key agent at ${socketPath} did not answer ${method} in time.`)));
+    socket.on("error", (error) => fail(new Error(`Key agent at ${socketPath} is unreachable: ${error.message}`)));
+    socket.on("data", (chunk) => {
+      buffered += chunk;
+    });
+    socket.on("end", () => {
+      let response;
+      try {
+        response = JSON.parse(buffered);
+      } catch {
+        fail(new Error(`Key agent at ${socketPath} returned an invalid response to ${method}.`));
+        return;
+      }
+      if (response.error) {
+        fail(new Error(response.error.message));
+        return;
+      }
+      resolve(response.result);
+    });
+    socket.write(`${JSON.stringify({ method, params })}\n`);
+  });
+}
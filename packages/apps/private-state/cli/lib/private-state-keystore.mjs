@@ -0,0 +1,175 @@
+import {
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+  randomUUID,
+  scryptSync,
+  timingSafeEqual,
+} from "node:crypto";
+import { ethers } from "ethers";
+
+export const KEYSTORE_FORMAT = "tokamak-private-state-keystore";
+export const KEYSTORE_FORMAT_VERSION = 1;
+export const KEYSTORE_CONFIG_FORMAT = "tokamak-private-state-keystore-config";
+export const DEFAULT_KEYSTORE_SCRYPT = Object.freeze({ n: 131072, r: 8, p: 1 });
+const KEYSTORE_CHECK_PLAINTEXT = "tokamak-private-state-keystore-check";
+const PRIVATE_KEY_PATTERN = /^0x[0-9a-fA-F]{64}$/u;
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function deriveKeystoreKey(passphrase, { n, r, p, salt }, dklen) {
+  expect(typeof passphrase === "string" && passphrase.length > 0, "Keystore passphrase must not be empty.");
+  return scryptSync(Buffer.from(passphrase.normalize("NFKC"), "utf8"), Buffer.from(salt, "hex"), dklen, {
+    N: n,
+    r,
+    p,
+    maxmem: 128 * n * r * p + 32 * 1024 * 1024,
+  });
+}
+
+function newScryptParams(scrypt) {
+  return { n: scrypt.n, r: scrypt.r, p: scrypt.p, salt: randomBytes(32).toString("hex") };
+}
+
+function parseKeystoreJson(contents) {
+  if (typeof contents !== "string" || !contents.trimStart().startsWith("{")) {
+    return null;
+  }
+  try {
+    return JSON.parse(contents);
+  } catch {
+    return null;
+  }
+}
+
+// Web3 Secret Storage v3, so encrypted account keys open in any Ethereum wallet that imports keystore JSON.
+export function encryptWeb3Keystore(privateKey, passphrase, scrypt = DEFAULT_KEYSTORE_SCRYPT) {
+  expect(PRIVATE_KEY_PATTERN.test(privateKey), "Web3 keystore input must be a 32-byte hex private key.");
+  const kdfparams = { dklen: 32, ...newScryptParams(scrypt) };
+  const derivedKey = deriveKeystoreKey(passphrase, kdfparams, kdfparams.dklen);
+  const iv = randomBytes(16);
+  const cipher = createCipheriv("aes-128-ctr", derivedKey.subarray(0, 16), iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(privateKey.slice(2), "hex")), cipher.final()]);
+  return {
+    version: 3,
+    id: randomUUID(),
+    address: ethers.computeAddress(privateKey).slice(2).toLowerCase(),
+    crypto: {
+      cipher: "aes-128-ctr",
+      cipherparams: { iv: iv.toString("hex") },
+      ciphertext: ciphertext.toString("hex"),
+      kdf: "scrypt",
+      kdfparams,
+      mac: web3KeystoreMac(derivedKey, ciphertext).toString("hex"),
+    },
+  };
+}
+
+function web3KeystoreMac(derivedKey, ciphertext) {
+  return Buffer.from(ethers.getBytes(ethers.keccak256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext]))));
+}
+
+export function decryptWeb3Keystore(keystore, passphrase) {
+  const crypto = keystore?.crypto ?? keystore?.Crypto;
+  expect(keystore?.version === 3 && crypto, "Unsupported Web3 keystore version.");
+  expect(crypto.kdf === "scrypt", `Unsupported Web3 keystore kdf ${crypto.kdf}; re-encrypt it with scrypt.`);
+  expect(crypto.cipher === "aes-128-ctr", `Unsupported Web3 keystore cipher ${crypto.cipher}.`);
+  const derivedKey = deriveKeystoreKey(passphrase, crypto.kdfparams, crypto.kdfparams.dklen);
+  const ciphertext = Buffer.from(crypto.ciphertext, "hex");
+  const mac = Buffer.from(crypto.mac, "hex");
+  const expectedMac = web3KeystoreMac(derivedKey, ciphertext);
+  expect(mac.length === expectedMac.length && timingSafeEqual(mac, expectedMac), "Incorrect keystore passphrase.");
+  const decipher = createDecipheriv("aes-128-ctr", derivedKey.subarray(0, 16), Buffer.from(crypto.cipherparams.iv, "hex"));
+  const privateKey = `0x${Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("hex")}`;
+  if (keystore.address) {
+    expect(
+      ethers.computeAddress(privateKey).toLowerCase() === ethers.getAddress(keystore.address).toLowerCase(),
+      "Web3 keystore address does not match its decrypted key.",
+    );
+  }
+  return privateKey;
+}
+
+export function encryptKeystoreEnvelope(plaintext, passphrase, scrypt = DEFAULT_KEYSTORE_SCRYPT) {
+  const kdfparams = newScryptParams(scrypt);
+  const key = deriveKeystoreKey(passphrase, kdfparams, 32);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+  return {
+    format: KEYSTORE_FORMAT,
+    formatVersion: KEYSTORE_FORMAT_VERSION,
+    kdf: "scrypt",
+    kdfparams,
+    cipher: "aes-256-gcm",
+    iv: iv.toString("hex"),
+    tag: cipher.getAuthTag().toString("hex"),
+    ciphertext: ciphertext.toString("hex"),
+  };
+}
+
+export function decryptKeystoreEnvelope(envelope, passphrase) {
+  expect(
+    envelope?.format === KEYSTORE_FORMAT && envelope.formatVersion === KEYSTORE_FORMAT_VERSION,
+    "Unsupported private-state keystore format.",
+  );
+  expect(envelope.kdf === "scrypt" && envelope.cipher === "aes-256-gcm", "Unsupported private-state keystore cipher suite.");
+  const key = deriveKeystoreKey(passphrase, envelope.kdfparams, 32);
+  const decipher = createDecipheriv("aes-256-gcm", key, Buffer.from(envelope.iv, "hex"));
+  decipher.setAuthTag(Buffer.from(envelope.tag, "hex"));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, "hex")), decipher.final()]).toString("utf8");
+  } catch {
+    throw new Error("Incorrect keystore passphrase.");
+  }
+}
+
+export function keystoreSecretKind(contents) {
+  const parsed = parseKeystoreJson(contents);
+  if (parsed?.version === 3 && (parsed.crypto || parsed.Crypto)) {
+    return "web3";
+  }
+  if (parsed?.format === KEYSTORE_FORMAT) {
+    return "envelope";
+  }
+  return null;
+}
+
+export function web3KeystoreAddress(contents) {
+  const parsed = keystoreSecretKind(contents) === "web3" ? JSON.parse(contents) : null;
+  return parsed?.address ? ethers.getAddress(parsed.address) : null;
+}
+
+export function encryptKeystoreSecret(value, passphrase, { scrypt = DEFAULT_KEYSTORE_SCRYPT } = {}) {
+  const plaintext = String(value).trim();
+  const encrypted = PRIVATE_KEY_PATTERN.test(plaintext)
+    ? encryptWeb3Keystore(plaintext, passphrase, scrypt)
+    : encryptKeystoreEnvelope(plaintext, passphrase, scrypt);
+  return JSON.stringify(encrypted, null, 2);
+}
+
+export function decryptKeystoreSecret(contents, passphrase) {
+  const kind = keystoreSecretKind(contents);
+  expect(kind !== null, "Secret file is not an encrypted keystore.");
+  const parsed = JSON.parse(contents);
+  return kind === "web3" ? decryptWeb3Keystore(parsed, passphrase) : decryptKeystoreEnvelope(parsed, passphrase);
+}
+
+export function createKeystoreConfig(passphrase, { scrypt = DEFAULT_KEYSTORE_SCRYPT } = {}) {
+  return {
+    format: KEYSTORE_CONFIG_FORMAT,
+    formatVersion: KEYSTORE_FORMAT_VERSION,
+    createdAt: new Date().toISOString(),
+    scrypt: { n: scrypt.n, r: scrypt.r, p: scrypt.p },
+    check: encryptKeystoreEnvelope(KEYSTORE_CHECK_PLAINTEXT, passphrase, scrypt),
+  };
+}
+
+export function verifyKeystorePassphrase(config, passphrase) {
+  expect(config?.format === KEYSTORE_CONFIG_FORMAT, "Unsupported private-state keystore configuration.");
+  expect(decryptKeystoreEnvelope(config.check, passphrase) === KEYSTORE_CHECK_PLAINTEXT, "Incorrect keystore passphrase.");
+}
@@ -1,4 +1,4 @@
-import { randomBytes } from "node:crypto";
+import { createCipheriv, createDecipheriv, randomBytes } from "node:crypto";
 import { AbiCoder, ethers } from "ethers";
 import { deriveL2KeysFromSignature } from "tokamak-l2js";
 import { jubjub } from "@noble/curves/jubjub";
@@ -14,6 +14,8 @@ export const NOTE_RECEIVE_TYPED_DATA_METHOD = "eth_signTypedData_v4";
 export const NOTE_RECEIVE_KEY_DERIVATION_VERSION = 2;
 export const ENCRYPTED_NOTE_SCHEME_TRANSFER = 0;
 export const ENCRYPTED_NOTE_SCHEME_SELF_MINT = 1;
+export const ENCRYPTED_NOTE_SCHEME_TRANSFER_V2 = 2;
+export const MAX_NOTE_MEMO_BYTES = 256;
 export const BLS12_381_SCALAR_FIELD_MODULUS =
   ethers.toBigInt("0x73eda753299d7d483339d80809a1d80553bda402fffe5bfeffffffff00000001");
 
@@ -34,6 +36,10 @@ const NOTE_RECEIVE_TYPED_DATA_PROTOCOL = "PRIVATE_STATE_NOTE_RECEIVE_KEY_V2";
 const NOTE_RECEIVE_TYPED_DATA_DAPP = "private-state";
 const TRANSFER_NOTE_FIELD_ENCRYPTION_INFO = "PRIVATE_STATE_NOTE_FIELD_ENCRYPTION_V1";
 const MINT_NOTE_FIELD_ENCRYPTION_INFO = "PRIVATE_STATE_SELF_MINT_NOTE_FIELD_ENCRYPTION_V1";
+const TRANSFER_NOTE_FIELD_ENCRYPTION_INFO_V2 = "PRIVATE_STATE_NOTE_FIELD_ENCRYPTION_V2";
+const NOTE_MEMO_ENCRYPTION_INFO = "PRIVATE_STATE_NOTE_MEMO_ENCRYPTION_V1";
+const NOTE_MEMO_TRAILER_MAGIC = ethers.hexlify(ethers.toUtf8Bytes("PSMEMO01"));
+const ENCRYPTED_NOTE_MEMO_HEADER_BYTES = 32 + 1 + 12 + 16;
 const NOTE_COMMITMENT_DOMAIN = ethers.keccak256(ethers.toUtf8Bytes("PRIVATE_STATE_NOTE_COMMITMENT"));
 const NULLIFIER_DOMAIN = ethers.keccak256(ethers.toUtf8Bytes("PRIVATE_STATE_NULLIFIER"));
 const JUBJUB_ORDER = jubjub.CURVE.n;
@@ -134,6 +140,7 @@ function packEncryptedNoteValue({
   ciphertextValue,
   tag,
   scheme = ENCRYPTED_NOTE_SCHEME_TRANSFER,
+  padding = "0x0000",
 }) {
   const parity = Number(ephemeralPubKeyYParity);
   expect(parity === 0 || parity === 1, "Encrypted note value y parity must be 0 or 1.");
@@ -148,7 +155,8 @@ function packEncryptedNoteValue({
       Uint8Array.from([parity]),
       ethers.getBytes(ethers.zeroPadValue(nonce, 12)),
       ethers.getBytes(ethers.zeroPadValue(tag, 16)),
-      Uint8Array.from([normalizedScheme, 0, 0]),
+      Uint8Array.from([normalizedScheme]),
+      ethers.getBytes(ethers.zeroPadValue(padding, 2)),
     ])),
     normalizeBytes32Hex(ciphertextValue),
   ]);
@@ -164,6 +172,7 @@ export function unpackEncryptedNoteValue(encryptedNoteValue) {
     ciphertextValue,
     tag: ethers.hexlify(packedMetaBytes.slice(13, 29)),
     scheme: packedMetaBytes[29],
+    padding: ethers.hexlify(packedMetaBytes.slice(30, 32)),
   };
 }
 
@@ -189,7 +198,7 @@ function fieldElementHex(value) {
   return normalizeBytes32Hex(ethers.toBeHex(value));
 }
 
-function deriveFieldMask({ sharedSecretPoint, chainId, channelId, owner, nonce, encryptionInfo }) {
+function deriveFieldMask({ sharedSecretPoint, chainId, channelId, owner, header, encryptionInfo }) {
   const affine = sharedSecretPoint.toAffine();
   return ethers.toBigInt(
     poseidonHexFromBytes(
@@ -202,14 +211,14 @@ function deriveFieldMask({ sharedSecretPoint, chainId, channelId, owner, nonce,
           ethers.getAddress(owner),
           affine.x,
           affine.y,
-          ethers.zeroPadValue(nonce, 12),
+          ethers.zeroPadValue(header.nonce, 12),
         ],
       ),
     ),
   );
 }
 
-function deriveCipherTag({ sharedSecretPoint, chainId, channelId, owner, nonce, ciphertextValue, encryptionInfo }) {
+function deriveCipherTag({ sharedSecretPoint, chainId, channelId, owner, header, ciphertextValue, encryptionInfo }) {
   const affine = sharedSecretPoint.toAffine();
   return ethers.dataSlice(
     poseidonHexFromBytes(
@@ -222,7 +231,7 @@ function deriveCipherTag({ sharedSecretPoint, chainId, channelId, owner, nonce,
           ethers.getAddress(owner),
           affine.x,
           affine.y,
-          ethers.zeroPadValue(nonce, 12),
+          ethers.zeroPadValue(header.nonce, 12),
           fieldElementHex(ciphertextValue),
         ],
       ),
@@ -232,6 +241,117 @@ function deriveCipherTag({ sharedSecretPoint, chainId, channelId, owner, nonce,
   );
 }
 
+function deriveEphemeralBoundFieldMask({ sharedSecretPoint, chainId, channelId, owner, header, encryptionInfo }) {
+  const affine = sharedSecretPoint.toAffine();
+  return ethers.toBigInt(
+    poseidonHexFromBytes(
+      abiCoder.encode(
+        ["string", "uint256", "uint256", "address", "uint256", "uint256", "bytes32", "uint8", "bytes12"],
+        [
+          encryptionInfo,
+          ethers.toBigInt(chainId),
+          ethers.toBigInt(channelId),
+          ethers.getAddress(owner),
+          affine.x,
+          affine.y,
+          normalizeBytes32Hex(header.ephemeralPubKeyX),
+          Number(header.ephemeralPubKeyYParity),
+          ethers.zeroPadValue(header.nonce, 12),
+        ],
+      ),
+    ),
+  );
+}
+
+// Covers every header byte next to the ciphertext, so the scheme ID and padding cannot be rewritten either.
+function deriveHeaderCipherTag({ sharedSecretPoint, chainId, channelId, owner, header, ciphertextValue, encryptionInfo }) {
+  const affine = sharedSecretPoint.toAffine();
+  return ethers.dataSlice(
+    poseidonHexFromBytes(
+      abiCoder.encode(
+        ["string", "uint256", "uint256", "address", "uint256", "uint256", "bytes32", "uint8", "bytes12", "uint8", "bytes2", "bytes32"],
+        [
+          `${encryptionInfo}:tag`,
+          ethers.toBigInt(chainId),
+          ethers.toBigInt(channelId),
+          ethers.getAddress(owner),
+          affine.x,
+          affine.y,
+          normalizeBytes32Hex(header.ephemeralPubKeyX),
+          Number(header.ephemeralPubKeyYParity),
+          ethers.zeroPadValue(header.nonce, 12),
+          Number(header.scheme),
+          ethers.zeroPadValue(header.padding, 2),
+          fieldElementHex(ciphertextValue),
+        ],
+      ),
+    ),
+    0,
+    16,
+  );
+}
+
+const NOTE_VALUE_PACKINGS = Object.freeze({
+  "bytes32x3-v1": Object.freeze({ pack: packEncryptedNoteValue, unpack: unpackEncryptedNoteValue }),
+});
+const NOTE_VALUE_KDFS = Object.freeze({
+  "jubjub-ecdh-poseidon-v1": deriveFieldMask,
+  "jubjub-ecdh-poseidon-ephemeral-bound-v2": deriveEphemeralBoundFieldMask,
+});
+const NOTE_VALUE_AEADS = Object.freeze({
+  "field-mask-poseidon-tag-v1": deriveCipherTag,
+  "field-mask-poseidon-header-tag-v2": deriveHeaderCipherTag,
+});
+
+// IDs are never reused, and older entries stay so notes delivered under them remain readable.
+export const ENCRYPTED_NOTE_SCHEMES = Object.freeze({
+  [ENCRYPTED_NOTE_SCHEME_TRANSFER]: Object.freeze({
+    id: ENCRYPTED_NOTE_SCHEME_TRANSFER,
+    name: "transfer",
+    version: 1,
+    kind: "transfer",
+    packing: "bytes32x3-v1",
+    kdf: "jubjub-ecdh-poseidon-v1",
+    aead: "field-mask-poseidon-tag-v1",
+    encryptionInfo: TRANSFER_NOTE_FIELD_ENCRYPTION_INFO,
+  }),
+  [ENCRYPTED_NOTE_SCHEME_SELF_MINT]: Object.freeze({
+    id: ENCRYPTED_NOTE_SCHEME_SELF_MINT,
+    name: "self-mint",
+    version: 1,
+    kind: "self-mint",
+    packing: "bytes32x3-v1",
+    kdf: "jubjub-ecdh-poseidon-v1",
+    aead: "field-mask-poseidon-tag-v1",
+    encryptionInfo: MINT_NOTE_FIELD_ENCRYPTION_INFO,
+  }),
+  [ENCRYPTED_NOTE_SCHEME_TRANSFER_V2]: Object.freeze({
+    id: ENCRYPTED_NOTE_SCHEME_TRANSFER_V2,
+    name: "transfer-v2",
+    version: 2,
+    kind: "transfer",
+    packing: "bytes32x3-v1",
+    kdf: "jubjub-ecdh-poseidon-ephemeral-bound-v2",
+    aead: "field-mask-poseidon-header-tag-v2",
+    encryptionInfo: TRANSFER_NOTE_FIELD_ENCRYPTION_INFO_V2,
+  }),
+});
+
+export function encryptedNoteScheme(schemeId) {
+  const scheme = ENCRYPTED_NOTE_SCHEMES[Number(schemeId)];
+  expect(scheme, `Encrypted note value scheme ${schemeId} is not supported.`);
+  return scheme;
+}
+
+// Every packing keeps the scheme ID in byte 29 of the second word, so readers can dispatch before knowing the layout.
+export function readEncryptedNoteScheme(encryptedValue) {
+  return ethers.getBytes(normalizeEncryptedNoteValueWords(encryptedValue)[1])[29];
+}
+
+export function noteReceivePubKeyFromPrivateKey(privateKey) {
+  return noteReceivePubKeyFromPoint(jubjub.ExtendedPoint.BASE.multiply(parseJubjubPrivateScalar(privateKey)));
+}
+
 export async function deriveNoteReceiveKeyMaterial({ signer, chainId, channelId, channelName, account }) {
   const typedData = buildNoteReceiveTypedData({
     chainId,
@@ -251,49 +371,71 @@ export async function deriveNoteReceiveKeyMaterial({ signer, chainId, channelId,
   };
 }
 
-function encryptFieldNoteValue({
+export function encryptNoteValue({
+  scheme: schemeId,
   value,
-  recipientPoint,
+  recipientNoteReceivePubKey,
   chainId,
   channelId,
   owner,
-  nonce,
-  encryptionInfo,
-  scheme,
+  nonce = null,
+  ephemeralPrivateKey = null,
 }) {
-  const ephemeralPrivateScalar = deriveEphemeralJubjubScalar();
-  const ephemeralPoint = jubjub.ExtendedPoint.BASE.multiply(ephemeralPrivateScalar);
-  const sharedSecretPoint = recipientPoint.multiply(ephemeralPrivateScalar);
-  const cipherNonce = nonce ? ethers.zeroPadValue(nonce, 12) : ethers.hexlify(randomBytes(12));
-  const plaintextValue = encodeNoteValuePlaintext(value);
-  const fieldMask = deriveFieldMask({
-    sharedSecretPoint,
+  const scheme = encryptedNoteScheme(schemeId);
+  const ephemeralPrivateScalar = ephemeralPrivateKey === null
+    ? deriveEphemeralJubjubScalar()
+    : parseJubjubPrivateScalar(ephemeralPrivateKey);
+  const ephemeralPubKey = noteReceivePubKeyFromPoint(jubjub.ExtendedPoint.BASE.multiply(ephemeralPrivateScalar));
+  const header = {
+    ephemeralPubKeyX: ephemeralPubKey.x,
+    ephemeralPubKeyYParity: ephemeralPubKey.yParity,
+    nonce: nonce ? ethers.zeroPadValue(nonce, 12) : ethers.hexlify(randomBytes(12)),
+    scheme: scheme.id,
+    padding: "0x0000",
+  };
+  const keyContext = {
+    sharedSecretPoint: pointFromNoteReceivePubKey(recipientNoteReceivePubKey).multiply(ephemeralPrivateScalar),
     chainId,
     channelId,
     owner,
-    nonce: cipherNonce,
-    encryptionInfo,
+    header,
+    encryptionInfo: scheme.encryptionInfo,
+  };
+  const ciphertextValue = (encodeNoteValuePlaintext(value) + NOTE_VALUE_KDFS[scheme.kdf](keyContext))
+    % BLS12_381_SCALAR_FIELD_MODULUS;
+  return NOTE_VALUE_PACKINGS[scheme.packing].pack({
+    ...header,
+    ciphertextValue: fieldElementHex(ciphertextValue),
+    tag: NOTE_VALUE_AEADS[scheme.aead]({ ...keyContext, ciphertextValue }),
   });
-  const ciphertextValue = (plaintextValue + fieldMask) % BLS12_381_SCALAR_FIELD_MODULUS;
-  const tag = deriveCipherTag({
-    sharedSecretPoint,
+}
+
+export function decryptNoteValue({ encryptedValue, noteReceivePrivateKey, chainId, channelId, owner }) {
+  const scheme = encryptedNoteScheme(readEncryptedNoteScheme(encryptedValue));
+  const { ciphertextValue, tag, ...header } = NOTE_VALUE_PACKINGS[scheme.packing].unpack(encryptedValue);
+  const keyContext = {
+    sharedSecretPoint: pointFromNoteReceivePubKey({
+      x: header.ephemeralPubKeyX,
+      yParity: header.ephemeralPubKeyYParity,
+    }).multiply(parseJubjubPrivateScalar(noteReceivePrivateKey)),
     chainId,
     channelId,
     owner,
-    nonce: cipherNonce,
-    ciphertextValue,
-    encryptionInfo,
-  });
-  const parsedEphemeralPubKey = noteReceivePubKeyFromPoint(ephemeralPoint);
-
-  return packEncryptedNoteValue({
-    ephemeralPubKeyX: parsedEphemeralPubKey.x,
-    ephemeralPubKeyYParity: parsedEphemeralPubKey.yParity,
-    nonce: cipherNonce,
-    ciphertextValue: fieldElementHex(ciphertextValue),
-    tag,
-    scheme,
-  });
+    header,
+    encryptionInfo: scheme.encryptionInfo,
+  };
+  const ciphertext = ethers.toBigInt(ciphertextValue);
+  expect(
+    normalizeBytesHex(NOTE_VALUE_AEADS[scheme.aead]({ ...keyContext, ciphertextValue: ciphertext }), 16)
+      === normalizeBytesHex(tag, 16),
+    "Encrypted note value integrity tag mismatch.",
+  );
+  const plaintext = (
+    ciphertext
+    - NOTE_VALUE_KDFS[scheme.kdf](keyContext)
+    + BLS12_381_SCALAR_FIELD_MODULUS
+  ) % BLS12_381_SCALAR_FIELD_MODULUS;
+  return { value: decodeNoteValuePlaintext(plaintext), scheme };
 }
 
 export function encryptNoteValueForRecipient({
@@ -303,17 +445,10 @@ export function encryptNoteValueForRecipient({
   channelId,
   owner,
   nonce = null,
+  scheme = ENCRYPTED_NOTE_SCHEME_TRANSFER,
 }) {
-  return encryptFieldNoteValue({
-    value,
-    recipientPoint: pointFromNoteReceivePubKey(recipientNoteReceivePubKey),
-    chainId,
-    channelId,
-    owner,
-    nonce,
-    encryptionInfo: TRANSFER_NOTE_FIELD_ENCRYPTION_INFO,
-    scheme: ENCRYPTED_NOTE_SCHEME_TRANSFER,
-  });
+  expect(encryptedNoteScheme(scheme).kind === "transfer", `Encrypted note value scheme ${scheme} is not a transfer scheme.`);
+  return encryptNoteValue({ scheme, value, recipientNoteReceivePubKey, chainId, channelId, owner, nonce });
 }
 
 export function encryptMintNoteValueForOwner({
@@ -324,85 +459,167 @@ export function encryptMintNoteValueForOwner({
   owner,
   nonce = null,
 }) {
-  return encryptFieldNoteValue({
+  return encryptNoteValue({
+    scheme: ENCRYPTED_NOTE_SCHEME_SELF_MINT,
     value,
-    recipientPoint: pointFromNoteReceivePubKey(ownerNoteReceivePubKey),
+    recipientNoteReceivePubKey: ownerNoteReceivePubKey,
     chainId,
     channelId,
     owner,
     nonce,
-    encryptionInfo: MINT_NOTE_FIELD_ENCRYPTION_INFO,
-    scheme: ENCRYPTED_NOTE_SCHEME_SELF_MINT,
   });
 }
 
-function decryptFieldEncryptedNoteValue({
-  encryptedValue,
-  privateKey,
+function decryptNoteValueOfKind(kind, { encryptedValue, noteReceivePrivateKey, chainId, channelId, owner }) {
+  const scheme = encryptedNoteScheme(readEncryptedNoteScheme(encryptedValue));
+  expect(
+    scheme.kind === kind,
+    `Encrypted note value scheme mismatch. Expected a ${kind} scheme, received ${scheme.name}.`,
+  );
+  return decryptNoteValue({ encryptedValue, noteReceivePrivateKey, chainId, channelId, owner }).value;
+}
+
+export function decryptEncryptedNoteValue(args) {
+  return decryptNoteValueOfKind("transfer", args);
+}
+
+export function decryptMintEncryptedNoteValue(args) {
+  return decryptNoteValueOfKind("self-mint", args);
+}
+
+function normalizeNoteMemo(memo) {
+  const text = String(memo);
+  const size = Buffer.byteLength(text, "utf8");
+  expect(size > 0 && size <= MAX_NOTE_MEMO_BYTES, `Note memo must be 1-${MAX_NOTE_MEMO_BYTES} UTF-8 bytes.`);
+  return text;
+}
+
+function deriveNoteMemoKey({ sharedSecretPoint, chainId, channelId, owner }) {
+  const affine = sharedSecretPoint.toAffine();
+  return ethers.getBytes(ethers.keccak256(abiCoder.encode(
+    ["string", "uint256", "uint256", "address", "uint256", "uint256"],
+    [
+      NOTE_MEMO_ENCRYPTION_INFO,
+      ethers.toBigInt(chainId),
+      ethers.toBigInt(channelId),
+      ethers.getAddress(owner),
+      affine.x,
+      affine.y,
+    ],
+  )));
+}
+
+// The output commitment is the AES-GCM associated data, so a memo cannot be replayed against another note.
+export function encryptNoteMemoForRecipient({
+  memo,
+  recipientNoteReceivePubKey,
   chainId,
   channelId,
   owner,
-  encryptionInfo,
-  expectedScheme,
+  commitment,
 }) {
-  const normalized = unpackEncryptedNoteValue(encryptedValue);
-  expect(
-    normalized.scheme === expectedScheme,
-    `Encrypted note value scheme mismatch. Expected ${expectedScheme}, received ${normalized.scheme}.`,
-  );
-  const sharedSecretPoint = pointFromNoteReceivePubKey({
-    x: normalized.ephemeralPubKeyX,
-    yParity: normalized.ephemeralPubKeyYParity,
-  }).multiply(parseJubjubPrivateScalar(privateKey));
-  const expectedTag = deriveCipherTag({
-    sharedSecretPoint,
+  const plaintext = Buffer.from(normalizeNoteMemo(memo), "utf8");
+  const ephemeralPrivateScalar = deriveEphemeralJubjubScalar();
+  const ephemeralPubKey = noteReceivePubKeyFromPoint(jubjub.ExtendedPoint.BASE.multiply(ephemeralPrivateScalar));
+  const key = deriveNoteMemoKey({
+    sharedSecretPoint: pointFromNoteReceivePubKey(recipientNoteReceivePubKey).multiply(ephemeralPrivateScalar),
     chainId,
     channelId,
     owner,
-    nonce: normalized.nonce,
-    ciphertextValue: ethers.toBigInt(normalized.ciphertextValue),
-    encryptionInfo,
   });
+  const nonce = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, nonce);
+  cipher.setAAD(ethers.getBytes(normalizeBytes32Hex(commitment)));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return ethers.hexlify(ethers.concat([
+    ephemeralPubKey.x,
+    Uint8Array.from([ephemeralPubKey.yParity]),
+    nonce,
+    cipher.getAuthTag(),
+    ciphertext,
+  ]));
+}
+
+export function decryptNoteMemo({ encryptedMemo, noteReceivePrivateKey, chainId, channelId, owner, commitment }) {
+  const bytes = ethers.getBytes(encryptedMemo);
   expect(
-    normalizeBytesHex(expectedTag, 16) === normalizeBytesHex(normalized.tag, 16),
-    "Encrypted note value integrity tag mismatch.",
+    bytes.length > ENCRYPTED_NOTE_MEMO_HEADER_BYTES
+      && bytes.length <= ENCRYPTED_NOTE_MEMO_HEADER_BYTES + MAX_NOTE_MEMO_BYTES
+      && (bytes[32] === 0 || bytes[32] === 1),
+    "Encrypted note memo is malformed.",
   );
-  const fieldMask = deriveFieldMask({
-    sharedSecretPoint,
+  const key = deriveNoteMemoKey({
+    sharedSecretPoint: pointFromNoteReceivePubKey({
+      x: ethers.hexlify(bytes.slice(0, 32)),
+      yParity: bytes[32],
+    }).multiply(parseJubjubPrivateScalar(noteReceivePrivateKey)),
     chainId,
     channelId,
     owner,
-    nonce: normalized.nonce,
-    encryptionInfo,
   });
-  const plaintext = (
-    ethers.toBigInt(normalized.ciphertextValue)
-    - fieldMask
-    + BLS12_381_SCALAR_FIELD_MODULUS
-  ) % BLS12_381_SCALAR_FIELD_MODULUS;
-  return decodeNoteValuePlaintext(plaintext);
+  const decipher = createDecipheriv("aes-256-gcm", key, bytes.slice(33, 45));
+  decipher.setAAD(ethers.getBytes(normalizeBytes32Hex(commitment)));
+  decipher.setAuthTag(bytes.slice(45, ENCRYPTED_NOTE_MEMO_HEADER_BYTES));
+  try {
+    return Buffer.concat([
+      decipher.update(bytes.slice(ENCRYPTED_NOTE_MEMO_HEADER_BYTES)),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch {
+    throw new Error("Encrypted note memo integrity tag mismatch.");
+  }
 }
 
-export function decryptEncryptedNoteValue({ encryptedValue, noteReceivePrivateKey, chainId, channelId, owner }) {
-  return decryptFieldEncryptedNoteValue({
-    encryptedValue,
-    privateKey: noteReceivePrivateKey,
-    chainId,
-    channelId,
-    owner,
-    encryptionInfo: TRANSFER_NOTE_FIELD_ENCRYPTION_INFO,
-    expectedScheme: ENCRYPTED_NOTE_SCHEME_TRANSFER,
-  });
+export function tryDecryptNoteMemo(params) {
+  try {
+    return decryptNoteMemo(params);
+  } catch {
+    return null;
+  }
 }
 
-export function decryptMintEncryptedNoteValue({ encryptedValue, noteReceivePrivateKey, chainId, channelId, owner }) {
-  return decryptFieldEncryptedNoteValue({
-    encryptedValue,
-    privateKey: noteReceivePrivateKey,
-    chainId,
-    channelId,
-    owner,
-    encryptionInfo: MINT_NOTE_FIELD_ENCRYPTION_INFO,
-    expectedScheme: ENCRYPTED_NOTE_SCHEME_SELF_MINT,
-  });
+// Unsigned bytes after the executeChannelTransaction arguments: (commitment | uint16 length | memo)* | uint32 length | magic.
+export function encodeNoteMemoTrailer(entries) {
+  expect(Array.isArray(entries) && entries.length > 0, "Note memo trailer needs at least one memo.");
+  const body = ethers.concat(entries.map(({ commitment, encryptedMemo }) => {
+    const memoBytes = ethers.getBytes(encryptedMemo);
+    return ethers.concat([
+      normalizeBytes32Hex(commitment),
+      ethers.toBeHex(memoBytes.length, 2),
+      memoBytes,
+    ]);
+  }));
+  return ethers.hexlify(ethers.concat([body, ethers.toBeHex(ethers.dataLength(body), 4), NOTE_MEMO_TRAILER_MAGIC]));
+}
+
+export function decodeNoteMemoTrailer(calldata) {
+  const bytes = ethers.getBytes(calldata);
+  if (bytes.length < 12 || ethers.hexlify(bytes.slice(-8)) !== NOTE_MEMO_TRAILER_MAGIC) {
+    return [];
+  }
+  const bodyLength = Number(ethers.toBigInt(bytes.slice(-12, -8)));
+  expect(bodyLength > 0 && bodyLength <= bytes.length - 12, "Note memo trailer length is out of range.");
+  const body = bytes.slice(bytes.length - 12 - bodyLength, bytes.length - 12);
+  const entries = [];
+  let offset = 0;
+  while (offset < body.length) {
+    expect(offset + 34 <= body.length, "Note memo trailer entry is truncated.");
+    const memoLength = Number(ethers.toBigInt(body.slice(offset + 32, offset + 34)));
+    expect(offset + 34 + memoLength <= body.length, "Note memo trailer entry is truncated.");
+    entries.push({
+      commitment: normalizeBytes32Hex(ethers.hexlify(body.slice(offset, offset + 32))),
+      encryptedMemo: ethers.hexlify(body.slice(offset + 34, offset + 34 + memoLength)),
+    });
+    offset += 34 + memoLength;
+  }
+  return entries;
+}
+
+// Any relayer can strip or replace the trailer, so a missing or malformed one reads as no memos.
+export function readNoteMemoTrailer(calldata) {
+  try {
+    return decodeNoteMemoTrailer(calldata);
+  } catch {
+    return [];
+  }
 }
@@ -0,0 +1,262 @@
+import { ethers } from "ethers";
+import {
+  PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES,
+  formatTransferNotesShapes,
+} from "./private-state-controller-functions.mjs";
+
+export const AUTO_NOTE_SELECTION_CANDIDATE_LIMIT = 24;
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function noteValue(note) {
+  return ethers.toBigInt(note.value);
+}
+
+function sumNoteValues(notes) {
+  return notes.reduce((sum, note) => sum + noteValue(note), 0n);
+}
+
+function compareSpendableNotes(left, right) {
+  const leftValue = noteValue(left);
+  const rightValue = noteValue(right);
+  if (leftValue === rightValue) {
+    return String(left.commitment).localeCompare(String(right.commitment));
+  }
+  return leftValue > rightValue ? -1 : 1;
+}
+
+function* combinations(items, size, start = 0, prefix = []) {
+  if (prefix.length === size) {
+    yield prefix;
+    return;
+  }
+  for (let index = start; index <= items.length - (size - prefix.length); index += 1) {
+    yield* combinations(items, size, index + 1, [...prefix, items[index]]);
+  }
+}
+
+export function mergeTransferNotesShapes(shapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES) {
+  return shapes
+    .filter((shape) => shape.outputCount === 1 && shape.inputCount >= 2)
+    .sort((left, right) => right.inputCount - left.inputCount);
+}
+
+export function hasTransferNotesShape(inputCount, outputCount, shapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES) {
+  return shapes.some((shape) => shape.inputCount === inputCount && shape.outputCount === outputCount);
+}
+
+export function transferNotesMethodForShape(inputCount, outputCount, shapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES) {
+  expect(
+    hasTransferNotesShape(inputCount, outputCount, shapes),
+    `wallet transfer-notes supports only ${formatTransferNotesShapes(shapes)} note transfers.`,
+  );
+  return `transferNotes${inputCount}To${outputCount}`;
+}
+
+export function assertAutomaticTransferShapeAvailable(recipientCount, shapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES) {
+  expect(
+    shapes.some((shape) => shape.outputCount === recipientCount || shape.outputCount === recipientCount + 1),
+    [
+      `Automatic note selection cannot pay ${recipientCount} recipient(s) in one transfer.`,
+      `Registered transfer shapes: ${formatTransferNotesShapes(shapes)}.`,
+    ].join(" "),
+  );
+}
+
+function findTransferInputNotes({ notes, outputAmounts, shapes, candidateLimit }) {
+  const recipientCount = outputAmounts.length;
+  const target = outputAmounts.reduce((sum, value) => sum + ethers.toBigInt(value), 0n);
+  const candidates = [...notes].sort(compareSpendableNotes).slice(0, candidateLimit);
+  const inputCounts = [...new Set(
+    shapes
+      .filter((shape) => shape.outputCount === recipientCount || shape.outputCount === recipientCount + 1)
+      .map((shape) => shape.inputCount),
+  )].sort((left, right) => left - right);
+
+  for (const inputCount of inputCounts) {
+    const allowsExact = hasTransferNotesShape(inputCount, recipientCount, shapes);
+    const allowsChange = hasTransferNotesShape(inputCount, recipientCount + 1, shapes);
+    let bestWithChange = null;
+    for (const combination of combinations(candidates, inputCount)) {
+      const total = sumNoteValues(combination);
+      if (total === target && allowsExact) {
+        return {
+          inputNotes: combination,
+          inputTotal: total,
+          changeAmount: 0n,
+          method: transferNotesMethodForShape(inputCount, recipientCount, shapes),
+        };
+      }
+      if (total > target && allowsChange && (bestWithChange === null || total < bestWithChange.inputTotal)) {
+        bestWithChange = {
+          inputNotes: combination,
+          inputTotal: total,
+          changeAmount: total - target,
+          method: transferNotesMethodForShape(inputCount, recipientCount + 1, shapes),
+        };
+      }
+    }
+    if (bestWithChange !== null) {
+      return bestWithChange;
+    }
+  }
+  return null;
+}
+
+function assertSpendableBalanceCovers(notes, outputAmounts) {
+  const target = outputAmounts.reduce((sum, value) => sum + ethers.toBigInt(value), 0n);
+  const spendableBalance = sumNoteValues(notes);
+  expect(
+    spendableBalance >= target,
+    [
+      `Insufficient spendable note balance: ${spendableBalance.toString()} base units are available,`,
+      `${target.toString()} base units are required.`,
+    ].join(" "),
+  );
+  return target;
+}
+
+export function selectTransferInputNotes({
+  notes,
+  outputAmounts,
+  shapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES,
+  candidateLimit = AUTO_NOTE_SELECTION_CANDIDATE_LIMIT,
+}) {
+  assertAutomaticTransferShapeAvailable(outputAmounts.length, shapes);
+  const target = assertSpendableBalanceCovers(notes, outputAmounts);
+  const selection = findTransferInputNotes({ notes, outputAmounts, shapes, candidateLimit });
+  if (selection !== null) {
+    return selection;
+  }
+  throw new Error(
+    [
+      `No combination of unused notes pays ${target.toString()} base units within one transfer.`,
+      `Registered transfer shapes: ${formatTransferNotesShapes(shapes)}.`,
+      "Merge smaller notes first or select input notes explicitly with --note-ids.",
+    ].join(" "),
+  );
+}
+
+export function selectMergeInputNotes({
+  notes,
+  shapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES,
+  maxInputCount = Number.POSITIVE_INFINITY,
+}) {
+  const sortedNotes = [...notes].sort(compareSpendableNotes);
+  const mergeInputCount = shapes
+    .filter((shape) => (
+      shape.outputCount === 1
+      && shape.inputCount >= 2
+      && shape.inputCount <= sortedNotes.length
+      && shape.inputCount <= maxInputCount
+    ))
+    .reduce((largest, shape) => Math.max(largest, shape.inputCount), 0);
+  if (mergeInputCount === 0) {
+    return null;
+  }
+  const inputNotes = sortedNotes.slice(0, mergeInputCount);
+  return {
+    inputNotes,
+    inputTotal: sumNoteValues(inputNotes),
+    changeAmount: 0n,
+    method: transferNotesMethodForShape(mergeInputCount, 1, shapes),
+  };
+}
+
+export function planTransferNotes({
+  notes,
+  outputAmounts,
+  shapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES,
+  candidateLimit = AUTO_NOTE_SELECTION_CANDIDATE_LIMIT,
+}) {
+  assertAutomaticTransferShapeAvailable(outputAmounts.length, shapes);
+  assertSpendableBalanceCovers(notes, outputAmounts);
+  const steps = [];
+  let workingNotes = [...notes];
+  for (;;) {
+    const payment = findTransferInputNotes({ notes: workingNotes, outputAmounts, shapes, candidateLimit });
+    if (payment !== null) {
+      steps.push({ kind: "payment", ...payment });
+      return { steps };
+    }
+    const merge = selectMergeInputNotes({ notes: workingNotes, shapes });
+    expect(
+      merge !== null,
+      [
+        "No sequence of registered transfers can pay these outputs from the wallet's unused notes.",
+        `Registered transfer shapes: ${formatTransferNotesShapes(shapes)}.`,
+      ].join(" "),
+    );
+    const outputNote = {
+      commitment: `planned-merge-${steps.length}`,
+      value: merge.inputTotal.toString(),
+      planned: true,
+    };
+    steps.push({ kind: "merge", ...merge, outputNote });
+    const mergedCommitments = new Set(merge.inputNotes.map((note) => note.commitment));
+    workingNotes = [
+      ...workingNotes.filter((note) => !mergedCommitments.has(note.commitment)),
+      outputNote,
+    ];
+  }
+}
+
+export const NOTE_CONSOLIDATION_INPUT_COUNTS = Object.freeze([4, 3, 2]);
+
+export function consolidationMergeInputCounts(shapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES) {
+  return NOTE_CONSOLIDATION_INPUT_COUNTS.filter((inputCount) => hasTransferNotesShape(inputCount, 1, shapes));
+}
+
+export function planNoteConsolidation({
+  notes,
+  threshold,
+  maxProofs,
+  shapes = PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES,
+}) {
+  const inputCounts = consolidationMergeInputCounts(shapes);
+  expect(
+    inputCounts.length > 0,
+    `Note consolidation requires a 4->1, 3->1, or 2->1 transfer shape. Registered transfer shapes: ${formatTransferNotesShapes(shapes)}.`,
+  );
+  expect(Number.isInteger(maxProofs) && maxProofs > 0, "Note consolidation requires a positive proof budget.");
+  const limit = ethers.toBigInt(threshold);
+  const isDust = (note) => noteValue(note) < limit;
+  const compareAscending = (left, right) => compareSpendableNotes(right, left);
+  let dustNotes = notes.filter(isDust).sort(compareAscending);
+  const keptNotes = notes.filter((note) => !isDust(note));
+  const steps = [];
+  while (steps.length < maxProofs && dustNotes.length >= 2) {
+    const inputCount = inputCounts.find((count) => count <= dustNotes.length);
+    const inputNotes = dustNotes.slice(0, inputCount);
+    const inputTotal = sumNoteValues(inputNotes);
+    const outputNote = {
+      commitment: `planned-merge-${steps.length}`,
+      value: inputTotal.toString(),
+      planned: true,
+    };
+    steps.push({
+      kind: "merge",
+      inputNotes,
+      inputTotal,
+      changeAmount: 0n,
+      method: transferNotesMethodForShape(inputCount, 1, shapes),
+      outputNote,
+    });
+    dustNotes = dustNotes.slice(inputCount);
+    if (isDust(outputNote)) {
+      dustNotes = [...dustNotes, outputNote].sort(compareAscending);
+    } else {
+      keptNotes.push(outputNote);
+    }
+  }
+  return {
+    steps,
+    dustNoteCount: notes.filter(isDust).length,
+    remainingDustCount: dustNotes.length,
+    resultingNotes: [...keptNotes, ...dustNotes].sort(compareSpendableNotes),
+  };
+}
@@ -0,0 +1,101 @@
+import { ethers, getAddress } from "ethers";
+
+export const PAYMENT_REQUEST_URI_SCHEME = "tokamak-private-state";
+export const PAYMENT_REQUEST_VERSION = 1;
+export const MAX_PAYMENT_REQUEST_REFERENCE_LENGTH = 64;
+const PAYMENT_REQUEST_PARAMS = Object.freeze(["v", "network", "channel", "pk", "parity", "amount", "ref"]);
+const TOKEN_AMOUNT_PATTERN = /^(?:0|[1-9][0-9]*)(?:\.[0-9]+)?$/u;
+const REFERENCE_PATTERN = /^[\x20-\x7e]*$/u;
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+export function normalizePaymentRequestReference(value) {
+  const reference = String(value).trim();
+  expect(
+    reference.length > 0 && reference.length <= MAX_PAYMENT_REQUEST_REFERENCE_LENGTH && REFERENCE_PATTERN.test(reference),
+    `--reference must be 1-${MAX_PAYMENT_REQUEST_REFERENCE_LENGTH} printable ASCII characters.`,
+  );
+  return reference;
+}
+
+function assertPaymentRequestFields({ network, channelName, recipient, noteReceivePubKey, amount, reference }) {
+  expect(typeof network === "string" && network.length > 0, "Payment request is missing its network.");
+  expect(typeof channelName === "string" && channelName.length > 0, "Payment request is missing its channel name.");
+  expect(ethers.isAddress(recipient), "Payment request recipient is not a channel-local address.");
+  expect(
+    ethers.isHexString(noteReceivePubKey?.x, 32) && BigInt(noteReceivePubKey.x) !== 0n,
+    "Payment request note-receive public key is malformed.",
+  );
+  expect(
+    noteReceivePubKey.yParity === 0 || noteReceivePubKey.yParity === 1,
+    "Payment request note-receive public key parity must be 0 or 1.",
+  );
+  expect(
+    TOKEN_AMOUNT_PATTERN.test(amount) && /[1-9]/u.test(amount),
+    "Payment request amount must be a positive decimal token amount.",
+  );
+  if (reference !== null) {
+    normalizePaymentRequestReference(reference);
+  }
+}
+
+// EIP-681 style: the recipient is the URI path and every other field is a query parameter.
+export function encodePaymentRequestUri(request) {
+  assertPaymentRequestFields(request);
+  const params = new URLSearchParams({
+    v: String(PAYMENT_REQUEST_VERSION),
+    network: request.network,
+    channel: request.channelName,
+    pk: request.noteReceivePubKey.x.toLowerCase(),
+    parity: String(request.noteReceivePubKey.yParity),
+    amount: request.amount,
+  });
+  if (request.reference !== null) {
+    params.set("ref", request.reference);
+  }
+  return `${PAYMENT_REQUEST_URI_SCHEME}:${getAddress(request.recipient)}?${params.toString()}`;
+}
+
+export function parsePaymentRequestUri(value) {
+  const uri = String(value).trim();
+  expect(
+    uri.toLowerCase().startsWith(`${PAYMENT_REQUEST_URI_SCHEME}:`),
+    `Payment request must be a ${PAYMENT_REQUEST_URI_SCHEME}: URI.`,
+  );
+  const body = uri.slice(PAYMENT_REQUEST_URI_SCHEME.length + 1);
+  const queryIndex = body.indexOf("?");
+  expect(queryIndex > 0, "Payment request URI is missing its parameters.");
+  const params = new URLSearchParams(body.slice(queryIndex + 1));
+  for (const key of params.keys()) {
+    expect(PAYMENT_REQUEST_PARAMS.includes(key), `Payment request URI has an unsupported parameter: ${key}.`);
+    expect(params.getAll(key).length === 1, `Payment request URI repeats the ${key} parameter.`);
+  }
+  for (const key of PAYMENT_REQUEST_PARAMS.filter((name) => name !== "ref")) {
+    expect(params.has(key), `Payment request URI is missing the ${key} parameter.`);
+  }
+  expect(
+    Number(params.get("v")) === PAYMENT_REQUEST_VERSION,
+    `Payment request version ${params.get("v")} is not supported.`,
+  );
+  const request = {
+    network: params.get("network"),
+    channelName: params.get("channel"),
+    recipient: body.slice(0, queryIndex),
+    noteReceivePubKey: {
+      x: params.get("pk"),
+      yParity: ["0", "1"].indexOf(params.get("parity")),
+    },
+    amount: params.get("amount"),
+    reference: params.get("ref"),
+  };
+  assertPaymentRequestFields(request);
+  return {
+    ...request,
+    recipient: getAddress(request.recipient),
+    noteReceivePubKey: { x: request.noteReceivePubKey.x.toLowerCase(), yParity: request.noteReceivePubKey.yParity },
+  };
+}
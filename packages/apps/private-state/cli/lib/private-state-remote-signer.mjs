@@ -0,0 +1,160 @@
+import {
+  AbstractSigner,
+  Transaction,
+  TypedDataEncoder,
+  copyRequest,
+  ethers,
+  getAddress,
+  resolveAddress,
+} from "ethers";
+import {
+  buildEip712Payload,
+  normalizeBrowserTransaction,
+  personalSignPayload,
+} from "./private-state-browser-wallet-helpers.mjs";
+
+export const REMOTE_SIGNER_TIMEOUT_MS = 120_000;
+const LOOPBACK_HOSTNAMES = new Set(["127.0.0.1", "localhost", "[::1]", "::1"]);
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+export function normalizeRemoteSignerUrl(value) {
+  let parsed;
+  try {
+    parsed = new URL(String(value));
+  } catch {
+    throw new Error("--url must be a valid http URL.");
+  }
+  expect(parsed.protocol === "http:" || parsed.protocol === "https:", "--url must be a valid http URL.");
+  expect(
+    LOOPBACK_HOSTNAMES.has(parsed.hostname),
+    "--url must point at a loopback host (127.0.0.1, localhost, or [::1]); reach remote signing services through a local tunnel or proxy.",
+  );
+  return parsed.toString();
+}
+
+export function parseRemoteSignerAllowlist(value) {
+  const entries = String(value).split(",").map((entry) => entry.trim()).filter(Boolean);
+  expect(entries.length > 0, "--allowed-addresses requires at least one address.");
+  return [...new Set(entries.map((entry) => {
+    expect(ethers.isAddress(entry), `Invalid address in --allowed-addresses: ${entry}.`);
+    return getAddress(entry);
+  }))];
+}
+
+export function createRemoteSignerClient({ url, timeoutMs = REMOTE_SIGNER_TIMEOUT_MS }) {
+  const endpoint = normalizeRemoteSignerUrl(url);
+  let nextId = 1;
+  return {
+    url: endpoint,
+    async request(method, params) {
+      let response;
+      try {
+        response = await fetch(endpoint, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({ jsonrpc: "2.0", id: nextId++, method, params }),
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (error) {
+        throw new Error(`Remote signer at ${endpoint} is unreachable for ${method}: ${error.message}`);
+      }
+      const body = await response.json().catch(() => null);
+      if (body?.error) {
+        throw new Error(`Remote signer rejected ${method}: ${body.error.message ?? JSON.stringify(body.error)}`);
+      }
+      expect(response.ok && body && "result" in body, `Remote signer returned HTTP ${response.status} for ${method}.`);
+      return body.result;
+    },
+  };
+}
+
+export async function listRemoteSignerAccounts(client) {
+  const accounts = await client.request("eth_accounts", []);
+  expect(Array.isArray(accounts), "Remote signer eth_accounts did not return an address list.");
+  return accounts.map((account) => getAddress(account));
+}
+
+function remoteSignerTransaction(transaction, from) {
+  return {
+    ...normalizeBrowserTransaction(transaction),
+    from,
+    ...(transaction.type === null || transaction.type === undefined ? {} : { type: ethers.toQuantity(transaction.type) }),
+    ...(transaction.accessList?.length ? { accessList: transaction.accessList } : {}),
+  };
+}
+
+// Every signed result is checked against the request before broadcast.
+export class RemoteSigner extends AbstractSigner {
+  static async connect({ client, address, allowedAddresses, provider = null }) {
+    const signerAddress = getAddress(address);
+    expect(
+      allowedAddresses.map((entry) => getAddress(entry)).includes(signerAddress),
+      `${signerAddress} is not in the remote signer allowlist.`,
+    );
+    const served = await listRemoteSignerAccounts(client);
+    expect(served.includes(signerAddress), `Remote signer at ${client.url} does not serve ${signerAddress}.`);
+    return new RemoteSigner({ client, address: signerAddress, provider });
+  }
+
+  constructor({ client, address, provider = null }) {
+    super(provider);
+    this.client = client;
+    this.address = getAddress(address);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner({ client: this.client, address: this.address, provider });
+  }
+
+  async signTransaction(transaction) {
+    const request = copyRequest(transaction);
+    const { to, from } = await ethers.resolveProperties({
+      to: request.to ? resolveAddress(request.to, this) : undefined,
+      from: request.from ? resolveAddress(request.from, this) : undefined,
+    });
+    if (to !== undefined) {
+      request.to = to;
+    }
+    if (from !== undefined) {
+      expect(getAddress(from) === this.address, `Transaction from ${from} cannot be signed by ${this.address}.`);
+    }
+    delete request.from;
+    const unsigned = Transaction.from(request);
+    const result = await this.client.request("eth_signTransaction", [remoteSignerTransaction(unsigned, this.address)]);
+    // web3signer returns the raw transaction; Clef wraps it as { raw, tx }.
+    const signed = Transaction.from(typeof result === "string" ? result : result?.raw);
+    expect(signed.from === this.address, `Remote signer signed the transaction as ${signed.from}, not ${this.address}.`);
+    expect(signed.unsignedHash === unsigned.unsignedHash, "Remote signer changed the transaction before signing it.");
+    return signed.serialized;
+  }
+
+  async signMessage(message) {
+    const signature = await this.client.request("personal_sign", [personalSignPayload(message), this.address]);
+    expect(
+      ethers.verifyMessage(message, signature) === this.address,
+      `Remote signer message signature does not belong to ${this.address}.`,
+    );
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const signature = await this.client.request("eth_signTypedData_v4", [
+      this.address,
+      JSON.stringify(buildEip712Payload({ domain, types, value })),
+    ]);
+    expect(
+      ethers.recoverAddress(TypedDataEncoder.hash(domain, types, value), signature) === this.address,
+      `Remote signer typed-data signature does not belong to ${this.address}.`,
+    );
+    return signature;
+  }
+}
@@ -0,0 +1,120 @@
+import { ethers } from "ethers";
+
+export const WALLET_DELTA_FORMAT = "tokamak-private-state-wallet-delta";
+export const WALLET_DELTA_FORMAT_VERSION = 1;
+const WALLET_DELTA_NOTE_STATUSES = new Set(["unused", "spent"]);
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function isPresent(value) {
+  return value !== null && value !== undefined;
+}
+
+export function trackedNoteChangedSince(note, sinceBlock) {
+  const blocks = [
+    note.createdAtBlockNumber,
+    note.commitmentObservedAtBlockNumber,
+    note.spentAtBlockNumber,
+    note.nullifierObservedAtBlockNumber,
+  ].filter(isPresent);
+  return blocks.length === 0 || blocks.some((block) => Number(block) >= sinceBlock);
+}
+
+export function buildWalletDelta({ walletName, wallet, network, sinceBlock, notes, createdAt = new Date().toISOString() }) {
+  const changedNotes = notes.filter((note) => trackedNoteChangedSince(note, sinceBlock));
+  return {
+    delta: {
+      format: WALLET_DELTA_FORMAT,
+      formatVersion: WALLET_DELTA_FORMAT_VERSION,
+      createdAt,
+      network,
+      channelName: wallet.channelName,
+      channelId: wallet.channelId,
+      wallet: walletName,
+      walletEpochId: wallet.walletEpochId,
+      l2Address: wallet.l2Address,
+      sinceBlock,
+      noteReceiveLastScannedBlock: Number(wallet.noteReceiveLastScannedBlock),
+      notes: changedNotes.filter((note) => note.encryptedNoteValue),
+    },
+    unencryptedNotes: changedNotes.filter((note) => !note.encryptedNoteValue),
+  };
+}
+
+export function validateWalletDelta(delta) {
+  expect(delta?.format === WALLET_DELTA_FORMAT, "Delta file has an unsupported format.");
+  expect(
+    Number(delta.formatVersion) === WALLET_DELTA_FORMAT_VERSION,
+    `Delta file format version ${delta.formatVersion} is not supported.`,
+  );
+  for (const key of ["network", "wallet", "channelName", "walletEpochId"]) {
+    expect(typeof delta[key] === "string" && delta[key].length > 0, `Delta file has an invalid ${key}.`);
+  }
+  expect(ethers.isAddress(delta.l2Address), "Delta file has an invalid l2Address.");
+  expect(Number.isInteger(delta.sinceBlock) && delta.sinceBlock >= 0, "Delta file has an invalid sinceBlock.");
+  expect(
+    Number.isInteger(delta.noteReceiveLastScannedBlock) && delta.noteReceiveLastScannedBlock >= delta.sinceBlock,
+    [
+      `Delta noteReceiveLastScannedBlock ${delta.noteReceiveLastScannedBlock} is before its sinceBlock ${delta.sinceBlock};`,
+      "the exporting wallet has not scanned that far yet.",
+    ].join(" "),
+  );
+  expect(Array.isArray(delta.notes), "Delta file is missing notes[].");
+  for (const note of delta.notes) {
+    expect(
+      typeof note?.commitment === "string" && typeof note.nullifier === "string" && note.encryptedNoteValue,
+      "Delta file note records need a commitment, nullifier, and encrypted note value.",
+    );
+    expect(
+      WALLET_DELTA_NOTE_STATUSES.has(note.status),
+      `Delta file note ${note.commitment} has an unsupported status ${note.status}.`,
+    );
+  }
+}
+
+export function assertWalletDeltaFollowsCursor({ delta, walletName, noteReceiveLastScannedBlock }) {
+  expect(
+    noteReceiveLastScannedBlock >= delta.sinceBlock,
+    [
+      `Wallet ${walletName} has scanned only up to block ${noteReceiveLastScannedBlock - 1}, but the delta starts at block ${delta.sinceBlock}.`,
+      `Export a new delta with --since-block ${noteReceiveLastScannedBlock} or lower.`,
+    ].join(" "),
+  );
+}
+
+function mergeWalletDeltaNote(localNote, deltaNote) {
+  const merged = { ...deltaNote };
+  for (const [key, value] of Object.entries(localNote)) {
+    if (isPresent(value)) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+export function mergeWalletDeltaNotes({ notes, deltaNotes }) {
+  const unused = { ...notes.unused };
+  const spent = { ...notes.spent };
+  const imported = [];
+  const updated = [];
+  for (const deltaNote of deltaNotes) {
+    if (spent[deltaNote.nullifier]) {
+      spent[deltaNote.nullifier] = mergeWalletDeltaNote(spent[deltaNote.nullifier], deltaNote);
+      updated.push(spent[deltaNote.nullifier]);
+    } else if (unused[deltaNote.commitment]) {
+      unused[deltaNote.commitment] = mergeWalletDeltaNote(unused[deltaNote.commitment], deltaNote);
+      updated.push(unused[deltaNote.commitment]);
+    } else if (deltaNote.status === "spent") {
+      spent[deltaNote.nullifier] = { ...deltaNote };
+      imported.push(spent[deltaNote.nullifier]);
+    } else {
+      unused[deltaNote.commitment] = { ...deltaNote };
+      imported.push(unused[deltaNote.commitment]);
+    }
+  }
+  return { unused, spent, imported, updated };
+}
@@ -0,0 +1,239 @@
+import { spawn } from "node:child_process";
+import { createHash, randomBytes } from "node:crypto";
+
+export const WALLET_HOOK_EVENT_TYPES = Object.freeze([
+  "note-received",
+  "note-spent",
+  "channel-root-changed",
+  "wallet-exited",
+]);
+export const WALLET_HOOK_MAX_ATTEMPTS = 10;
+export const WALLET_HOOK_RUN_ATTEMPTS = 1;
+export const WALLET_HOOK_TIMEOUT_MS = 2_000;
+const WALLET_HOOK_RETRY_DELAYS_MS = Object.freeze([500, 2_000]);
+const LOOPBACK_HOSTNAMES = new Set(["127.0.0.1", "localhost", "[::1]", "::1"]);
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+export function parseWalletHookEventTypes(value) {
+  const names = String(value).split(",").map((name) => name.trim()).filter(Boolean);
+  expect(names.length > 0, "--event requires at least one event name.");
+  if (names.includes("all")) {
+    expect(names.length === 1, "--event all cannot be combined with other event names.");
+    return [...WALLET_HOOK_EVENT_TYPES];
+  }
+  for (const name of names) {
+    expect(
+      WALLET_HOOK_EVENT_TYPES.includes(name),
+      `Unsupported hook event ${name}. Use all or one or more of: ${WALLET_HOOK_EVENT_TYPES.join(", ")}.`,
+    );
+  }
+  return [...new Set(names)];
+}
+
+export function assertLocalHookUrl(value) {
+  let parsed;
+  try {
+    parsed = new URL(String(value));
+  } catch {
+    throw new Error("--url must be a valid http URL.");
+  }
+  expect(parsed.protocol === "http:" || parsed.protocol === "https:", "--url must be a valid http URL.");
+  expect(
+    LOOPBACK_HOSTNAMES.has(parsed.hostname),
+    "--url must point at a loopback host (127.0.0.1, localhost, or [::1]); hook events contain private note data.",
+  );
+  return parsed.toString();
+}
+
+export function createWalletHook({ events, url = null, exec = null }) {
+  expect((url === null) !== (exec === null), "A wallet hook needs exactly one of --url or --exec.");
+  return {
+    id: randomBytes(6).toString("hex"),
+    events,
+    ...(url === null ? { exec: String(exec) } : { url: assertLocalHookUrl(url) }),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+export function walletHookCursor({ notes, rootVectorHash = null, lifecycleStatus }) {
+  return {
+    noteStatuses: Object.fromEntries(notes.map((note) => [note.commitment, note.status])),
+    rootVectorHash,
+    lifecycleStatus,
+  };
+}
+
+function walletHookEventId(type, key) {
+  return createHash("sha256").update(`${type}:${key}`).digest("hex");
+}
+
+export function diffWalletHookEvents({
+  cursor,
+  notes,
+  rootVectorHash,
+  lifecycleStatus,
+  exit = null,
+  describeNote = (note) => note,
+}) {
+  const events = [];
+  for (const note of notes) {
+    const previous = cursor.noteStatuses[note.commitment];
+    if (note.status === "spent" && previous !== "spent") {
+      events.push({
+        id: walletHookEventId("note-spent", note.commitment),
+        type: "note-spent",
+        note: describeNote(note),
+      });
+    } else if (note.status !== "spent" && previous === undefined) {
+      events.push({
+        id: walletHookEventId("note-received", note.commitment),
+        type: "note-received",
+        note: describeNote(note),
+      });
+    }
+  }
+  if (rootVectorHash !== null && cursor.rootVectorHash !== null && rootVectorHash !== cursor.rootVectorHash) {
+    events.push({
+      id: walletHookEventId("channel-root-changed", `${cursor.rootVectorHash}:${rootVectorHash}`),
+      type: "channel-root-changed",
+      previousRootVectorHash: cursor.rootVectorHash,
+      rootVectorHash,
+    });
+  }
+  if (lifecycleStatus === "exited" && cursor.lifecycleStatus !== "exited") {
+    events.push({
+      id: walletHookEventId("wallet-exited", exit?.exitedAtTxHash ?? "unknown"),
+      type: "wallet-exited",
+      exitedAtTxHash: exit?.exitedAtTxHash ?? null,
+      exitedAtBlockNumber: exit?.exitedAtBlockNumber ?? null,
+    });
+  }
+  return {
+    events,
+    cursor: walletHookCursor({
+      notes,
+      rootVectorHash: rootVectorHash ?? cursor.rootVectorHash,
+      lifecycleStatus,
+    }),
+  };
+}
+
+export function enqueueWalletHookDeliveries({ pending, hooks, events }) {
+  const queued = [...pending];
+  for (const event of events) {
+    for (const hook of hooks.filter((candidate) => candidate.events.includes(event.type))) {
+      if (!queued.some((entry) => entry.hookId === hook.id && entry.event.id === event.id)) {
+        queued.push({ hookId: hook.id, event, attempts: 0, lastError: null });
+      }
+    }
+  }
+  return queued;
+}
+
+function postWalletHookEvent(url, event, timeoutMs) {
+  return fetch(url, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "x-private-state-event-id": event.id,
+      "x-private-state-event-type": event.type,
+    },
+    body: JSON.stringify(event),
+    signal: AbortSignal.timeout(timeoutMs),
+  }).then((response) => {
+    expect(response.ok, `HTTP ${response.status}`);
+  });
+}
+
+function runWalletHookCommand(command, event, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ["pipe", "ignore", "pipe"],
+      env: {
+        ...process.env,
+        PRIVATE_STATE_EVENT_ID: event.id,
+        PRIVATE_STATE_EVENT_TYPE: event.type,
+      },
+    });
+    let stderr = "";
+    const timer = setTimeout(() => {
+      child.kill("SIGTERM");
+      reject(new Error(`timed out after ${timeoutMs} ms`));
+    }, timeoutMs);
+    child.stderr.on("data", (chunk) => {
+      stderr = `${stderr}${chunk}`.slice(-500);
+    });
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+        return;
+      }
+      reject(new Error(`exit code ${code}${stderr.trim() ? `: ${stderr.trim()}` : ""}`));
+    });
+    child.stdin.on("error", () => {});
+    child.stdin.end(`${JSON.stringify(event)}\n`);
+  });
+}
+
+export function deliverWalletHookEvent(hook, event, { timeoutMs = WALLET_HOOK_TIMEOUT_MS } = {}) {
+  return hook.url
+    ? postWalletHookEvent(hook.url, event, timeoutMs)
+    : runWalletHookCommand(hook.exec, event, timeoutMs);
+}
+
+export async function flushWalletHookDeliveries({
+  pending,
+  hooks,
+  deliver = deliverWalletHookEvent,
+  runAttempts = WALLET_HOOK_RUN_ATTEMPTS,
+  maxAttempts = WALLET_HOOK_MAX_ATTEMPTS,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+}) {
+  const remaining = [];
+  const delivered = [];
+  const abandoned = [];
+  const blockedHookIds = new Set();
+  for (const entry of pending) {
+    const hook = hooks.find((candidate) => candidate.id === entry.hookId);
+    if (!hook) {
+      continue;
+    }
+    if (blockedHookIds.has(hook.id)) {
+      remaining.push(entry);
+      continue;
+    }
+    let current = { ...entry };
+    for (let attempt = 0; attempt < runAttempts && current.attempts < maxAttempts; attempt += 1) {
+      if (attempt > 0) {
+        await sleep(WALLET_HOOK_RETRY_DELAYS_MS[Math.min(attempt - 1, WALLET_HOOK_RETRY_DELAYS_MS.length - 1)]);
+      }
+      try {
+        await deliver(hook, { ...current.event, attempt: current.attempts + 1 });
+        current = { ...current, attempts: current.attempts + 1, lastError: null, delivered: true };
+        break;
+      } catch (error) {
+        current = { ...current, attempts: current.attempts + 1, lastError: String(error?.message ?? error) };
+      }
+    }
+    if (current.delivered) {
+      delivered.push(current);
+    } else if (current.attempts >= maxAttempts) {
+      abandoned.push(current);
+    } else {
+      blockedHookIds.add(hook.id);
+      remaining.push(current);
+    }
+  }
+  return { pending: remaining, delivered, abandoned };
+}
@@ -13,8 +13,10 @@ import AdmZip from "adm-zip";
 import {
   createHash,
   createCipheriv,
+  createDecipheriv,
   randomBytes,
   scryptSync,
+  timingSafeEqual,
 } from "node:crypto";
 import {
   AbiCoder,
@@ -124,21 +126,130 @@ import {
 } from "./private-state-cli-command-registry.mjs";
 import {
   BLS12_381_SCALAR_FIELD_MODULUS,
-  ENCRYPTED_NOTE_SCHEME_SELF_MINT,
-  ENCRYPTED_NOTE_SCHEME_TRANSFER,
+  ENCRYPTED_NOTE_SCHEMES,
+  MAX_NOTE_MEMO_BYTES,
   NOTE_RECEIVE_KEY_DERIVATION_VERSION,
   NOTE_RECEIVE_TYPED_DATA_METHOD,
   computeEncryptedNoteSalt,
   computeNoteCommitment,
   computeNullifier,
-  decryptEncryptedNoteValue,
-  decryptMintEncryptedNoteValue,
+  decryptNoteValue,
   deriveNoteReceiveKeyMaterial,
+  encodeNoteMemoTrailer,
   encryptMintNoteValueForOwner,
+  encryptNoteMemoForRecipient,
   encryptNoteValueForRecipient,
   normalizeEncryptedNoteValueWords,
-  unpackEncryptedNoteValue,
+  noteReceivePubKeyFromPrivateKey,
+  readEncryptedNoteScheme,
+  readNoteMemoTrailer,
+  tryDecryptNoteMemo,
 } from "./private-state-note-delivery.mjs";
+import {
+  assertAutomaticTransferShapeAvailable,
+  mergeTransferNotesShapes,
+  planNoteConsolidation,
+  planTransferNotes,
+} from "./private-state-note-selection.mjs";
+import {
+  batchPaymentFileFormat,
+  formatBatchReceiptCsv,
+  parseBatchPaymentFile,
+  planBatchTransfers,
+  reconcileBatchPaymentRows,
+  selectBatchPaymentRun,
+} from "./private-state-batch-payments.mjs";
+import {
+  PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES,
+  formatTransferNotesShapes,
+  registeredControllerMethodNames,
+  registeredNoteFunctionMatrix,
+  selectMintNotesMethod,
+  selectRedeemNotesMethod,
+  selectTransferNotesMethod,
+} from "./private-state-controller-functions.mjs";
+import {
+  HardwareWalletSigner,
+  normalizeHardwareWalletPath,
+  openHardwareWalletClient,
+  parseHardwareWalletKind,
+} from "./private-state-hardware-wallet.mjs";
+import {
+  createKeystoreConfig,
+  decryptKeystoreSecret,
+  encryptKeystoreSecret,
+  keystoreSecretKind,
+  verifyKeystorePassphrase,
+  web3KeystoreAddress,
+} from "./private-state-keystore.mjs";
+import {
+  DEFAULT_KEY_AGENT_TTL_SECONDS,
+  KEY_AGENT_SOCKET_ENV,
+  createKeyAgent,
+  requestKeyAgent,
+  startKeyAgentServer,
+} from "./private-state-key-agent.mjs";
+import {
+  RemoteSigner,
+  createRemoteSignerClient,
+  listRemoteSignerAccounts,
+  normalizeRemoteSignerUrl,
+  parseRemoteSignerAllowlist,
+} from "./private-state-remote-signer.mjs";
+import {
+  ageRecipientTypes,
+  decryptAge,
+  encryptAge,
+  isAgeEncrypted,
+  parseAgeIdentities,
+  parseAgeRecipients,
+} from "./private-state-age.mjs";
+import {
+  openBackupShares,
+  parseBackupShareCounts,
+  sealBackupShares,
+  validateBackupShareManifest,
+} from "./private-state-backup-shares.mjs";
+import {
+  channelDirectoryMatches,
+  channelMemberCount,
+  createChannelDirectory,
+  recordChannelCreated,
+  recordChannelMembershipLogs,
+} from "./private-state-channel-directory.mjs";
+import {
+  buildChannelMemberRegistry,
+  channelMemberExportFormat,
+  formatChannelMembersCsv,
+  paginateChannelMembers,
+  parseChannelMemberPage,
+} from "./private-state-channel-members.mjs";
+import {
+  contactRegistrationStatus,
+  createContact,
+  isContactReference,
+  normalizeContactName,
+  resolveContactRecipients,
+} from "./private-state-contacts.mjs";
+import {
+  encodePaymentRequestUri,
+  normalizePaymentRequestReference,
+  parsePaymentRequestUri,
+} from "./private-state-payment-requests.mjs";
+import {
+  createWalletHook,
+  diffWalletHookEvents,
+  enqueueWalletHookDeliveries,
+  flushWalletHookDeliveries,
+  parseWalletHookEventTypes,
+  walletHookCursor,
+} from "./private-state-wallet-hooks.mjs";
+import {
+  assertWalletDeltaFollowsCursor,
+  buildWalletDelta,
+  mergeWalletDeltaNotes,
+  validateWalletDelta,
+} from "./private-state-wallet-delta.mjs";
 const require = createRequire(import.meta.url);
 const defaultCommandCwd = process.cwd();
 const privateStateCliPackageJson = require("../package.json");
@@ -155,12 +266,15 @@ const PRIVATE_STATE_TERMS_ACCEPTANCE_CONFIRMATION =
 const L1_SIGNER_MODES = Object.freeze({
   LOCAL_ACCOUNT: "local-account",
   BROWSER_WALLET: "browser-wallet",
+  HARDWARE_WALLET: "hardware-wallet",
+  REMOTE_SIGNER: "remote-signer",
 });
 const TX_SUBMITTER_SOURCES = Object.freeze({
   WALLET_OWNER: "wallet-owner",
   TX_SUBMITTER_ACCOUNT: "tx-submitter-account",
   BROWSER_WALLET: "browser-wallet",
   BROWSER_WALLET_OWNER: "browser-wallet-owner",
+  INJECTED: "injected-signer",
 });
 const PRIVATE_STATE_TERMS_ACCEPTANCE_CATEGORIES = Object.freeze([
   Object.freeze({
@@ -204,6 +318,29 @@ const WALLET_EVIDENCE_BUNDLE_FORMAT = "tokamak-private-state-raw-evidence-bundle
 const WALLET_EXPORT_FORMAT_VERSION = 2;
 const WALLET_INDEX_FORMAT_VERSION = 1;
 const WALLET_EVIDENCE_BUNDLE_FORMAT_VERSION = 2;
+const TRANSFER_PLAN_FORMAT = "tokamak-private-state-transfer-plan";
+const TRANSFER_PLAN_FORMAT_VERSION = 1;
+const TRANSFER_BATCH_FORMAT = "tokamak-private-state-transfer-batch";
+const TRANSFER_BATCH_FORMAT_VERSION = 1;
+const WALLET_HOOKS_FORMAT = "tokamak-private-state-wallet-hooks";
+const WALLET_HOOKS_FORMAT_VERSION = 1;
+const WALLET_HOOK_STATE_FORMAT = "tokamak-private-state-wallet-hook-state";
+const WALLET_HOOK_STATE_FORMAT_VERSION = 1;
+const CONTACT_BOOK_FORMAT = "tokamak-private-state-contacts";
+const CONTACT_BOOK_FORMAT_VERSION = 1;
+const L1_RECIPIENT_PREFIX = "l1:";
+const KEYSTORE_PASSPHRASE_FILE_ENV = "PRIVATE_STATE_KEYSTORE_PASSPHRASE_FILE";
+const KEYSTORE_SECRET_FIELDS = Object.freeze(["account", "wallet", "leaderAccount", "txSubmitter"]);
+const KEYSTORE_WRITE_COMMAND_IDS = Object.freeze(new Set([
+  "account-import",
+  "channel-join",
+  "wallet-recover-workspace",
+  "wallet-create-watch-only",
+  "wallet-import-viewing-key",
+  "wallet-import-spending-key",
+]));
+const DEFAULT_NOTE_CONSOLIDATION_MAX_PROOFS = 4;
+const MAX_TOKEN_AMOUNT_DECIMALS = 80;
 const WALLET_WORKSPACE_FORMAT_VERSION = 2;
 const CHANNEL_WORKSPACE_MIRROR_PROTOCOL_VERSION = 2;
 const CHANNEL_WORKSPACE_MIRROR_MANIFEST_PATH_PREFIX =
@@ -218,12 +355,15 @@ const TERMS_GATED_COMMAND_IDS = Object.freeze(new Set([
   "uninstall",
   "secret-create-private-key-source",
   "secret-create-wallet-secret-source",
+  "secret-migrate-keystore",
   "account-import",
   "account-deposit-bridge",
   "account-withdraw-bridge",
   "channel-create",
   "channel-set-workspace-mirror",
   "channel-abandon-operation",
+  "channel-admin-set-join-toll",
+  "channel-admin-set-observer",
   "channel-join",
   "channel-exit",
   "wallet-export-backup",
@@ -232,14 +372,36 @@ const TERMS_GATED_COMMAND_IDS = Object.freeze(new Set([
   "wallet-import-backup",
   "wallet-import-viewing-key",
   "wallet-import-spending-key",
+  "wallet-export-delta",
+  "wallet-apply-delta",
+  "wallet-create-watch-only",
   "wallet-recover-workspace",
   "wallet-deposit-channel",
   "wallet-withdraw-channel",
   "wallet-mint-notes",
   "wallet-redeem-notes",
   "wallet-transfer-notes",
+  "wallet-consolidate-notes",
+  "wallet-create-payment-request",
+  "wallet-pay-request",
 ]));
 let jsonOutputRequested = false;
+let activeOutputSink = null;
+let sharedJsonRpcProviders = null;
+let warmWorkspaceJsonFiles = null;
+let commandRuntimeOverrides = null;
+const injectedCommandSigners = new WeakSet();
+const DEFAULT_SERVE_PORT = 8645;
+const SERVE_MAX_REQUEST_BYTES = 1024 * 1024;
+const SERVE_RPC_ERROR_CODES = Object.freeze({
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  COMMAND_FAILED: -32000,
+  UNAUTHORIZED: -32001,
+});
 
 const CLI_ERROR_CODES = Object.freeze({
   TERMS_ACCEPTANCE_REQUIRED: "TERMS_ACCEPTANCE_REQUIRED",
@@ -254,6 +416,10 @@ const CLI_ERROR_CODES = Object.freeze({
   STALE_CHANNEL_ROOT: "STALE_CHANNEL_ROOT",
   TX_DRY_RUN_FAILED: "TX_DRY_RUN_FAILED",
   TX_SUBMIT_FAILED: "TX_SUBMIT_FAILED",
+  UNKNOWN_COMMAND: "UNKNOWN_COMMAND",
+  INVALID_PARAMS: "INVALID_PARAMS",
+  KEYSTORE_LOCKED: "KEYSTORE_LOCKED",
+  WATCH_ONLY_WALLET: "WATCH_ONLY_WALLET",
 });
 
 class PrivateStateCliError extends Error {
@@ -514,12 +680,13 @@ const COMMAND_WARNING_SUMMARIES = Object.freeze({
     display: "wallet transfer-notes",
     l1PublicEvent: "Yes. executeChannelTransaction, nullifiers, output commitments, encrypted note events, and root updates are public Ethereum mainnet data.",
     privateNoteState: "Yes. This action spends selected input notes and creates output notes.",
-    publicFields: ({ l1Address, l2Address, noteIds, amounts, channelName, channelId }) => [
+    publicFields: ({ l1Address, l2Address, noteIds, amounts, changeAmount, channelName, channelId }) => [
       `Channel: ${channelName} (${channelId})`,
       `Ethereum submitter/account: ${l1Address}`,
       `Registered channel-local address: ${l2Address}`,
       `Input note commitments: ${noteIds}`,
       `Output amounts supplied to the CLI: ${amounts}`,
+      ...(changeAmount ? [`Change output returned to the registered channel-local address: ${changeAmount}`] : []),
       "Input nullifiers, output commitments, encrypted note-delivery events, transaction hash, and root updates.",
     ],
     notPublic: [
@@ -528,6 +695,24 @@ const COMMAND_WARNING_SUMMARIES = Object.freeze({
     noteProvenance: "Public observers cannot reconstruct private note counterparty relationships or provenance from public contract state alone.",
     policy: "This action uses the channel policy snapshot accepted by the registered wallet.",
   },
+  "wallet-consolidate-notes": {
+    display: "wallet consolidate-notes",
+    l1PublicEvent: "Yes. Each merge submits executeChannelTransaction, nullifiers, output commitments, encrypted note events, and root updates as public Ethereum mainnet data.",
+    privateNoteState: "Yes. This action spends small unused notes and creates larger notes owned by the same wallet.",
+    publicFields: ({ l1Address, l2Address, noteIds, proofCount, channelName, channelId }) => [
+      `Channel: ${channelName} (${channelId})`,
+      `Ethereum submitter/account: ${l1Address}`,
+      `Registered channel-local address: ${l2Address}`,
+      `Input note commitments: ${noteIds}`,
+      `Merge transactions: ${proofCount}`,
+      "Input nullifiers, output commitments, encrypted note-delivery events, transaction hashes, and root updates.",
+    ],
+    notPublic: [
+      "That the outputs return to the same wallet, note values, and note provenance are not public by default.",
+    ],
+    noteProvenance: "Public observers see several proof-backed transfers in a row but cannot reconstruct note ownership or values from public contract state alone.",
+    policy: "This action uses the channel policy snapshot accepted by the registered wallet.",
+  },
   "wallet-redeem-notes": {
     display: "wallet redeem-notes",
     l1PublicEvent: "Yes. executeChannelTransaction, nullifier usage, accounting update, and root updates are public Ethereum mainnet data.",
@@ -989,9 +1174,459 @@ async function handleGetChannel({ args, network, provider }) {
   });
 }
 
+async function handleChannelList({ args, network, provider }) {
+  const leaderFilter = args.leader === undefined ? null : getAddress(args.leader);
+  const bridgeResources = loadBridgeResources({ chainId: network.chainId });
+  const bridgeCore = bridgeCoreContract({ bridgeResources, runner: provider });
+  const dAppManager = new Contract(
+    bridgeResources.bridgeDeployment.dAppManager,
+    bridgeResources.bridgeAbiManifest.contracts.dAppManager.abi,
+    provider,
+  );
+  const directoryPath = channelDirectoryPath(network.name);
+  const { directory, scannedFromBlock, scannedToBlock } = await scanChannelDirectory({
+    directory: readJsonIfExists(directoryPath),
+    network,
+    provider,
+    bridgeCore,
+    channelManagerInterface: new ethers.Interface(bridgeResources.bridgeAbiManifest.contracts.channelManager.abi),
+    startBlock: args.fromBlock === undefined ? null : parsePositiveIntegerOption(args.fromBlock, "--from-block"),
+  });
+  writeJson(directoryPath, directory);
+
+  const localChannelNames = new Map(listDirectoryNames(workspaceNetworkDir(workspaceRoot, network.name)).map((dirName) => {
+    const workspace = readJsonIfExists(channelWorkspaceConfigPath(channelWorkspacePath(network.name, dirName)));
+    const channelName = String(workspace?.channelName ?? dirName);
+    return [deriveChannelIdFromName(channelName).toString(), channelName];
+  }));
+  const assetDecimals = new Map();
+  const dappLabels = new Map();
+  const channels = [];
+  for (const entry of Object.values(directory.channels)) {
+    const { channelInfo, channelManager } = await loadChannelContext({
+      network,
+      runner: provider,
+      channelId: BigInt(entry.channelId),
+      bridgeResources,
+      bridgeCore,
+    });
+    const leader = getAddress(channelInfo.leader);
+    if (leaderFilter !== null && leader !== leaderFilter) {
+      continue;
+    }
+    const asset = getAddress(channelInfo.asset);
+    if (!assetDecimals.has(asset)) {
+      assetDecimals.set(asset, await fetchTokenDecimals(provider, asset));
+    }
+    if (!dappLabels.has(entry.dappId)) {
+      dappLabels.set(entry.dappId, await readDAppLabel({ dAppManager, dappId: entry.dappId }));
+    }
+    const [joinToll, policySnapshot, workspaceMirror] = await Promise.all([
+      channelManager.joinToll(),
+      readChannelPolicySnapshot({ channelManager, dappId: entry.dappId }),
+      readChannelWorkspaceMirror({ bridgeCore, channelId: entry.channelId }),
+    ]);
+    let observerUrl = null;
+    let observerError = null;
+    try {
+      observerUrl = (await readChannelObserver({ bridgeCore, channelId: entry.channelId })).trim() || null;
+    } catch (error) {
+      observerError = error.message;
+    }
+    channels.push({
+      channelId: entry.channelId,
+      channelName: localChannelNames.get(entry.channelId) ?? null,
+      leader,
+      dapp: dappLabels.get(entry.dappId),
+      manager: entry.manager,
+      bridgeTokenVault: entry.bridgeTokenVault,
+      createdAtBlock: entry.createdAtBlock,
+      createdTxHash: entry.createdTxHash,
+      joinTollBaseUnits: joinToll.toString(),
+      joinTollTokens: ethers.formatUnits(joinToll, assetDecimals.get(asset)),
+      policySnapshot,
+      observerUrl,
+      observerError,
+      workspaceMirror: workspaceMirror.trim() || null,
+      memberCount: channelMemberCount(entry),
+    });
+  }
+
+  cliOutput.result({
+    action: "channel list",
+    network: network.name,
+    bridgeCore: getAddress(bridgeResources.bridgeDeployment.bridgeCore),
+    leader: leaderFilter,
+    cachePath: directoryPath,
+    scannedFromBlock,
+    scannedToBlock,
+    channelCount: channels.length,
+    channels,
+  });
+}
+
+function channelDirectoryPath(networkName) {
+  return path.join(workspaceNetworkDir(workspaceRoot, requireNetworkName({ network: networkName })), "channel-directory.json");
+}
+
+// Membership logs cover the same range as ChannelCreated, so channels found in this pass are counted in full.
+async function scanChannelDirectory({
+  directory,
+  network,
+  provider,
+  bridgeCore,
+  channelManagerInterface,
+  startBlock = null,
+}) {
+  const bridgeCoreAddress = getAddress(await bridgeCore.getAddress());
+  const toBlock = await fetchFreshBlockNumber(provider);
+  const cached = channelDirectoryMatches(directory, {
+    chainId: network.chainId,
+    bridgeCore: bridgeCoreAddress,
+    fromBlock: startBlock,
+  });
+  const nextDirectory = cached
+    ? directory
+    : createChannelDirectory({
+      chainId: network.chainId,
+      bridgeCore: bridgeCoreAddress,
+      fromBlock: startBlock ?? await findContractDeploymentBlock(provider, bridgeCoreAddress, toBlock),
+    });
+  const fromBlock = nextDirectory.lastScannedBlock + 1;
+
+  await fetchLogsChunked(provider, {
+    address: bridgeCoreAddress,
+    topics: [bridgeCore.interface.getEvent("ChannelCreated").topicHash],
+    fromBlock,
+    toBlock,
+    collectLogs: false,
+    onProgress: createRpcLogScanProgress({ action: "channel list", label: "channel-created events" }),
+    onChunk: async ({ logs }) => {
+      for (const log of logs) {
+        const { args } = bridgeCore.interface.parseLog(log);
+        recordChannelCreated(nextDirectory, {
+          channelId: args.channelId,
+          dappId: args.dappId,
+          manager: args.manager,
+          bridgeTokenVault: args.bridgeTokenVault,
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+        });
+      }
+    },
+  });
+
+  const managers = Object.values(nextDirectory.channels).map((entry) => entry.manager);
+  if (managers.length > 0) {
+    const registeredTopic = channelManagerInterface.getEvent("ChannelTokenVaultIdentityRegistered").topicHash;
+    const exitedTopic = channelManagerInterface.getEvent("ChannelTokenVaultIdentityExited").topicHash;
+    await fetchLogsChunked(provider, {
+      address: managers,
+      topics: [[registeredTopic, exitedTopic]],
+      fromBlock,
+      toBlock,
+      collectLogs: false,
+      onProgress: createRpcLogScanProgress({ action: "channel list", label: "channel membership events" }),
+      onChunk: async ({ logs }) => {
+        recordChannelMembershipLogs(nextDirectory, { logs, channelManagerInterface });
+      },
+    });
+  }
+
+  nextDirectory.lastScannedBlock = Math.max(nextDirectory.lastScannedBlock, toBlock);
+  return { directory: nextDirectory, scannedFromBlock: fromBlock, scannedToBlock: toBlock };
+}
+
+// The bridge deployment artifacts carry no deployment block, so the first scan starts where BridgeCore code first exists.
+async function findContractDeploymentBlock(provider, address, latestBlock) {
+  let low = 0;
+  let high = latestBlock;
+  try {
+    expect(await provider.getCode(address, high) !== "0x", `No contract code at ${address} on block ${high}.`);
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (await provider.getCode(address, middle) === "0x") {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+  } catch (error) {
+    throw new Error(
+      `Unable to locate the BridgeCore deployment block for ${address}. The RPC endpoint must serve historical eth_getCode.`,
+      { cause: error },
+    );
+  }
+  return low;
+}
+
+async function readDAppLabel({ dAppManager, dappId }) {
+  const info = await dAppManager.getDAppInfo(dappId);
+  const labelHash = normalizeBytes32Hex(info.labelHash);
+  const knownLabelHash = normalizeBytes32Hex(keccak256(ethers.toUtf8Bytes(PRIVATE_STATE_DAPP_LABEL)));
+  return {
+    dappId,
+    label: labelHash === knownLabelHash ? PRIVATE_STATE_DAPP_LABEL : null,
+    labelHash,
+  };
+}
+
+async function handleGetChannelMembers({ args, network, provider }) {
+  const channelName = requireArg(args.channelName, "--channel-name");
+  const pagination = parseChannelMemberPage(args);
+  const { bridgeResources, channelId, channelInfo, channelManager } = await loadChannelContext({
+    channelName,
+    network,
+    runner: provider,
+  });
+  const bridgeTokenVault = new Contract(
+    channelInfo.bridgeTokenVault,
+    bridgeResources.bridgeAbiManifest.contracts.bridgeTokenVault.abi,
+    provider,
+  );
+  const [genesisBlockNumber, canonicalAssetDecimals] = await Promise.all([
+    channelManager.genesisBlockNumber(),
+    fetchTokenDecimals(provider, getAddress(channelInfo.asset)),
+  ]);
+  const registeredTopic = channelManager.interface.getEvent("ChannelTokenVaultIdentityRegistered").topicHash;
+  const exitedTopic = channelManager.interface.getEvent("ChannelTokenVaultIdentityExited").topicHash;
+  const refundedTopic = bridgeTokenVault.interface.getEvent("ChannelExitRefunded").topicHash;
+  const managerAddress = getAddress(channelInfo.manager);
+  const registeredEvents = [];
+  const exitedEvents = [];
+  const refundEvents = [];
+  const toBlock = await fetchFreshBlockNumber(provider);
+
+  await fetchLogsChunked(provider, {
+    address: [managerAddress, getAddress(channelInfo.bridgeTokenVault)],
+    topics: [[registeredTopic, exitedTopic, refundedTopic]],
+    fromBlock: Number(genesisBlockNumber),
+    toBlock,
+    collectLogs: false,
+    onProgress: createRpcLogScanProgress({ action: "channel get-members", label: "channel membership events" }),
+    onChunk: async ({ logs }) => {
+      for (const log of logs) {
+        const topic = normalizeBytes32Hex(log.topics[0]);
+        const position = {
+          blockNumber: Number(log.blockNumber),
+          logIndex: Number(log.index ?? log.logIndex),
+          transactionHash: log.transactionHash,
+        };
+        if (topic === normalizeBytes32Hex(refundedTopic)) {
+          const { args: refund } = bridgeTokenVault.interface.parseLog(log);
+          if (refund.channelId === channelId) {
+            refundEvents.push({ ...position, user: refund.user, amount: refund.amount, refundBps: refund.refundBps });
+          }
+          continue;
+        }
+        if (getAddress(log.address) !== managerAddress) {
+          continue;
+        }
+        const { args: event } = channelManager.interface.parseLog(log);
+        if (topic === normalizeBytes32Hex(registeredTopic)) {
+          registeredEvents.push({
+            ...position,
+            l1Address: event.l1Address,
+            l2Address: event.l2Address,
+            leafIndex: event.leafIndex,
+            joinTollPaid: event.joinTollPaid,
+            joinedAt: event.joinedAt,
+          });
+        } else {
+          exitedEvents.push({ ...position, l1Address: event.l1Address, leafIndex: event.leafIndex });
+        }
+      }
+    },
+  });
+
+  const members = buildChannelMemberRegistry({ registeredEvents, exitedEvents, refundEvents }).map((member) => ({
+    ...member,
+    joinTollPaid: ethers.formatUnits(member.joinTollPaid, canonicalAssetDecimals),
+    refundPaid: member.refundPaid === null ? null : ethers.formatUnits(member.refundPaid, canonicalAssetDecimals),
+  }));
+  const memberPage = paginateChannelMembers(members, pagination);
+  let outputPath = null;
+  if (args.output !== undefined) {
+    outputPath = path.resolve(String(args.output));
+    const format = channelMemberExportFormat(outputPath);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(
+      outputPath,
+      format === "csv" ? formatChannelMembersCsv(members) : `${JSON.stringify(members, null, 2)}\n`,
+    );
+  }
+
+  cliOutput.result({
+    action: "channel get-members",
+    channelName,
+    channelId: channelId.toString(),
+    manager: managerAddress,
+    scannedFromBlock: Number(genesisBlockNumber),
+    scannedToBlock: toBlock,
+    totalMembers: members.length,
+    currentMembers: members.filter((member) => member.status === "member").length,
+    output: outputPath,
+    ...memberPage,
+  });
+}
+
+function requireChannelLeaderSigner({ signer, channelInfo, action }) {
+  expect(
+    ethers.toBigInt(getAddress(signer.address)) === ethers.toBigInt(getAddress(channelInfo.leader)),
+    `Only the channel leader ${getAddress(channelInfo.leader)} can run ${action}; --leader-account is ${getAddress(signer.address)}.`,
+  );
+}
+
+async function submitChannelAdminTransaction({ action, signer, channelName, channelId, channelInfo, channelManager, call }) {
+  requireChannelLeaderSigner({ signer, channelInfo, action });
+  printImmutableChannelPolicyWarning({
+    action,
+    channelName,
+    channelId,
+    channelManager: getAddress(channelInfo.manager),
+    policySnapshot: await readChannelPolicySnapshot({ channelManager, dappId: Number(channelInfo.dappId) }),
+  });
+  return await dryRunThenSubmitTransaction({ operationName: action, call });
+}
+
+async function handleChannelAdminSetJoinToll({ args, network, provider }) {
+  const channelName = requireArg(args.channelName, "--channel-name");
+  const { signer, account: leaderAccount } = await requireLeaderSigner(args, provider);
+  const { bridgeResources, channelId, channelInfo, channelManager } = await loadChannelContext({
+    channelName,
+    network,
+    runner: signer,
+  });
+  const canonicalAssetDecimals = await fetchTokenDecimals(provider, getAddress(channelInfo.asset));
+  const joinToll = parseTokenAmount(requireArg(args.joinToll, "--join-toll"), canonicalAssetDecimals);
+  const previousJoinToll = await channelManager.joinToll();
+
+  const receipt = await submitChannelAdminTransaction({
+    action: "channel admin set-join-toll",
+    signer,
+    channelName,
+    channelId,
+    channelInfo,
+    channelManager,
+    call: contractTxCall(channelManager.setJoinToll, [joinToll], undefined, channelManager.interface),
+  });
+  const currentJoinToll = await channelManager.joinToll();
+
+  cliOutput.result({
+    action: "channel admin set-join-toll",
+    channelName,
+    channelId: channelId.toString(),
+    leader: getAddress(signer.address),
+    leaderAccount,
+    manager: getAddress(channelInfo.manager),
+    previousJoinTollBaseUnits: previousJoinToll.toString(),
+    previousJoinTollTokens: ethers.formatUnits(previousJoinToll, canonicalAssetDecimals),
+    joinTollBaseUnits: currentJoinToll.toString(),
+    joinTollTokens: ethers.formatUnits(currentJoinToll, canonicalAssetDecimals),
+    bridgeCore: getAddress(bridgeResources.bridgeDeployment.bridgeCore),
+    gasUsed: receiptGasUsed(receipt),
+    txUrl: explorerTxUrl(network, receipt.hash),
+    receipt: sanitizeReceipt(receipt),
+  });
+}
+
+async function handleChannelAdminSetObserver({ args, network, provider }) {
+  const channelName = requireArg(args.channelName, "--channel-name");
+  const url = requireHttpUrl(args.url);
+  const { signer, account: leaderAccount } = await requireLeaderSigner(args, provider);
+  const { bridgeResources, bridgeCore, channelId, channelInfo, channelManager } = await loadChannelContext({
+    channelName,
+    network,
+    runner: signer,
+  });
+  requireBridgeCoreAbiFunction(bridgeCore, "setChannelObserver");
+  const previousUrl = await readChannelObserver({ bridgeCore, channelId });
+
+  const receipt = await submitChannelAdminTransaction({
+    action: "channel admin set-observer",
+    signer,
+    channelName,
+    channelId,
+    channelInfo,
+    channelManager,
+    call: contractTxCall(bridgeCore.setChannelObserver, [channelId, url], undefined, bridgeCore.interface),
+  });
+  const currentUrl = await readChannelObserver({ bridgeCore, channelId });
+
+  cliOutput.result({
+    action: "channel admin set-observer",
+    channelName,
+    channelId: channelId.toString(),
+    leader: getAddress(signer.address),
+    leaderAccount,
+    previousUrl: previousUrl.trim() || null,
+    url: currentUrl,
+    bridgeCore: getAddress(bridgeResources.bridgeDeployment.bridgeCore),
+    gasUsed: receiptGasUsed(receipt),
+    txUrl: explorerTxUrl(network, receipt.hash),
+    receipt: sanitizeReceipt(receipt),
+  });
+}
+
+async function handleChannelAdminShowPolicy({ args, network, provider }) {
+  const channelName = requireArg(args.channelName, "--channel-name");
+  const { bridgeResources, channelId, channelInfo, channelManager } = await loadChannelContext({
+    channelName,
+    network,
+    runner: provider,
+  });
+  const dAppManager = new Contract(
+    bridgeResources.bridgeDeployment.dAppManager,
+    bridgeResources.bridgeAbiManifest.contracts.dAppManager.abi,
+    provider,
+  );
+  const [policySnapshot, dapp, managedStorageAddresses] = await Promise.all([
+    readChannelPolicySnapshot({ channelManager, dappId: Number(channelInfo.dappId) }),
+    readDAppLabel({ dAppManager, dappId: Number(channelInfo.dappId) }),
+    channelManager.getManagedStorageAddresses(),
+  ]);
+
+  cliOutput.result({
+    action: "channel admin show-policy",
+    channelName,
+    channelId: channelId.toString(),
+    leader: getAddress(channelInfo.leader),
+    manager: getAddress(channelInfo.manager),
+    dapp,
+    policySnapshot,
+    managedStorageAddresses: normalizedAddressVector(managedStorageAddresses),
+    immutable: true,
+  });
+}
+
+async function handleChannelAdminShowRefundSchedule({ args, network, provider }) {
+  const channelName = requireArg(args.channelName, "--channel-name");
+  const { channelId, channelInfo, channelManager } = await loadChannelContext({
+    channelName,
+    network,
+    runner: provider,
+  });
+  const [canonicalAssetDecimals, joinToll, refundSchedule] = await Promise.all([
+    fetchTokenDecimals(provider, getAddress(channelInfo.asset)),
+    channelManager.joinToll(),
+    readChannelRefundSchedule(channelManager),
+  ]);
+
+  cliOutput.result({
+    action: "channel admin show-refund-schedule",
+    channelName,
+    channelId: channelId.toString(),
+    leader: getAddress(channelInfo.leader),
+    manager: getAddress(channelInfo.manager),
+    joinTollBaseUnits: joinToll.toString(),
+    joinTollTokens: ethers.formatUnits(joinToll, canonicalAssetDecimals),
+    refundSchedule,
+  });
+}
+
 async function handleSetChannelWorkspaceMirror({ args, network, provider }) {
   const channelName = requireArg(args.channelName, "--channel-name");
-  const url = requireWorkspaceMirrorUrl(args.url);
+  const url = requireHttpUrl(args.url);
   const signer = await requireL1Signer(args, provider);
   const bridgeResources = loadBridgeResources({ chainId: network.chainId });
   const bridgeCore = new Contract(
@@ -1112,7 +1747,7 @@ async function publishChannelWorkspaceMirrorFromRecoveredWorkspace({
 }) {
   const outputRoot = path.resolve(String(requireArg(args.output, "--output")));
   const force = args.force === true;
-  const { signer, account: leaderAccount } = requireLeaderSigner(args, provider);
+  const { signer, account: leaderAccount } = await requireLeaderSigner(args, provider);
   const { bridgeDeployment, bridgeAbiManifest } = bridgeResources;
   const bridgeCore = new Contract(
     bridgeDeployment.bridgeCore,
@@ -1294,7 +1929,7 @@ function resolveWorkspaceRecoverySource(args) {
   return source;
 }
 
-function requireWorkspaceMirrorUrl(value) {
+function requireHttpUrl(value) {
   const url = String(requireArg(value, "--url")).trim();
   try {
     const parsed = new URL(url);
@@ -2602,6 +3237,9 @@ async function handleRecoverWallet({ args, network, provider, rpcUrl }) {
       walletDir,
     })
     : null;
+  if (existingWallet && recoveredSpendingIdentity) {
+    requireWalletNotWatchOnly(existingWallet);
+  }
   const status = existingWallet ? "already-recovered" : "recovered";
   const walletContext = existingWallet ?? ensureWallet({
     channelContext: context,
@@ -2675,6 +3313,117 @@ async function handleRecoverWallet({ args, network, provider, rpcUrl }) {
   });
 }
 
+async function handleCreateWatchOnlyWallet({ args, provider, rpcUrl }) {
+  const networkName = requireNetworkName(args);
+  const inputPath = path.resolve(String(requireArg(args.input, "--input")));
+  expect(fs.existsSync(inputPath), `Viewing key file does not exist: ${inputPath}.`);
+  const payload = JSON.parse(readImportSecretSourceFile(inputPath, "--input"));
+  validateWalletKeyPayload(payload, "viewing");
+  const { metadata } = payload;
+  expect(
+    metadata.network === networkName,
+    `The viewing key belongs to network ${metadata.network}, but the command requested --network ${networkName}.`,
+  );
+  const noteReceivePrivateKey = normalizePrivateKey(payload.privateKey);
+  const noteReceivePubKey = noteReceivePubKeyFromPrivateKey(noteReceivePrivateKey);
+  expect(
+    walletViewingKeyMatchesWallet(metadata, {
+      noteReceivePubKeyX: noteReceivePubKey.x,
+      noteReceivePubKeyYParity: noteReceivePubKey.yParity,
+    }),
+    "The viewing key does not match the note-receive public key in its own metadata.",
+  );
+  const channelName = requireArg(metadata.channelName, "viewing key metadata channelName");
+  const l1Address = getAddress(metadata.l1Address);
+  const walletName = walletNameForChannelAndAddress(channelName, l1Address);
+  expect(
+    !fs.existsSync(walletRootPath(walletName, networkName)),
+    `Wallet ${walletName} already exists on ${networkName}. Import the viewing key into it with wallet import viewing-key instead.`,
+  );
+  const channelContextResult = await loadFreshChannelWorkspaceContextResult({
+    channelName,
+    networkName,
+    provider,
+    progressAction: "wallet create-watch-only",
+  });
+  const context = channelContextResult.context;
+  expect(
+    ethers.toBigInt(context.workspace.channelId) === ethers.toBigInt(metadata.channelId),
+    `The viewing key is for channel id ${metadata.channelId}, but ${channelName} has channel id ${context.workspace.channelId}.`,
+  );
+  const registration = await context.channelManager.getChannelTokenVaultRegistration(l1Address);
+  const recoveryEventScan = await scanWalletRecoveryEvents({
+    context,
+    provider,
+    l1Address,
+    toBlock: walletNoteReceiveTargetBlock(context),
+    progressAction: "wallet create-watch-only",
+  });
+  const lifecycleEpoch = selectWalletLifecycleEpoch({
+    epochs: recoveryEventScan.lifecycleEpochs,
+    registration,
+  });
+  expect(
+    lifecycleEpoch,
+    cliError(
+      CLI_ERROR_CODES.MISSING_CHANNEL_REGISTRATION,
+      `No channelTokenVault registration history exists for ${l1Address} in ${channelName}.`,
+    ),
+  );
+  expect(
+    ethers.toBigInt(normalizeBytes32Hex(lifecycleEpoch.noteReceivePubKey.x))
+      === ethers.toBigInt(normalizeBytes32Hex(noteReceivePubKey.x))
+      && Number(lifecycleEpoch.noteReceivePubKey.yParity) === Number(noteReceivePubKey.yParity),
+    `The viewing key does not match the note-receive public key registered on-chain for ${l1Address}.`,
+  );
+  const l2Address = getAddress(lifecycleEpoch.l2Address);
+  const storageKey = normalizeBytes32Hex(lifecycleEpoch.channelTokenVaultKey);
+  const walletContext = ensureWallet({
+    channelContext: context,
+    signerAddress: l1Address,
+    l2Identity: { l2PrivateKey: null, l2PublicKey: null, l2Address },
+    storageKey,
+    leafIndex: lifecycleEpoch.leafIndex,
+    noteReceiveKeyMaterial: { privateKey: noteReceivePrivateKey, noteReceivePubKey },
+    lifecycleEpoch,
+    rpcUrl,
+    watchOnly: true,
+  });
+  const recoveredDeliveryState = await recoverDeliveredNotesFromCollectedLogs({
+    walletContext,
+    context,
+    noteReceivePrivateKey,
+    logs: recoveryEventScan.deliveryLogs,
+    storageObservationLogs: recoveryEventScan.storageObservationLogs,
+    scanStartBlock: walletNoteReceiveCursorDelta({
+      walletContext,
+      context,
+      targetNextBlock: recoveryEventScan.scanRange.toBlock + 1,
+    }).localNextBlock,
+    latestBlock: recoveryEventScan.scanRange.toBlock,
+  });
+
+  cliOutput.result({
+    action: "wallet create-watch-only",
+    wallet: walletName,
+    walletDir: walletContext.walletDir,
+    watchOnly: true,
+    input: inputPath,
+    network: networkName,
+    channelName,
+    channelId: context.workspace.channelId,
+    l1Address,
+    l2Address,
+    l2StorageKey: storageKey,
+    epochId: lifecycleEpoch.epochId,
+    lifecycleStatus: lifecycleEpoch.lifecycleStatus,
+    recoveredFromLogs: recoveredDeliveryState.importedNotes,
+    scannedDeliveryLogs: recoveredDeliveryState.scannedLogs,
+    noteReceiveScanRange: recoveredDeliveryState.scanRange,
+    nextCommand: `wallet get-notes --wallet ${walletName} --network ${networkName}`,
+  });
+}
+
 async function deriveRecoverWalletSpendingIdentity({
   args,
   signer,
@@ -4425,7 +5174,15 @@ function shellQuotePath(filePath) {
   return `'${value.replace(/'/g, "'\\''")}'`;
 }
 
-function handleAccountImport({ args }) {
+async function handleAccountImport({ args }) {
+  if (args.hardwareWallet !== undefined) {
+    await handleHardwareAccountImport({ args });
+    return;
+  }
+  if (args.remoteSigner !== undefined) {
+    await handleRemoteSignerAccountImport({ args });
+    return;
+  }
   const networkName = requireNetworkName(args);
   resolveCliNetwork(networkName);
   const account = requireAccountName(args);
@@ -4455,6 +5212,100 @@ function handleAccountImport({ args }) {
   });
 }
 
+async function handleHardwareAccountImport({ args }) {
+  const networkName = requireNetworkName(args);
+  resolveCliNetwork(networkName);
+  const account = requireAccountName(args);
+  const kind = parseHardwareWalletKind(args.hardwareWallet);
+  const hdPath = normalizeHardwareWalletPath(args.hdPath ?? undefined);
+  const privateKeyPath = accountPrivateKeyPath(networkName, account);
+  const metadataPath = accountMetadataPath(networkName, account);
+  expect(
+    !fs.existsSync(privateKeyPath) && !fs.existsSync(metadataPath),
+    `Account ${account} already exists on ${networkName}. Remove it manually before importing a different signer.`,
+  );
+  const signer = await HardwareWalletSigner.connect({
+    client: await openHardwareWalletSession(kind),
+    path: hdPath,
+  });
+  writeJsonWithMode(metadataPath, {
+    account,
+    network: networkName,
+    l1Address: signer.address,
+    hardwareWallet: {
+      kind,
+      path: hdPath,
+    },
+  }, 0o600);
+  cliOutput.result({
+    action: "account import",
+    account,
+    network: networkName,
+    l1Address: signer.address,
+    privateKeySource: L1_SIGNER_MODES.HARDWARE_WALLET,
+    hardwareWallet: kind,
+    hdPath,
+  });
+}
+
+async function handleRemoteSignerAccountImport({ args }) {
+  const networkName = requireNetworkName(args);
+  resolveCliNetwork(networkName);
+  const account = requireAccountName(args);
+  const l1Address = getAddress(String(args.remoteSigner));
+  const privateKeyPath = accountPrivateKeyPath(networkName, account);
+  const metadataPath = accountMetadataPath(networkName, account);
+  expect(
+    !fs.existsSync(privateKeyPath) && !fs.existsSync(metadataPath),
+    `Account ${account} already exists on ${networkName}. Remove it manually before importing a different signer.`,
+  );
+  const signer = await connectSignerAccount({ network: networkName, l1Address, remoteSigner: true }, null);
+  writeJsonWithMode(metadataPath, {
+    account,
+    network: networkName,
+    l1Address: signer.address,
+    remoteSigner: true,
+  }, 0o600);
+  cliOutput.result({
+    action: "account import",
+    account,
+    network: networkName,
+    l1Address: signer.address,
+    privateKeySource: L1_SIGNER_MODES.REMOTE_SIGNER,
+    remoteSignerUrl: signer.client.url,
+  });
+}
+
+async function handleAccountSetRemoteSigner({ args }) {
+  const networkName = requireNetworkName(args);
+  resolveCliNetwork(networkName);
+  const url = normalizeRemoteSignerUrl(requireArg(args.url, "--url"));
+  const allowedAddresses = parseRemoteSignerAllowlist(requireArg(args.allowedAddresses, "--allowed-addresses"));
+  const servedAddresses = await listRemoteSignerAccounts(createRemoteSignerClient({ url }));
+  const unservedAddresses = allowedAddresses.filter((address) => !servedAddresses.includes(address));
+  if (unservedAddresses.length > 0) {
+    cliOutput.warning(
+      "remote-signer-unserved-addresses",
+      `The remote signer does not currently serve: ${unservedAddresses.join(", ")}.`,
+      { unservedAddresses },
+    );
+  }
+  const configPath = remoteSignerConfigPath(networkName);
+  writeJsonWithMode(configPath, {
+    network: networkName,
+    url,
+    allowedAddresses,
+  }, 0o600);
+  cliOutput.result({
+    action: "account set-remote-signer",
+    network: networkName,
+    url,
+    allowedAddresses,
+    servedAddresses,
+    configPath,
+  });
+}
+
 function handleListLocalWallets({ args }) {
   const networkFilter = args.network ? requireNetworkName(args) : null;
   if (networkFilter) {
@@ -4477,9 +5328,15 @@ function handleListLocalWallets({ args }) {
   });
 }
 
-function handleWalletExportBackup({ args }) {
+async function handleWalletExportBackup({ args }) {
   const outputPath = path.resolve(String(requireArg(args.output, "--output")));
-  expect(!fs.existsSync(outputPath), `Export output already exists: ${outputPath}.`);
+  const shareCounts = args.shares === undefined ? null : parseBackupShareCounts(args);
+  const outputPaths = shareCounts
+    ? Array.from({ length: shareCounts.shares }, (_, index) => walletBackupSharePath(outputPath, index + 1, shareCounts.shares))
+    : [outputPath];
+  for (const candidate of outputPaths) {
+    expect(!fs.existsSync(candidate), `Export output already exists: ${candidate}.`);
+  }
   ensureDir(path.dirname(outputPath));
 
   const wallets = [resolveExportWalletInfo({
@@ -4531,12 +5388,28 @@ function handleWalletExportBackup({ args }) {
     validateBackupExportFile(filePath);
     archive.addFile(archivePath, fs.readFileSync(filePath));
   }
-  archive.writeZip(outputPath);
-  protectSecretFile(outputPath, "wallet export ZIP");
+  if (shareCounts) {
+    for (const [index, share] of sealBackupShares(archive.toBuffer(), shareCounts).entries()) {
+      const shareArchive = new AdmZip();
+      shareArchive.addFile("share.json", Buffer.from(`${JSON.stringify(share.manifest, null, 2)}\n`, "utf8"));
+      shareArchive.addFile("backup.enc", share.payload);
+      shareArchive.writeZip(outputPaths[index]);
+      protectSecretFile(outputPaths[index], "wallet backup share ZIP");
+    }
+  } else if (args.encrypt) {
+    fs.writeFileSync(outputPath, await encryptWalletExport(archive.toBuffer(), args), { mode: 0o600 });
+    protectSecretFile(outputPath, "encrypted wallet export");
+  } else {
+    archive.writeZip(outputPath);
+    protectSecretFile(outputPath, "wallet export ZIP");
+  }
 
   cliOutput.result({
     action: "wallet export backup",
-    output: outputPath,
+    ...(shareCounts
+      ? { outputs: outputPaths, shares: shareCounts.shares, threshold: shareCounts.threshold }
+      : { output: outputPath }),
+    encrypted: args.encrypt === true,
     exportMode: manifest.exportMode,
     walletCount: exportedWallets.length,
     fileCount: manifest.files.length,
@@ -4558,23 +5431,35 @@ async function handleWalletExportKey({ args, keyKind }) {
   await requireWalletKeyExportConfirmation({ keyKind, networkName });
   const payload = JSON.parse(readSecretFile(secretPath, `${keyKind} key`));
   validateWalletKeyPayload(payload, keyKind);
-  fs.writeFileSync(outputPath, `${JSON.stringify(payload, null, 2)}\n`, { mode: 0o600 });
+  const contents = Buffer.from(`${JSON.stringify(payload, null, 2)}\n`, "utf8");
+  fs.writeFileSync(outputPath, args.encrypt ? await encryptWalletExport(contents, args) : contents, { mode: 0o600 });
   protectSecretFile(outputPath, `${keyKind} key export`);
   cliOutput.result({
     action: `wallet export ${keyKind}-key`,
     wallet: wallet.walletName,
     network: networkName,
     output: outputPath,
+    encrypted: args.encrypt === true,
     keyKind,
     metadata: payload.metadata,
   });
 }
 
-function handleWalletImportBackup({ args }) {
-  const inputPath = path.resolve(String(requireArg(args.input, "--input")));
-  expect(fs.existsSync(inputPath), `Import ZIP does not exist: ${inputPath}.`);
+async function handleWalletImportBackup({ args }) {
+  const inputPaths = String(requireArg(args.input, "--input"))
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => path.resolve(entry));
+  expect(inputPaths.length > 0, "--input requires at least one backup ZIP path.");
+  for (const inputPath of inputPaths) {
+    expect(fs.existsSync(inputPath), `Import ZIP does not exist: ${inputPath}.`);
+  }
 
-  const { archive, manifest } = readWalletImportArchive(inputPath);
+  const shareInput = inputPaths.length > 1 || readWalletBackupShare(inputPaths[0]) !== null;
+  const { archive, manifest } = shareInput
+    ? await readWalletBackupShareArchive(inputPaths)
+    : await readWalletImportArchive(inputPaths[0], { args });
 
   const archiveFiles = new Set(manifest.files);
   for (const entry of archive.getEntries()) {
@@ -4607,7 +5492,7 @@ function handleWalletImportBackup({ args }) {
 
   cliOutput.result({
     action: "wallet import backup",
-    input: inputPath,
+    ...(shareInput ? { inputs: inputPaths } : { input: inputPaths[0] }),
     exportMode: manifest.exportMode,
     walletCount: manifest.wallets.length,
     fileCount: plannedWrites.length,
@@ -4616,10 +5501,13 @@ function handleWalletImportBackup({ args }) {
   });
 }
 
-function handleWalletImportKey({ args, keyKind }) {
+async function handleWalletImportKey({ args, keyKind }) {
   const inputPath = path.resolve(String(requireArg(args.input, "--input")));
   expect(fs.existsSync(inputPath), `Key import file does not exist: ${inputPath}.`);
-  const payload = JSON.parse(readImportSecretSourceFile(inputPath, "--input"));
+  const fileData = fs.readFileSync(inputPath);
+  const payload = JSON.parse(isAgeEncrypted(fileData)
+    ? (await decryptWalletImport(fileData, args)).toString("utf8")
+    : readImportSecretSourceFile(inputPath, "--input"));
   validateWalletKeyPayload(payload, keyKind);
   const metadata = payload.metadata;
   const networkName = requireNetworkName({ network: metadata.network });
@@ -4628,14 +5516,21 @@ function handleWalletImportKey({ args, keyKind }) {
     ? walletSpendingKeySecretPath(networkName, walletName)
     : walletViewingKeySecretPath(networkName, walletName);
   expect(!fs.existsSync(targetPath), `Refusing to overwrite existing ${keyKind} key: ${targetPath}.`);
-  writeSecretFile(targetPath, JSON.stringify(payload, null, 2));
   const walletRoot = walletRootPath(walletName, networkName);
   const walletIndex = fs.existsSync(walletRoot)
     ? requireWalletIndex({ walletRoot, walletName, networkName })
     : null;
   const selectedEpoch = walletIndex ? selectedWalletEpoch(walletIndex, walletName, networkName) : null;
+  const walletDir = selectedEpoch ? walletEpochPathFromRoot(walletRoot, selectedEpoch.epochId) : null;
+  expect(
+    keyKind !== "spending" || !walletDir || readJsonIfExists(walletNotesMetadataPath(walletDir))?.watchOnly !== true,
+    cliError(
+      CLI_ERROR_CODES.WATCH_ONLY_WALLET,
+      `Wallet ${walletName} is watch-only and never holds a spending key. Import the spending key on the wallet owner's machine instead.`,
+    ),
+  );
+  writeSecretFile(targetPath, JSON.stringify(payload, null, 2));
   if (selectedEpoch) {
-    const walletDir = walletEpochPathFromRoot(walletRoot, selectedEpoch.epochId);
     const metadataPath = keyKind === "spending"
       ? walletSpendingKeyMetadataPath(walletDir)
       : walletViewingKeyMetadataPath(walletDir);
@@ -4658,9 +5553,137 @@ function handleWalletImportKey({ args, keyKind }) {
   });
 }
 
-function readWalletImportArchive(inputPath) {
+function handleWalletExportDelta({ args }) {
+  const outputPath = path.resolve(String(requireArg(args.output, "--output")));
+  expect(!fs.existsSync(outputPath), `Export output already exists: ${outputPath}.`);
+  ensureDir(path.dirname(outputPath));
+  const networkName = requireNetworkName(args);
+  const walletContext = loadWallet(requireWalletName(args), networkName);
+  const { wallet } = walletContext;
+  const sinceBlock = args.sinceBlock === undefined
+    ? Number(wallet.joinedAtBlockNumber ?? 0)
+    : parsePositiveIntegerOption(args.sinceBlock, "--since-block");
+  const { delta, unencryptedNotes } = buildWalletDelta({
+    walletName: walletContext.walletName,
+    wallet,
+    network: networkName,
+    sinceBlock,
+    notes: [...Object.values(wallet.notes.unused), ...Object.values(wallet.notes.spent)]
+      .map(sanitizeTrackedNoteForPersistence),
+  });
+  validateWalletDelta(delta);
+  const forbidden = findForbiddenBackupMetadataPaths(delta);
+  expect(
+    forbidden.length === 0,
+    `wallet export-delta refuses to export plaintext note secrets or key material: ${forbidden.join(", ")}.`,
+  );
+  if (unencryptedNotes.length > 0) {
+    cliOutput.warning(
+      "wallet-delta-unencrypted-notes",
+      [
+        `${unencryptedNotes.length} changed note(s) have no encrypted note value and are left out of the delta.`,
+        "Move them with wallet export instead, or let the receiving wallet recover them from the chain.",
+      ].join(" "),
+      { commitments: unencryptedNotes.map((note) => note.commitment) },
+    );
+  }
+  writeJson(outputPath, delta);
+  protectSecretFile(outputPath, "wallet delta export");
+  cliOutput.result({
+    action: "wallet export-delta",
+    output: outputPath,
+    network: networkName,
+    wallet: walletContext.walletName,
+    sinceBlock,
+    noteReceiveLastScannedBlock: delta.noteReceiveLastScannedBlock,
+    noteCount: delta.notes.length,
+    unencryptedNoteCount: unencryptedNotes.length,
+  });
+}
+
+async function handleWalletApplyDelta({ args, provider }) {
+  const inputPath = path.resolve(String(requireArg(args.input, "--input")));
+  expect(fs.existsSync(inputPath), `Delta file does not exist: ${inputPath}.`);
+  const delta = readJson(inputPath);
+  validateWalletDelta(delta);
+  requireNetworkName({ network: delta.network });
+  requireWalletName({ wallet: delta.wallet });
+  const forbidden = findForbiddenBackupMetadataPaths(delta);
+  expect(forbidden.length === 0, `Delta file contains plaintext note secrets or key material: ${forbidden.join(", ")}.`);
+  const { wallet: walletContext } = loadUnlockedWalletWithMetadata(args);
+  const { wallet } = walletContext;
+  expect(
+    delta.network === wallet.network
+      && delta.wallet === walletContext.walletName
+      && delta.walletEpochId === wallet.walletEpochId
+      && ethers.toBigInt(getAddress(delta.l2Address)) === ethers.toBigInt(getAddress(wallet.l2Address)),
+    [
+      `Delta ${inputPath} was exported from ${delta.wallet} epoch ${delta.walletEpochId} on ${delta.network},`,
+      `not from wallet ${walletContext.walletName} epoch ${wallet.walletEpochId} on ${wallet.network}.`,
+    ].join(" "),
+  );
+  requireWalletViewingCapability(walletContext);
+  const localNextBlock = Number(wallet.noteReceiveLastScannedBlock);
+  assertWalletDeltaFollowsCursor({
+    delta,
+    walletName: walletContext.walletName,
+    noteReceiveLastScannedBlock: localNextBlock,
+  });
+
+  const deltaWallet = {
+    ...wallet,
+    notes: {
+      unused: Object.fromEntries(
+        delta.notes.filter((note) => note.status === "unused").map((note) => [note.commitment, { ...note }]),
+      ),
+      spent: Object.fromEntries(
+        delta.notes.filter((note) => note.status === "spent").map((note) => [note.nullifier, { ...note }]),
+      ),
+    },
+  };
+  hydrateWalletNotesWithViewingKey(deltaWallet);
+  const readableNotes = [...Object.values(deltaWallet.notes.unused), ...Object.values(deltaWallet.notes.spent)]
+    .filter((note) => note.value !== null);
+  const mergedNotes = mergeWalletDeltaNotes({
+    notes: walletContext.wallet.notes,
+    deltaNotes: readableNotes.map((note) => ({ ...buildImportedTrackedNote(note), status: note.status })),
+  });
+  walletContext.wallet.notes = { ...walletContext.wallet.notes, unused: mergedNotes.unused, spent: mergedNotes.spent };
+  walletContext.wallet = normalizeWallet(walletContext.wallet);
+
+  const { context } = await loadFreshWalletChannelContext({
+    walletContext,
+    provider,
+    progressAction: "wallet apply-delta",
+  });
+  const reconciledState = await reconcileWalletNotesWithBridgeState({
+    walletContext,
+    currentSnapshot: context.currentSnapshot,
+    controllerAddress: context.workspace.controller,
+  });
+  walletContext.wallet.noteReceiveLastScannedBlock = Math.max(localNextBlock, delta.noteReceiveLastScannedBlock);
+  persistWallet(walletContext);
+  await runWalletHooks({ walletContext, context });
+
+  cliOutput.result({
+    action: "wallet apply-delta",
+    input: inputPath,
+    network: wallet.network,
+    wallet: walletContext.walletName,
+    deltaNoteCount: delta.notes.length,
+    importedNoteCount: mergedNotes.imported.length,
+    updatedNoteCount: mergedNotes.updated.length,
+    unreadableNoteCount: delta.notes.length - readableNotes.length,
+    reconciledState,
+    noteReceiveLastScannedBlock: walletContext.wallet.noteReceiveLastScannedBlock,
+  });
+}
+
+async function readWalletImportArchive(inputPath, { source = inputPath, args = {} } = {}) {
+  const data = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+  const plaintext = isAgeEncrypted(data) ? await decryptWalletImport(data, args) : data;
   try {
-    const archive = new AdmZip(inputPath);
+    const archive = new AdmZip(plaintext);
     const manifestEntry = archive.getEntry("manifest.json");
     expect(manifestEntry, "Wallet import ZIP is missing manifest.json.");
     const manifest = JSON.parse(manifestEntry.getData().toString("utf8"));
@@ -4671,6 +5694,97 @@ function readWalletImportArchive(inputPath) {
   }
 }
 
+function walletBackupSharePath(outputPath, shareIndex, shareCount) {
+  const extension = path.extname(outputPath);
+  return `${outputPath.slice(0, outputPath.length - extension.length)}.share-${shareIndex}-of-${shareCount}${extension || ".zip"}`;
+}
+
+function readWalletBackupShare(inputPath) {
+  const data = fs.readFileSync(inputPath);
+  if (isAgeEncrypted(data)) {
+    return null;
+  }
+  let archive;
+  try {
+    archive = new AdmZip(data);
+  } catch (error) {
+    throw new Error(`Failed to read wallet import ZIP ${inputPath}: ${error.message}`);
+  }
+  const shareEntry = archive.getEntry("share.json");
+  if (!shareEntry) {
+    return null;
+  }
+  try {
+    const manifest = JSON.parse(shareEntry.getData().toString("utf8"));
+    validateBackupShareManifest(manifest);
+    const payloadEntry = archive.getEntry("backup.enc");
+    expect(payloadEntry, "Backup share is missing backup.enc.");
+    return { manifest, payload: payloadEntry.getData() };
+  } catch (error) {
+    throw new Error(`Failed to read wallet backup share ${inputPath}: ${error.message}`);
+  }
+}
+
+async function readWalletBackupShareArchive(inputPaths) {
+  const shares = inputPaths.map((inputPath) => {
+    const share = readWalletBackupShare(inputPath);
+    expect(share, `${inputPath} is not a backup share archive; import a full backup on its own.`);
+    return share;
+  });
+  const label = `reconstructed from ${shares.length} backup shares`;
+  const { archive, manifest } = await readWalletImportArchive(label, { source: openBackupShares(shares) });
+  for (const entry of archive.getEntries()) {
+    if (entry.isDirectory || path.posix.basename(entry.entryName) !== "wallet-notes.metadata.json") {
+      continue;
+    }
+    const forbidden = findForbiddenBackupMetadataPaths(JSON.parse(entry.getData().toString("utf8")));
+    expect(
+      forbidden.length === 0,
+      `Wallet backup ${label} contains plaintext note secrets or key material: ${forbidden.join(", ")}.`,
+    );
+  }
+  return { archive, manifest };
+}
+
+async function encryptWalletExport(data, args) {
+  return args.recipient !== undefined
+    ? encryptAge(data, { recipients: parseAgeRecipients(args.recipient) })
+    : encryptAge(data, { passphrase: await readArchivePassphrase({ passphraseFile: args.passphraseFile, confirm: true }) });
+}
+
+async function decryptWalletImport(data, args) {
+  if (ageRecipientTypes(data).includes("scrypt")) {
+    return decryptAge(data, { passphrase: await readArchivePassphrase({ passphraseFile: args.passphraseFile }) });
+  }
+  expect(
+    args.identityFile !== undefined,
+    "This file is encrypted to an age recipient key. Pass --identity-file with the matching AGE-SECRET-KEY-1... identity.",
+  );
+  const identityPath = path.resolve(String(args.identityFile));
+  return decryptAge(data, { identities: parseAgeIdentities(readImportSecretSourceFile(identityPath, "--identity-file")) });
+}
+
+async function readArchivePassphrase({ passphraseFile = null, confirm = false }) {
+  if (passphraseFile) {
+    const passphrase = readImportSecretSourceFile(path.resolve(String(passphraseFile)), "archive passphrase file");
+    expect(passphrase.length > 0, "Archive passphrase file is empty.");
+    return passphrase;
+  }
+  expect(
+    process.stdin.isTTY && process.stderr.isTTY,
+    "Encrypted wallet exports need a passphrase. Run the command in a terminal or pass --passphrase-file.",
+  );
+  const passphrase = await readMaskedTerminalSecret("Archive passphrase: ");
+  expect(passphrase.length > 0, "Archive passphrase input was empty.");
+  if (confirm) {
+    expect(
+      await readMaskedTerminalSecret("Repeat archive passphrase: ") === passphrase,
+      "Archive passphrases did not match.",
+    );
+  }
+  return passphrase;
+}
+
 function validateBackupExportFile(filePath) {
   if (path.basename(filePath) !== "wallet-notes.metadata.json") {
     return;
@@ -4688,6 +5802,7 @@ function findForbiddenBackupMetadataPaths(value, pathParts = []) {
     "owner",
     "value",
     "salt",
+    "memo",
     "l1PrivateKey",
     "l2PrivateKey",
     "noteReceivePrivateKey",
@@ -5088,12 +6203,19 @@ function inspectGuideLocalChannel({ networkName, channelName }) {
 async function inspectGuideAccount({ account, networkName, network, provider, artifactsInstalled }) {
   const privateKeyPath = accountPrivateKeyPath(networkName, account);
   const metadataPath = accountMetadataPath(networkName, account);
+  let signerAccount = null;
+  try {
+    signerAccount = readSignerAccountMetadata(networkName, account);
+  } catch {
+    signerAccount = null;
+  }
   const result = {
     account,
     network: networkName,
-    privateKeyPath,
+    privateKeyPath: signerAccount ? null : privateKeyPath,
     metadataPath,
-    exists: fs.existsSync(privateKeyPath),
+    signerMode: signerAccount ? signerAccountMode(signerAccount) : L1_SIGNER_MODES.LOCAL_ACCOUNT,
+    exists: signerAccount !== null || fs.existsSync(privateKeyPath),
     metadataExists: fs.existsSync(metadataPath),
     l1Address: null,
     bridgeBalanceBaseUnits: null,
@@ -5104,8 +6226,9 @@ async function inspectGuideAccount({ account, networkName, network, provider, ar
     return result;
   }
   try {
-    const privateKey = normalizePrivateKey(readSecretFile(privateKeyPath, "--account"));
-    const signer = new Wallet(privateKey, provider ?? undefined);
+    const signer = signerAccount
+      ? { address: signerAccount.l1Address }
+      : new Wallet(normalizePrivateKey(readSecretFile(privateKeyPath, "--account")), provider ?? undefined);
     result.l1Address = getAddress(signer.address);
     if (provider && artifactsInstalled) {
       const bridgeVaultContext = await loadBridgeVaultContext({ provider, chainId: network.chainId });
@@ -5493,7 +6616,9 @@ async function handleWalletGetMeta({ args, provider }) {
   cliOutput.result({
     action: "wallet get-meta",
     wallet: wallet.walletName,
+    watchOnly: wallet.wallet.watchOnly === true,
     ...walletLifecycleMetadata(wallet.wallet),
+    noteReceiveLastScannedBlock: wallet.wallet.noteReceiveLastScannedBlock,
     network: walletMetadata.network,
     channelName: walletMetadata.channelName,
     l1Address: signer.address,
@@ -5996,6 +7121,7 @@ async function handleJoinChannel({ args, network, provider, rpcUrl }) {
 async function handleExitChannel({ args, provider }) {
   const { wallet: walletContext, walletMetadata } = loadUnlockedWalletWithMetadata(args);
   requireActiveWalletLifecycle(walletContext, "channel exit");
+  requireWalletNotWatchOnly(walletContext);
   const { context, channelFund, contextResult } = await loadWalletChannelFundState({
     walletContext,
     provider,
@@ -6036,6 +7162,7 @@ async function handleExitChannel({ args, provider }) {
     receipt,
     provider,
   });
+  await runWalletHooks({ walletContext, context });
 
   cliOutput.result({
     action: "channel exit",
@@ -6071,6 +7198,7 @@ async function handleGrothVaultMove({ args, provider, direction }) {
   emitProgress(operationName, "loading");
   const { wallet: walletContext } = loadUnlockedWalletWithMetadata(args);
   requireActiveWalletLifecycle(walletContext, operationName);
+  requireWalletNotWatchOnly(walletContext);
   const contextResult = await loadFreshWalletChannelContext({
     walletContext,
     provider,
@@ -6376,6 +7504,7 @@ async function handleMintNotes({ args, provider }) {
   });
   const templatePayload = buildMintNotesTemplatePayload({
     wallet,
+    context: preparedContextResult.context,
     baseUnitAmounts: baseUnitAmounts.map(({ amountBaseUnits }) => amountBaseUnits),
   });
   const { execution, contextResult, walletWarnings } = await executeWalletDirectTemplateCommand({
@@ -6453,6 +7582,7 @@ async function handleRedeemNotes({ args, provider }) {
   });
   const templatePayload = buildRedeemNotesTemplatePayload({
     wallet,
+    context: preparedContextResult.context,
     inputNotes,
   });
   const { execution, contextResult, walletWarnings } = await executeWalletDirectTemplateCommand({
@@ -6586,8 +7716,609 @@ async function handleWalletGetNotes({ args, provider }) {
   });
 }
 
-async function requirePlaintextEvidenceExportConfirmation({ networkName }) {
-  if (!networkRequiresUserConsent(networkName)) {
+function walletHooksConfigPath(walletName, networkName) {
+  return path.join(walletRootPath(walletName, networkName), "hooks.json");
+}
+
+function walletHookStatePath(walletName, networkName) {
+  return path.join(walletRootPath(walletName, networkName), "hook-delivery-state.json");
+}
+
+function readWalletHooks(walletName, networkName) {
+  const configPath = walletHooksConfigPath(walletName, networkName);
+  const config = readJsonIfExists(configPath);
+  if (config === null) {
+    return [];
+  }
+  expect(
+    config.format === WALLET_HOOKS_FORMAT && Number(config.formatVersion) === WALLET_HOOKS_FORMAT_VERSION,
+    `Unsupported wallet hooks file: ${configPath}.`,
+  );
+  return config.hooks;
+}
+
+function writeWalletHooks(walletName, networkName, hooks) {
+  writeJson(walletHooksConfigPath(walletName, networkName), {
+    format: WALLET_HOOKS_FORMAT,
+    formatVersion: WALLET_HOOKS_FORMAT_VERSION,
+    hooks,
+  });
+}
+
+function walletHookNotes(walletContext) {
+  return [
+    ...Object.values(walletContext.wallet.notes.unused),
+    ...Object.values(walletContext.wallet.notes.spent),
+  ];
+}
+
+function describeWalletHookNote(note, canonicalAssetDecimals) {
+  return {
+    commitment: note.commitment,
+    nullifier: note.nullifier,
+    owner: note.owner,
+    valueBaseUnits: note.value,
+    valueTokens: note.value === null ? null : ethers.formatUnits(ethers.toBigInt(note.value), canonicalAssetDecimals),
+    createdAtTxHash: note.createdAtTxHash ?? null,
+    createdAtBlockNumber: note.createdAtBlockNumber ?? null,
+    spentAtTxHash: note.spentAtTxHash ?? null,
+    spentAtBlockNumber: note.spentAtBlockNumber ?? null,
+    counterpartyL2Address: note.counterpartyL2Address ?? null,
+  };
+}
+
+function baselineWalletHookState(walletContext) {
+  return {
+    format: WALLET_HOOK_STATE_FORMAT,
+    formatVersion: WALLET_HOOK_STATE_FORMAT_VERSION,
+    cursor: walletHookCursor({
+      notes: walletHookNotes(walletContext),
+      lifecycleStatus: walletContext.wallet.lifecycleStatus ?? "active",
+    }),
+    pending: [],
+    deliveredCount: 0,
+  };
+}
+
+function readWalletHookState(walletContext) {
+  const statePath = walletHookStatePath(walletContext.walletName, walletContext.wallet.network);
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+  const state = JSON.parse(readEncryptedWalletFile(statePath, walletOperationSealSecret(walletContext)).toString("utf8"));
+  expect(
+    state.format === WALLET_HOOK_STATE_FORMAT && Number(state.formatVersion) === WALLET_HOOK_STATE_FORMAT_VERSION,
+    `Unsupported wallet hook delivery state: ${statePath}.`,
+  );
+  return state;
+}
+
+function persistWalletHookState(walletContext, state) {
+  persistWalletOperationState(
+    walletContext,
+    walletHookStatePath(walletContext.walletName, walletContext.wallet.network),
+    state,
+  );
+}
+
+async function runWalletHooks({ walletContext, context = null }) {
+  let hooks;
+  try {
+    hooks = readWalletHooks(walletContext.walletName, walletContext.wallet.network);
+  } catch (error) {
+    cliOutput.warning("wallet-hooks-failed", `Wallet hooks did not run: ${error.message}`);
+    return null;
+  }
+  if (hooks.length === 0) {
+    return null;
+  }
+  try {
+    const state = readWalletHookState(walletContext) ?? baselineWalletHookState(walletContext);
+    const canonicalAssetDecimals = Number(walletContext.wallet.canonicalAssetDecimals);
+    const diff = diffWalletHookEvents({
+      cursor: state.cursor,
+      notes: walletHookNotes(walletContext),
+      rootVectorHash: context ? normalizeBytes32Hex(hashRootVector(context.currentSnapshot.stateRoots)) : null,
+      lifecycleStatus: walletContext.wallet.lifecycleStatus ?? "active",
+      exit: {
+        exitedAtTxHash: walletContext.wallet.exitedAtTxHash ?? null,
+        exitedAtBlockNumber: walletContext.wallet.exitedAtBlockNumber ?? null,
+      },
+      describeNote: (note) => describeWalletHookNote(note, canonicalAssetDecimals),
+    });
+    const detectedAt = new Date().toISOString();
+    const events = diff.events.map((event) => ({
+      wallet: walletContext.walletName,
+      network: walletContext.wallet.network,
+      channelName: walletContext.wallet.channelName,
+      detectedAt,
+      ...event,
+    }));
+    // Persist the cursor with its queued deliveries before sending so an interrupted run retries them.
+    state.cursor = diff.cursor;
+    state.pending = enqueueWalletHookDeliveries({ pending: state.pending, hooks, events });
+    persistWalletHookState(walletContext, state);
+    const flushed = await flushWalletHookDeliveries({ pending: state.pending, hooks });
+    state.pending = flushed.pending;
+    state.deliveredCount += flushed.delivered.length;
+    persistWalletHookState(walletContext, state);
+    for (const entry of flushed.abandoned) {
+      cliOutput.warning(
+        "wallet-hook-delivery-abandoned",
+        `Wallet hook ${entry.hookId} gave up on ${entry.event.type} event ${entry.event.id} after ${entry.attempts} attempts: ${entry.lastError}`,
+        { hookId: entry.hookId, eventId: entry.event.id, attempts: entry.attempts },
+      );
+    }
+    if (flushed.pending.length > 0) {
+      cliOutput.warning(
+        "wallet-hook-delivery-pending",
+        `${flushed.pending.length} wallet hook deliveries failed and will be retried on the next wallet sync.`,
+        { pending: flushed.pending.map(({ hookId, event, attempts, lastError }) => ({ hookId, eventId: event.id, attempts, lastError })) },
+      );
+    }
+    return {
+      events: events.length,
+      delivered: flushed.delivered.length,
+      pending: flushed.pending.length,
+      abandoned: flushed.abandoned.length,
+    };
+  } catch (error) {
+    cliOutput.warning("wallet-hooks-failed", `Wallet hooks did not run: ${error.message}`);
+    return null;
+  }
+}
+
+function handleWalletAddHook({ args }) {
+  const { wallet } = loadUnlockedWalletWithMetadata(args);
+  const hook = createWalletHook({
+    events: parseWalletHookEventTypes(args.event),
+    url: args.url ?? null,
+    exec: args.exec ?? null,
+  });
+  const hooks = [...readWalletHooks(wallet.walletName, wallet.wallet.network), hook];
+  if (readWalletHookState(wallet) === null) {
+    persistWalletHookState(wallet, baselineWalletHookState(wallet));
+  }
+  writeWalletHooks(wallet.walletName, wallet.wallet.network, hooks);
+  cliOutput.result({
+    action: "wallet add-hook",
+    wallet: wallet.walletName,
+    network: wallet.wallet.network,
+    hook,
+    hooksPath: walletHooksConfigPath(wallet.walletName, wallet.wallet.network),
+  });
+}
+
+function handleWalletListHooks({ args }) {
+  const { wallet } = loadUnlockedWalletWithMetadata(args);
+  const state = readWalletHookState(wallet);
+  const hooks = readWalletHooks(wallet.walletName, wallet.wallet.network);
+  cliOutput.result({
+    action: "wallet list-hooks",
+    wallet: wallet.walletName,
+    network: wallet.wallet.network,
+    hooks: hooks.map((hook) => ({
+      ...hook,
+      pendingDeliveries: (state?.pending ?? []).filter((entry) => entry.hookId === hook.id).length,
+    })),
+    deliveredCount: state?.deliveredCount ?? 0,
+  });
+}
+
+function handleWalletRemoveHook({ args }) {
+  const { wallet } = loadUnlockedWalletWithMetadata(args);
+  const hookId = String(requireArg(args.hookId, "--hook-id"));
+  const hooks = readWalletHooks(wallet.walletName, wallet.wallet.network);
+  expect(hooks.some((hook) => hook.id === hookId), `Wallet ${wallet.walletName} has no hook ${hookId}.`);
+  writeWalletHooks(wallet.walletName, wallet.wallet.network, hooks.filter((hook) => hook.id !== hookId));
+  const state = readWalletHookState(wallet);
+  if (state !== null) {
+    state.pending = state.pending.filter((entry) => entry.hookId !== hookId);
+    persistWalletHookState(wallet, state);
+  }
+  cliOutput.result({
+    action: "wallet remove-hook",
+    wallet: wallet.walletName,
+    network: wallet.wallet.network,
+    removedHookId: hookId,
+  });
+}
+
+function contactBookPath(networkName, channelName) {
+  return path.join(channelWorkspacePath(requireNetworkName({ network: networkName }), channelName), "contacts.json");
+}
+
+function readContactBook(networkName, channelName) {
+  const bookPath = contactBookPath(networkName, channelName);
+  const book = readJsonIfExists(bookPath);
+  if (book === null) {
+    return {};
+  }
+  expect(
+    book.format === CONTACT_BOOK_FORMAT && Number(book.formatVersion) === CONTACT_BOOK_FORMAT_VERSION,
+    `Unsupported contacts file: ${bookPath}.`,
+  );
+  return book.contacts;
+}
+
+function writeContactBook(networkName, channelName, contacts) {
+  writeJson(contactBookPath(networkName, channelName), {
+    format: CONTACT_BOOK_FORMAT,
+    formatVersion: CONTACT_BOOK_FORMAT_VERSION,
+    network: networkName,
+    channelName,
+    contacts,
+  });
+}
+
+async function readL2AddressRegistration(channelManager, l2Address) {
+  const [registration, noteReceivePubKey] = await Promise.all([
+    channelManager.getChannelTokenVaultRegistrationByL2Address(l2Address),
+    channelManager.getNoteReceivePubKeyByL2Address(l2Address),
+  ]);
+  return { registration, noteReceivePubKey };
+}
+
+async function refreshContactRegistrations(channelManager, contacts, names = Object.keys(contacts)) {
+  let changed = false;
+  for (const name of names) {
+    const contact = contacts[name];
+    if (contact.exitedAt !== null) {
+      continue;
+    }
+    const status = contactRegistrationStatus(contact, await readL2AddressRegistration(channelManager, contact.l2Address));
+    if (status !== "registered") {
+      contact.exitedAt = new Date().toISOString();
+      changed = true;
+    } else {
+      contact.verifiedAt = new Date().toISOString();
+    }
+  }
+  return changed;
+}
+
+function contactOutput(contact) {
+  return { ...contact, status: contact.exitedAt === null ? "registered" : "exited" };
+}
+
+async function handleContactsAdd({ args, network, provider }) {
+  const channelName = requireArg(args.channelName, "--channel-name");
+  const name = normalizeContactName(requireArg(args.name, "--name"));
+  const l2Address = getAddress(requireArg(args.address, "--address"));
+  const contacts = readContactBook(network.name, channelName);
+  expect(
+    contacts[name] === undefined,
+    `Contact @${name} already exists in ${channelName}. Remove it first with contacts remove.`,
+  );
+  const { channelManager } = await loadChannelContext({ network, runner: provider, channelName });
+  const { registration, noteReceivePubKey } = await readL2AddressRegistration(channelManager, l2Address);
+  expect(
+    registration.exists,
+    `${l2Address} is not a registered channel-local address in ${channelName}. Check the address with its owner.`,
+  );
+  assertRegisteredNoteReceivePubKey(noteReceivePubKey, l2Address);
+  const contact = createContact({ name, l2Address, registration, noteReceivePubKey });
+  const sameAddress = Object.values(contacts).find((entry) => entry.l2Address === l2Address && entry.exitedAt === null);
+  if (sameAddress) {
+    cliOutput.warning(
+      "contact-duplicate-address",
+      `${l2Address} is already saved as @${sameAddress.name}.`,
+    );
+  }
+  writeContactBook(network.name, channelName, { ...contacts, [name]: contact });
+  cliOutput.result({
+    action: "contacts add",
+    network: network.name,
+    channelName,
+    contact: contactOutput(contact),
+    contactsPath: contactBookPath(network.name, channelName),
+  });
+}
+
+async function handleContactsList({ args, network, provider }) {
+  const channelName = requireArg(args.channelName, "--channel-name");
+  const contacts = readContactBook(network.name, channelName);
+  if (Object.keys(contacts).length > 0) {
+    const { channelManager } = await loadChannelContext({ network, runner: provider, channelName });
+    await refreshContactRegistrations(channelManager, contacts);
+    writeContactBook(network.name, channelName, contacts);
+  }
+  const entries = Object.values(contacts).sort((left, right) => left.name.localeCompare(right.name));
+  const exited = entries.filter((contact) => contact.exitedAt !== null);
+  if (exited.length > 0) {
+    cliOutput.warning(
+      "contact-exited",
+      `${exited.map((contact) => `@${contact.name}`).join(", ")} exited ${channelName} and can no longer receive notes.`,
+    );
+  }
+  cliOutput.result({
+    action: "contacts list",
+    network: network.name,
+    channelName,
+    contacts: entries.map(contactOutput),
+  });
+}
+
+function handleContactsRemove({ args }) {
+  const networkName = requireNetworkName(args);
+  const channelName = requireArg(args.channelName, "--channel-name");
+  const name = normalizeContactName(requireArg(args.name, "--name"));
+  const { [name]: removed, ...contacts } = readContactBook(networkName, channelName);
+  expect(removed, `Unknown contact @${name} in ${channelName}.`);
+  writeContactBook(networkName, channelName, contacts);
+  cliOutput.result({
+    action: "contacts remove",
+    network: networkName,
+    channelName,
+    removed: contactOutput(removed),
+  });
+}
+
+// Re-verified on every transfer so an exit since the last contacts list still stops it.
+async function resolveTransferRecipients({ walletContext, context, recipients }) {
+  let resolved = recipients;
+  if (recipients.some(isContactReference)) {
+    const { network: networkName, channelName } = walletContext.wallet;
+    const contacts = readContactBook(networkName, channelName);
+    const names = [...new Set(recipients.filter(isContactReference).map(normalizeContactName))]
+      .filter((name) => contacts[name] !== undefined);
+    if (await refreshContactRegistrations(context.channelManager, contacts, names)) {
+      writeContactBook(networkName, channelName, contacts);
+    }
+    resolved = resolveContactRecipients(recipients, contacts);
+  }
+  return await Promise.all(resolved.map((recipient) => (
+    isL1RecipientReference(recipient)
+      ? resolveL1Recipient({ context, l1Address: recipient.slice(L1_RECIPIENT_PREFIX.length) })
+        .then(({ l2Address }) => l2Address)
+      : recipient
+  )));
+}
+
+function isL1RecipientReference(value) {
+  return typeof value === "string" && value.toLowerCase().startsWith(L1_RECIPIENT_PREFIX);
+}
+
+async function resolveL1Recipient({ context, l1Address }) {
+  const registration = await context.channelManager.getChannelTokenVaultRegistration(l1Address);
+  expect(
+    registration.exists,
+    cliError(
+      CLI_ERROR_CODES.MISSING_CHANNEL_REGISTRATION,
+      `L1 address ${l1Address} has not joined channel ${context.workspace.channelName}, so it has no channel-local address to receive notes.`,
+    ),
+  );
+  assertRegisteredNoteReceivePubKey(registration.noteReceivePubKey, `${L1_RECIPIENT_PREFIX}${l1Address}`);
+  return {
+    l2Address: getAddress(registration.l2Address),
+    noteReceivePubKey: {
+      x: normalizeBytes32Hex(registration.noteReceivePubKey.x),
+      yParity: Number(registration.noteReceivePubKey.yParity),
+    },
+  };
+}
+
+// Run by both the payee and the payer so a stale or tampered request cannot name a key the recipient does not hold.
+async function assertPaymentRequestRegistration(channelManager, request) {
+  const { registration, noteReceivePubKey } = await readL2AddressRegistration(channelManager, request.recipient);
+  expect(
+    registration.exists,
+    cliError(
+      CLI_ERROR_CODES.MISSING_CHANNEL_REGISTRATION,
+      `Payment request recipient ${request.recipient} is not registered in channel ${request.channelName}.`,
+    ),
+  );
+  assertRegisteredNoteReceivePubKey(noteReceivePubKey, request.recipient);
+  expect(
+    ethers.toBigInt(normalizeBytes32Hex(noteReceivePubKey.x)) === ethers.toBigInt(request.noteReceivePubKey.x)
+      && Number(noteReceivePubKey.yParity) === request.noteReceivePubKey.yParity,
+    `Payment request note-receive public key does not match the key registered for ${request.recipient}. Do not pay this request.`,
+  );
+}
+
+async function handleWalletCreatePaymentRequest({ args, network, provider }) {
+  const { wallet } = loadUnlockedWalletWithMetadata(args);
+  requireActiveWalletLifecycle(wallet, "wallet create-payment-request");
+  const canonicalAssetDecimals = Number(wallet.wallet.canonicalAssetDecimals);
+  const amountBaseUnits = parseTokenAmount(requireArg(args.amount, "--amount"), canonicalAssetDecimals);
+  expect(amountBaseUnits > 0n, "--amount must be greater than zero.");
+  const request = {
+    network: network.name,
+    channelName: wallet.wallet.channelName,
+    recipient: getAddress(wallet.wallet.l2Address),
+    noteReceivePubKey: walletNoteReceivePubKey(wallet),
+    amount: ethers.formatUnits(amountBaseUnits, canonicalAssetDecimals),
+    reference: args.reference === undefined ? null : normalizePaymentRequestReference(args.reference),
+  };
+  const { channelManager } = await loadChannelContext({
+    network,
+    runner: provider,
+    channelName: request.channelName,
+  });
+  await assertPaymentRequestRegistration(channelManager, request);
+  const uri = encodePaymentRequestUri(request);
+  cliOutput.result({
+    action: "wallet create-payment-request",
+    wallet: wallet.walletName,
+    ...request,
+    amountBaseUnits: amountBaseUnits.toString(),
+    uri,
+    qrPayload: uri,
+  });
+}
+
+async function handleWalletPayRequest({ args, provider }) {
+  const request = parsePaymentRequestUri(requireArg(args.request, "--request"));
+  const networkName = requireNetworkName(args);
+  expect(
+    request.network === networkName,
+    `Payment request is for network ${request.network}, but --network is ${networkName}.`,
+  );
+  const walletName = requireWalletName(args);
+  const { channelName } = parseWalletName(walletName);
+  expect(
+    request.channelName === channelName,
+    `Payment request is for channel ${request.channelName}, but wallet ${walletName} belongs to ${channelName}.`,
+  );
+  cliOutput.note(
+    "payment-request",
+    `Paying ${request.amount} to ${request.recipient} in ${request.channelName}${request.reference === null ? "" : ` for ${request.reference}`}.`,
+    request,
+  );
+  const { request: _request, ...transferArgs } = args;
+  await handleTransferNotes({
+    args: {
+      ...transferArgs,
+      recipients: JSON.stringify([request.recipient]),
+      amounts: JSON.stringify([request.amount]),
+      ...(request.reference === null ? {} : { memos: JSON.stringify([request.reference]) }),
+    },
+    provider,
+    paymentRequest: request,
+  });
+}
+
+function walletNoteStatusIndex(walletContext) {
+  return new Map([
+    ...Object.values(walletContext.wallet.notes.unused).map((note) => [note.commitment, note]),
+    ...Object.values(walletContext.wallet.notes.spent).map((note) => [note.commitment, note]),
+  ]);
+}
+
+async function pollWalletWatch({ wallet, provider, knownNotes, blockNumber, catchUp }) {
+  const contextResult = await loadFreshWalletChannelContext({ walletContext: wallet, provider });
+  const context = contextResult.context;
+  if (catchUp) {
+    await ensureWalletNoteReceiveStateCurrent({
+      walletContext: wallet,
+      context,
+      provider,
+      preConsumedBlockDelta: contextResult.autoRecoveryBlockDelta,
+    });
+  } else {
+    await recoverDeliveredNotesFromEventLogs({
+      walletContext: wallet,
+      context,
+      provider,
+      noteReceivePrivateKey: wallet.wallet.noteReceivePrivateKey,
+      toBlock: blockNumber,
+    });
+    await runWalletHooks({ walletContext: wallet, context });
+  }
+  const canonicalAssetDecimals = Number(wallet.wallet.canonicalAssetDecimals);
+  const nextNotes = walletNoteStatusIndex(wallet);
+  const changes = [];
+  for (const [commitment, note] of nextNotes) {
+    const previous = knownNotes.get(commitment);
+    if (note.status === "spent" && previous?.status !== "spent") {
+      changes.push({ kind: "spent", note });
+    } else if (note.status !== "spent" && previous === undefined) {
+      changes.push({ kind: "received", note });
+    }
+  }
+  for (const { kind, note } of changes) {
+    const status = await buildWalletNoteBridgeStatus({
+      note,
+      currentSnapshot: context.currentSnapshot,
+      controllerAddress: wallet.wallet.controller,
+      canonicalAssetDecimals,
+    });
+    cliOutput.note(kind, `[wallet watch] ${kind} note ${note.commitment} for ${status.valueTokens ?? "unknown"} tokens`, {
+      wallet: wallet.walletName,
+      network: wallet.wallet.network,
+      channelName: wallet.wallet.channelName,
+      blockNumber,
+      note: status,
+    });
+  }
+  return {
+    knownNotes: nextNotes,
+    received: changes.filter((change) => change.kind === "received").length,
+    spent: changes.filter((change) => change.kind === "spent").length,
+    noteReceiveLastScannedBlock: wallet.wallet.noteReceiveLastScannedBlock,
+  };
+}
+
+async function handleWalletWatch({ args, provider }) {
+  const { wallet, walletMetadata } = loadUnlockedWalletWithMetadata(args);
+  requireWalletViewingCapability(wallet);
+  const summary = {
+    received: 0,
+    spent: 0,
+    polls: 0,
+    failedPolls: 0,
+    lastBlock: null,
+    noteReceiveLastScannedBlock: wallet.wallet.noteReceiveLastScannedBlock,
+  };
+  let knownNotes = walletNoteStatusIndex(wallet);
+  let caughtUp = false;
+  let pendingBlock = null;
+  let running = null;
+
+  const runPoll = async (blockNumber) => {
+    try {
+      const result = await pollWalletWatch({ wallet, provider, knownNotes, blockNumber, catchUp: !caughtUp });
+      caughtUp = true;
+      knownNotes = result.knownNotes;
+      summary.received += result.received;
+      summary.spent += result.spent;
+      summary.noteReceiveLastScannedBlock = result.noteReceiveLastScannedBlock;
+    } catch (error) {
+      summary.failedPolls += 1;
+      cliOutput.warning("wallet-watch-poll-failed", `[wallet watch] block ${blockNumber}: ${error.message}`, {
+        blockNumber,
+        code: error?.code ?? null,
+      });
+    }
+    summary.polls += 1;
+    summary.lastBlock = blockNumber;
+  };
+  const drain = async () => {
+    while (pendingBlock !== null) {
+      const blockNumber = pendingBlock;
+      pendingBlock = null;
+      await runPoll(blockNumber);
+    }
+    running = null;
+  };
+  const onBlock = (blockNumber) => {
+    pendingBlock = Math.max(pendingBlock ?? 0, Number(blockNumber));
+    running ??= drain();
+  };
+
+  emitProgress("wallet watch", "watching", {
+    message: `[wallet watch] following ${walletMetadata.channelName} on ${walletMetadata.network} for wallet ${wallet.walletName}`,
+    wallet: wallet.walletName,
+    channelName: walletMetadata.channelName,
+    network: walletMetadata.network,
+  });
+  onBlock(await fetchFreshBlockNumber(provider));
+  await provider.on("block", onBlock);
+  await new Promise((resolve) => {
+    const stop = () => {
+      process.off("SIGINT", stop);
+      process.off("SIGTERM", stop);
+      resolve();
+    };
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+  });
+  await provider.off("block", onBlock);
+  pendingBlock = null;
+  await running;
+
+  cliOutput.result({
+    action: "wallet watch",
+    wallet: wallet.walletName,
+    network: walletMetadata.network,
+    channelName: walletMetadata.channelName,
+    stopped: true,
+    ...summary,
+  });
+}
+
+async function requirePlaintextEvidenceExportConfirmation({ networkName }) {
+  if (!networkRequiresUserConsent(networkName)) {
     return;
   }
   const confirmation = "I understand this export contains plaintext note evidence";
@@ -7065,7 +8796,9 @@ function buildEvidenceNoteRecord({
     contract: context.workspace.channelManager,
     storageKey: note.bridgeNullifierKey,
   } : null;
-  const scheme = note.encryptedNoteValue ? unpackEncryptedNoteValue(note.encryptedNoteValue).scheme : null;
+  const scheme = note.encryptedNoteValue
+    ? ENCRYPTED_NOTE_SCHEMES[readEncryptedNoteScheme(note.encryptedNoteValue)] ?? null
+    : null;
   return normalizeCliOutput({
     recordType: "note-evidence",
     recordVersion: 1,
@@ -7085,6 +8818,7 @@ function buildEvidenceNoteRecord({
       owner: note.owner,
       value: note.value,
       salt: note.salt,
+      memo: note.memo ?? null,
     },
     derived: {
       commitment: note.commitment,
@@ -7100,6 +8834,8 @@ function buildEvidenceNoteRecord({
       encryptedNoteValue: note.encryptedNoteValue,
       saltDerivation: "poseidon(encryptedNoteValue)",
       scheme: encryptedNoteSchemeLabel(scheme),
+      encryptedMemo: note.encryptedMemo ?? null,
+      encryptedMemoLocation: note.encryptedMemo ? "transactions[].data memo trailer" : null,
       event: {
         txHash: note.createdAtTxHash,
         blockNumber: creationBlockNumber,
@@ -7164,17 +8900,11 @@ function acceptedTransitionReference(txHash) {
 }
 
 function encryptedNoteSchemeLabel(scheme) {
-  if (scheme === ENCRYPTED_NOTE_SCHEME_SELF_MINT) {
-    return "self-mint";
-  }
-  if (scheme === ENCRYPTED_NOTE_SCHEME_TRANSFER) {
-    return "transfer";
-  }
-  return "unknown";
+  return scheme?.name ?? "unknown";
 }
 
 function inferEvidenceDirection(note, scheme) {
-  if (scheme === ENCRYPTED_NOTE_SCHEME_SELF_MINT) {
+  if (scheme?.kind === "self-mint") {
     return "self-mint";
   }
   if (note.spentByFunction?.startsWith("transferNotes")) {
@@ -7323,7 +9053,7 @@ function uniqueNonNull(values) {
   return [...new Set(values.filter((value) => typeof value === "string" && value.length > 0))];
 }
 
-async function handleTransferNotes({ args, provider }) {
+async function handleTransferNotes({ args, provider, paymentRequest = null }) {
   const { wallet } = loadUnlockedWalletWithMetadata(args);
   requireActiveWalletLifecycle(wallet, "wallet transfer-notes");
   requireWalletViewingCapability(wallet);
@@ -7343,21 +9073,80 @@ async function handleTransferNotes({ args, provider }) {
     progressAction: "wallet transfer-notes",
     preConsumedBlockDelta: preparedContextResult.autoRecoveryBlockDelta,
   });
+  if (args.batch !== undefined) {
+    await executeTransferNotesBatch({
+      args,
+      provider,
+      wallet,
+      signer,
+      preparedContextResult,
+    });
+    return;
+  }
   const canonicalAssetDecimals = Number(wallet.wallet.canonicalAssetDecimals);
-  const noteIds = parseNoteIdVector(requireArg(args.noteIds, "--note-ids"));
-  const recipients = parseRecipientVector(requireArg(args.recipients, "--recipients"));
+  const recipients = await resolveTransferRecipients({
+    walletContext: wallet,
+    context,
+    recipients: parseRecipientVector(requireArg(args.recipients, "--recipients")),
+  });
+  if (paymentRequest !== null) {
+    await assertPaymentRequestRegistration(context.channelManager, paymentRequest);
+  }
   const amountInputs = parseAmountVector(requireArg(args.amounts, "--amounts"));
   expect(
     recipients.length === amountInputs.length,
     "--amounts length must match --recipients length.",
   );
+  const memos = args.memos === undefined ? [] : parseMemoVector(args.memos);
+  expect(
+    memos.length === 0 || memos.length === recipients.length,
+    "--memos length must match --recipients length.",
+  );
 
-  const outputAmounts = amountInputs.map((value, index) => {
+  const recipientAmounts = amountInputs.map((value, index) => {
     const parsed = parseTokenAmount(value, canonicalAssetDecimals);
     expect(parsed > 0n, `Invalid --amounts[${index}]. Each amount must be greater than zero.`);
     return parsed;
   });
+  const noteSelection = args.noteIds === undefined ? "automatic" : "explicit";
+  let automaticSelection = null;
+  if (noteSelection === "automatic") {
+    const { transferShapes } = loadRegisteredNoteFunctionMatrix(context);
+    const fingerprint = transferPlanFingerprint({ recipients, outputAmounts: recipientAmounts });
+    const resumablePlan = findInProgressTransferPlan(wallet, fingerprint);
+    const plan = resumablePlan
+      ? null
+      : planTransferNotes({
+        notes: loadWalletSpendableNotes(wallet),
+        outputAmounts: recipientAmounts,
+        shapes: transferShapes,
+      });
+    if (resumablePlan || args.planOnly === true || plan.steps.length > 1) {
+      await executeTransferNotesPlan({
+        args,
+        provider,
+        wallet,
+        signer,
+        preparedContextResult,
+        fingerprint,
+        resumablePlan,
+        recipients,
+        recipientAmounts,
+        amountInputs,
+        memos,
+        transferShapes,
+      });
+      return;
+    }
+    automaticSelection = plan.steps[0];
+  }
+  const noteIds = automaticSelection
+    ? automaticSelection.inputNotes.map((note) => note.commitment)
+    : parseNoteIdVector(requireArg(args.noteIds, "--note-ids"));
   const inputNotes = loadWalletUnusedInputNotes(wallet, noteIds);
+  const changeAmount = automaticSelection?.changeAmount ?? 0n;
+  const outputRecipients = changeAmount > 0n ? [...recipients, wallet.wallet.l2Address] : recipients;
+  const outputAmounts = changeAmount > 0n ? [...recipientAmounts, changeAmount] : recipientAmounts;
   const totalInput = inputNotes.reduce((sum, note) => sum + ethers.toBigInt(note.value), 0n);
   const totalOutput = outputAmounts.reduce((sum, value) => sum + value, 0n);
   expect(
@@ -7376,6 +9165,7 @@ async function handleTransferNotes({ args, provider }) {
     l2Address: wallet.wallet.l2Address,
     noteIds: noteIds.join(", "),
     amounts: amountInputs.join(", "),
+    changeAmount: changeAmount > 0n ? ethers.formatUnits(changeAmount, canonicalAssetDecimals) : undefined,
     channelName: context.workspace.channelName,
     channelId: context.workspace.channelId,
   });
@@ -7383,8 +9173,9 @@ async function handleTransferNotes({ args, provider }) {
     context,
     signer,
     inputNotes,
-    recipients,
+    recipients: outputRecipients,
     outputAmounts,
+    memos,
   });
   const { execution, contextResult, walletWarnings } = await executeWalletDirectTemplateCommand({
     args,
@@ -7400,7 +9191,7 @@ async function handleTransferNotes({ args, provider }) {
     sourceFunction: templatePayload.method,
     sourceTxHash: execution.receipt.hash,
     sourceBlockNumber: execution.receipt.blockNumber,
-    counterpartyL2Addresses: templatePayload.recipientAddresses,
+    counterpartyL2Addresses: templatePayload.recipientAddresses.slice(0, recipients.length),
     counterpartyDirection: "sent",
   });
 
@@ -7416,10 +9207,15 @@ async function handleTransferNotes({ args, provider }) {
     l2Address: execution.l2Identity.l2Address,
     underlyingMethod: templatePayload.method,
     nonce: execution.nonce,
+    noteSelection,
     noteIds,
     recipients,
     amountInputs,
-    amountBaseUnits: outputAmounts.map((value) => value.toString()),
+    memos,
+    memoDelivery: templatePayload.memoTrailer ? "encrypted-calldata-trailer" : null,
+    amountBaseUnits: recipientAmounts.map((value) => value.toString()),
+    changeAmountBaseUnits: changeAmount.toString(),
+    changeAmountTokens: ethers.formatUnits(changeAmount, canonicalAssetDecimals),
     outputNotes,
     deliveredRecipients: [],
     noteDelivery: "ethereum-event-log",
@@ -7433,6 +9229,779 @@ async function handleTransferNotes({ args, provider }) {
   });
 }
 
+function transferPlanFingerprint({ recipients, outputAmounts }) {
+  return normalizeBytes32Hex(keccak256(ethers.toUtf8Bytes(JSON.stringify({
+    recipients: recipients.map((recipient) => getAddress(recipient)),
+    amounts: outputAmounts.map((value) => ethers.toBigInt(value).toString()),
+  }))));
+}
+
+function transferPlanDirSuffix(fingerprint) {
+  return `transfer-plan-${fingerprint.slice(2, 14)}`;
+}
+
+function listWalletOperationStates(walletContext, { dirSuffix, fileName, format, formatVersion }) {
+  const operationsDir = path.join(
+    selectedWalletEpochDir(walletContext.walletName, walletContext.wallet.network),
+    "operations",
+  );
+  return listDirectoryNames(operationsDir)
+    .filter((name) => name.endsWith(`-${dirSuffix}`))
+    .reverse()
+    .map((name) => path.join(operationsDir, name))
+    .filter((operationDir) => fs.existsSync(path.join(operationDir, fileName)))
+    .map((operationDir) => {
+      const statePath = path.join(operationDir, fileName);
+      const state = JSON.parse(readEncryptedWalletFile(statePath, walletOperationSealSecret(walletContext)).toString("utf8"));
+      expect(
+        state.format === format && Number(state.formatVersion) === formatVersion,
+        `Unsupported operation state: ${statePath}.`,
+      );
+      return { operationDir, state };
+    });
+}
+
+function findWalletOperationState(walletContext, { fingerprint, statuses = ["in-progress"], ...location }) {
+  return listWalletOperationStates(walletContext, location)
+    .find(({ state }) => state.fingerprint === fingerprint && statuses.includes(state.status)) ?? null;
+}
+
+function persistWalletOperationState(walletContext, statePath, state) {
+  state.updatedAt = new Date().toISOString();
+  writeEncryptedWalletFile(
+    statePath,
+    Buffer.from(`${JSON.stringify(state, null, 2)}\n`, "utf8"),
+    walletOperationSealSecret(walletContext),
+  );
+}
+
+function findInProgressTransferPlan(walletContext, fingerprint) {
+  const found = findWalletOperationState(walletContext, {
+    dirSuffix: transferPlanDirSuffix(fingerprint),
+    fileName: "transfer-plan.json",
+    format: TRANSFER_PLAN_FORMAT,
+    formatVersion: TRANSFER_PLAN_FORMAT_VERSION,
+    fingerprint,
+  });
+  return found ? { planDir: found.operationDir, state: found.state } : null;
+}
+
+function persistTransferPlanState(walletContext, planDir, state) {
+  persistWalletOperationState(walletContext, path.join(planDir, "transfer-plan.json"), state);
+}
+
+function reconcileTransferPlanSteps(walletContext, state) {
+  const spentByCommitment = new Map(
+    Object.values(walletContext.wallet.notes.spent).map((note) => [normalizeBytes32Hex(note.commitment), note]),
+  );
+  for (const step of state.steps) {
+    if (step.status !== "submitting") {
+      continue;
+    }
+    const spentInputs = step.inputNoteIds.map((noteId) => spentByCommitment.get(noteId) ?? null);
+    if (spentInputs.every((note) => note !== null)) {
+      step.status = "completed";
+      step.txHash = step.txHash ?? spentInputs[0].spentAtTxHash ?? null;
+      step.blockNumber = step.blockNumber ?? spentInputs[0].spentAtBlockNumber ?? null;
+      continue;
+    }
+    expect(
+      step.inputNoteIds.every((noteId) => walletContext.wallet.notes.unused[noteId]),
+      [
+        `Transfer plan step ${step.index} has partially spent input notes.`,
+        "Run wallet get-notes to inspect the wallet before resuming this transfer.",
+      ].join(" "),
+    );
+    if (step.kind !== "payment") {
+      step.status = "failed";
+    }
+  }
+}
+
+function buildTransferPlanStep({ walletContext, plannedStep, index, recipients, recipientAmounts }) {
+  const isPayment = plannedStep.kind === "payment";
+  const stepRecipients = isPayment
+    ? (plannedStep.changeAmount > 0n ? [...recipients, walletContext.wallet.l2Address] : recipients)
+    : [walletContext.wallet.l2Address];
+  const stepAmounts = isPayment
+    ? (plannedStep.changeAmount > 0n ? [...recipientAmounts, plannedStep.changeAmount] : recipientAmounts)
+    : [plannedStep.inputTotal];
+  return {
+    index,
+    kind: plannedStep.kind,
+    method: plannedStep.method,
+    inputNoteIds: plannedStep.inputNotes.map((note) => note.commitment),
+    recipients: stepRecipients.map((recipient) => getAddress(recipient)),
+    outputAmountBaseUnits: stepAmounts.map((value) => ethers.toBigInt(value).toString()),
+    changeAmountBaseUnits: ethers.toBigInt(plannedStep.changeAmount).toString(),
+    status: "planned",
+    outputCommitments: [],
+    operationDir: null,
+    txHash: null,
+    blockNumber: null,
+  };
+}
+
+function describeTransferPlanSteps(plannedSteps, canonicalAssetDecimals) {
+  return plannedSteps.map((step, index) => ({
+    step: index + 1,
+    kind: step.kind,
+    method: step.method,
+    inputNoteIds: step.inputNotes.map((note) => (note.planned ? `output of step ${Number(note.commitment.split("-").pop()) + 1}` : note.commitment)),
+    inputTotalTokens: ethers.formatUnits(step.inputTotal, canonicalAssetDecimals),
+    changeAmountTokens: ethers.formatUnits(step.changeAmount, canonicalAssetDecimals),
+  }));
+}
+
+async function estimateTransferPlanFees({ provider, stepCount }) {
+  const feeAsset = loadTransactionFeeAsset();
+  const entry = feeAsset.commands.find((candidate) => candidate.command === "wallet transfer-notes");
+  expect(entry, "Transaction fee asset is missing the wallet transfer-notes measurement.");
+  const gasPerStep = expectTransactionFeeTransactions(entry)
+    .reduce((sum, transaction) => sum + Number(transaction.gasUsed), 0);
+  const gasPrices = requireTransactionFeeGasPrices(await provider.getFeeData());
+  const totalGas = BigInt(gasPerStep) * BigInt(stepCount);
+  return {
+    stepCount,
+    gasPerStep,
+    totalGas: totalGas.toString(),
+    typicalGasPriceGwei: formatGwei(gasPrices.typical),
+    typicalEth: formatEthForDisplay(ethers.formatEther(totalGas * gasPrices.typical)),
+    worstCaseGasPriceGwei: formatGwei(gasPrices.worstCase),
+    worstCaseEth: formatEthForDisplay(ethers.formatEther(totalGas * gasPrices.worstCase)),
+    measuredAt: feeAsset.measuredAt,
+  };
+}
+
+async function runTransferPlanSteps({
+  args,
+  provider,
+  wallet,
+  signer,
+  preparedContextResult,
+  txSubmitterResolution,
+  planState,
+  recipients,
+  recipientAmounts,
+  memos = [],
+  transferShapes,
+  operationName,
+  persist,
+  progressPrefix = "plan",
+}) {
+  const context = preparedContextResult.context;
+  const paymentStepFor = (status) => planState.steps.find((step) => step.kind === "payment" && step.status === status);
+  let paymentExecution = null;
+  let paymentTemplatePayload = null;
+  persist();
+  while (!paymentStepFor("completed")) {
+    let step = paymentStepFor("submitting");
+    if (!step) {
+      const [plannedStep] = planTransferNotes({
+        notes: loadWalletSpendableNotes(wallet),
+        outputAmounts: recipientAmounts,
+        shapes: transferShapes,
+      }).steps;
+      step = buildTransferPlanStep({
+        walletContext: wallet,
+        plannedStep,
+        index: planState.steps.length,
+        recipients,
+        recipientAmounts,
+      });
+      planState.steps.push(step);
+    }
+    emitProgress(operationName, `${progressPrefix}-step-${step.index + 1}-${step.kind}`);
+
+    const templatePayload = await buildTransferNotesTemplatePayload({
+      context,
+      signer,
+      inputNotes: loadWalletUnusedInputNotes(wallet, step.inputNoteIds),
+      recipients: step.recipients,
+      outputAmounts: step.outputAmountBaseUnits.map((value) => ethers.toBigInt(value)),
+      memos: step.kind === "payment" ? memos : [],
+    });
+    step.status = "submitting";
+    step.outputCommitments = templatePayload.lifecycleOutputs
+      .map((note) => normalizeBytes32Hex(computeNoteCommitment(normalizePlaintextNote(note))));
+    persist();
+    const { execution } = await executeWalletDirectTemplateCommand({
+      args,
+      wallet,
+      provider,
+      operationName,
+      templatePayload,
+      preparedContextResult,
+      txSubmitterResolution,
+    });
+    step.status = "completed";
+    step.operationDir = execution.operationDir;
+    step.txHash = execution.receipt.hash;
+    step.blockNumber = execution.receipt.blockNumber;
+    persist();
+    if (step.kind === "payment") {
+      paymentExecution = execution;
+      paymentTemplatePayload = templatePayload;
+    }
+  }
+  return { paymentExecution, paymentTemplatePayload };
+}
+
+async function executeTransferNotesPlan({
+  args,
+  provider,
+  wallet,
+  signer,
+  preparedContextResult,
+  fingerprint,
+  resumablePlan,
+  recipients,
+  recipientAmounts,
+  amountInputs,
+  memos,
+  transferShapes,
+}) {
+  const operationName = "wallet transfer-notes";
+  const canonicalAssetDecimals = Number(wallet.wallet.canonicalAssetDecimals);
+  const state = resumablePlan?.state ?? {
+    format: TRANSFER_PLAN_FORMAT,
+    formatVersion: TRANSFER_PLAN_FORMAT_VERSION,
+    fingerprint,
+    status: "in-progress",
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    recipients: recipients.map((recipient) => getAddress(recipient)),
+    amountBaseUnits: recipientAmounts.map((value) => value.toString()),
+    steps: [],
+  };
+  reconcileTransferPlanSteps(wallet, state);
+  const paymentStepFor = (status) => state.steps.find((step) => step.kind === "payment" && step.status === status);
+  const remainingPlan = paymentStepFor("completed") || paymentStepFor("submitting")
+    ? null
+    : planTransferNotes({
+      notes: loadWalletSpendableNotes(wallet),
+      outputAmounts: recipientAmounts,
+      shapes: transferShapes,
+    });
+  const remainingStepCount = paymentStepFor("completed") ? 0 : (remainingPlan?.steps.length ?? 1);
+  const plannedSteps = remainingPlan ? describeTransferPlanSteps(remainingPlan.steps, canonicalAssetDecimals) : [];
+  const feeEstimate = remainingStepCount > 0
+    ? await estimateTransferPlanFees({ provider, stepCount: remainingStepCount })
+    : null;
+  const mergeShapes = formatTransferNotesShapes(mergeTransferNotesShapes(transferShapes));
+
+  if (args.planOnly === true) {
+    cliOutput.result({
+      action: "wallet transfer-notes",
+      wallet: wallet.walletName,
+      planOnly: true,
+      noteSelection: "planned",
+      resumedPlan: resumablePlan !== null,
+      completedSteps: state.steps.filter((step) => step.status === "completed"),
+      remainingStepCount,
+      plannedSteps,
+      mergeShapes,
+      feeEstimate,
+    });
+    return;
+  }
+
+  cliOutput.warning(
+    "transfer-plan",
+    [
+      `TRANSFER PLAN: ${remainingStepCount} proof-backed transfer(s) remaining${resumablePlan ? " (resuming saved plan)" : ""}.`,
+      ...plannedSteps.map((step) => `- Step ${step.step}: ${step.kind} via ${step.method}, inputs ${step.inputNoteIds.join(", ")}`),
+      `- Merge steps use the registered ${mergeShapes} shape(s) only.`,
+      ...(feeEstimate
+        ? [`- Estimated fees: ${feeEstimate.typicalEth} ETH typical, ${feeEstimate.worstCaseEth} ETH worst case.`]
+        : []),
+    ].join("\n"),
+    { remainingStepCount, plannedSteps, mergeShapes, feeEstimate },
+  );
+
+  const txSubmitterResolution = await resolveTxSubmitterSigner({
+    args,
+    ownerSigner: signer,
+    provider,
+  });
+  const { txSubmitter } = txSubmitterResolution;
+  const context = preparedContextResult.context;
+  await printCommandWarningSummary("wallet-transfer-notes", args, {
+    l1Address: txSubmitter.address,
+    l2Address: wallet.wallet.l2Address,
+    noteIds: "selected per transfer plan step",
+    amounts: amountInputs.join(", "),
+    channelName: context.workspace.channelName,
+    channelId: context.workspace.channelId,
+  });
+
+  const planDir = resumablePlan?.planDir
+    ?? createWalletOperationDir(wallet.walletName, wallet.wallet.network, transferPlanDirSuffix(fingerprint));
+  const { paymentExecution, paymentTemplatePayload } = await runTransferPlanSteps({
+    args,
+    provider,
+    wallet,
+    signer,
+    preparedContextResult,
+    txSubmitterResolution,
+    planState: state,
+    recipients,
+    recipientAmounts,
+    memos,
+    transferShapes,
+    operationName,
+    persist: () => persistTransferPlanState(wallet, planDir, state),
+  });
+  state.status = "completed";
+  persistTransferPlanState(wallet, planDir, state);
+
+  const paymentStep = paymentStepFor("completed");
+  cliOutput.result({
+    action: "wallet transfer-notes",
+    wallet: wallet.walletName,
+    noteSelection: "planned",
+    planDir,
+    resumedPlan: resumablePlan !== null,
+    l1Submitter: txSubmitter.address,
+    l2Address: wallet.wallet.l2Address,
+    recipients,
+    amountInputs,
+    memos,
+    amountBaseUnits: recipientAmounts.map((value) => value.toString()),
+    changeAmountBaseUnits: paymentStep.changeAmountBaseUnits,
+    changeAmountTokens: ethers.formatUnits(paymentStep.changeAmountBaseUnits, canonicalAssetDecimals),
+    steps: state.steps.map((step) => ({
+      step: step.index + 1,
+      kind: step.kind,
+      method: step.method,
+      status: step.status,
+      noteIds: step.inputNoteIds,
+      operationDir: step.operationDir,
+      txHash: step.txHash,
+      blockNumber: step.blockNumber,
+      txUrl: step.txHash ? explorerTxUrl(preparedContextResult.network, step.txHash) : null,
+    })),
+    outputNotes: paymentExecution
+      ? buildLifecycleTrackedOutputs({
+        outputNotes: paymentTemplatePayload.lifecycleOutputs,
+        sourceFunction: paymentTemplatePayload.method,
+        sourceTxHash: paymentExecution.receipt.hash,
+        sourceBlockNumber: paymentExecution.receipt.blockNumber,
+        counterpartyL2Addresses: paymentTemplatePayload.recipientAddresses.slice(0, recipients.length),
+        counterpartyDirection: "sent",
+      })
+      : [],
+    noteDelivery: "ethereum-event-log",
+    updatedRoots: context.currentSnapshot.stateRoots,
+  });
+}
+
+function transferBatchFingerprint({ batchPath, contentHash, batchId }) {
+  return normalizeBytes32Hex(keccak256(abiCoder.encode(
+    ["string", "bytes32", "bytes32"],
+    [path.resolve(batchPath), contentHash, batchId],
+  )));
+}
+
+function transferBatchDirSuffix(batchPath) {
+  return `transfer-batch-${keccak256(ethers.toUtf8Bytes(path.resolve(batchPath))).slice(2, 14)}`;
+}
+
+function defaultBatchReceiptReportPath(batchPath) {
+  return path.join(
+    path.dirname(batchPath),
+    `${path.basename(batchPath, path.extname(batchPath))}.receipts.csv`,
+  );
+}
+
+function buildBatchPaymentReceipts(state, canonicalAssetDecimals) {
+  const rowsById = new Map(state.rows.map((row) => [row.id, row]));
+  return state.groups.flatMap((group) => {
+    const payment = group.steps.find((step) => step.kind === "payment" && step.status === "completed");
+    return group.rows.map((rowId, outputIndex) => {
+      const row = rowsById.get(rowId);
+      return {
+        row: row.row,
+        recipient: row.recipient,
+        amount: ethers.formatUnits(row.amountBaseUnits, canonicalAssetDecimals),
+        status: payment ? "paid" : "pending",
+        commitment: payment?.outputCommitments?.[outputIndex] ?? null,
+        txHash: payment?.txHash ?? null,
+        blockNumber: payment?.blockNumber ?? null,
+      };
+    });
+  });
+}
+
+async function executeTransferNotesBatch({
+  args,
+  provider,
+  wallet,
+  signer,
+  preparedContextResult,
+}) {
+  const operationName = "wallet transfer-notes";
+  const context = preparedContextResult.context;
+  const canonicalAssetDecimals = Number(wallet.wallet.canonicalAssetDecimals);
+  const batchPath = path.resolve(requireArg(args.batch, "--batch"));
+  expect(fs.existsSync(batchPath), `Batch payment file not found: ${batchPath}.`);
+  const reportPath = args.report === undefined
+    ? defaultBatchReceiptReportPath(batchPath)
+    : path.resolve(requireArg(args.report, "--report"));
+  const batchText = fs.readFileSync(batchPath, "utf8");
+  const contentHash = normalizeBytes32Hex(keccak256(ethers.toUtf8Bytes(batchText)));
+  const rows = parseBatchPaymentFile(batchText, batchPaymentFileFormat(batchPath))
+    .map((row) => {
+      const amountBaseUnits = parseTokenAmount(row.amount, canonicalAssetDecimals);
+      expect(amountBaseUnits > 0n, `Invalid batch payment row ${row.row}: amount must be greater than zero.`);
+      return { ...row, amountBaseUnits: amountBaseUnits.toString() };
+    });
+  const { transferShapes } = loadRegisteredNoteFunctionMatrix(context);
+  const savedBatches = listWalletOperationStates(wallet, {
+    dirSuffix: transferBatchDirSuffix(batchPath),
+    fileName: "transfer-batch.json",
+    format: TRANSFER_BATCH_FORMAT,
+    formatVersion: TRANSFER_BATCH_FORMAT_VERSION,
+  });
+  const selectedBatch = selectBatchPaymentRun({
+    batches: savedBatches.map(({ state }) => state),
+    contentHash,
+    resume: args.resume === true,
+    newBatch: args.newBatch === true,
+  });
+  const resumableBatch = savedBatches.find(({ state }) => state === selectedBatch) ?? null;
+  const batchId = resumableBatch?.state.batchId ?? normalizeBytes32Hex(ethers.hexlify(randomBytes(32)));
+  const state = resumableBatch?.state ?? {
+    format: TRANSFER_BATCH_FORMAT,
+    formatVersion: TRANSFER_BATCH_FORMAT_VERSION,
+    batchId,
+    contentHash,
+    fingerprint: transferBatchFingerprint({ batchPath, contentHash, batchId }),
+    status: "in-progress",
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    batchFile: batchPath,
+    rows: [],
+    groups: [],
+  };
+  for (const group of state.groups) {
+    reconcileTransferPlanSteps(wallet, group);
+    if (group.steps.some((step) => step.kind === "payment" && step.status === "completed")) {
+      group.status = "completed";
+    }
+  }
+  const { settledRowCount, ...reconciledBatch } = reconcileBatchPaymentRows({
+    batch: state,
+    rows,
+    shapes: transferShapes,
+  });
+  Object.assign(state, reconciledBatch);
+  const rowsById = new Map(state.rows.map((row) => [row.id, row]));
+  const groupRecipients = (group) => group.rows.map((rowId) => rowsById.get(rowId).recipient);
+  const groupAmounts = (group) => group.rows.map((rowId) => ethers.toBigInt(rowsById.get(rowId).amountBaseUnits));
+
+  const pendingGroups = state.groups.filter((group) => group.status !== "completed");
+  const resumingGroups = pendingGroups.filter((group) => group.steps.some((step) => step.status === "submitting"));
+  let plannedGroups;
+  try {
+    plannedGroups = planBatchTransfers({
+      notes: loadWalletSpendableNotes(wallet)
+        .filter((note) => !resumingGroups.some((group) => group.steps.some((step) => step.inputNoteIds.includes(note.commitment)))),
+      groupAmounts: pendingGroups.filter((group) => !resumingGroups.includes(group)).map(groupAmounts),
+      shapes: transferShapes,
+    });
+  } catch (error) {
+    throw new Error(`Unable to plan batch payments from ${batchPath}: ${error.message}`);
+  }
+  const remainingStepCount = resumingGroups.length
+    + plannedGroups.reduce((sum, { steps }) => sum + steps.length, 0);
+  const feeEstimate = remainingStepCount > 0
+    ? await estimateTransferPlanFees({ provider, stepCount: remainingStepCount })
+    : null;
+  const totalTokens = ethers.formatUnits(
+    state.rows.reduce((sum, row) => sum + ethers.toBigInt(row.amountBaseUnits), 0n),
+    canonicalAssetDecimals,
+  );
+  const preview = {
+    batchFile: batchPath,
+    batchId,
+    rowCount: state.rows.length,
+    totalTokens,
+    groupCount: state.groups.length,
+    completedGroupCount: state.groups.length - pendingGroups.length,
+    settledRowCount,
+    remainingStepCount,
+    feeEstimate,
+  };
+
+  if (args.planOnly === true) {
+    cliOutput.result({
+      action: operationName,
+      wallet: wallet.walletName,
+      planOnly: true,
+      noteSelection: "batch",
+      resumedBatch: resumableBatch !== null,
+      ...preview,
+    });
+    return;
+  }
+
+  if (pendingGroups.length === 0) {
+    state.status = "completed";
+    persistWalletOperationState(wallet, path.join(resumableBatch.operationDir, "transfer-batch.json"), state);
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, formatBatchReceiptCsv(buildBatchPaymentReceipts(state, canonicalAssetDecimals)));
+    cliOutput.result({
+      action: operationName,
+      wallet: wallet.walletName,
+      planOnly: false,
+      noteSelection: "batch",
+      resumedBatch: true,
+      batchDir: resumableBatch.operationDir,
+      reportPath,
+      ...preview,
+      receipts: buildBatchPaymentReceipts(state, canonicalAssetDecimals),
+    });
+    return;
+  }
+
+  cliOutput.warning(
+    "transfer-batch",
+    [
+      `TRANSFER BATCH: ${state.rows.length} payment row(s) totalling ${totalTokens} in ${state.groups.length} transfer group(s)${resumableBatch ? " (resuming saved batch)" : ""}.`,
+      `- Completed groups: ${preview.completedGroupCount}; remaining proof-backed transfers: ${remainingStepCount}.`,
+      ...(settledRowCount > 0
+        ? [`- Skipping ${settledRowCount} row(s) that this batch file already paid or submitted.`]
+        : []),
+      ...(feeEstimate
+        ? [`- Estimated fees: ${feeEstimate.typicalEth} ETH typical, ${feeEstimate.worstCaseEth} ETH worst case.`]
+        : []),
+    ].join("\n"),
+    preview,
+  );
+
+  const txSubmitterResolution = await resolveTxSubmitterSigner({
+    args,
+    ownerSigner: signer,
+    provider,
+  });
+  const { txSubmitter } = txSubmitterResolution;
+  await printCommandWarningSummary("wallet-transfer-notes", args, {
+    l1Address: txSubmitter.address,
+    l2Address: wallet.wallet.l2Address,
+    noteIds: "selected per batch transfer group",
+    amounts: `${state.rows.length} batch rows totalling ${totalTokens}`,
+    channelName: context.workspace.channelName,
+    channelId: context.workspace.channelId,
+  });
+
+  const batchDir = resumableBatch?.operationDir
+    ?? createWalletOperationDir(wallet.walletName, wallet.wallet.network, transferBatchDirSuffix(batchPath));
+  const statePath = path.join(batchDir, "transfer-batch.json");
+  const checkpoint = () => {
+    persistWalletOperationState(wallet, statePath, state);
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, formatBatchReceiptCsv(buildBatchPaymentReceipts(state, canonicalAssetDecimals)));
+  };
+  state.status = "in-progress";
+  checkpoint();
+  for (const group of pendingGroups) {
+    group.status = "in-progress";
+    await runTransferPlanSteps({
+      args,
+      provider,
+      wallet,
+      signer,
+      preparedContextResult,
+      txSubmitterResolution,
+      planState: group,
+      recipients: groupRecipients(group),
+      recipientAmounts: groupAmounts(group),
+      transferShapes,
+      operationName,
+      persist: checkpoint,
+      progressPrefix: `batch-group-${group.index + 1}`,
+    });
+    group.status = "completed";
+    checkpoint();
+  }
+  state.status = "completed";
+  checkpoint();
+
+  cliOutput.result({
+    action: operationName,
+    wallet: wallet.walletName,
+    planOnly: false,
+    noteSelection: "batch",
+    resumedBatch: resumableBatch !== null,
+    batchDir,
+    reportPath,
+    l1Submitter: txSubmitter.address,
+    l2Address: wallet.wallet.l2Address,
+    ...preview,
+    receipts: buildBatchPaymentReceipts(state, canonicalAssetDecimals),
+    noteDelivery: "ethereum-event-log",
+    updatedRoots: context.currentSnapshot.stateRoots,
+  });
+}
+
+function describeConsolidatedNoteSet(notes, canonicalAssetDecimals) {
+  return notes.map((note) => ({
+    noteId: note.planned ? `output of step ${Number(note.commitment.split("-").pop()) + 1}` : note.commitment,
+    planned: note.planned === true,
+    valueTokens: ethers.formatUnits(note.value, canonicalAssetDecimals),
+  }));
+}
+
+async function handleConsolidateNotes({ args, provider }) {
+  const operationName = "wallet consolidate-notes";
+  const { wallet } = loadUnlockedWalletWithMetadata(args);
+  requireActiveWalletLifecycle(wallet, operationName);
+  requireWalletViewingCapability(wallet);
+  requireWalletSpendingCapability(wallet);
+  const { signer } = restoreWalletParticipant(wallet, provider);
+  const preparedContextResult = await loadFreshWalletChannelContext({
+    walletContext: wallet,
+    provider,
+    progressAction: operationName,
+  });
+  const context = preparedContextResult.context;
+  await ensureWalletNoteReceiveStateCurrent({
+    walletContext: wallet,
+    context,
+    provider,
+    signer,
+    progressAction: operationName,
+    preConsumedBlockDelta: preparedContextResult.autoRecoveryBlockDelta,
+  });
+  const canonicalAssetDecimals = Number(wallet.wallet.canonicalAssetDecimals);
+  const threshold = parseTokenAmount(requireArg(args.threshold, "--threshold"), canonicalAssetDecimals);
+  expect(threshold > 0n, "Invalid --threshold. The threshold must be greater than zero.");
+  const maxProofs = args.maxProofs === undefined
+    ? DEFAULT_NOTE_CONSOLIDATION_MAX_PROOFS
+    : parsePositiveIntegerOption(args.maxProofs, "--max-proofs");
+  const { transferShapes } = loadRegisteredNoteFunctionMatrix(context);
+  const plan = planNoteConsolidation({
+    notes: loadWalletSpendableNotes(wallet),
+    threshold,
+    maxProofs,
+    shapes: transferShapes,
+  });
+  const plannedSteps = describeTransferPlanSteps(plan.steps, canonicalAssetDecimals);
+  const resultingNotes = describeConsolidatedNoteSet(plan.resultingNotes, canonicalAssetDecimals);
+  const feeEstimate = plan.steps.length > 0
+    ? await estimateTransferPlanFees({ provider, stepCount: plan.steps.length })
+    : null;
+  const preview = {
+    thresholdTokens: ethers.formatUnits(threshold, canonicalAssetDecimals),
+    maxProofs,
+    dustNoteCount: plan.dustNoteCount,
+    remainingDustCount: plan.remainingDustCount,
+    plannedSteps,
+    resultingNotes,
+    feeEstimate,
+  };
+
+  if (args.planOnly === true || plan.steps.length === 0) {
+    cliOutput.result({
+      action: operationName,
+      wallet: wallet.walletName,
+      planOnly: args.planOnly === true,
+      ...preview,
+      steps: [],
+    });
+    return;
+  }
+
+  cliOutput.warning(
+    "consolidation-plan",
+    [
+      `CONSOLIDATION PLAN: ${plan.steps.length} proof-backed merge(s) of ${plan.dustNoteCount} note(s) below ${preview.thresholdTokens}.`,
+      ...plannedSteps.map((step) => `- Step ${step.step}: ${step.method}, inputs ${step.inputNoteIds.join(", ")}`),
+      `- Resulting unused notes: ${resultingNotes.map((note) => note.valueTokens).join(", ")}`,
+      `- Estimated fees: ${feeEstimate.typicalEth} ETH typical, ${feeEstimate.worstCaseEth} ETH worst case.`,
+    ].join("\n"),
+    preview,
+  );
+
+  const txSubmitterResolution = await resolveTxSubmitterSigner({
+    args,
+    ownerSigner: signer,
+    provider,
+  });
+  const { txSubmitter } = txSubmitterResolution;
+  await printCommandWarningSummary("wallet-consolidate-notes", args, {
+    l1Address: txSubmitter.address,
+    l2Address: wallet.wallet.l2Address,
+    noteIds: plan.steps
+      .flatMap((step) => step.inputNotes.filter((note) => !note.planned).map((note) => note.commitment))
+      .join(", "),
+    proofCount: plan.steps.length,
+    channelName: context.workspace.channelName,
+    channelId: context.workspace.channelId,
+  });
+
+  const steps = [];
+  while (steps.length < plan.steps.length) {
+    const [plannedStep] = planNoteConsolidation({
+      notes: loadWalletSpendableNotes(wallet),
+      threshold,
+      maxProofs: plan.steps.length - steps.length,
+      shapes: transferShapes,
+    }).steps;
+    if (!plannedStep) {
+      break;
+    }
+    emitProgress(operationName, `merge-${steps.length + 1}-of-${plan.steps.length}`);
+    const noteIds = plannedStep.inputNotes.map((note) => note.commitment);
+    const templatePayload = await buildTransferNotesTemplatePayload({
+      context,
+      signer,
+      inputNotes: loadWalletUnusedInputNotes(wallet, noteIds),
+      recipients: [wallet.wallet.l2Address],
+      outputAmounts: [plannedStep.inputTotal],
+    });
+    const { execution } = await executeWalletDirectTemplateCommand({
+      args,
+      wallet,
+      provider,
+      operationName,
+      templatePayload,
+      preparedContextResult,
+      txSubmitterResolution,
+    });
+    steps.push({
+      step: steps.length + 1,
+      method: templatePayload.method,
+      noteIds,
+      mergedValueTokens: ethers.formatUnits(plannedStep.inputTotal, canonicalAssetDecimals),
+      operationDir: execution.operationDir,
+      txHash: execution.receipt.hash,
+      blockNumber: execution.receipt.blockNumber,
+      gasUsed: receiptGasUsed(execution.receipt),
+      txUrl: explorerTxUrl(preparedContextResult.network, execution.receipt.hash),
+    });
+  }
+
+  cliOutput.result({
+    action: operationName,
+    wallet: wallet.walletName,
+    planOnly: false,
+    l1Submitter: txSubmitter.address,
+    l2Address: wallet.wallet.l2Address,
+    ...preview,
+    steps,
+    unusedNotes: describeConsolidatedNoteSet(
+      loadWalletSpendableNotes(wallet).sort((left, right) => (
+        ethers.toBigInt(right.value) > ethers.toBigInt(left.value) ? 1 : -1
+      )),
+      canonicalAssetDecimals,
+    ),
+    noteDelivery: "ethereum-event-log",
+    updatedRoots: context.currentSnapshot.stateRoots,
+  });
+}
+
 function mergeTrackedNotesIntoWallet(walletContext, trackedNotes) {
   const imported = [];
   for (const note of trackedNotes) {
@@ -7526,6 +10095,7 @@ function ensureWallet({
   noteReceiveKeyMaterial,
   lifecycleEpoch,
   rpcUrl,
+  watchOnly = false,
 }) {
   const walletName = walletNameForChannelAndAddress(channelContext.workspace.channelName, signerAddress);
   const walletRoot = walletRootPath(walletName, channelContext.workspace.network);
@@ -7585,6 +10155,7 @@ function ensureWallet({
     noteReceivePubKeyYParity: Number(noteReceiveKeyMaterial.noteReceivePubKey.yParity),
     noteReceiveLastScannedBlock: Number(channelContext.workspace.genesisBlockNumber),
     l2Nonce: 0,
+    ...(watchOnly ? { watchOnly: true } : {}),
     notes: {
       unused: {},
       spent: {},
@@ -7738,6 +10309,8 @@ function normalizeTrackedNote(note) {
     commitment: normalizeBytes32Hex(note.commitment),
     nullifier: normalizeBytes32Hex(note.nullifier),
     encryptedNoteValue: note.encryptedNoteValue ? normalizeEncryptedNoteValueWords(note.encryptedNoteValue) : null,
+    encryptedMemo: note.encryptedMemo ? ethers.hexlify(note.encryptedMemo) : null,
+    memo: note.memo ?? null,
     status: note.status,
     sourceFunction: note.sourceFunction ?? null,
     sourceTxHash: note.sourceTxHash ?? null,
@@ -7801,6 +10374,7 @@ async function buildWalletNoteBridgeStatus({
     commitment: note.commitment,
     nullifier: note.nullifier,
     encryptedNoteValue: note.encryptedNoteValue,
+    memo: note.memo ?? null,
     walletStatus: note.status,
     bridgeCommitmentExists: commitmentExists,
     bridgeNullifierUsed: nullifierUsed,
@@ -7854,6 +10428,8 @@ function buildTrackedNote(note, sourceFunction, sourceTxHash, bridgeKeys = {}) {
     commitment: normalizeBytes32Hex(computeNoteCommitment(normalizedNote)),
     nullifier: normalizeBytes32Hex(computeNullifier(normalizedNote)),
     encryptedNoteValue: note.encryptedNoteValue ? normalizeEncryptedNoteValueWords(note.encryptedNoteValue) : null,
+    encryptedMemo: bridgeKeys.encryptedMemo ?? null,
+    memo: bridgeKeys.memo ?? null,
     status: "unused",
     sourceFunction,
     sourceTxHash,
@@ -7930,6 +10506,7 @@ async function recoverWalletReceivedNotes({
     progressAction,
     fromGenesis,
   });
+  await runWalletHooks({ walletContext, context });
   return {
     noteReceiveKeyMaterial: resolvedNoteReceiveKeyMaterial,
     recoveredDeliveryState,
@@ -8149,39 +10726,27 @@ async function recoverDeliveredNoteCandidatesFromLogs({
   nullifierUsedSlot,
 }) {
   const importedCandidates = [];
+  const transactionMemos = new Map();
   for (const log of logs) {
     const encryptedNoteValue = extractEncryptedNoteValueFromBridgeLog(log);
     if (!encryptedNoteValue) {
       continue;
     }
-    const { scheme } = unpackEncryptedNoteValue(encryptedNoteValue);
     let recoveredValue;
-    let sourceFunction;
+    let scheme;
     try {
-      if (scheme === ENCRYPTED_NOTE_SCHEME_TRANSFER) {
-        recoveredValue = decryptEncryptedNoteValue({
-          encryptedValue: encryptedNoteValue,
-          noteReceivePrivateKey,
-          chainId: context.workspace.chainId,
-          channelId: context.workspace.channelId,
-          owner: walletContext.wallet.l2Address,
-        });
-        sourceFunction = "transferNotes";
-      } else if (scheme === ENCRYPTED_NOTE_SCHEME_SELF_MINT) {
-        recoveredValue = decryptMintEncryptedNoteValue({
-          encryptedValue: encryptedNoteValue,
-          noteReceivePrivateKey,
-          chainId: context.workspace.chainId,
-          channelId: context.workspace.channelId,
-          owner: walletContext.wallet.l2Address,
-        });
-        sourceFunction = "mintNotes";
-      } else {
-        continue;
-      }
+      ({ value: recoveredValue, scheme } = decryptNoteValue({
+        encryptedValue: encryptedNoteValue,
+        noteReceivePrivateKey,
+        chainId: context.workspace.chainId,
+        channelId: context.workspace.channelId,
+        owner: walletContext.wallet.l2Address,
+      }));
     } catch {
       continue;
     }
+    const isSelfMint = scheme.kind === "self-mint";
+    const sourceFunction = isSelfMint ? "mintNotes" : "transferNotes";
 
     const plaintextNote = normalizePlaintextNote({
       owner: walletContext.wallet.l2Address,
@@ -8201,8 +10766,8 @@ async function recoverDeliveredNoteCandidatesFromLogs({
       createdAtBlockNumber: log.blockNumber !== undefined ? Number(log.blockNumber) : null,
       createdAtLogIndex: log.index ?? log.logIndex ?? null,
       createdByFunction: sourceFunction,
-      counterpartyDirection: scheme === ENCRYPTED_NOTE_SCHEME_SELF_MINT ? "self-mint" : "received",
-      counterpartyConfidence: scheme === ENCRYPTED_NOTE_SCHEME_SELF_MINT ? "direct-local-metadata" : "unavailable",
+      counterpartyDirection: isSelfMint ? "self-mint" : "received",
+      counterpartyConfidence: isSelfMint ? "direct-local-metadata" : "unavailable",
     });
     const commitmentExists = await readBooleanStorageValueFromSnapshot({
       snapshot: context.currentSnapshot,
@@ -8212,11 +10777,32 @@ async function recoverDeliveredNoteCandidatesFromLogs({
     if (!commitmentExists) {
       continue;
     }
+    if (scheme.kind === "transfer") {
+      const memoEntry = (await readTransactionNoteMemos(context, log.transactionHash, transactionMemos))
+        .find((entry) => entry.commitment === commitment);
+      if (memoEntry) {
+        trackedNote.encryptedMemo = memoEntry.encryptedMemo;
+        hydrateTrackedNoteMemo(trackedNote, {
+          noteReceivePrivateKey,
+          chainId: context.workspace.chainId,
+          channelId: context.workspace.channelId,
+          owner: walletContext.wallet.l2Address,
+        });
+      }
+    }
     importedCandidates.push(trackedNote);
   }
   return importedCandidates;
 }
 
+async function readTransactionNoteMemos(context, txHash, cache) {
+  if (!cache.has(txHash)) {
+    const transaction = await context.channelManager.runner.getTransaction(txHash).catch(() => null);
+    cache.set(txHash, readNoteMemoTrailer(transaction?.data ?? "0x"));
+  }
+  return cache.get(txHash);
+}
+
 function channelWorkspaceRecoveryTargetNextBlock(context) {
   const targetNextBlock = Number(context.workspace.recoveryLastScannedBlock);
   const genesisBlockNumber = Number(context.workspace.genesisBlockNumber);
@@ -8323,6 +10909,7 @@ async function ensureWalletNoteReceiveStateCurrent({
   }
 
   if (cursorDelta.fresh) {
+    await runWalletHooks({ walletContext, context });
     return {
       targetBlock: cursorDelta.toBlock,
       targetNextBlock: cursorDelta.targetNextBlock,
@@ -8418,6 +11005,8 @@ function buildImportedTrackedNote(note) {
     counterpartyL2Address: note.counterpartyL2Address ?? null,
     counterpartyDirection: note.counterpartyDirection ?? null,
     counterpartyConfidence: note.counterpartyConfidence ?? null,
+    encryptedMemo: note.encryptedMemo ?? null,
+    memo: note.memo ?? null,
     commitmentObservedAtTxHash: note.commitmentObservedAtTxHash ?? null,
     commitmentObservedAtBlockNumber: note.commitmentObservedAtBlockNumber ?? null,
     commitmentObservedAtLogIndex: note.commitmentObservedAtLogIndex ?? null,
@@ -8453,8 +11042,11 @@ function derivePrivateStateControllerMappingStorageKey(keyHex, slot) {
   return normalizeBytes32Hex(bytesToHex(poseidon(hexToBytes(addHexPrefix(String(encoded ?? "").replace(/^0x/i, ""))))));
 }
 
-function buildMintNotesTemplatePayload({ wallet, baseUnitAmounts }) {
-  const method = selectMintNotesMethod(baseUnitAmounts.length);
+function buildMintNotesTemplatePayload({ wallet, context, baseUnitAmounts }) {
+  const method = selectMintNotesMethod(
+    baseUnitAmounts.length,
+    loadRegisteredNoteFunctionMatrix(context).mintOutputCounts,
+  );
   const { mintOutputs, lifecycleOutputs } = buildMintEncryptedOutputs({
     wallet,
     values: baseUnitAmounts,
@@ -8467,26 +11059,29 @@ function buildMintNotesTemplatePayload({ wallet, baseUnitAmounts }) {
   };
 }
 
-function buildRedeemNotesTemplatePayload({ wallet, inputNotes }) {
+function buildRedeemNotesTemplatePayload({ wallet, context, inputNotes }) {
   return {
     abiFile: "PrivateStateController.callable-abi.json",
-    method: selectRedeemNotesMethod(inputNotes.length),
+    method: selectRedeemNotesMethod(inputNotes.length, loadRegisteredNoteFunctionMatrix(context).redeemInputCounts),
     args: [inputNotes, wallet.wallet.l2Address],
   };
 }
 
-function selectMintNotesMethod(noteCount) {
-  expect(noteCount >= 1, "wallet mint-notes requires at least one output amount.");
+function loadRegisteredNoteFunctionMatrix(context) {
+  const chainId = context.workspace.chainId;
+  const manifestPath = requireFlatDeploymentArtifactPathsForChainId(chainId).dappRegistrationPath;
+  const manifest = readJson(manifestPath);
+  const proofRoot = normalizeBytes32Hex(manifest.functionMetadataProofs?.root);
+  const expectedRoot = normalizeBytes32Hex(context.workspace.functionRoot ?? context.workspace.policySnapshot?.functionRoot);
   expect(
-    noteCount <= 2,
-    "wallet mint-notes supports only one or two output amounts with the currently registered DApp.",
+    ethers.toBigInt(proofRoot) === ethers.toBigInt(expectedRoot),
+    `DApp function proof root ${proofRoot} does not match channel function root ${expectedRoot}.`,
   );
-  return `mintNotes${noteCount}`;
-}
-
-function selectRedeemNotesMethod(noteCount) {
-  expect(noteCount === 1, "wallet redeem-notes supports exactly one input note with the currently registered DApp.");
-  return `redeemNotes${noteCount}`;
+  return registeredNoteFunctionMatrix(registeredControllerMethodNames({
+    controllerAbi: readJson(requireLatestDappDeployArtifactPath(chainId, "PrivateStateController.callable-abi.json")),
+    functionProofs: manifest.functionMetadataProofs?.functions,
+    controllerAddress: context.workspace.controller,
+  }));
 }
 
 function walletNoteReceivePubKey(walletContext) {
@@ -8554,10 +11149,16 @@ async function buildTransferNotesTemplatePayload({
   inputNotes,
   recipients,
   outputAmounts,
+  memos = [],
 }) {
-  const method = selectTransferNotesMethod(inputNotes.length, recipients.length);
+  const method = selectTransferNotesMethod(
+    inputNotes.length,
+    recipients.length,
+    loadRegisteredNoteFunctionMatrix(context).transferShapes,
+  );
   const transferOutputs = [];
   const lifecycleOutputs = [];
+  const memoEntries = [];
   const recipientAddresses = recipients.map(getAddress);
   const recipientPubKeys = await Promise.all(
     recipientAddresses.map((recipient) => context.channelManager.getNoteReceivePubKeyByL2Address(recipient)),
@@ -8586,6 +11187,20 @@ async function buildTransferNotesTemplatePayload({
       salt,
       encryptedNoteValue,
     });
+    if (memos[index] !== undefined && memos[index] !== null) {
+      const commitment = normalizeBytes32Hex(computeNoteCommitment(normalizePlaintextNote(lifecycleOutputs[index])));
+      memoEntries.push({
+        commitment,
+        encryptedMemo: encryptNoteMemoForRecipient({
+          memo: memos[index],
+          recipientNoteReceivePubKey: noteReceivePubKey,
+          chainId: context.workspace.chainId,
+          channelId: context.workspace.channelId,
+          owner: recipient,
+          commitment,
+        }),
+      });
+    }
   }
   return {
     abiFile: "PrivateStateController.callable-abi.json",
@@ -8594,20 +11209,17 @@ async function buildTransferNotesTemplatePayload({
     lifecycleInputs: inputNotes,
     lifecycleOutputs,
     recipientAddresses,
+    memoTrailer: memoEntries.length > 0 ? encodeNoteMemoTrailer(memoEntries) : null,
   };
 }
 
-function selectTransferNotesMethod(inputCount, outputCount) {
-  if (inputCount === 1 && outputCount === 1) {
-    return "transferNotes1To1";
-  }
-  if (inputCount === 1 && outputCount === 2) {
-    return "transferNotes1To2";
-  }
-  if (inputCount === 2 && outputCount === 1) {
-    return "transferNotes2To1";
-  }
-  throw new Error("wallet transfer-notes supports only 1->1, 1->2, and 2->1 note transfers.");
+function loadWalletSpendableNotes(walletContext) {
+  return Object.values(walletContext.wallet.notes.unused)
+    .filter((note) => note.owner && note.value !== null && note.value !== undefined && note.salt)
+    .map((note) => ({
+      ...normalizePlaintextNote(note),
+      commitment: normalizeBytes32Hex(note.commitment),
+    }));
 }
 
 function loadWalletUnusedInputNotes(walletContext, noteIds) {
@@ -8691,19 +11303,47 @@ function parseRecipientVector(value) {
   try {
     parsed = JSON.parse(String(value));
   } catch {
-    throw new Error("Invalid --recipients. Expected a JSON array of channel-local addresses.");
+    throw new Error("Invalid --recipients. Expected a JSON array of channel-local addresses, l1:0x... addresses, or @contact names.");
   }
   expect(Array.isArray(parsed), "Invalid --recipients. Expected a JSON array.");
   expect(parsed.length > 0, "Invalid --recipients. The array must not be empty.");
   return parsed.map((entry, index) => {
     expect(
       typeof entry === "string" && entry.length > 0,
-      `Invalid --recipients[${index}]. Each recipient must be a non-empty address string.`,
+      `Invalid --recipients[${index}]. Each recipient must be a non-empty address string, l1:0x... address, or @contact name.`,
     );
+    if (isContactReference(entry)) {
+      return `@${normalizeContactName(entry)}`;
+    }
+    if (isL1RecipientReference(entry)) {
+      const l1Address = entry.slice(L1_RECIPIENT_PREFIX.length);
+      expect(ethers.isAddress(l1Address), `Invalid --recipients[${index}]. ${entry} does not contain a valid L1 address.`);
+      return `${L1_RECIPIENT_PREFIX}${getAddress(l1Address)}`;
+    }
     return getAddress(entry);
   });
 }
 
+function parseMemoVector(value) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(value));
+  } catch {
+    throw new Error("Invalid --memos. Expected a JSON array of memo strings, with null for outputs without a memo.");
+  }
+  expect(Array.isArray(parsed), "Invalid --memos. Expected a JSON array.");
+  return parsed.map((entry, index) => {
+    if (entry === null || entry === "") {
+      return null;
+    }
+    expect(
+      typeof entry === "string" && Buffer.byteLength(entry, "utf8") <= MAX_NOTE_MEMO_BYTES,
+      `Invalid --memos[${index}]. Each memo must be null or a string of at most ${MAX_NOTE_MEMO_BYTES} UTF-8 bytes.`,
+    );
+    return entry;
+  });
+}
+
 function walletChannelWorkspaceIsReady(walletContext) {
   const workspaceDir = channelWorkspacePath(walletContext.wallet.network, walletContext.wallet.channelName);
   return fs.existsSync(channelWorkspaceConfigPath(workspaceDir))
@@ -9130,12 +11770,20 @@ async function executeWalletTemplateSend({
       aPubBlockHash,
       operationName,
     }),
-    call: contractTxCall(
-      context.channelManager.connect(txSubmitter).executeChannelTransaction,
-      [payload, functionProof],
-      undefined,
-      context.channelManager.interface,
-    ),
+    call: templatePayload.memoTrailer
+      ? calldataTxCall(txSubmitter, {
+        to: context.workspace.channelManager,
+        data: ethers.concat([
+          context.channelManager.interface.encodeFunctionData("executeChannelTransaction", [payload, functionProof]),
+          templatePayload.memoTrailer,
+        ]),
+      }, context.channelManager.interface)
+      : contractTxCall(
+        context.channelManager.connect(txSubmitter).executeChannelTransaction,
+        [payload, functionProof],
+        undefined,
+        context.channelManager.interface,
+      ),
   });
   await waitForProviderBlockAtLeast(provider, receipt.blockNumber, { action: operationName });
 
@@ -9179,18 +11827,18 @@ async function executeWalletTemplateSend({
 async function loadWorkspaceContext(workspaceName, networkName, provider) {
   const normalizedWorkspaceName = requireWorkspaceName({ workspace: workspaceName });
   const workspaceDir = channelWorkspacePath(networkName, normalizedWorkspaceName);
-  const workspace = readJson(channelWorkspaceConfigPath(workspaceDir));
+  const workspace = readWorkspaceJson(channelWorkspaceConfigPath(workspaceDir));
   const bridgeDeploymentPath = defaultBridgeDeploymentPath(workspace.chainId);
   const bridgeAbiManifestPath = defaultBridgeAbiManifestPath(workspace.chainId);
   const bridgeDeployment = readJson(bridgeDeploymentPath);
   const bridgeAbiManifest = loadBridgeAbiManifest(bridgeAbiManifestPath);
-  const currentSnapshot = readJson(path.join(channelWorkspaceCurrentPath(workspaceDir), "state_snapshot.json"));
+  const currentSnapshot = readWorkspaceJson(path.join(channelWorkspaceCurrentPath(workspaceDir), "state_snapshot.json"));
   if (Array.isArray(currentSnapshot.storageAddresses)) {
     currentSnapshot.storageAddresses = currentSnapshot.storageAddresses
       .map((address) => createAddressFromString(address).toString());
   }
-  const blockInfo = readJson(path.join(channelWorkspaceCurrentPath(workspaceDir), "block_info.json"));
-  const contractCodes = readJson(path.join(channelWorkspaceCurrentPath(workspaceDir), "contract_codes.json"));
+  const blockInfo = readWorkspaceJson(path.join(channelWorkspaceCurrentPath(workspaceDir), "block_info.json"));
+  const contractCodes = readWorkspaceJson(path.join(channelWorkspaceCurrentPath(workspaceDir), "contract_codes.json"));
   const channelManager = new Contract(workspace.channelManager, bridgeAbiManifest.contracts.channelManager.abi, provider);
   const bridgeTokenVault = new Contract(
     workspace.bridgeTokenVault,
@@ -9359,31 +12007,23 @@ function hydrateWalletNotesWithViewingKey(wallet) {
   const noteGroups = [wallet.notes?.unused ?? {}, wallet.notes?.spent ?? {}];
   for (const notes of noteGroups) {
     for (const note of Object.values(notes)) {
+      hydrateTrackedNoteMemo(note, {
+        noteReceivePrivateKey: wallet.noteReceivePrivateKey,
+        chainId: wallet.chainId,
+        channelId: wallet.channelId,
+        owner: wallet.l2Address,
+      });
       if (!note.encryptedNoteValue || note.value !== null) {
         continue;
       }
       try {
-        const { scheme } = unpackEncryptedNoteValue(note.encryptedNoteValue);
-        let value;
-        if (scheme === ENCRYPTED_NOTE_SCHEME_TRANSFER) {
-          value = decryptEncryptedNoteValue({
-            encryptedValue: note.encryptedNoteValue,
-            noteReceivePrivateKey: wallet.noteReceivePrivateKey,
-            chainId: wallet.chainId,
-            channelId: wallet.channelId,
-            owner: wallet.l2Address,
-          });
-        } else if (scheme === ENCRYPTED_NOTE_SCHEME_SELF_MINT) {
-          value = decryptMintEncryptedNoteValue({
-            encryptedValue: note.encryptedNoteValue,
-            noteReceivePrivateKey: wallet.noteReceivePrivateKey,
-            chainId: wallet.chainId,
-            channelId: wallet.channelId,
-            owner: wallet.l2Address,
-          });
-        } else {
-          continue;
-        }
+        const { value } = decryptNoteValue({
+          encryptedValue: note.encryptedNoteValue,
+          noteReceivePrivateKey: wallet.noteReceivePrivateKey,
+          chainId: wallet.chainId,
+          channelId: wallet.channelId,
+          owner: wallet.l2Address,
+        });
         note.owner = wallet.l2Address;
         note.value = ethers.toBigInt(value).toString();
         note.salt = computeEncryptedNoteSalt(note.encryptedNoteValue);
@@ -9395,6 +12035,20 @@ function hydrateWalletNotesWithViewingKey(wallet) {
   wallet.notes = normalizeWallet(wallet).notes;
 }
 
+function hydrateTrackedNoteMemo(note, { noteReceivePrivateKey, chainId, channelId, owner }) {
+  if (!note.encryptedMemo || (note.memo ?? null) !== null) {
+    return;
+  }
+  note.memo = tryDecryptNoteMemo({
+    encryptedMemo: note.encryptedMemo,
+    noteReceivePrivateKey,
+    chainId,
+    channelId,
+    owner,
+    commitment: note.commitment,
+  });
+}
+
 function assertWalletHasRequiredKeys(wallet, walletName) {
   expect(wallet.walletFormatVersion !== undefined, `Wallet ${walletName} is missing walletFormatVersion.`);
 }
@@ -9435,6 +12089,13 @@ function restoreParticipantIdentityFromWallet(wallet) {
 }
 
 function restoreWalletSigner(walletContext, provider) {
+  const injectedSigner = commandRuntimeOverrides?.signer;
+  if (
+    injectedSigner
+    && ethers.toBigInt(getAddress(injectedSigner.address)) === ethers.toBigInt(getAddress(walletContext.wallet.l1Address))
+  ) {
+    return connectInjectedSigner(injectedSigner, provider);
+  }
   const privateKey = findAccountPrivateKeyForAddress(walletContext.wallet.network, walletContext.wallet.l1Address);
   if (privateKey) {
     return new Wallet(privateKey, provider);
@@ -9453,8 +12114,13 @@ function restoreWalletParticipant(walletContext, provider) {
 }
 
 async function requireWalletOwnerSigner(walletContext, provider) {
+  requireWalletNotWatchOnly(walletContext);
   const signer = restoreWalletSigner(walletContext, provider);
-  if (typeof signer.privateKey !== "string") {
+  if (typeof signer.privateKey !== "string" && !injectedCommandSigners.has(signer)) {
+    const signerAccount = findSignerAccountForAddress(walletContext.wallet.network, walletContext.wallet.l1Address);
+    if (signerAccount) {
+      return await connectSignerAccount(signerAccount, provider);
+    }
     return await requireBrowserWalletSigner({
       role: "wallet owner L1 signer",
       expectedAddress: walletContext.wallet.l1Address,
@@ -9464,7 +12130,22 @@ async function requireWalletOwnerSigner(walletContext, provider) {
   return signer;
 }
 
+function requireWalletNotWatchOnly(walletContext) {
+  expect(
+    walletContext.wallet.watchOnly !== true,
+    cliError(
+      CLI_ERROR_CODES.WATCH_ONLY_WALLET,
+      [
+        `Wallet ${walletContext.walletName} is watch-only: it holds only a viewing key and no spending key or L1 signer.`,
+        "It can read notes and balances but cannot spend, transfer, redeem, mint, move channel funds, or exit.",
+        "Run this command from the wallet owner's workspace.",
+      ].join(" "),
+    ),
+  );
+}
+
 function requireWalletSpendingCapability(walletContext) {
+  requireWalletNotWatchOnly(walletContext);
   expect(
     walletContext.wallet.l2PrivateKey,
     [
@@ -9505,6 +12186,107 @@ function walletOperationSealSecret(walletContext) {
   return secret;
 }
 
+function readSignerAccountMetadata(networkName, account) {
+  if (fs.existsSync(accountPrivateKeyPath(networkName, account))) {
+    return null;
+  }
+  const metadata = readJsonIfExists(accountMetadataPath(networkName, account));
+  return metadata?.hardwareWallet || metadata?.remoteSigner ? metadata : null;
+}
+
+function signerAccountMode(accountMetadata) {
+  return accountMetadata.hardwareWallet ? L1_SIGNER_MODES.HARDWARE_WALLET : L1_SIGNER_MODES.REMOTE_SIGNER;
+}
+
+function findSignerAccountForAddress(networkName, l1Address) {
+  const accountsRoot = path.join(secretRoot, requireNetworkName({ network: networkName }), "accounts");
+  if (!fs.existsSync(accountsRoot)) {
+    return null;
+  }
+  for (const entry of fs.readdirSync(accountsRoot, { withFileTypes: true })) {
+    if (!entry.isDirectory()) {
+      continue;
+    }
+    try {
+      const metadata = readSignerAccountMetadata(networkName, entry.name);
+      if (metadata && ethers.toBigInt(getAddress(metadata.l1Address)) === ethers.toBigInt(getAddress(l1Address))) {
+        return metadata;
+      }
+    } catch {
+      continue;
+    }
+  }
+  return null;
+}
+
+async function openHardwareWalletSession(kind) {
+  if (!hardwareWalletSessions.has(kind)) {
+    hardwareWalletSessions.set(kind, openHardwareWalletClient(kind));
+  }
+  try {
+    return await hardwareWalletSessions.get(kind);
+  } catch (error) {
+    hardwareWalletSessions.delete(kind);
+    throw error;
+  }
+}
+
+async function closeHardwareWalletSessions() {
+  const sessions = [...hardwareWalletSessions.values()];
+  hardwareWalletSessions.clear();
+  for (const session of sessions) {
+    try {
+      await (await session).close();
+    } catch {
+      // A device that failed to open or was unplugged has nothing left to release.
+    }
+  }
+}
+
+function remoteSignerConfigPath(networkName) {
+  return path.join(secretRoot, requireNetworkName({ network: networkName }), "remote-signer.json");
+}
+
+function readRemoteSignerConfig(networkName) {
+  const config = readJsonIfExists(remoteSignerConfigPath(networkName));
+  expect(
+    config,
+    `No remote signer is configured for ${networkName}. Run account set-remote-signer first.`,
+  );
+  return config;
+}
+
+async function connectSignerAccount(accountMetadata, provider) {
+  if (accountMetadata.remoteSigner) {
+    // Read at use time so an allowlist removal takes effect immediately.
+    const config = readRemoteSignerConfig(accountMetadata.network);
+    return await RemoteSigner.connect({
+      client: createRemoteSignerClient({ url: config.url }),
+      address: accountMetadata.l1Address,
+      allowedAddresses: config.allowedAddresses,
+      provider,
+    });
+  }
+  const { kind, path: hdPath } = accountMetadata.hardwareWallet;
+  return await HardwareWalletSigner.connect({
+    client: await openHardwareWalletSession(kind),
+    path: hdPath,
+    provider,
+    expectedAddress: accountMetadata.l1Address,
+  });
+}
+
+async function requireLocalAccountSigner({ networkName, account, label, provider }) {
+  const signerAccount = readSignerAccountMetadata(networkName, account);
+  if (signerAccount) {
+    return await connectSignerAccount(signerAccount, provider);
+  }
+  return new Wallet(
+    normalizePrivateKey(readSecretFile(accountPrivateKeyPath(networkName, account), label)),
+    provider,
+  );
+}
+
 function findAccountPrivateKeyForAddress(networkName, l1Address) {
   const accountsRoot = path.join(secretRoot, requireNetworkName({ network: networkName }), "accounts");
   if (!fs.existsSync(accountsRoot)) {
@@ -9518,6 +12300,10 @@ function findAccountPrivateKeyForAddress(networkName, l1Address) {
     if (!fs.existsSync(privateKeyPath)) {
       continue;
     }
+    const keystoreAddress = web3KeystoreAddress(fs.readFileSync(privateKeyPath, "utf8").trim());
+    if (keystoreAddress && ethers.toBigInt(keystoreAddress) !== ethers.toBigInt(getAddress(l1Address))) {
+      continue;
+    }
     try {
       const privateKey = normalizePrivateKey(readSecretFile(privateKeyPath, "--account"));
       const signer = new Wallet(privateKey);
@@ -9545,6 +12331,42 @@ function loadBridgeResources({ chainId }) {
   };
 }
 
+function bridgeCoreContract({ bridgeResources, runner }) {
+  return new Contract(
+    bridgeResources.bridgeDeployment.bridgeCore,
+    bridgeResources.bridgeAbiManifest.contracts.bridgeCore.abi,
+    runner,
+  );
+}
+
+async function loadChannelContext({
+  network,
+  runner,
+  channelName = null,
+  channelId = deriveChannelIdFromName(channelName),
+  bridgeResources = loadBridgeResources({ chainId: network.chainId }),
+  bridgeCore = bridgeCoreContract({ bridgeResources, runner }),
+}) {
+  const channelInfo = await bridgeCore.getChannel(channelId);
+  expect(
+    channelInfo.exists,
+    channelName === null
+      ? `Unknown channel ${channelId.toString()}.`
+      : `Unknown channel ${channelName} (${channelId.toString()}).`,
+  );
+  return {
+    bridgeResources,
+    bridgeCore,
+    channelId,
+    channelInfo,
+    channelManager: new Contract(
+      channelInfo.manager,
+      bridgeResources.bridgeAbiManifest.contracts.channelManager.abi,
+      runner,
+    ),
+  };
+}
+
 function loadWalletMetadata(walletName, networkName) {
   const normalizedWalletName = requireWalletName({ wallet: walletName });
   const normalizedNetworkName = requireNetworkName({ network: networkName });
@@ -9948,6 +12770,14 @@ function contractTxCall(contractMethod, args = [], overrides = undefined, contra
   };
 }
 
+function calldataTxCall(signer, transaction, contractInterface = null) {
+  return {
+    contractInterface,
+    dryRun: () => signer.call(transaction),
+    submit: () => signer.sendTransaction(transaction),
+  };
+}
+
 async function dryRunThenSubmitTransaction({
   operationName,
   call,
@@ -11396,17 +14226,22 @@ function parseArgs(argv) {
       || parsed.command === "set"
       || parsed.command === "wallet"
       || parsed.command === "help"
-      || parsed.command === "secret")
+      || parsed.command === "secret"
+      || parsed.command === "contacts")
     && parsed.positional[1]
   ) {
     parsed.command = `${parsed.command}-${parsed.positional[1]}`;
     if (
-      parsed.positional[0] === "wallet"
-      && (parsed.positional[1] === "export" || parsed.positional[1] === "import")
+      ((parsed.positional[0] === "wallet"
+        && (parsed.positional[1] === "export" || parsed.positional[1] === "import"))
+        || (parsed.positional[0] === "channel" && parsed.positional[1] === "admin"))
       && parsed.positional[2]
     ) {
       parsed.command = `${parsed.command}-${parsed.positional[2]}`;
     }
+    if (parsed.command === "wallet-pay-request" && parsed.positional[2] !== undefined && parsed.request === undefined) {
+      parsed.request = parsed.positional[2];
+    }
     parsed.positional = [parsed.command];
   }
   return parsed;
@@ -11491,6 +14326,9 @@ function requireAccountName(args) {
 }
 
 async function requireL1Signer(args, provider) {
+  if (args.account === undefined && commandRuntimeOverrides?.signer) {
+    return connectInjectedSigner(commandRuntimeOverrides.signer, provider);
+  }
   const accountMode = resolveL1AccountMode(args);
   if (accountMode.mode === L1_SIGNER_MODES.BROWSER_WALLET) {
     return await requireBrowserWalletSigner({
@@ -11498,24 +14336,66 @@ async function requireL1Signer(args, provider) {
       provider,
     });
   }
+  if (accountMode.signerAccount) {
+    return await connectSignerAccount(accountMode.signerAccount, provider);
+  }
   return new Wallet(resolvePrivateKeySource(args), provider);
 }
 
-function requireLeaderSigner(args, provider) {
+function requireLeaderAccountArg(args) {
+  if (args.leaderAccount === undefined && commandRuntimeOverrides?.signer) {
+    return;
+  }
+  requireArg(args.leaderAccount, "--leader-account");
+}
+
+async function requireLeaderSigner(args, provider) {
+  if (args.leaderAccount === undefined && commandRuntimeOverrides?.signer) {
+    return {
+      signer: connectInjectedSigner(commandRuntimeOverrides.signer, provider),
+      account: null,
+    };
+  }
   const networkName = requireNetworkName(args);
   const account = String(requireArg(args.leaderAccount, "--leader-account")).trim();
   expect(account.length > 0, "--leader-account requires a local account name.");
   return {
-    signer: new Wallet(
-      normalizePrivateKey(readSecretFile(accountPrivateKeyPath(networkName, account), "--leader-account")),
-      provider,
-    ),
+    signer: await requireLocalAccountSigner({ networkName, account, label: "--leader-account", provider }),
     account,
   };
 }
 
+function connectInjectedSigner(signer, provider) {
+  const connected = !provider || signer.provider || typeof signer.connect !== "function"
+    ? signer
+    : signer.connect(provider);
+  injectedCommandSigners.add(connected);
+  return connected;
+}
+
 async function resolveTxSubmitterSigner({ args, ownerSigner, provider }) {
+  if (args.txSubmitter === undefined && commandRuntimeOverrides?.txSubmitter) {
+    return {
+      txSubmitter: connectInjectedSigner(commandRuntimeOverrides.txSubmitter, provider),
+      source: TX_SUBMITTER_SOURCES.INJECTED,
+      account: null,
+    };
+  }
   if (args.txSubmitter === undefined) {
+    if (injectedCommandSigners.has(ownerSigner)) {
+      return {
+        txSubmitter: ownerSigner,
+        source: TX_SUBMITTER_SOURCES.INJECTED,
+        account: null,
+      };
+    }
+    if (ownerSigner instanceof HardwareWalletSigner || ownerSigner instanceof RemoteSigner) {
+      return {
+        txSubmitter: ownerSigner,
+        source: TX_SUBMITTER_SOURCES.WALLET_OWNER,
+        account: null,
+      };
+    }
     if (ownerSigner instanceof BrowserWalletSigner) {
       return {
         txSubmitter: ownerSigner,
@@ -11553,10 +14433,7 @@ async function resolveTxSubmitterSigner({ args, ownerSigner, provider }) {
   const networkName = requireNetworkName(args);
   const account = requireAccountOptionValue(args.txSubmitter, "--tx-submitter");
   return {
-    txSubmitter: new Wallet(
-      normalizePrivateKey(readSecretFile(accountPrivateKeyPath(networkName, account), "--tx-submitter")),
-      provider,
-    ),
+    txSubmitter: await requireLocalAccountSigner({ networkName, account, label: "--tx-submitter", provider }),
     source: TX_SUBMITTER_SOURCES.TX_SUBMITTER_ACCOUNT,
     account,
   };
@@ -11575,9 +14452,18 @@ function resolveL1AccountMode(args) {
       account: null,
     };
   }
+  const account = requireAccountName(args);
+  const signerAccount = readSignerAccountMetadata(requireNetworkName(args), account);
+  if (signerAccount) {
+    return {
+      mode: signerAccountMode(signerAccount),
+      account,
+      signerAccount,
+    };
+  }
   return {
     mode: L1_SIGNER_MODES.LOCAL_ACCOUNT,
-    account: requireAccountName(args),
+    account,
   };
 }
 
@@ -11649,6 +14535,8 @@ function browserWalletOperationTitle(operationName) {
       return "Create private notes";
     case "wallet transfer-notes":
       return "Send private notes";
+    case "wallet consolidate-notes":
+      return "Merge private notes";
     case "wallet redeem-notes":
       return "Redeem private note";
     default:
@@ -11680,6 +14568,8 @@ function browserWalletOperationEffect(operationName) {
       return "If you approve, MetaMask submits the private note transaction prepared by the CLI.";
     case "wallet transfer-notes":
       return "If you approve, MetaMask submits the private note transfer prepared by the CLI.";
+    case "wallet consolidate-notes":
+      return "If you approve, MetaMask submits one note merge prepared by the CLI. Each merge step asks again.";
     case "wallet redeem-notes":
       return "If you approve, MetaMask submits the note redemption prepared by the CLI.";
     default:
@@ -11979,6 +14869,8 @@ class BrowserWalletSigner {
 }
 
 let browserWalletBridgeSession = null;
+const hardwareWalletSessions = new Map();
+let keystoreSession = null;
 let currentBrowserWalletTransactionContext = null;
 
 async function withBrowserWalletTransactionContext(context, callback) {
@@ -13299,6 +16191,18 @@ function assertCreatePrivateKeySourceArgs(args) {
   assertAllowedCommandSchema(args, "secret-create-private-key-source");
 }
 
+function assertKeyAgentArgs(args) {
+  assertAllowedCommandSchema(args, "agent");
+}
+
+function assertMigrateKeystoreArgs(args) {
+  assertAllowedCommandSchema(args, "secret-migrate-keystore");
+}
+
+function assertKeystoreStatusArgs(args) {
+  assertAllowedCommandSchema(args, "secret-keystore-status");
+}
+
 function assertCreateWalletSecretSourceArgs(args) {
   assertAllowedCommandSchema(args, "secret-create-wallet-secret-source");
   assertBooleanFlag(args, "random", "secret create-wallet-secret-source option --random");
@@ -13318,17 +16222,50 @@ function assertInvestigatorArgs(args) {
   assertAllowedCommandSchema(args, "investigator");
 }
 
+function assertServeArgs(args) {
+  assertAllowedCommandSchema(args, "serve");
+  expect(
+    args.port === undefined || args.socket === undefined,
+    "serve accepts either --port or --socket, not both.",
+  );
+  resolveServeEndpoint(args);
+}
+
 function assertAccountImportArgs(args) {
   assertAllowedCommandSchema(args, "account-import");
+  const sources = [args.privateKeyFile, args.hardwareWallet, args.remoteSigner].filter((value) => value !== undefined);
+  expect(
+    sources.length === 1,
+    "account import requires exactly one of --private-key-file, --hardware-wallet, or --remote-signer.",
+  );
+  if (args.hardwareWallet === undefined) {
+    expect(args.hdPath === undefined, "--hd-path requires --hardware-wallet.");
+  } else {
+    parseHardwareWalletKind(args.hardwareWallet);
+    normalizeHardwareWalletPath(args.hdPath ?? undefined);
+  }
+  if (args.remoteSigner !== undefined) {
+    expect(
+      typeof args.remoteSigner === "string" && ethers.isAddress(args.remoteSigner),
+      "--remote-signer requires the Ethereum address to sign with.",
+    );
+  }
+}
+
+function assertAccountSetRemoteSignerArgs(args) {
+  assertAllowedCommandSchema(args, "account-set-remote-signer");
+  normalizeRemoteSignerUrl(requireArg(args.url, "--url"));
+  parseRemoteSignerAllowlist(requireArg(args.allowedAddresses, "--allowed-addresses"));
 }
 
 function assertMintNotesArgs(args) {
   assertAllowedCommandSchema(args, "wallet-mint-notes");
   assertTxSubmitterArg(args);
-  parseAmountVector(args.amounts, {
+  const amounts = parseAmountVector(args.amounts, {
     allowZeroEntries: true,
     requireAnyPositive: true,
   });
+  selectMintNotesMethod(amounts.filter((value) => parseTokenAmount(value, MAX_TOKEN_AMOUNT_DECIMALS) !== 0n).length);
 }
 
 function assertRedeemNotesArgs(args) {
@@ -13340,16 +16277,71 @@ function assertRedeemNotesArgs(args) {
 function assertTransferNotesArgs(args) {
   assertAllowedCommandSchema(args, "wallet-transfer-notes");
   assertTxSubmitterArg(args);
-  const noteIds = parseNoteIdVector(args.noteIds);
-  const recipients = parseRecipientVector(args.recipients);
-  const amounts = parseAmountVector(args.amounts);
+  assertBooleanFlag(args, "planOnly", "wallet transfer-notes option --plan-only");
+  assertBooleanFlag(args, "resume", "wallet transfer-notes option --resume");
+  assertBooleanFlag(args, "newBatch", "wallet transfer-notes option --new-batch");
+  if (args.batch !== undefined) {
+    expect(
+      !(args.resume === true && args.newBatch === true),
+      "wallet transfer-notes --resume and --new-batch cannot be combined.",
+    );
+    expect(
+      args.recipients === undefined && args.amounts === undefined && args.noteIds === undefined && args.memos === undefined,
+      "wallet transfer-notes --batch reads recipients and amounts from the file; omit --recipients, --amounts, --memos, and --note-ids.",
+    );
+    batchPaymentFileFormat(requireArg(args.batch, "--batch"));
+    if (args.report !== undefined) {
+      requireArg(args.report, "--report");
+    }
+    return;
+  }
+  expect(args.report === undefined, "wallet transfer-notes --report requires --batch.");
+  expect(
+    args.resume === undefined && args.newBatch === undefined,
+    "wallet transfer-notes --resume and --new-batch require --batch.",
+  );
+  const recipients = parseRecipientVector(requireArg(args.recipients, "--recipients"));
+  const amounts = parseAmountVector(requireArg(args.amounts, "--amounts"));
   expect(
     recipients.length === amounts.length,
     "--amounts length must match --recipients length.",
   );
+  if (args.memos !== undefined) {
+    expect(parseMemoVector(args.memos).length === recipients.length, "--memos length must match --recipients length.");
+  }
+  if (args.noteIds === undefined) {
+    assertAutomaticTransferShapeAvailable(recipients.length, PRIVATE_STATE_CONTROLLER_TRANSFER_NOTES_SHAPES);
+    return;
+  }
+  expect(args.planOnly === undefined, "wallet transfer-notes --plan-only requires automatic note selection; omit --note-ids.");
+  const noteIds = parseNoteIdVector(args.noteIds);
   selectTransferNotesMethod(noteIds.length, recipients.length);
 }
 
+function assertWalletCreatePaymentRequestArgs(args) {
+  assertAllowedCommandSchema(args, "wallet-create-payment-request");
+  if (args.reference !== undefined) {
+    normalizePaymentRequestReference(args.reference);
+  }
+}
+
+function assertWalletPayRequestArgs(args) {
+  assertAllowedCommandSchema(args, "wallet-pay-request");
+  assertTxSubmitterArg(args);
+  assertBooleanFlag(args, "planOnly", "wallet pay-request option --plan-only");
+  parsePaymentRequestUri(requireArg(args.request, "--request"));
+}
+
+function assertConsolidateNotesArgs(args) {
+  assertAllowedCommandSchema(args, "wallet-consolidate-notes");
+  assertTxSubmitterArg(args);
+  requireArg(args.threshold, "--threshold");
+  if (args.maxProofs !== undefined) {
+    parsePositiveIntegerOption(args.maxProofs, "--max-proofs");
+  }
+  assertBooleanFlag(args, "planOnly", "wallet consolidate-notes option --plan-only");
+}
+
 function assertTxSubmitterArg(args) {
   if (args.txSubmitter === undefined) {
     return;
@@ -13360,6 +16352,44 @@ function assertTxSubmitterArg(args) {
   requireAccountOptionValue(args.txSubmitter, "--tx-submitter");
 }
 
+function assertWalletAddHookArgs(args) {
+  assertAllowedCommandSchema(args, "wallet-add-hook");
+  parseWalletHookEventTypes(requireArg(args.event, "--event"));
+  expect(
+    (args.url === undefined) !== (args.exec === undefined),
+    "wallet add-hook requires exactly one of --url or --exec.",
+  );
+  const [value, label] = args.url !== undefined ? [args.url, "--url"] : [args.exec, "--exec"];
+  expect(typeof value === "string" && value.trim() !== "", `Missing ${label}.`);
+}
+
+function assertWalletListHooksArgs(args) {
+  assertAllowedCommandSchema(args, "wallet-list-hooks");
+}
+
+function assertWalletRemoveHookArgs(args) {
+  assertAllowedCommandSchema(args, "wallet-remove-hook");
+}
+
+function assertContactsAddArgs(args) {
+  assertAllowedCommandSchema(args, "contacts-add");
+  normalizeContactName(requireArg(args.name, "--name"));
+  expect(ethers.isAddress(requireArg(args.address, "--address")), "--address must be a channel-local address.");
+}
+
+function assertContactsListArgs(args) {
+  assertAllowedCommandSchema(args, "contacts-list");
+}
+
+function assertContactsRemoveArgs(args) {
+  assertAllowedCommandSchema(args, "contacts-remove");
+  normalizeContactName(requireArg(args.name, "--name"));
+}
+
+function assertWalletWatchArgs(args) {
+  assertAllowedCommandSchema(args, "wallet-watch");
+}
+
 function assertWalletGetNotesArgs(args) {
   assertAllowedCommandSchema(args, "wallet-get-notes");
   if (args.exportEvidence !== undefined) {
@@ -13382,7 +16412,7 @@ function assertRecoverWorkspaceArgs(args) {
     throw new Error("channel recover-workspace option --output-raw requires --source rpc.");
   }
   if (args.publishWorkspaceMirror === true) {
-    requireArg(args.leaderAccount, "--leader-account");
+    requireLeaderAccountArg(args);
     requireArg(args.output, "--output");
   } else {
     if (args.leaderAccount !== undefined) {
@@ -13401,9 +16431,49 @@ function assertGetChannelArgs(args) {
   assertAllowedCommandSchema(args, "channel-get-meta");
 }
 
+function assertGetChannelMembersArgs(args) {
+  assertAllowedCommandSchema(args, "channel-get-members");
+  parseChannelMemberPage(args);
+  if (args.output !== undefined) {
+    channelMemberExportFormat(args.output);
+  }
+}
+
+function assertChannelAdminSetJoinTollArgs(args) {
+  assertAllowedCommandSchema(args, "channel-admin-set-join-toll");
+  requireLeaderAccountArg(args);
+}
+
+function assertChannelAdminSetObserverArgs(args) {
+  assertAllowedCommandSchema(args, "channel-admin-set-observer");
+  requireLeaderAccountArg(args);
+  requireHttpUrl(args.url);
+}
+
+function assertChannelAdminShowPolicyArgs(args) {
+  assertAllowedCommandSchema(args, "channel-admin-show-policy");
+}
+
+function assertChannelAdminShowRefundScheduleArgs(args) {
+  assertAllowedCommandSchema(args, "channel-admin-show-refund-schedule");
+}
+
+function assertChannelListArgs(args) {
+  assertAllowedCommandSchema(args, "channel-list");
+  if (args.fromBlock !== undefined) {
+    parsePositiveIntegerOption(args.fromBlock, "--from-block");
+  }
+  if (args.leader !== undefined) {
+    expect(
+      typeof args.leader === "string" && ethers.isAddress(args.leader),
+      "--leader requires the channel leader's Ethereum address.",
+    );
+  }
+}
+
 function assertSetWorkspaceMirrorArgs(args) {
   assertAllowedCommandSchema(args, "channel-set-workspace-mirror");
-  requireWorkspaceMirrorUrl(args.url);
+  requireHttpUrl(args.url);
 }
 
 function assertAbandonChannelOperationArgs(args) {
@@ -13423,6 +16493,10 @@ function assertRecoverWalletArgs(args) {
   assertBooleanFlag(args, "fromGenesis", "wallet recover-workspace option --from-genesis");
 }
 
+function assertCreateWatchOnlyWalletArgs(args) {
+  assertAllowedCommandSchema(args, "wallet-create-watch-only");
+}
+
 function assertJoinChannelArgs(args) {
   assertAllowedCommandSchema(args, "channel-join");
 }
@@ -13450,6 +16524,36 @@ function assertWalletExportBackupArgs(args) {
   requireArg(args.output, "--output");
   requireNetworkName(args);
   requireWalletName(args);
+  expect(
+    (args.shares === undefined) === (args.threshold === undefined),
+    "--shares and --threshold must be used together.",
+  );
+  if (args.shares !== undefined) {
+    parseBackupShareCounts(args);
+  }
+  expect(
+    args.shares === undefined || args.encrypt === undefined,
+    "--encrypt cannot be combined with --shares; backup share archives are already encrypted.",
+  );
+  assertWalletExportEncryptionArgs(args);
+}
+
+function assertWalletExportEncryptionArgs(args) {
+  if (args.encrypt === undefined) {
+    expect(
+      args.recipient === undefined && args.passphraseFile === undefined,
+      "--recipient and --passphrase-file require --encrypt.",
+    );
+    return;
+  }
+  expect(args.encrypt === true, "--encrypt does not take a value; use --recipient for age recipient keys.");
+  expect(
+    args.recipient === undefined || args.passphraseFile === undefined,
+    "Use either --recipient or --passphrase-file with --encrypt, not both.",
+  );
+  if (args.recipient !== undefined) {
+    parseAgeRecipients(requireArg(args.recipient, "--recipient"));
+  }
 }
 
 function assertWalletExportKeyArgs(args, commandName) {
@@ -13457,6 +16561,7 @@ function assertWalletExportKeyArgs(args, commandName) {
   requireArg(args.output, "--output");
   requireNetworkName(args);
   requireWalletName(args);
+  assertWalletExportEncryptionArgs(args);
 }
 
 function assertWalletImportBackupArgs(args) {
@@ -13466,6 +16571,23 @@ function assertWalletImportBackupArgs(args) {
   }
 }
 
+function assertWalletExportDeltaArgs(args) {
+  assertAllowedCommandSchema(args, "wallet-export-delta");
+  requireArg(args.output, "--output");
+  requireNetworkName(args);
+  requireWalletName(args);
+  if (args.sinceBlock !== undefined) {
+    parsePositiveIntegerOption(args.sinceBlock, "--since-block");
+  }
+}
+
+function assertWalletApplyDeltaArgs(args) {
+  assertAllowedCommandSchema(args, "wallet-apply-delta");
+  requireArg(args.input, "--input");
+  requireNetworkName(args);
+  requireWalletName(args);
+}
+
 function assertWalletImportKeyArgs(args, commandName) {
   assertAllowedCommandSchema(args, commandName);
   if (args.network !== undefined) {
@@ -13630,6 +16752,7 @@ function sanitizeTrackedNoteForPersistence(note) {
     commitment: normalized.commitment,
     nullifier: normalized.nullifier,
     encryptedNoteValue: normalized.encryptedNoteValue,
+    encryptedMemo: normalized.encryptedMemo,
     status: normalized.status,
     sourceFunction: normalized.sourceFunction,
     sourceTxHash: normalized.sourceTxHash,
@@ -13948,55 +17071,390 @@ function parsePositiveNumberOption(value, label) {
   if (value === true || value === undefined) {
     throw new Error(`${label} requires a positive number.`);
   }
-  const parsed = Number(value);
-  expect(Number.isFinite(parsed) && parsed > 0, `${label} must be a positive number.`);
-  return parsed;
+  const parsed = Number(value);
+  expect(Number.isFinite(parsed) && parsed > 0, `${label} must be a positive number.`);
+  return parsed;
+}
+
+function parsePositiveIntegerOption(value, label) {
+  if (value === true || value === undefined) {
+    throw new Error(`${label} requires a positive integer.`);
+  }
+  const parsed = Number(value);
+  expect(Number.isInteger(parsed) && parsed > 0, `${label} must be a positive integer.`);
+  return parsed;
+}
+
+function setActiveRpcLogConfig(rpcConfig) {
+  activeRpcLogConfig = rpcConfig;
+}
+
+function requireActiveRpcLogConfig() {
+  expect(
+    activeRpcLogConfig,
+    "RPC log scan configuration is missing. Run private-state-cli set rpc before commands that scan logs.",
+  );
+  return activeRpcLogConfig;
+}
+
+function readSecretFile(filePath, label) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Missing ${label}: ${filePath}`);
+  }
+  assertSecretFilePermissions(filePath, label);
+  const contents = fs.readFileSync(filePath, "utf8").trim();
+  return keystoreSecretKind(contents) === null ? contents : decryptKeystoreFile(filePath, contents, label);
+}
+
+function decryptKeystoreFile(filePath, contents, label) {
+  expect(
+    keystoreSession,
+    cliError(
+      CLI_ERROR_CODES.KEYSTORE_LOCKED,
+      `${label} is passphrase-encrypted and the keystore is locked: ${filePath}. Run the command in a terminal or set ${KEYSTORE_PASSPHRASE_FILE_ENV}.`,
+    ),
+  );
+  const cached = keystoreSession.plaintextByPath.get(filePath);
+  if (cached?.contents === contents) {
+    return cached.plaintext;
+  }
+  expect(
+    keystoreSession.passphrase !== null,
+    cliError(
+      CLI_ERROR_CODES.KEYSTORE_LOCKED,
+      `${label} is not held by the key agent at ${keystoreSession.agentSocketPath}: ${filePath}. Restart the agent after changing key files.`,
+    ),
+  );
+  const plaintext = decryptKeystoreSecret(contents, keystoreSession.passphrase);
+  keystoreSession.plaintextByPath.set(filePath, { contents, plaintext });
+  return plaintext;
+}
+
+function readImportSecretSourceFile(filePath, label) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Missing ${label}: ${filePath}`);
+  }
+  const stat = fs.statSync(filePath);
+  if (!stat.isFile()) {
+    throw new Error(`${label} is not a regular file: ${filePath}`);
+  }
+  return fs.readFileSync(filePath, "utf8").trim();
+}
+
+function writeSecretFile(filePath, value, { keystore = true } = {}) {
+  const config = keystore ? readKeystoreConfig() : null;
+  let contents = String(value).trim();
+  if (config) {
+    expect(
+      keystoreSession,
+      cliError(
+        CLI_ERROR_CODES.KEYSTORE_LOCKED,
+        `The keystore is locked, so ${filePath} cannot be written encrypted. Run the command in a terminal or set ${KEYSTORE_PASSPHRASE_FILE_ENV}.`,
+      ),
+    );
+    contents = encryptKeystoreSecret(contents, keystoreSession.passphrase, { scrypt: config.scrypt });
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(filePath, `${contents}\n`, { mode: 0o600 });
+  protectSecretFile(filePath, "canonical secret file");
+}
+
+function keystoreConfigPath() {
+  return path.join(secretRoot, "keystore.json");
+}
+
+function readKeystoreConfig() {
+  return readJsonIfExists(keystoreConfigPath());
+}
+
+function unlockKeystoreSession(passphrase) {
+  const config = readKeystoreConfig();
+  expect(config, "The private-state keystore is not enabled. Run private-state-cli secret migrate-keystore first.");
+  verifyKeystorePassphrase(config, String(passphrase));
+  keystoreSession = { passphrase: String(passphrase), plaintextByPath: new Map() };
+}
+
+function lockKeystoreSession() {
+  keystoreSession = null;
+}
+
+async function readKeystorePassphrase({ passphraseFile = null, confirm = false } = {}) {
+  const sourcePath = passphraseFile ?? process.env[KEYSTORE_PASSPHRASE_FILE_ENV] ?? null;
+  if (sourcePath) {
+    const passphrase = readImportSecretSourceFile(path.resolve(String(sourcePath)), "keystore passphrase file");
+    expect(passphrase.length > 0, "Keystore passphrase file is empty.");
+    return passphrase;
+  }
+  expect(
+    process.stdin.isTTY && process.stderr.isTTY,
+    cliError(
+      CLI_ERROR_CODES.KEYSTORE_LOCKED,
+      `The private-state keystore is locked. Run the command in a terminal or set ${KEYSTORE_PASSPHRASE_FILE_ENV}.`,
+    ),
+  );
+  const passphrase = await readMaskedTerminalSecret("Keystore passphrase: ");
+  expect(passphrase.length > 0, "Keystore passphrase input was empty.");
+  if (confirm) {
+    expect(
+      await readMaskedTerminalSecret("Repeat keystore passphrase: ") === passphrase,
+      "Keystore passphrases did not match.",
+    );
+  }
+  return passphrase;
+}
+
+async function ensureKeystoreUnlocked() {
+  if (!keystoreSession && readKeystoreConfig()) {
+    unlockKeystoreSession(await readKeystorePassphrase());
+  }
+}
+
+// Prompt once up front instead of from the synchronous secret-file readers deep inside a command.
+async function unlockKeystoreForCommand(args) {
+  const command = PRIVATE_STATE_CLI_COMMANDS.find((candidate) => candidate.id === args.command);
+  if (
+    !command
+    || keystoreSession
+    || !readKeystoreConfig()
+    || !(KEYSTORE_WRITE_COMMAND_IDS.has(command.id) || command.fields.some((field) => KEYSTORE_SECRET_FIELDS.includes(field)))
+  ) {
+    return;
+  }
+  if (!KEYSTORE_WRITE_COMMAND_IDS.has(command.id) && await loadKeyAgentSession(args, command)) {
+    return;
+  }
+  await ensureKeystoreUnlocked();
+}
+
+function releaseKeyAgentSession() {
+  if (keystoreSession?.agentSocketPath) {
+    keystoreSession = null;
+  }
+}
+
+function keyAgentSocketPath() {
+  return path.resolve(process.env[KEY_AGENT_SOCKET_ENV] ?? path.join(secretRoot, "agent", "agent.sock"));
+}
+
+function keyAgentRequestTargets(args) {
+  const paths = [];
+  const addresses = [];
+  try {
+    const networkName = requireNetworkName(args);
+    for (const account of [args.account, args.leaderAccount, args.txSubmitter]) {
+      if (typeof account === "string") {
+        paths.push(accountPrivateKeyPath(networkName, account));
+      }
+    }
+    if (typeof args.wallet === "string") {
+      paths.push(walletViewingKeySecretPath(networkName, args.wallet), walletSpendingKeySecretPath(networkName, args.wallet));
+      addresses.push(getAddress(loadWalletMetadata(args.wallet, networkName).l1Address));
+    }
+  } catch {
+    // The command reports invalid names itself.
+  }
+  return { paths, addresses };
 }
 
-function parsePositiveIntegerOption(value, label) {
-  if (value === true || value === undefined) {
-    throw new Error(`${label} requires a positive integer.`);
+async function loadKeyAgentSession(args, command) {
+  const socketPath = keyAgentSocketPath();
+  if (!fs.existsSync(socketPath)) {
+    return false;
   }
-  const parsed = Number(value);
-  expect(Number.isInteger(parsed) && parsed > 0, `${label} must be a positive integer.`);
-  return parsed;
+  try {
+    const status = await requestKeyAgent(socketPath, "status", {}, { timeoutMs: 5_000 });
+    if (status.keys.length === 0) {
+      return false;
+    }
+  } catch {
+    return false;
+  }
+  let response;
+  try {
+    response = await requestKeyAgent(socketPath, "request", {
+      command: privateStateCliCommandDisplay(command),
+      ...keyAgentRequestTargets(args),
+    });
+  } catch (error) {
+    throw cliError(CLI_ERROR_CODES.KEYSTORE_LOCKED, error.message);
+  }
+  keystoreSession = {
+    passphrase: null,
+    agentSocketPath: socketPath,
+    plaintextByPath: new Map(response.entries.map(({ path: filePath, contents, plaintext }) => [
+      filePath,
+      { contents, plaintext },
+    ])),
+  };
+  return true;
 }
 
-function setActiveRpcLogConfig(rpcConfig) {
-  activeRpcLogConfig = rpcConfig;
+async function approveKeyAgentRequest({ command, keys }) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+  const controller = new AbortController();
+  rl.on("SIGINT", () => controller.abort());
+  try {
+    const answer = await rl.question([
+      `[agent] ${command} requests:`,
+      ...keys.map((key) => `- ${key.kind} key ${key.path}`),
+      "Approve? [y/N] ",
+    ].join("\n"), { signal: controller.signal });
+    return /^y(es)?$/iu.test(answer.trim());
+  } catch {
+    return false;
+  } finally {
+    rl.close();
+  }
 }
 
-function requireActiveRpcLogConfig() {
+async function handleKeyAgent({ args }) {
+  expect(process.platform !== "win32", "private-state-cli agent requires Unix domain sockets and is not available on Windows.");
+  const config = readKeystoreConfig();
+  expect(config, "The key agent serves passphrase-encrypted keys. Run private-state-cli secret migrate-keystore first.");
   expect(
-    activeRpcLogConfig,
-    "RPC log scan configuration is missing. Run private-state-cli set rpc before commands that scan logs.",
+    process.stdin.isTTY && process.stderr.isTTY,
+    "private-state-cli agent must run in an interactive terminal so it can ask before releasing keys.",
   );
-  return activeRpcLogConfig;
+  const ttlSeconds = args.ttl === undefined
+    ? DEFAULT_KEY_AGENT_TTL_SECONDS
+    : parsePositiveIntegerOption(args.ttl, "--ttl");
+  expect(ttlSeconds <= 604_800, "--ttl must be at most 604800 seconds (7 days).");
+  const socketPath = args.socket === undefined
+    ? keyAgentSocketPath()
+    : path.resolve(requireArg(args.socket, "--socket"));
+  const passphrase = await readKeystorePassphrase();
+  verifyKeystorePassphrase(config, passphrase);
+  const entries = listKeystoreSecretFiles().filter((file) => file.encrypted).map((file) => {
+    const contents = fs.readFileSync(file.path, "utf8").trim();
+    const plaintext = decryptKeystoreSecret(contents, passphrase);
+    const isAccount = file.owner.startsWith("accounts/");
+    return {
+      path: file.path,
+      contents,
+      plaintext,
+      kind: isAccount ? "account" : path.basename(file.path, ".key"),
+      ...(isAccount ? { address: getAddress(new Wallet(normalizePrivateKey(plaintext)).address) } : {}),
+    };
+  });
+  const agent = createKeyAgent({
+    entries,
+    ttlMs: ttlSeconds * 1000,
+    approve: approveKeyAgentRequest,
+  });
+  const server = await startKeyAgentServer({ socketPath, agent });
+  emitProgress("agent", "listening", {
+    message: [
+      `[agent] holding ${entries.length} key(s) for ${ttlSeconds}s on ${socketPath}`,
+      ...(socketPath === keyAgentSocketPath() ? [] : [`[agent] export ${KEY_AGENT_SOCKET_ENV}=${shellQuotePath(socketPath)}`]),
+    ].join("\n"),
+    socket: socketPath,
+    keyCount: entries.length,
+    expiresAt: new Date(agent.expiresAt).toISOString(),
+  });
+
+  const reason = await new Promise((resolve) => {
+    const timer = setTimeout(() => stop("expired"), Math.max(agent.expiresAt - Date.now(), 0));
+    const stop = (stopReason) => {
+      clearTimeout(timer);
+      process.off("SIGINT", onSignal);
+      process.off("SIGTERM", onSignal);
+      resolve(stopReason);
+    };
+    const onSignal = () => stop("stopped");
+    process.on("SIGINT", onSignal);
+    process.on("SIGTERM", onSignal);
+  });
+  agent.clear();
+  await new Promise((resolve) => server.close(() => resolve()));
+  fs.rmSync(socketPath, { force: true });
+  cliOutput.result({
+    action: "agent",
+    stopped: true,
+    reason,
+    socket: socketPath,
+  });
 }
 
-function readSecretFile(filePath, label) {
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`Missing ${label}: ${filePath}`);
+function listKeystoreSecretFiles() {
+  const files = [];
+  if (!fs.existsSync(secretRoot)) {
+    return files;
   }
-  assertSecretFilePermissions(filePath, label);
-  return fs.readFileSync(filePath, "utf8").trim();
+  for (const networkEntry of fs.readdirSync(secretRoot, { withFileTypes: true })) {
+    if (!networkEntry.isDirectory()) {
+      continue;
+    }
+    const groups = [
+      ["accounts", ["private-key"]],
+      ["wallets", ["viewing.key", "spending.key"]],
+    ];
+    for (const [group, fileNames] of groups) {
+      const groupDir = path.join(secretRoot, networkEntry.name, group);
+      if (!fs.existsSync(groupDir)) {
+        continue;
+      }
+      for (const entry of fs.readdirSync(groupDir, { withFileTypes: true })) {
+        for (const fileName of entry.isDirectory() ? fileNames : []) {
+          const filePath = path.join(groupDir, entry.name, fileName);
+          if (fs.existsSync(filePath)) {
+            files.push({
+              network: networkEntry.name,
+              owner: `${group}/${entry.name}`,
+              path: filePath,
+              encrypted: keystoreSecretKind(fs.readFileSync(filePath, "utf8").trim()) !== null,
+            });
+          }
+        }
+      }
+    }
+  }
+  return files;
 }
 
-function readImportSecretSourceFile(filePath, label) {
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`Missing ${label}: ${filePath}`);
-  }
-  const stat = fs.statSync(filePath);
-  if (!stat.isFile()) {
-    throw new Error(`${label} is not a regular file: ${filePath}`);
+async function handleMigrateKeystore({ args }) {
+  const config = readKeystoreConfig();
+  const passphrase = await readKeystorePassphrase({
+    passphraseFile: args.passphraseFile ?? null,
+    confirm: !config,
+  });
+  if (config) {
+    unlockKeystoreSession(passphrase);
+  } else {
+    writeJsonWithMode(keystoreConfigPath(), createKeystoreConfig(passphrase), 0o600);
+    keystoreSession = { passphrase, plaintextByPath: new Map() };
+  }
+  const migrated = [];
+  for (const file of listKeystoreSecretFiles().filter((entry) => !entry.encrypted)) {
+    const plaintext = readSecretFile(file.path, file.owner);
+    const stagedPath = `${file.path}.keystore-${process.pid}`;
+    writeSecretFile(stagedPath, plaintext);
+    expect(readSecretFile(stagedPath, file.owner) === plaintext, `Keystore round trip failed for ${file.path}.`);
+    fs.renameSync(stagedPath, file.path);
+    migrated.push({ network: file.network, owner: file.owner, path: file.path });
   }
-  return fs.readFileSync(filePath, "utf8").trim();
+  cliOutput.result({
+    action: "secret migrate-keystore",
+    keystoreCreated: !config,
+    keystorePath: keystoreConfigPath(),
+    migratedCount: migrated.length,
+    migrated,
+  });
 }
 
-function writeSecretFile(filePath, value) {
-  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
-  fs.writeFileSync(filePath, `${String(value).trim()}\n`, { mode: 0o600 });
-  protectSecretFile(filePath, "canonical secret file");
+function handleKeystoreStatus() {
+  const config = readKeystoreConfig();
+  const files = listKeystoreSecretFiles();
+  const plaintext = files.filter((file) => !file.encrypted);
+  cliOutput.result({
+    action: "secret keystore-status",
+    enabled: Boolean(config),
+    keystorePath: keystoreConfigPath(),
+    unlocked: keystoreSession !== null,
+    encryptedCount: files.length - plaintext.length,
+    plaintextCount: plaintext.length,
+    plaintextFiles: plaintext.map(({ network, owner, path: filePath }) => ({ network, owner, path: filePath })),
+    ...(config && plaintext.length > 0 ? { nextCommand: "secret migrate-keystore" } : {}),
+  });
 }
 
 function protectSecretFile(filePath, label) {
@@ -14196,6 +17654,25 @@ function writeEncryptedWalletFile(filePath, plaintextBytes, walletSecret) {
   fs.writeFileSync(filePath, `${JSON.stringify(envelope, null, 2)}\n`);
 }
 
+function readEncryptedWalletFile(filePath, walletSecret) {
+  const envelope = readJson(filePath);
+  expect(
+    Number(envelope.version) === WALLET_ENCRYPTION_VERSION && envelope.algorithm === WALLET_ENCRYPTION_ALGORITHM,
+    `Unsupported encrypted wallet file: ${filePath}.`,
+  );
+  const decipher = createDecipheriv(
+    "aes-256-gcm",
+    deriveWalletEncryptionKey(walletSecret, ethers.getBytes(envelope.salt)),
+    ethers.getBytes(envelope.iv),
+  );
+  decipher.setAuthTag(ethers.getBytes(envelope.tag));
+  try {
+    return Buffer.concat([decipher.update(ethers.getBytes(envelope.ciphertext)), decipher.final()]);
+  } catch {
+    throw new Error(`Unable to decrypt wallet file ${filePath}. The wallet secret does not match.`);
+  }
+}
+
 function deriveWalletEncryptionKey(walletSecret, salt) {
   return scryptSync(String(walletSecret), salt, 32);
 }
@@ -14224,9 +17701,7 @@ function loadExplicitCommandRuntime(args, { staticNetwork = false, prepareArtifa
   };
   const rpcConfig = resolveCommandRpcConfig(args);
   setActiveRpcLogConfig(rpcConfig);
-  const provider = staticNetwork
-    ? new JsonRpcProvider(rpcConfig.rpcUrl, Number(network.chainId), { staticNetwork: true })
-    : new JsonRpcProvider(rpcConfig.rpcUrl);
+  const provider = commandJsonRpcProvider(rpcConfig.rpcUrl, staticNetwork ? network.chainId : null);
   if (prepareArtifacts) prepareDeploymentArtifactsForCommand(args.command, network.chainId);
   return {
     network,
@@ -14261,8 +17736,426 @@ function loadWalletCommandRuntime(args, { prepareArtifacts = false } = {}) {
   return {
     network,
     rpcConfig,
-    provider: new JsonRpcProvider(rpcConfig.rpcUrl),
+    provider: commandJsonRpcProvider(rpcConfig.rpcUrl),
+  };
+}
+
+function enableWarmCommandRuntime() {
+  sharedJsonRpcProviders ??= new Map();
+  warmWorkspaceJsonFiles ??= new Map();
+}
+
+function commandJsonRpcProvider(rpcUrl, chainId = null) {
+  if (commandRuntimeOverrides?.provider) {
+    return commandRuntimeOverrides.provider;
+  }
+  const createProvider = () => (chainId === null
+    ? new JsonRpcProvider(rpcUrl)
+    : new JsonRpcProvider(rpcUrl, Number(chainId), { staticNetwork: true }));
+  if (sharedJsonRpcProviders === null) {
+    return createProvider();
+  }
+  const key = `${chainId ?? "detect"}:${rpcUrl}`;
+  if (!sharedJsonRpcProviders.has(key)) {
+    sharedJsonRpcProviders.set(key, createProvider());
+  }
+  return sharedJsonRpcProviders.get(key);
+}
+
+function readWorkspaceJson(filePath) {
+  if (warmWorkspaceJsonFiles === null) {
+    return readJson(filePath);
+  }
+  const stat = fs.statSync(filePath);
+  const cached = warmWorkspaceJsonFiles.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+    return structuredClone(cached.value);
+  }
+  const value = readJson(filePath);
+  warmWorkspaceJsonFiles.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, value: structuredClone(value) });
+  return value;
+}
+
+async function runWithOutputSink(sink, callback) {
+  const previousSink = activeOutputSink;
+  const previousJsonOutputRequested = jsonOutputRequested;
+  activeOutputSink = sink;
+  jsonOutputRequested = true;
+  try {
+    return await callback();
+  } finally {
+    activeOutputSink = previousSink;
+    jsonOutputRequested = previousJsonOutputRequested;
+  }
+}
+
+async function runWithCommandRuntimeOverrides(overrides, callback) {
+  const previousOverrides = commandRuntimeOverrides;
+  commandRuntimeOverrides = overrides;
+  try {
+    return await callback();
+  } finally {
+    commandRuntimeOverrides = previousOverrides;
+  }
+}
+
+function toPrivateStateCliError(error) {
+  if (error instanceof PrivateStateCliError) {
+    return error;
+  }
+  const wrapped = cliError(error?.code ?? "ERROR", String(error?.message ?? error), { cause: error });
+  for (const key of Object.keys(error ?? {})) {
+    if (!Object.hasOwn(wrapped, key)) {
+      wrapped[key] = error[key];
+    }
+  }
+  return wrapped;
+}
+
+async function runCommandInProcess({ args, dispatch, output = null, provider = null, signer = null, txSubmitter = null }) {
+  let result = null;
+  const previousExitCode = process.exitCode;
+  await runWithOutputSink({
+    event: (event) => output?.event?.(event),
+    result: (payload) => {
+      result = payload;
+      output?.result?.(payload);
+    },
+    error: () => {},
+  }, () => runWithCommandRuntimeOverrides({ provider, signer, txSubmitter }, async () => {
+    try {
+      await dispatch(args);
+    } catch (error) {
+      throw toPrivateStateCliError(error);
+    } finally {
+      await closeBrowserWalletBridgeSession();
+      await closeHardwareWalletSessions();
+      releaseKeyAgentSession();
+      process.exitCode = previousExitCode;
+    }
+  }));
+  return result ?? buildJsonSuccessPayload({ action: args.command });
+}
+
+function serveRpcError(code, message) {
+  const error = new Error(message);
+  error.rpcCode = code;
+  return error;
+}
+
+function resolveCommandForParams(commandName) {
+  const command = PRIVATE_STATE_CLI_COMMANDS.find((candidate) => (
+    candidate.id === commandName || privateStateCliCommandDisplay(candidate) === commandName
+  ));
+  if (!command) {
+    throw cliError(CLI_ERROR_CODES.UNKNOWN_COMMAND, `Unknown private-state CLI command: ${commandName}.`);
+  }
+  expect(
+    command.longRunning !== true,
+    cliError(
+      CLI_ERROR_CODES.UNKNOWN_COMMAND,
+      `${privateStateCliCommandDisplay(command)} runs until stopped and is available only from the command line.`,
+    ),
+  );
+  return command;
+}
+
+function buildCommandArgsFromParams(commandName, params = {}) {
+  const command = resolveCommandForParams(commandName);
+  if (params === null || typeof params !== "object" || Array.isArray(params)) {
+    throw cliError(
+      CLI_ERROR_CODES.INVALID_PARAMS,
+      `${privateStateCliCommandDisplay(command)} params must be an object keyed by option name.`,
+    );
+  }
+  const args = {
+    positional: [command.id],
+    command: command.id,
+    json: true,
+  };
+  for (const [name, value] of Object.entries(params)) {
+    const key = toCamelCase(name.replace(/^--/, ""));
+    if (key === "command" || key === "positional" || key === "json") {
+      throw cliError(CLI_ERROR_CODES.INVALID_PARAMS, `Param ${name} is reserved by the private-state CLI.`);
+    }
+    if (value === false || value === null || value === undefined) {
+      continue;
+    }
+    if (value === true || typeof value === "string") {
+      args[key] = value;
+    } else if (typeof value === "number" || typeof value === "bigint") {
+      args[key] = value.toString();
+    } else if (Array.isArray(value)) {
+      args[key] = JSON.stringify(value);
+    } else {
+      throw cliError(
+        CLI_ERROR_CODES.INVALID_PARAMS,
+        `Param ${name} must be a string, number, boolean, or array.`,
+      );
+    }
+  }
+  return args;
+}
+
+async function readServeRequestBody(request) {
+  const chunks = [];
+  let byteLength = 0;
+  for await (const chunk of request) {
+    byteLength += chunk.length;
+    if (byteLength > SERVE_MAX_REQUEST_BYTES) {
+      throw serveRpcError(SERVE_RPC_ERROR_CODES.INVALID_REQUEST, "JSON-RPC request body is too large.");
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function serveTokenMatches(request, token) {
+  const header = String(request.headers.authorization ?? "");
+  const presented = header.startsWith("Bearer ") ? header.slice("Bearer ".length).trim() : "";
+  return timingSafeEqual(
+    createHash("sha256").update(presented).digest(),
+    createHash("sha256").update(token).digest(),
+  );
+}
+
+function serveRpcErrorResponse(id, code, message, data = undefined) {
+  return {
+    jsonrpc: "2.0",
+    id: id ?? null,
+    error: data === undefined ? { code, message } : { code, message, data },
+  };
+}
+
+async function executeServeRpcRequest({ rpcRequest, dispatch, onEvent }) {
+  const id = rpcRequest?.id ?? null;
+  if (
+    rpcRequest === null
+    || typeof rpcRequest !== "object"
+    || Array.isArray(rpcRequest)
+    || rpcRequest.jsonrpc !== "2.0"
+    || typeof rpcRequest.method !== "string"
+  ) {
+    return serveRpcErrorResponse(
+      id,
+      SERVE_RPC_ERROR_CODES.INVALID_REQUEST,
+      "Expected a single JSON-RPC 2.0 request object with a method name.",
+    );
+  }
+  if (rpcRequest.method === "rpc.commands") {
+    return {
+      jsonrpc: "2.0",
+      id,
+      result: {
+        ok: true,
+        action: "rpc.commands",
+        commands: PRIVATE_STATE_CLI_COMMANDS
+          .filter((command) => command.longRunning !== true)
+          .map(buildHelpCommandEntry),
+      },
+    };
+  }
+  let args;
+  try {
+    args = buildCommandArgsFromParams(rpcRequest.method, rpcRequest.params ?? {});
+  } catch (error) {
+    return serveRpcErrorResponse(
+      id,
+      error.code === CLI_ERROR_CODES.UNKNOWN_COMMAND
+        ? SERVE_RPC_ERROR_CODES.METHOD_NOT_FOUND
+        : SERVE_RPC_ERROR_CODES.INVALID_PARAMS,
+      error.message,
+    );
+  }
+  let outcome = null;
+  const previousExitCode = process.exitCode;
+  await runWithOutputSink({
+    event: onEvent,
+    result: (payload) => {
+      outcome = { result: payload };
+    },
+    error: (payload) => {
+      outcome = { error: payload };
+    },
+  }, async () => {
+    try {
+      await dispatch(args);
+    } catch (error) {
+      cliOutput.error(error, args);
+    } finally {
+      await closeBrowserWalletBridgeSession();
+      await closeHardwareWalletSessions();
+      releaseKeyAgentSession();
+      process.exitCode = previousExitCode;
+    }
+  });
+  if (outcome?.error) {
+    return serveRpcErrorResponse(
+      id,
+      SERVE_RPC_ERROR_CODES.COMMAND_FAILED,
+      outcome.error.error.message,
+      outcome.error,
+    );
+  }
+  return {
+    jsonrpc: "2.0",
+    id,
+    result: outcome?.result ?? buildJsonSuccessPayload({ action: args.command }),
+  };
+}
+
+async function handleServeHttpRequest({ request, response, token, dispatch, enqueue }) {
+  const requestUrl = new URL(request.url ?? "/", "http://127.0.0.1");
+  if (requestUrl.pathname !== "/") {
+    writeServeHttpResponse(response, 404, serveRpcErrorResponse(null, SERVE_RPC_ERROR_CODES.INVALID_REQUEST, "Not found."));
+    return;
+  }
+  if (request.method !== "POST") {
+    writeServeHttpResponse(
+      response,
+      405,
+      serveRpcErrorResponse(null, SERVE_RPC_ERROR_CODES.INVALID_REQUEST, "private-state-cli serve accepts only POST requests."),
+      { allow: "POST" },
+    );
+    return;
+  }
+  if (!serveTokenMatches(request, token)) {
+    writeServeHttpResponse(
+      response,
+      401,
+      serveRpcErrorResponse(null, SERVE_RPC_ERROR_CODES.UNAUTHORIZED, "Missing or invalid serve bearer token."),
+    );
+    return;
+  }
+  let rpcRequest;
+  try {
+    rpcRequest = JSON.parse(await readServeRequestBody(request));
+  } catch (error) {
+    writeServeHttpResponse(
+      response,
+      400,
+      serveRpcErrorResponse(null, error.rpcCode ?? SERVE_RPC_ERROR_CODES.PARSE_ERROR, error.rpcCode ? error.message : "Invalid JSON."),
+    );
+    return;
+  }
+  const streamEvents = String(request.headers.accept ?? "").includes("application/x-ndjson");
+  if (streamEvents) {
+    response.writeHead(200, {
+      "content-type": "application/x-ndjson; charset=utf-8",
+      "cache-control": "no-store",
+    });
+  }
+  const rpcResponse = await enqueue(() => executeServeRpcRequest({
+    rpcRequest,
+    dispatch,
+    onEvent: (event) => {
+      if (streamEvents && !response.writableEnded) {
+        response.write(`${JSON.stringify({ jsonrpc: "2.0", method: "event", params: event })}\n`);
+      }
+    },
+  }));
+  if (streamEvents) {
+    response.end(`${JSON.stringify(rpcResponse)}\n`);
+    return;
+  }
+  writeServeHttpResponse(response, 200, rpcResponse);
+}
+
+function writeServeHttpResponse(response, statusCode, body, headers = {}) {
+  response.writeHead(statusCode, {
+    "content-type": "application/json; charset=utf-8",
+    "cache-control": "no-store",
+    ...headers,
+  });
+  response.end(`${JSON.stringify(body)}\n`);
+}
+
+function resolveServeEndpoint(args) {
+  if (args.socket !== undefined) {
+    return { socketPath: path.resolve(requireArg(args.socket, "--socket")) };
+  }
+  const port = args.port === undefined ? DEFAULT_SERVE_PORT : parsePositiveIntegerOption(args.port, "--port");
+  expect(port <= 65535, "--port must be at most 65535.");
+  return { host: "127.0.0.1", port };
+}
+
+async function handleServe({ args, dispatch }) {
+  const endpoint = resolveServeEndpoint(args);
+  if (endpoint.socketPath && fs.existsSync(endpoint.socketPath)) {
+    expect(
+      fs.statSync(endpoint.socketPath).isSocket(),
+      `--socket path already exists and is not a socket: ${endpoint.socketPath}`,
+    );
+    fs.rmSync(endpoint.socketPath);
+  }
+  enableWarmCommandRuntime();
+  await ensureKeystoreUnlocked();
+  const token = randomBytes(32).toString("hex");
+  const tokenPath = path.join(secretRoot, "serve", "token");
+  writeSecretFile(tokenPath, token, { keystore: false });
+
+  let queue = Promise.resolve();
+  let requestCount = 0;
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
   };
+  const server = http.createServer((request, response) => {
+    requestCount += 1;
+    handleServeHttpRequest({ request, response, token, dispatch, enqueue }).catch((error) => {
+      if (response.headersSent) {
+        response.end();
+        return;
+      }
+      writeServeHttpResponse(
+        response,
+        500,
+        serveRpcErrorResponse(null, SERVE_RPC_ERROR_CODES.INTERNAL_ERROR, String(error?.message ?? error)),
+      );
+    });
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    if (endpoint.socketPath) {
+      server.listen(endpoint.socketPath, resolve);
+    } else {
+      server.listen(endpoint.port, endpoint.host, resolve);
+    }
+  });
+  if (endpoint.socketPath) {
+    fs.chmodSync(endpoint.socketPath, 0o600);
+  }
+  const listening = endpoint.socketPath
+    ? { socket: endpoint.socketPath }
+    : { url: `http://${endpoint.host}:${server.address().port}/` };
+  emitProgress("serve", "listening", {
+    message: `[serve] listening on ${listening.socket ?? listening.url}; bearer token in ${tokenPath}`,
+    ...listening,
+    tokenPath,
+  });
+
+  await new Promise((resolve) => {
+    const stop = () => {
+      process.off("SIGINT", stop);
+      process.off("SIGTERM", stop);
+      server.close(() => resolve());
+      server.closeIdleConnections();
+    };
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+  });
+  await queue;
+  fs.rmSync(tokenPath, { force: true });
+  if (endpoint.socketPath) {
+    fs.rmSync(endpoint.socketPath, { force: true });
+  }
+  cliOutput.result({
+    action: "serve",
+    stopped: true,
+    ...listening,
+    requestCount,
+  });
 }
 
 const HUMAN_RESULT_RENDERERS = Object.freeze({
@@ -14284,6 +18177,10 @@ function normalizePrivateKey(value) {
 const cliOutput = Object.freeze({
   result(value) {
     const normalized = normalizeCliOutput(value);
+    if (activeOutputSink) {
+      activeOutputSink.result(buildJsonSuccessPayload(normalized));
+      return;
+    }
     if (isJsonOutputRequested()) {
       console.log(JSON.stringify(buildJsonSuccessPayload(normalized), null, 2));
       return;
@@ -14296,6 +18193,10 @@ const cliOutput = Object.freeze({
     printHumanResult(normalized);
   },
   error(error, args = {}) {
+    if (activeOutputSink) {
+      activeOutputSink.error(normalizeCliOutput(buildJsonErrorPayload(error, args)));
+      return;
+    }
     if (isJsonOutputRequested()) {
       console.log(JSON.stringify(normalizeCliOutput(buildJsonErrorPayload(error, args)), null, 2));
       return;
@@ -14319,6 +18220,14 @@ const cliOutput = Object.freeze({
       details,
     });
   },
+  note(kind, message, details = {}) {
+    emitOutputEvent({
+      event: "note",
+      kind,
+      message,
+      details,
+    });
+  },
 });
 
 function buildJsonSuccessPayload(value) {
@@ -14337,6 +18246,10 @@ function emitOutputEvent(event) {
     timestamp: new Date().toISOString(),
     ...event,
   });
+  if (activeOutputSink) {
+    activeOutputSink.event(normalized);
+    return;
+  }
   if (isJsonOutputRequested()) {
     console.error(JSON.stringify(normalized));
     return;
@@ -15389,6 +19302,11 @@ function requireSemverVersion(value, label) {
 }
 
 export {
+  CLI_ERROR_CODES,
+  PrivateStateCliError,
+  buildCommandArgsFromParams,
+  enableWarmCommandRuntime,
+  runCommandInProcess,
   parseArgs,
   configureOutput,
   requireCurrentTermsAcceptanceForCommand,
@@ -15397,6 +19315,10 @@ export {
   printVersion,
   printHelp,
   closeBrowserWalletBridgeSession,
+  closeHardwareWalletSessions,
+  unlockKeystoreSession,
+  lockKeystoreSession,
+  unlockKeystoreForCommand,
   assertHelpCommandsArgs,
   assertInstallZkEvmArgs,
   assertUninstallArgs,
@@ -15406,20 +19328,37 @@ export {
   assertGuideArgs,
   assertCreatePrivateKeySourceArgs,
   assertCreateWalletSecretSourceArgs,
+  assertMigrateKeystoreArgs,
+  assertKeystoreStatusArgs,
+  assertKeyAgentArgs,
   assertObserverArgs,
   assertTransactionFeesArgs,
   assertInvestigatorArgs,
+  assertServeArgs,
   assertAccountGetL1AddressArgs,
   assertAccountImportArgs,
+  assertAccountSetRemoteSignerArgs,
   assertListLocalWalletsArgs,
+  assertWalletApplyDeltaArgs,
   assertWalletExportBackupArgs,
+  assertWalletExportDeltaArgs,
   assertWalletExportKeyArgs,
   assertWalletImportBackupArgs,
   assertWalletImportKeyArgs,
   assertMintNotesArgs,
   assertRedeemNotesArgs,
   assertWalletGetNotesArgs,
+  assertWalletWatchArgs,
+  assertWalletAddHookArgs,
+  assertWalletListHooksArgs,
+  assertWalletRemoveHookArgs,
+  assertContactsAddArgs,
+  assertContactsListArgs,
+  assertContactsRemoveArgs,
   assertTransferNotesArgs,
+  assertConsolidateNotesArgs,
+  assertWalletCreatePaymentRequestArgs,
+  assertWalletPayRequestArgs,
   assertWalletGetMetaArgs,
   assertWalletGetChannelFundArgs,
   assertExitChannelArgs,
@@ -15427,11 +19366,18 @@ export {
   assertAbandonChannelOperationArgs,
   assertRecoverWorkspaceArgs,
   assertGetChannelArgs,
+  assertChannelAdminSetJoinTollArgs,
+  assertChannelAdminSetObserverArgs,
+  assertChannelAdminShowPolicyArgs,
+  assertChannelAdminShowRefundScheduleArgs,
+  assertChannelListArgs,
+  assertGetChannelMembersArgs,
   assertSetWorkspaceMirrorArgs,
   assertDepositBridgeArgs,
   assertWithdrawBridgeArgs,
   assertAccountGetBridgeFundArgs,
   assertRecoverWalletArgs,
+  assertCreateWatchOnlyWalletArgs,
   assertJoinChannelArgs,
   handleInstallZkEvm,
   handleUninstall,
@@ -15441,20 +19387,39 @@ export {
   handleGuide,
   handleCreatePrivateKeySource,
   handleCreateWalletSecretSource,
+  handleMigrateKeystore,
+  handleKeystoreStatus,
+  handleKeyAgent,
   handleObserver,
   handleTransactionFees,
   handleInvestigator,
+  handleServe,
   handleAccountGetL1Address,
   handleAccountImport,
+  handleAccountSetRemoteSigner,
   handleListLocalWallets,
+  handleWalletApplyDelta,
   handleWalletExportBackup,
+  handleWalletExportDelta,
   handleWalletExportKey,
   handleWalletImportBackup,
   handleWalletImportKey,
   handleMintNotes,
   handleRedeemNotes,
   handleWalletGetNotes,
+  handleWalletWatch,
+  handleWalletAddHook,
+  handleWalletListHooks,
+  handleWalletRemoveHook,
+  handleContactsAdd,
+  handleContactsList,
+  handleContactsRemove,
   handleTransferNotes,
+  resolveL1Recipient,
+  resolveTransferRecipients,
+  handleConsolidateNotes,
+  handleWalletCreatePaymentRequest,
+  handleWalletPayRequest,
   handleGrothVaultMove,
   handleWalletGetMeta,
   handleWalletGetChannelFund,
@@ -15463,11 +19428,19 @@ export {
   handleAbandonChannelOperation,
   handleWorkspaceInit,
   handleGetChannel,
+  handleChannelAdminSetJoinToll,
+  handleChannelAdminSetObserver,
+  submitChannelAdminTransaction,
+  handleChannelAdminShowPolicy,
+  handleChannelAdminShowRefundSchedule,
+  handleChannelList,
+  handleGetChannelMembers,
   handleSetChannelWorkspaceMirror,
   handleDepositBridge,
   handleWithdrawBridge,
   handleAccountGetBridgeFund,
   handleRecoverWallet,
+  handleCreateWatchOnlyWallet,
   handleJoinChannel,
   loadExplicitCommandRuntime,
   loadWalletCommandRuntime,
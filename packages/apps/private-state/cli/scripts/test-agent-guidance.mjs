@@ -7,7 +7,7 @@ import path from "node:path";
 import process from "node:process";
 import { execFileSync, spawn } from "node:child_process";
 import { fileURLToPath } from "node:url";
-import { Wallet } from "ethers";
+import { Wallet, ethers } from "ethers";
 import {
   buildL2WalletSecretSigningMessage,
   deriveParticipantIdentityFromSigner,
@@ -27,11 +27,126 @@ import {
   readPrivateStateTermsText,
 } from "../lib/private-state-terms.mjs";
 import {
+  BLS12_381_SCALAR_FIELD_MODULUS,
+  ENCRYPTED_NOTE_SCHEMES,
+  ENCRYPTED_NOTE_SCHEME_TRANSFER_V2,
+  decodeNoteMemoTrailer,
+  decryptMintEncryptedNoteValue,
+  decryptNoteMemo,
+  decryptNoteValue,
   deriveNoteReceiveKeyMaterial,
+  encodeNoteMemoTrailer,
+  encryptNoteMemoForRecipient,
+  encryptNoteValue,
+  encryptNoteValueForRecipient,
+  noteReceivePubKeyFromPrivateKey,
+  readEncryptedNoteScheme,
+  readNoteMemoTrailer,
+  tryDecryptNoteMemo,
 } from "../lib/private-state-note-delivery.mjs";
 import {
   writePrivateStateCliInstallManifest,
 } from "../lib/private-state-runtime-management.mjs";
+import {
+  PRIVATE_STATE_CLI_ERROR_CODES,
+  PrivateStateCliError,
+  createPrivateStateCliClient,
+  runPrivateStateCommand,
+} from "../lib/private-state-cli-api.mjs";
+import {
+  resolveL1Recipient,
+  resolveTransferRecipients,
+  runCommandInProcess,
+  submitChannelAdminTransaction,
+} from "../lib/runtime.mjs";
+import {
+  groupBatchPayments,
+  maxBatchPaymentsPerTransfer,
+  parseBatchPaymentFile,
+  planBatchTransfers,
+  reconcileBatchPaymentRows,
+  selectBatchPaymentRun,
+} from "../lib/private-state-batch-payments.mjs";
+import {
+  registeredControllerMethodNames,
+  registeredNoteFunctionMatrix,
+  selectMintNotesMethod,
+  selectTransferNotesMethod,
+} from "../lib/private-state-controller-functions.mjs";
+import {
+  HardwareWalletSigner,
+  createLedgerEthClient,
+} from "../lib/private-state-hardware-wallet.mjs";
+import {
+  createKeystoreConfig,
+  decryptKeystoreSecret,
+  encryptKeystoreSecret,
+  keystoreSecretKind,
+  verifyKeystorePassphrase,
+} from "../lib/private-state-keystore.mjs";
+import {
+  decryptAge,
+  encryptAge,
+  generateAgeIdentity,
+  isAgeEncrypted,
+  parseAgeIdentities,
+  parseAgeRecipients,
+} from "../lib/private-state-age.mjs";
+import {
+  openBackupShares,
+  sealBackupShares,
+} from "../lib/private-state-backup-shares.mjs";
+import {
+  channelDirectoryMatches,
+  channelMemberCount,
+  createChannelDirectory,
+  recordChannelCreated,
+  recordChannelMembershipChange,
+  recordChannelMembershipLogs,
+} from "../lib/private-state-channel-directory.mjs";
+import {
+  buildChannelMemberRegistry,
+  formatChannelMembersCsv,
+  paginateChannelMembers,
+  parseChannelMemberPage,
+} from "../lib/private-state-channel-members.mjs";
+import {
+  createKeyAgent,
+  requestKeyAgent,
+  startKeyAgentServer,
+} from "../lib/private-state-key-agent.mjs";
+import {
+  RemoteSigner,
+  createRemoteSignerClient,
+} from "../lib/private-state-remote-signer.mjs";
+import {
+  contactRegistrationStatus,
+  createContact,
+  resolveContactRecipients,
+} from "../lib/private-state-contacts.mjs";
+import {
+  encodePaymentRequestUri,
+  parsePaymentRequestUri,
+} from "../lib/private-state-payment-requests.mjs";
+import {
+  diffWalletHookEvents,
+  enqueueWalletHookDeliveries,
+  flushWalletHookDeliveries,
+  parseWalletHookEventTypes,
+  walletHookCursor,
+} from "../lib/private-state-wallet-hooks.mjs";
+import {
+  assertWalletDeltaFollowsCursor,
+  buildWalletDelta,
+  mergeWalletDeltaNotes,
+  trackedNoteChangedSince,
+  validateWalletDelta,
+} from "../lib/private-state-wallet-delta.mjs";
+import {
+  planNoteConsolidation,
+  planTransferNotes,
+  selectTransferInputNotes,
+} from "../lib/private-state-note-selection.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -920,6 +1035,9 @@ function testSecretCommandsRegistered() {
   const commandIds = new Set(PRIVATE_STATE_CLI_COMMANDS.map((command) => command.id));
   expect(commandIds.has("secret-create-private-key-source"), "Missing private-key source helper registry entry.");
   expect(commandIds.has("secret-create-wallet-secret-source"), "Missing wallet-secret source helper registry entry.");
+  expect(commandIds.has("secret-migrate-keystore"), "Missing keystore migration registry entry.");
+  expect(commandIds.has("secret-keystore-status"), "Missing keystore status registry entry.");
+  expect(commandIds.has("agent"), "Missing key agent registry entry.");
 }
 
 function commandById(commandId) {
@@ -1765,6 +1883,1854 @@ function testNonTtyPrivateKeyPromptFailsClearly() {
   expect(!fs.existsSync(outputPath), "Failed private-key helper run must not create an output file.");
 }
 
+function testAutomaticTransferNoteSelection() {
+  const notes = [
+    { commitment: "0x01", value: "5" },
+    { commitment: "0x02", value: "3" },
+    { commitment: "0x03", value: "2" },
+  ];
+  const exact = selectTransferInputNotes({ notes, outputAmounts: [3n] });
+  expect(exact.method === "transferNotes1To1", "An exact single-note match should use transferNotes1To1.");
+  expect(exact.inputNotes[0].commitment === "0x02", "Exact selection should pick the matching note.");
+  expect(exact.changeAmount === 0n, "Exact selection must not create a change output.");
+
+  const withChange = selectTransferInputNotes({ notes, outputAmounts: [4n] });
+  expect(withChange.method === "transferNotes1To2", "A single surplus note should add a change output.");
+  expect(withChange.inputNotes[0].commitment === "0x01", "Change selection should pick the smallest sufficient note.");
+  expect(withChange.changeAmount === 1n, "Change output should return the surplus to the sender.");
+
+  const merged = selectTransferInputNotes({ notes, outputAmounts: [7n] });
+  expect(merged.method === "transferNotes2To1", "An exact two-note match should use transferNotes2To1.");
+  expect(merged.changeAmount === 0n, "Two-input exact selection must not create a change output.");
+
+  let insufficientError = null;
+  try {
+    selectTransferInputNotes({ notes, outputAmounts: [11n] });
+  } catch (error) {
+    insufficientError = error;
+  }
+  expect(
+    String(insufficientError?.message ?? "").includes("Insufficient spendable note balance"),
+    "Automatic selection should fail clearly when unused notes cannot cover the outputs.",
+  );
+
+  const smallNotes = Array.from({ length: 6 }, (_, index) => ({ commitment: `0x1${index}`, value: "1" }));
+  const plan = planTransferNotes({ notes: smallNotes, outputAmounts: [5n] });
+  expect(
+    plan.steps.length > 1 && plan.steps.slice(0, -1).every((step) => step.kind === "merge"),
+    "Planned transfers should merge small notes before the payment step.",
+  );
+  const payment = plan.steps.at(-1);
+  expect(
+    payment.kind === "payment" && payment.inputTotal - payment.changeAmount === 5n,
+    "The final planned step should pay the requested amount.",
+  );
+
+  const command = commandById("wallet-transfer-notes");
+  expect(
+    !privateStateCliCommandRequiredOptionKeys(command).includes("noteIds"),
+    "wallet transfer-notes must not require --note-ids because omitted --note-ids selects notes automatically.",
+  );
+}
+
+function testNoteConsolidationPlan() {
+  const notes = [
+    ...Array.from({ length: 5 }, (_, index) => ({ commitment: `0x2${index}`, value: String(index + 1) })),
+    { commitment: "0x99", value: "100" },
+  ];
+  const pairShapes = [
+    { inputCount: 1, outputCount: 1 },
+    { inputCount: 1, outputCount: 2 },
+    { inputCount: 2, outputCount: 1 },
+  ];
+  const budgeted = planNoteConsolidation({ notes, threshold: 10n, maxProofs: 1, shapes: pairShapes });
+  expect(budgeted.steps.length === 1, "Note consolidation must respect --max-proofs.");
+  expect(
+    budgeted.steps[0].inputNotes.map((note) => note.commitment).join(",") === "0x20,0x21",
+    "Note consolidation should merge the smallest notes first.",
+  );
+  expect(
+    budgeted.resultingNotes.some((note) => note.commitment === "0x99"),
+    "Notes at or above the threshold must stay untouched.",
+  );
+
+  const widest = planNoteConsolidation({ notes, threshold: 10n, maxProofs: 1 });
+  expect(
+    widest.steps[0].method === "transferNotes4To1",
+    "Note consolidation should default to the controller's widest registered merge shape.",
+  );
+
+  const full = planNoteConsolidation({ notes, threshold: 10n, maxProofs: 10, shapes: pairShapes });
+  expect(full.remainingDustCount === 0, "An unbounded budget should merge every note below the threshold.");
+  expect(
+    full.resultingNotes.reduce((sum, note) => sum + BigInt(note.value), 0n) === 115n,
+    "Note consolidation must preserve the wallet's total note value.",
+  );
+
+  const command = commandById("wallet-consolidate-notes");
+  const requiredKeys = privateStateCliCommandRequiredOptionKeys(command);
+  expect(requiredKeys.includes("threshold"), "wallet consolidate-notes must require --threshold.");
+  expect(!requiredKeys.includes("maxProofs"), "wallet consolidate-notes --max-proofs must stay optional.");
+}
+
+function testRegisteredControllerFunctionMatrix() {
+  const controllerAddress = "0x00000000000000000000000000000000000000c1";
+  const controllerAbi = ["transferNotes1To1", "transferNotes3To1", "transferNotes4To1", "mintNotes5", "redeemNotes2"]
+    .map((name) => `function ${name}(uint256 value)`);
+  const controllerInterface = new ethers.Interface(controllerAbi);
+  const functionProofs = ["transferNotes1To1", "transferNotes3To1", "mintNotes5"].map((name) => ({
+    metadata: {
+      entryContract: controllerAddress,
+      functionSig: controllerInterface.getFunction(name).selector,
+    },
+  }));
+  const matrix = registeredNoteFunctionMatrix(registeredControllerMethodNames({
+    controllerAbi,
+    functionProofs,
+    controllerAddress,
+  }));
+  expect(
+    matrix.transferShapes.map(({ inputCount, outputCount }) => `${inputCount}->${outputCount}`).join(",") === "1->1,3->1",
+    "Only transfer functions present in the DApp registration should be reachable.",
+  );
+  expect(matrix.mintOutputCounts.join(",") === "5", "Registered mint functions should map to output counts.");
+  expect(matrix.redeemInputCounts.length === 0, "Unregistered redeem functions must not be reachable.");
+  expect(
+    selectTransferNotesMethod(3, 1, matrix.transferShapes) === "transferNotes3To1",
+    "A registered 3->1 shape should select transferNotes3To1.",
+  );
+
+  let missingShapeError = null;
+  try {
+    selectTransferNotesMethod(4, 1, matrix.transferShapes);
+  } catch (error) {
+    missingShapeError = error;
+  }
+  expect(
+    /does not include transferNotes4To1/.test(missingShapeError?.message ?? "")
+      && String(missingShapeError?.message).includes("1->1, 3->1"),
+    "An unregistered transfer shape should fail with the channel's supported shapes.",
+  );
+
+  let mintError = null;
+  try {
+    selectMintNotesMethod(7);
+  } catch (error) {
+    mintError = error;
+  }
+  expect(
+    String(mintError?.message ?? "").includes("at most 6"),
+    "wallet mint-notes should reject more outputs than the controller provides.",
+  );
+}
+
+function testBatchPaymentFilePlanning() {
+  const recipientA = "0x00000000000000000000000000000000000000a1";
+  const recipientB = "0x00000000000000000000000000000000000000b2";
+  const csvRows = parseBatchPaymentFile(
+    ["# payroll", "recipient,amount", `${recipientA},1`, `"${recipientB}","2.5"`, ""].join("\n"),
+    "csv",
+  );
+  expect(
+    csvRows.length === 2 && csvRows[1].amount === "2.5" && csvRows[0].row === 3,
+    "Batch CSV rows should keep their file line numbers and parsed amounts.",
+  );
+  const jsonRows = parseBatchPaymentFile(JSON.stringify({ payments: [{ recipient: recipientA, amount: 4 }] }), "json");
+  expect(jsonRows[0].amount === "4", "Batch JSON rows should accept numeric amounts.");
+
+  let invalidRowError = null;
+  try {
+    parseBatchPaymentFile("recipient,amount\nnot-an-address,1\n", "csv");
+  } catch (error) {
+    invalidRowError = error;
+  }
+  expect(
+    String(invalidRowError?.message ?? "").includes("row 2"),
+    "Invalid batch rows should name the offending line.",
+  );
+
+  const pairShapes = [
+    { inputCount: 1, outputCount: 1 },
+    { inputCount: 1, outputCount: 2 },
+    { inputCount: 2, outputCount: 1 },
+  ];
+  expect(
+    groupBatchPayments(csvRows, pairShapes).every((group) => group.length === 1),
+    "With only 1->2 change shapes registered, each batch transfer should pay one row.",
+  );
+  expect(
+    maxBatchPaymentsPerTransfer() === 2,
+    "Batch grouping should default to the controller's 1->3 change shape.",
+  );
+  const plannedGroups = planBatchTransfers({
+    notes: [{ commitment: "0x01", value: "10" }],
+    groupAmounts: [[3n], [4n], [3n]],
+  });
+  expect(
+    plannedGroups.length === 3 && plannedGroups[1].steps[0].inputNotes[0].planned === true,
+    "Later batch groups should plan against the change output of earlier groups.",
+  );
+
+  const command = commandById("wallet-transfer-notes");
+  const requiredKeys = privateStateCliCommandRequiredOptionKeys(command);
+  expect(
+    !requiredKeys.includes("recipients") && !requiredKeys.includes("amounts") && !requiredKeys.includes("batch"),
+    "wallet transfer-notes must accept either --batch or --recipients with --amounts.",
+  );
+}
+
+function testBatchPaymentResumeSkipsSettledRows() {
+  const recipientA = "0x00000000000000000000000000000000000000a1";
+  const recipientB = "0x00000000000000000000000000000000000000b2";
+  const recipientC = "0x00000000000000000000000000000000000000c3";
+  const recipientD = "0x00000000000000000000000000000000000000d4";
+  const pairShapes = [
+    { inputCount: 1, outputCount: 1 },
+    { inputCount: 1, outputCount: 2 },
+    { inputCount: 2, outputCount: 1 },
+  ];
+  const readRows = (lines) => parseBatchPaymentFile(["recipient,amount", ...lines].join("\n"), "csv")
+    .map((row) => ({ ...row, amountBaseUnits: row.amount }));
+  const firstRun = reconcileBatchPaymentRows({
+    batch: { rows: [], groups: [] },
+    rows: readRows([`${recipientA},1`, `${recipientB},2`, `${recipientC},3`]),
+    shapes: pairShapes,
+  });
+  expect(
+    firstRun.settledRowCount === 0 && firstRun.groups.length === 3,
+    "A new batch should plan one group per row with only 1->2 change shapes.",
+  );
+  firstRun.groups[0].status = "completed";
+  firstRun.groups[0].steps = [{ kind: "payment", status: "completed" }];
+  firstRun.groups[1].status = "in-progress";
+  firstRun.groups[1].steps = [{ kind: "payment", status: "submitting" }];
+  firstRun.groups[2].status = "in-progress";
+  firstRun.groups[2].steps = [{ kind: "merge", status: "completed" }];
+
+  const editedRun = reconcileBatchPaymentRows({
+    batch: firstRun,
+    rows: readRows([`${recipientD},4`, `${recipientB},2`, `${recipientA},1`, `${recipientA},1`]),
+    shapes: pairShapes,
+  });
+  expect(editedRun.settledRowCount === 2, "Rows already paid or submitted must be recognized after the file is edited.");
+  const rowsById = new Map(editedRun.rows.map((row) => [row.id, row]));
+  const pendingPayments = editedRun.groups
+    .filter((group) => group.steps.length === 0)
+    .flatMap((group) => group.rows.map((rowId) => rowsById.get(rowId)));
+  expect(
+    pendingPayments.map((row) => `${row.recipient}:${row.amount}`).sort().join(",")
+      === [`${ethers.getAddress(recipientA)}:1`, `${ethers.getAddress(recipientD)}:4`].sort().join(","),
+    "An edited batch must only pay new rows, counting repeated recipient and amount pairs by multiplicity.",
+  );
+  expect(
+    editedRun.groups[0].steps === firstRun.groups[0].steps && editedRun.groups[1].steps === firstRun.groups[1].steps,
+    "Settled batch groups must be kept so their payments resume instead of re-running.",
+  );
+  expect(
+    !editedRun.rows.some((row) => row.recipient === ethers.getAddress(recipientC)),
+    "Unpaid rows removed from the batch file must not be paid.",
+  );
+}
+
+function testBatchPaymentFileRerunNeedsExplicitBatch() {
+  const pairShapes = [
+    { inputCount: 1, outputCount: 1 },
+    { inputCount: 1, outputCount: 2 },
+    { inputCount: 2, outputCount: 1 },
+  ];
+  const text = [
+    "recipient,amount",
+    "0x00000000000000000000000000000000000000a1,1",
+    "0x00000000000000000000000000000000000000b2,2",
+  ].join("\n");
+  const contentHash = ethers.keccak256(ethers.toUtf8Bytes(text));
+  const rows = parseBatchPaymentFile(text, "csv").map((row) => ({ ...row, amountBaseUnits: row.amount }));
+  const runBatch = (batches, flags = {}) => {
+    const selected = selectBatchPaymentRun({ batches, contentHash, ...flags });
+    const reconciled = reconcileBatchPaymentRows({
+      batch: selected ?? { rows: [], groups: [] },
+      rows,
+      shapes: pairShapes,
+    });
+    return { selected, ...reconciled };
+  };
+  const rejects = (batches, flags, marker) => {
+    let runError = null;
+    try {
+      runBatch(batches, flags);
+    } catch (error) {
+      runError = error;
+    }
+    return runError?.message.includes(marker) === true;
+  };
+
+  const firstRun = runBatch([]);
+  expect(firstRun.selected === null && firstRun.settledRowCount === 0, "A file's first run should start a new batch.");
+  const completed = {
+    ...firstRun,
+    batchId: ethers.zeroPadValue("0x01", 32),
+    contentHash,
+    status: "completed",
+    updatedAt: "2026-09-30T00:00:00.000Z",
+    groups: firstRun.groups.map((group) => ({
+      ...group,
+      status: "completed",
+      steps: [{ kind: "payment", status: "completed", txHash: ethers.zeroPadValue("0x0a", 32) }],
+    })),
+  };
+
+  expect(
+    rejects([completed], {}, "--new-batch") && rejects([completed], {}, "same contents"),
+    "Rerunning a completed batch file must fail instead of reporting last run's payments as this run's.",
+  );
+  const nextMonth = runBatch([completed], { newBatch: true });
+  expect(
+    nextMonth.selected === null
+      && nextMonth.settledRowCount === 0
+      && nextMonth.groups.every((group) => group.steps.length === 0)
+      && nextMonth.groups.flatMap((group) => group.rows).length === rows.length,
+    "--new-batch should pay every row of the file again.",
+  );
+  const resumed = runBatch([completed], { resume: true });
+  expect(
+    resumed.selected === completed && resumed.settledRowCount === rows.length && resumed.groups.every((group) => group.status === "completed"),
+    "--resume should continue the completed batch and pay nothing already paid.",
+  );
+
+  const inProgress = { ...completed, batchId: ethers.zeroPadValue("0x02", 32), status: "in-progress" };
+  expect(
+    runBatch([inProgress, completed]).selected === inProgress,
+    "An in-progress batch for the file should resume without flags.",
+  );
+  expect(
+    rejects([inProgress], { newBatch: true }, "still in progress")
+      && rejects([], { resume: true }, "no earlier batch")
+      && rejects([completed], { resume: true, newBatch: true }, "cannot be combined"),
+    "--new-batch must not abandon an in-progress batch, and --resume needs an earlier batch.",
+  );
+}
+
+function postServeRpc(socketPath, payload, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify(payload);
+    const request = http.request({
+      socketPath,
+      path: "/",
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "content-length": Buffer.byteLength(body),
+        ...headers,
+      },
+    }, (response) => {
+      let text = "";
+      response.setEncoding("utf8");
+      response.on("data", (chunk) => {
+        text += chunk;
+      });
+      response.on("end", () => {
+        resolve({
+          status: response.statusCode,
+          lines: text.split("\n").filter(Boolean).map((line) => JSON.parse(line)),
+        });
+      });
+    });
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+async function testServeRunsCommandsOverJsonRpc() {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "private-state-cli-serve-"));
+  const socketPath = path.join(home, "serve.sock");
+  const tokenPath = path.join(home, "tokamak-private-channels", "secrets", "serve", "token");
+  const child = spawn(process.execPath, [cliPath, "serve", "--socket", socketPath, "--json"], {
+    cwd: cliRoot,
+    env: { ...process.env, HOME: home },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let stdout = "";
+  child.stdout.on("data", (chunk) => {
+    stdout += String(chunk);
+  });
+  const exited = new Promise((resolve) => child.on("close", resolve));
+  try {
+    const deadline = Date.now() + 15_000;
+    while (!fs.existsSync(socketPath) || !fs.existsSync(tokenPath)) {
+      expect(Date.now() < deadline, "serve did not start listening within 15 seconds.");
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    expect((fs.statSync(tokenPath).mode & 0o077) === 0, "serve token file must not be readable by other users.");
+    const authorization = `Bearer ${fs.readFileSync(tokenPath, "utf8").trim()}`;
+
+    const unauthorized = await postServeRpc(socketPath, { jsonrpc: "2.0", id: 1, method: "help commands" });
+    expect(unauthorized.status === 401, "serve must reject requests without the bearer token.");
+
+    const help = await postServeRpc(
+      socketPath,
+      { jsonrpc: "2.0", id: 2, method: "help commands" },
+      { authorization },
+    );
+    const helpResult = help.lines[0]?.result;
+    expect(
+      help.status === 200 && helpResult?.ok === true && helpResult.action === "help commands",
+      "serve should return the --json success payload as the JSON-RPC result.",
+    );
+
+    const failed = await postServeRpc(
+      socketPath,
+      { jsonrpc: "2.0", id: 3, method: "wallet-get-notes", params: { network: "mainnet" } },
+      { authorization, accept: "application/x-ndjson" },
+    );
+    const failure = failed.lines.at(-1);
+    expect(
+      failure?.id === 3 && failure.error?.code === -32000 && failure.error.data?.ok === false,
+      "serve should wrap the --json error payload in a JSON-RPC error.",
+    );
+
+    const unknown = await postServeRpc(socketPath, { jsonrpc: "2.0", id: 4, method: "serve" }, { authorization });
+    expect(unknown.lines[0]?.error?.code === -32601, "serve must not expose itself as a JSON-RPC method.");
+  } finally {
+    child.kill("SIGTERM");
+    await exited;
+  }
+  expect(parseJson(stdout).stopped === true, "serve should print a stop result after SIGTERM.");
+  expect(!fs.existsSync(tokenPath), "serve should remove its token file on shutdown.");
+}
+
+async function testProgrammaticApiReturnsResultsAndThrows() {
+  const events = [];
+  const client = createPrivateStateCliClient({ output: { event: (event) => events.push(event) } });
+  const help = await client.helpCommands();
+  expect(
+    help.ok === true && help.action === "help commands" && help.commands.some((command) => command.id === "wallet-mint-notes"),
+    "The Node API should return the --json success payload as an object.",
+  );
+  expect(typeof client.walletTransferNotes === "function", "The Node API client should expose one method per command.");
+  expect(client.serve === undefined, "The Node API client must not expose serve.");
+
+  let commandError = null;
+  try {
+    await client.walletGetNotes({ network: "mainnet" });
+  } catch (error) {
+    commandError = error;
+  }
+  expect(
+    commandError instanceof PrivateStateCliError && commandError.message.includes("--wallet"),
+    "Node API command failures should throw PrivateStateCliError.",
+  );
+  expect(process.exitCode === undefined, "Node API command failures must not set process.exitCode.");
+
+  let unknownError = null;
+  try {
+    await client.run("wallet does-not-exist");
+  } catch (error) {
+    unknownError = error;
+  }
+  expect(
+    unknownError?.code === PRIVATE_STATE_CLI_ERROR_CODES.UNKNOWN_COMMAND,
+    "Unknown Node API commands should fail with UNKNOWN_COMMAND.",
+  );
+
+  const joinTollParams = { channelName: "missing-channel", network: "mainnet", joinToll: "1" };
+  const leaderErrors = [];
+  for (const options of [{}, { signer: Wallet.createRandom() }]) {
+    try {
+      await runPrivateStateCommand("channel-admin-set-join-toll", joinTollParams, options);
+    } catch (error) {
+      leaderErrors.push(error);
+    }
+  }
+  expect(
+    leaderErrors.length === 2
+      && leaderErrors[0].message.includes("--leader-account")
+      && !leaderErrors[1].message.includes("--leader-account"),
+    "An injected Node API signer should stand in for --leader-account.",
+  );
+
+  const packageJson = JSON.parse(fs.readFileSync(path.join(cliRoot, "package.json"), "utf8"));
+  const typesPath = path.join(cliRoot, packageJson.exports["./api"].types);
+  const declarations = fs.readFileSync(typesPath, "utf8");
+  for (const method of Object.keys(client)) {
+    expect(
+      declarations.includes(`  ${method}(params?: PrivateStateCommandParams`) || method === "run",
+      `The Node API type declarations should declare client.${method}.`,
+    );
+  }
+  expect(
+    declarations.includes("walletGetNotes(params?: PrivateStateCommandParams, overrides?: PrivateStateCommandOptions): Promise<WalletGetNotesResult>"),
+    "The Node API type declarations should type wallet get-notes results.",
+  );
+}
+
+function testWalletWatchIsCommandLineOnly() {
+  const command = commandById("wallet-watch");
+  const requiredKeys = privateStateCliCommandRequiredOptionKeys(command);
+  expect(
+    command.longRunning === true && requiredKeys.includes("wallet") && requiredKeys.includes("network"),
+    "wallet watch should require --wallet and --network and be marked long-running.",
+  );
+  const failure = runCliExpectFailure(["wallet", "watch", "--network", "mainnet", "--json"]);
+  expect(
+    parseJson(failure.stdout).error.message.includes("--wallet"),
+    "wallet watch should reject a missing --wallet before following the chain.",
+  );
+  const client = createPrivateStateCliClient();
+  expect(client.walletWatch === undefined, "The Node API client must not expose wallet watch.");
+}
+
+function createMockLedgerTransport(l1Wallet) {
+  const apdus = [];
+  let pendingPayload = Buffer.alloc(0);
+  let pendingMessageLength = 0;
+  const ok = (data) => Buffer.concat([data, Buffer.from([0x90, 0x00])]);
+  const signature = (digest, encodeV) => {
+    const signed = l1Wallet.signingKey.sign(digest);
+    return ok(Buffer.concat([
+      Buffer.from([encodeV(signed)]),
+      Buffer.from(ethers.getBytes(signed.r)),
+      Buffer.from(ethers.getBytes(signed.s)),
+    ]));
+  };
+  return {
+    apdus,
+    async exchange(apdu) {
+      apdus.push(apdu);
+      const [, ins, p1] = apdu;
+      const data = apdu.subarray(5);
+      const pathLength = 1 + data[0] * 4;
+      if (ins === 0x02) {
+        const publicKey = Buffer.from(ethers.getBytes(l1Wallet.signingKey.publicKey));
+        const address = Buffer.from(l1Wallet.address.slice(2), "ascii");
+        return ok(Buffer.concat([Buffer.from([publicKey.length]), publicKey, Buffer.from([address.length]), address]));
+      }
+      if (ins === 0x04) {
+        pendingPayload = p1 === 0x00 ? data.subarray(pathLength) : Buffer.concat([pendingPayload, data]);
+        let transaction;
+        try {
+          transaction = ethers.Transaction.from(ethers.hexlify(pendingPayload));
+        } catch {
+          return ok(Buffer.alloc(0));
+        }
+        // Like the Ledger Ethereum app, legacy transactions report EIP-155 v truncated to one byte.
+        return signature(transaction.unsignedHash, (signed) => transaction.type === 2
+          ? signed.yParity
+          : Number((ethers.toBigInt(transaction.chainId) * 2n + 35n + BigInt(signed.yParity)) & 0xffn));
+      }
+      if (ins === 0x08) {
+        if (p1 === 0x00) {
+          pendingMessageLength = data.readUInt32BE(pathLength);
+          pendingPayload = data.subarray(pathLength + 4);
+        } else {
+          pendingPayload = Buffer.concat([pendingPayload, data]);
+        }
+        return pendingPayload.length < pendingMessageLength
+          ? ok(Buffer.alloc(0))
+          : signature(ethers.hashMessage(pendingPayload), (signed) => signed.v);
+      }
+      if (ins === 0x0c) {
+        const digest = ethers.keccak256(Buffer.concat([Buffer.from([0x19, 0x01]), data.subarray(pathLength)]));
+        return signature(digest, (signed) => signed.v);
+      }
+      return Buffer.from([0x6d, 0x00]);
+    },
+  };
+}
+
+async function testHardwareWalletSignerMatchesLocalKey() {
+  const l1Wallet = new Wallet("0x59c6995e998f97a5a0044966f094538e7a7b2ee70b2d7e4e6f8f8f8f8f8f8f8f");
+  const transport = createMockLedgerTransport(l1Wallet);
+  const signer = await HardwareWalletSigner.connect({
+    client: createLedgerEthClient(transport),
+    path: "m/44'/60'/0'/0/0",
+    expectedAddress: l1Wallet.address,
+  });
+  expect(signer.address === l1Wallet.address, "The hardware signer should adopt the address reported by the device.");
+  expect(
+    transport.apdus[0].subarray(5).equals(Buffer.from("058000002c8000003c800000000000000000000000", "hex")),
+    "Ledger address requests should encode the BIP-32 derivation path.",
+  );
+
+  const channelName = "hardware-wallet-test-channel";
+  const walletSecret = "test wallet secret";
+  const hardwareIdentity = await deriveParticipantIdentityFromSigner({ channelName, walletSecret, signer });
+  const localIdentity = await deriveParticipantIdentityFromSigner({ channelName, walletSecret, signer: l1Wallet });
+  expect(
+    hardwareIdentity.l2Address === localIdentity.l2Address,
+    "Hardware-wallet L2 spending-key derivation should match the same key signing locally.",
+  );
+  const noteReceiveParams = { chainId: 1, channelId: 123n, channelName, account: l1Wallet.address };
+  const hardwareNoteReceive = await deriveNoteReceiveKeyMaterial({ ...noteReceiveParams, signer });
+  const localNoteReceive = await deriveNoteReceiveKeyMaterial({ ...noteReceiveParams, signer: l1Wallet });
+  expect(
+    hardwareNoteReceive.signature === localNoteReceive.signature
+      && hardwareNoteReceive.privateKey === localNoteReceive.privateKey,
+    "Hardware-wallet EIP-712 note-receive key derivation should match the same key signing locally.",
+  );
+  expect(
+    transport.apdus.some((apdu) => apdu[1] === 0x0c),
+    "Ledger EIP-712 requests should use the hashed typed-data instruction.",
+  );
+
+  const transactions = [
+    {
+      type: 2,
+      chainId: 11155111n,
+      nonce: 4,
+      to: l1Wallet.address,
+      data: `0x${"ab".repeat(600)}`,
+      gasLimit: 500000n,
+      maxFeePerGas: 30n,
+      maxPriorityFeePerGas: 2n,
+    },
+    {
+      type: 0,
+      chainId: 11155111n,
+      nonce: 5,
+      to: l1Wallet.address,
+      gasLimit: 21000n,
+      gasPrice: 30n,
+      value: 1n,
+    },
+  ];
+  for (const transaction of transactions) {
+    expect(
+      await signer.signTransaction(transaction) === await l1Wallet.signTransaction(transaction),
+      `Hardware-wallet type ${transaction.type} transactions should serialize like a local signature.`,
+    );
+  }
+
+  let mismatchError = null;
+  try {
+    await HardwareWalletSigner.connect({
+      client: createLedgerEthClient(createMockLedgerTransport(l1Wallet)),
+      path: "m/44'/60'/0'/0/1",
+      expectedAddress: Wallet.createRandom().address,
+    });
+  } catch (error) {
+    mismatchError = error;
+  }
+  expect(
+    mismatchError?.message.includes("but this account requires"),
+    "A device reporting a different address should be rejected.",
+  );
+
+  const failure = runCliExpectFailure([
+    "account",
+    "import",
+    "--account",
+    "treasury",
+    "--network",
+    "sepolia",
+    "--hardware-wallet",
+    "ledger",
+    "--private-key-file",
+    "/dev/null",
+    "--json",
+  ]);
+  expect(
+    parseJson(failure.stdout).error.message.includes("exactly one of --private-key-file or --hardware-wallet"),
+    "account import should reject mixing a private-key file with a hardware wallet.",
+  );
+}
+
+async function startMockRemoteSigner({ wallets, tamper = false }) {
+  const calls = [];
+  const byAddress = new Map(wallets.map((entry) => [entry.address, entry]));
+  const server = http.createServer(async (request, response) => {
+    let body = "";
+    for await (const chunk of request) {
+      body += chunk;
+    }
+    const { id, method, params } = JSON.parse(body);
+    calls.push(method);
+    const reply = (payload) => {
+      response.writeHead(200, { "content-type": "application/json" });
+      response.end(JSON.stringify({ jsonrpc: "2.0", id, ...payload }));
+    };
+    try {
+      if (method === "eth_accounts") {
+        reply({ result: [...byAddress.keys()] });
+      } else if (method === "eth_signTransaction") {
+        const { from, gas, type, ...transaction } = params[0];
+        const signingWallet = byAddress.get(ethers.getAddress(from));
+        reply({
+          result: await signingWallet.signTransaction({
+            ...transaction,
+            type: Number(type),
+            gasLimit: gas,
+            value: tamper ? 1n : transaction.value,
+          }),
+        });
+      } else if (method === "personal_sign") {
+        reply({ result: await byAddress.get(ethers.getAddress(params[1])).signMessage(ethers.getBytes(params[0])) });
+      } else if (method === "eth_signTypedData_v4") {
+        const { domain, types, message } = JSON.parse(params[1]);
+        delete types.EIP712Domain;
+        reply({ result: await byAddress.get(ethers.getAddress(params[0])).signTypedData(domain, types, message) });
+      } else {
+        reply({ error: { code: -32601, message: `Unsupported method ${method}` } });
+      }
+    } catch (error) {
+      reply({ error: { code: -32000, message: error.message } });
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    calls,
+    url: `http://127.0.0.1:${server.address().port}/`,
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    }),
+  };
+}
+
+async function testRemoteSignerDelegatesAndVerifies() {
+  const l1Wallet = new Wallet("0x59c6995e998f97a5a0044966f094538e7a7b2ee70b2d7e4e6f8f8f8f8f8f8f8f");
+  const unlisted = Wallet.createRandom();
+  const mock = await startMockRemoteSigner({ wallets: [l1Wallet, unlisted] });
+  const tampering = await startMockRemoteSigner({ wallets: [l1Wallet], tamper: true });
+  try {
+    const signer = await RemoteSigner.connect({
+      client: createRemoteSignerClient({ url: mock.url }),
+      address: l1Wallet.address,
+      allowedAddresses: [l1Wallet.address],
+    });
+    const typedData = {
+      domain: { name: "TokamakPrivateState", version: "1", chainId: 1 },
+      types: { NoteReceiveKey: [{ name: "channelName", type: "string" }, { name: "channelId", type: "uint256" }] },
+      value: { channelName: "remote-signer-test-channel", channelId: 123n },
+    };
+    expect(
+      await signer.signTypedData(typedData.domain, typedData.types, typedData.value)
+        === await l1Wallet.signTypedData(typedData.domain, typedData.types, typedData.value),
+      "Remote-signer EIP-712 signatures should match the key held by the service.",
+    );
+    expect(
+      await signer.signMessage("remote signer message") === await l1Wallet.signMessage("remote signer message"),
+      "Remote-signer personal_sign signatures should match the key held by the service.",
+    );
+    const transaction = {
+      type: 2,
+      chainId: 11155111n,
+      nonce: 7,
+      to: unlisted.address,
+      data: "0x1234",
+      gasLimit: 60000n,
+      maxFeePerGas: 30n,
+      maxPriorityFeePerGas: 2n,
+      value: 0n,
+    };
+    expect(
+      await signer.signTransaction(transaction) === await l1Wallet.signTransaction(transaction),
+      "Remote-signer transactions should be signed by the service key.",
+    );
+    expect(
+      ["eth_accounts", "eth_signTypedData_v4", "personal_sign", "eth_signTransaction"].every((method) => mock.calls.includes(method)),
+      "The remote signer should receive every delegated signing method.",
+    );
+
+    let allowlistError = null;
+    try {
+      await RemoteSigner.connect({
+        client: createRemoteSignerClient({ url: mock.url }),
+        address: unlisted.address,
+        allowedAddresses: [l1Wallet.address],
+      });
+    } catch (error) {
+      allowlistError = error;
+    }
+    expect(allowlistError?.message.includes("allowlist"), "Addresses outside the allowlist should be refused.");
+
+    const tamperingSigner = await RemoteSigner.connect({
+      client: createRemoteSignerClient({ url: tampering.url }),
+      address: l1Wallet.address,
+      allowedAddresses: [l1Wallet.address],
+    });
+    let tamperError = null;
+    try {
+      await tamperingSigner.signTransaction(transaction);
+    } catch (error) {
+      tamperError = error;
+    }
+    expect(
+      tamperError?.message.includes("changed the transaction"),
+      "A remote signer that alters the transaction should be rejected.",
+    );
+  } finally {
+    await mock.close();
+    await tampering.close();
+  }
+
+  let loopbackError = null;
+  try {
+    createRemoteSignerClient({ url: "http://signer.example.com:9000" });
+  } catch (error) {
+    loopbackError = error;
+  }
+  expect(loopbackError?.message.includes("loopback"), "Remote signer endpoints should be limited to loopback URLs.");
+}
+
+function testKeystoreEncryptsSecretFiles() {
+  const scrypt = { n: 1024, r: 8, p: 1 };
+  const l1Wallet = Wallet.createRandom();
+  const encryptedKey = encryptKeystoreSecret(l1Wallet.privateKey, "correct horse", { scrypt });
+  expect(keystoreSecretKind(encryptedKey) === "web3", "Account private keys should be stored as Web3 keystores.");
+  expect(
+    ethers.decryptKeystoreJsonSync(encryptedKey, "correct horse").privateKey === l1Wallet.privateKey,
+    "Encrypted account keys should open in standard Web3 keystore tooling.",
+  );
+  const standardKeystore = ethers.encryptKeystoreJsonSync(l1Wallet, "correct horse", { scrypt: { N: 1024 } });
+  expect(
+    decryptKeystoreSecret(standardKeystore, "correct horse") === l1Wallet.privateKey,
+    "Keystores written by other Ethereum tooling should decrypt.",
+  );
+
+  const walletKey = JSON.stringify({ keyKind: "viewing", privateKey: "0x1234" });
+  const encryptedWalletKey = encryptKeystoreSecret(walletKey, "correct horse", { scrypt });
+  expect(keystoreSecretKind(encryptedWalletKey) === "envelope", "Wallet key files should use the keystore envelope.");
+  expect(!encryptedWalletKey.includes("0x1234"), "Encrypted wallet key files must not contain the plaintext.");
+  expect(decryptKeystoreSecret(encryptedWalletKey, "correct horse") === walletKey, "Wallet key files should round-trip.");
+  expect(keystoreSecretKind(l1Wallet.privateKey) === null, "Plaintext secret files should be recognised as unencrypted.");
+
+  const config = createKeystoreConfig("correct horse", { scrypt });
+  verifyKeystorePassphrase(config, "correct horse");
+  for (const attempt of [
+    () => verifyKeystorePassphrase(config, "wrong"),
+    () => decryptKeystoreSecret(encryptedKey, "wrong"),
+    () => decryptKeystoreSecret(encryptedWalletKey, "wrong"),
+  ]) {
+    let passphraseError = null;
+    try {
+      attempt();
+    } catch (error) {
+      passphraseError = error;
+    }
+    expect(passphraseError?.message === "Incorrect keystore passphrase.", "A wrong passphrase should be rejected.");
+  }
+}
+
+async function testKeyAgentReleasesApprovedKeys() {
+  let clock = 1_000;
+  let approve = true;
+  const approvals = [];
+  const owner = Wallet.createRandom();
+  const agent = createKeyAgent({
+    entries: [
+      { path: "/secrets/accounts/owner/private-key", contents: "{}", plaintext: owner.privateKey, kind: "account", address: owner.address },
+      { path: "/secrets/wallets/alice/viewing.key", contents: "{}", plaintext: "{\"keyKind\":\"viewing\"}", kind: "viewing" },
+      { path: "/secrets/wallets/bob/spending.key", contents: "{}", plaintext: "{\"keyKind\":\"spending\"}", kind: "spending" },
+    ],
+    ttlMs: 60_000,
+    now: () => clock,
+    approve: async (request) => {
+      approvals.push(request);
+      return approve;
+    },
+  });
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "private-state-agent-"));
+  const socketPath = path.join(tempDir, "agent.sock");
+  const server = await startKeyAgentServer({ socketPath, agent });
+  try {
+    expect((fs.statSync(socketPath).mode & 0o077) === 0, "The key agent socket must be private to the user.");
+    const released = await requestKeyAgent(socketPath, "request", {
+      command: "wallet get-notes",
+      paths: ["/secrets/wallets/alice/viewing.key"],
+      addresses: [owner.address.toLowerCase()],
+    });
+    expect(
+      released.entries.map((entry) => entry.path).join(",")
+        === "/secrets/accounts/owner/private-key,/secrets/wallets/alice/viewing.key",
+      "The agent should release only the requested wallet keys and the wallet owner's account key.",
+    );
+    expect(approvals.length === 1 && approvals[0].keys.every((key) => !("plaintext" in key)), "Approval prompts must not see key material.");
+
+    approve = false;
+    let declinedError = null;
+    try {
+      await requestKeyAgent(socketPath, "request", { command: "wallet transfer-notes", paths: ["/secrets/wallets/bob/spending.key"] });
+    } catch (error) {
+      declinedError = error;
+    }
+    expect(declinedError?.message.includes("declined"), "Declined requests should not release keys.");
+
+    clock += 60_000;
+    const status = await requestKeyAgent(socketPath, "status");
+    expect(status.keys.length === 0, "An expired agent should stop listing keys.");
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+async function testWatchOnlyWalletRefusesSpending() {
+  const owner = Wallet.createRandom();
+  const noteReceive = await deriveNoteReceiveKeyMaterial({
+    signer: owner,
+    chainId: 1,
+    channelId: 123n,
+    channelName: "watch-only-channel",
+    account: owner.address,
+  });
+  const derivedPubKey = noteReceivePubKeyFromPrivateKey(noteReceive.privateKey);
+  expect(
+    derivedPubKey.x === noteReceive.noteReceivePubKey.x
+      && Number(derivedPubKey.yParity) === Number(noteReceive.noteReceivePubKey.yParity),
+    "A viewing key alone should reproduce the registered note-receive public key.",
+  );
+
+  const command = commandById("wallet-create-watch-only");
+  expect(
+    command.fields.includes("input") && !command.fields.includes("account") && !command.fields.includes("walletSecretPath"),
+    "Watch-only wallet creation must not ask for an L1 signer or wallet secret.",
+  );
+  const runtimeSource = fs.readFileSync(runtimePath, "utf8");
+  for (const [start, end] of [
+    ["function requireWalletSpendingCapability(", "function requireWalletViewingCapability("],
+    ["async function requireWalletOwnerSigner(", "function requireWalletNotWatchOnly("],
+    ["async function handleExitChannel(", "loadWalletChannelFundState"],
+    ["async function handleGrothVaultMove(", "loadFreshWalletChannelContext"],
+  ]) {
+    expect(
+      sourceBetween(runtimeSource, start, end).includes("requireWalletNotWatchOnly(walletContext)"),
+      `${start} must refuse watch-only wallets.`,
+    );
+  }
+}
+
+function testBackupSharesRestoreFromThresholdSubset() {
+  const backup = Buffer.from("wallet backup zip bytes");
+  const shares = sealBackupShares(backup, { shares: 5, threshold: 3 });
+  for (const subset of [[0, 1, 2], [4, 2, 0], [1, 3, 4], [0, 1, 2, 3, 4]]) {
+    expect(
+      openBackupShares(subset.map((index) => shares[index])).equals(backup),
+      `Backup shares ${subset.join(",")} should restore the backup.`,
+    );
+  }
+  const altered = { ...shares[1], manifest: { ...shares[1].manifest, share: "00".repeat(32) } };
+  const otherExport = sealBackupShares(backup, { shares: 5, threshold: 3 });
+  for (const [subset, expected] of [
+    [shares.slice(0, 2), "needs 3 of 5 shares"],
+    [[shares[0], shares[0], shares[1]], "must not repeat"],
+    [[shares[0], altered, shares[2]], "at least one share is altered"],
+    [[shares[0], otherExport[1], shares[2]], "different backup exports"],
+  ]) {
+    let shareError = null;
+    try {
+      openBackupShares(subset);
+    } catch (error) {
+      shareError = error;
+    }
+    expect(shareError?.message.includes(expected), `Invalid backup share sets should fail with "${expected}".`);
+  }
+
+  const runtimeSource = fs.readFileSync(runtimePath, "utf8");
+  const shareImport = sourceBetween(runtimeSource, "function readWalletBackupShareArchive(", "function validateBackupExportFile(");
+  expect(
+    shareImport.includes("readWalletImportArchive(label, { source: openBackupShares(shares) })")
+      && shareImport.includes("findForbiddenBackupMetadataPaths("),
+    "Reconstructed share archives must pass the backup manifest and forbidden-metadata checks.",
+  );
+  expect(
+    commandById("wallet-export-backup").optionalFields.includes("shares"),
+    "wallet export backup should accept optional --shares.",
+  );
+}
+
+function testEncryptedWalletExportsRoundTrip() {
+  const backup = Buffer.alloc(70 * 1024, 7);
+  const { identity, recipient } = generateAgeIdentity();
+  const other = generateAgeIdentity();
+  const toRecipients = encryptAge(backup, { recipients: parseAgeRecipients(`${other.recipient},${recipient}`) });
+  expect(isAgeEncrypted(toRecipients) && !isAgeEncrypted(backup), "Encrypted exports should be detected by their age header.");
+  expect(
+    decryptAge(toRecipients, { identities: parseAgeIdentities(`# created by age-keygen\n${identity}\n`) }).equals(backup),
+    "Any listed age recipient should decrypt a multi-chunk export.",
+  );
+  const withPassphrase = encryptAge(backup, { passphrase: "correct horse", scryptLogN: 10 });
+  expect(
+    decryptAge(withPassphrase, { passphrase: "correct horse" }).equals(backup),
+    "A passphrase-encrypted export should decrypt with the same passphrase.",
+  );
+  const tampered = Buffer.from(withPassphrase);
+  tampered[tampered.length - 1] ^= 1;
+  for (const [data, options, expected] of [
+    [withPassphrase, { passphrase: "wrong" }, "Incorrect archive passphrase"],
+    [tampered, { passphrase: "correct horse" }, "failed authentication"],
+    [toRecipients.subarray(0, toRecipients.length - 20), { identities: parseAgeIdentities(identity) }, "failed authentication"],
+    [toRecipients, { identities: parseAgeIdentities(generateAgeIdentity().identity) }, "None of the identities"],
+  ]) {
+    let decryptError = null;
+    try {
+      decryptAge(data, options);
+    } catch (error) {
+      decryptError = error;
+    }
+    expect(decryptError?.message.includes(expected), `Encrypted export decryption should fail with "${expected}".`);
+  }
+
+  const runtimeSource = fs.readFileSync(runtimePath, "utf8");
+  expect(
+    sourceBetween(runtimeSource, "async function readWalletImportArchive(", "function walletBackupSharePath(")
+      .includes("isAgeEncrypted(data) ? await decryptWalletImport(data, args) : data"),
+    "wallet import backup should decrypt age-encrypted archives transparently.",
+  );
+  expect(
+    commandById("wallet-export-spending-key").fields.includes("encrypt")
+      && commandById("wallet-import-spending-key").fields.includes("identityFile"),
+    "Spending-key export and import should support encryption.",
+  );
+}
+
+function testWalletDeltaMergesByOnChainState() {
+  const encryptedNoteValue = ["0x01", "0x02", "0x03"];
+  const noteRecord = (id, fields) => ({
+    commitment: `0xc${id}`,
+    nullifier: `0xn${id}`,
+    encryptedNoteValue,
+    status: "unused",
+    createdAtBlockNumber: 5,
+    spentAtTxHash: null,
+    spentByFunction: null,
+    ...fields,
+  });
+  expect(
+    !trackedNoteChangedSince(noteRecord(1, {}), 10)
+      && trackedNoteChangedSince(noteRecord(1, { status: "spent", spentAtBlockNumber: 12 }), 10)
+      && trackedNoteChangedSince(noteRecord(1, { createdAtBlockNumber: null }), 10),
+    "A note changes since a block when it was created, spent, or observed at or after it, or has no block reference.",
+  );
+
+  const wallet = {
+    channelName: "channel",
+    channelId: "1",
+    walletEpochId: "epoch-1",
+    l2Address: "0x00000000000000000000000000000000000000a1",
+    noteReceiveLastScannedBlock: 20,
+  };
+  const localNotes = {
+    unused: {
+      "0xc1": noteRecord(1, { memo: "local" }),
+      "0xc4": noteRecord(4, { createdAtBlockNumber: 3 }),
+    },
+    spent: {},
+  };
+  const senderNotes = [
+    noteRecord(1, { status: "spent", spentAtBlockNumber: 12, spentAtTxHash: "0xaa", spentByFunction: "transferNotes1To1" }),
+    noteRecord(2, { status: "spent", createdAtBlockNumber: 11, spentAtBlockNumber: 13, spentAtTxHash: "0xbb", spentByFunction: "redeemNotes1" }),
+    noteRecord(3, { createdAtBlockNumber: 14 }),
+    noteRecord(5, { createdAtBlockNumber: 15, encryptedNoteValue: null }),
+    noteRecord(6, { createdAtBlockNumber: 2 }),
+  ];
+  const { delta, unencryptedNotes } = buildWalletDelta({
+    walletName: "wallet",
+    wallet,
+    network: "sepolia",
+    sinceBlock: 10,
+    notes: senderNotes,
+  });
+  expect(
+    delta.notes.map((note) => note.commitment).join(",") === "0xc1,0xc2,0xc3"
+      && unencryptedNotes.map((note) => note.commitment).join(",") === "0xc5",
+    "wallet export delta must carry changed notes with encrypted values and report the unencrypted ones separately.",
+  );
+  const exported = JSON.parse(JSON.stringify(delta));
+  validateWalletDelta(exported);
+
+  const expectThrows = (run, fragment, message) => {
+    let thrown = null;
+    try {
+      run();
+    } catch (error) {
+      thrown = error;
+    }
+    expect(String(thrown?.message ?? "").includes(fragment), message);
+  };
+  expectThrows(
+    () => validateWalletDelta({ ...exported, sinceBlock: 21 }),
+    "before its sinceBlock",
+    "A delta must not start after the exporting wallet's scan cursor.",
+  );
+  expectThrows(
+    () => validateWalletDelta({ ...exported, notes: [{ ...exported.notes[0], status: "pending" }] }),
+    "unsupported status",
+    "A delta must only carry unused or spent note records.",
+  );
+  expectThrows(
+    () => assertWalletDeltaFollowsCursor({ delta: exported, walletName: "wallet", noteReceiveLastScannedBlock: 9 }),
+    "--since-block 9",
+    "wallet apply-delta must refuse a delta that starts after the local note-receive cursor.",
+  );
+  assertWalletDeltaFollowsCursor({ delta: exported, walletName: "wallet", noteReceiveLastScannedBlock: 10 });
+
+  const merged = mergeWalletDeltaNotes({ notes: localNotes, deltaNotes: exported.notes });
+  const localSpendUpdate = merged.unused["0xc1"];
+  expect(
+    localSpendUpdate.status === "unused"
+      && localSpendUpdate.memo === "local"
+      && localSpendUpdate.spentAtTxHash === "0xaa"
+      && localSpendUpdate.spentByFunction === "transferNotes1To1",
+    "Applying a delta must keep local note data, add the sender's spend metadata, and leave the status to the bridge state.",
+  );
+  expect(
+    merged.spent["0xn2"]?.status === "spent"
+      && merged.spent["0xn2"].spentAtTxHash === "0xbb"
+      && merged.spent["0xn2"].spentByFunction === "redeemNotes1"
+      && merged.unused["0xc3"]?.status === "unused"
+      && merged.unused["0xc4"] === localNotes.unused["0xc4"],
+    "Applying a delta must import new notes with their spend metadata and never drop local notes.",
+  );
+  expect(
+    merged.imported.length === 2 && merged.updated.length === 1,
+    "Applying a delta should report imported and updated notes separately.",
+  );
+  expect(
+    commandById("wallet-apply-delta").fields.includes("wallet") && commandById("wallet-export-delta").fields.includes("sinceBlock"),
+    "Wallet delta commands should be registered.",
+  );
+}
+
+function testContactsResolveAndFlagExitedRegistrations() {
+  const l2Address = Wallet.createRandom().address;
+  const noteReceivePubKey = { x: ethers.hexlify(ethers.randomBytes(32)), yParity: 1n };
+  const alice = createContact({
+    name: "@Alice",
+    l2Address,
+    registration: { exists: true, leafIndex: 7n },
+    noteReceivePubKey,
+  });
+  expect(alice.name === "alice" && alice.leafIndex === "7" && alice.exitedAt === null, "Contacts should normalize names.");
+  expect(
+    contactRegistrationStatus(alice, { registration: { exists: true, leafIndex: 7n }, noteReceivePubKey }) === "registered",
+    "An unchanged registration should keep the contact registered.",
+  );
+  expect(
+    contactRegistrationStatus(alice, { registration: { exists: false, leafIndex: 0n }, noteReceivePubKey }) === "exited",
+    "A removed registration should flag the contact as exited.",
+  );
+  expect(
+    contactRegistrationStatus(alice, {
+      registration: { exists: true, leafIndex: 9n },
+      noteReceivePubKey,
+    }) === "changed",
+    "A registration under another leaf should not match the saved contact.",
+  );
+  const other = Wallet.createRandom().address;
+  const resolved = resolveContactRecipients(["@ALICE", other], { alice });
+  expect(resolved[0] === l2Address && resolved[1] === other, "Contact references should resolve to saved addresses.");
+  for (const contacts of [{}, { alice: { ...alice, exitedAt: new Date().toISOString() } }]) {
+    let resolveError = null;
+    try {
+      resolveContactRecipients(["@alice"], contacts);
+    } catch (error) {
+      resolveError = error;
+    }
+    expect(resolveError !== null, "Unknown and exited contacts must not resolve to recipients.");
+  }
+
+  const runtimeSource = fs.readFileSync(runtimePath, "utf8");
+  const transfer = sourceBetween(runtimeSource, "async function resolveTransferRecipients(", "function walletNoteStatusIndex(");
+  expect(
+    transfer.includes("refreshContactRegistrations(context.channelManager, contacts, names)"),
+    "Transfers must re-check contact registrations before resolving them.",
+  );
+  expect(
+    commandById("contacts-add").fields.includes("address") && commandById("contacts-remove").fields.includes("name"),
+    "Contacts commands should be registered.",
+  );
+}
+
+async function testTransferRecipientsResolveL1Addresses() {
+  const joined = Wallet.createRandom().address;
+  const keyless = Wallet.createRandom().address;
+  const stranger = Wallet.createRandom().address;
+  const l2Address = Wallet.createRandom().address;
+  const noteReceivePubKey = { x: ethers.hexlify(ethers.randomBytes(32)), yParity: 1n };
+  const registrations = new Map([
+    [joined, { exists: true, l2Address: l2Address.toLowerCase(), noteReceivePubKey }],
+    [keyless, { exists: true, l2Address: Wallet.createRandom().address, noteReceivePubKey: { x: ethers.ZeroHash, yParity: 0n } }],
+  ]);
+  const lookups = [];
+  const context = {
+    workspace: { channelName: "shop channel" },
+    channelManager: {
+      async getChannelTokenVaultRegistration(l1Address) {
+        lookups.push(ethers.getAddress(l1Address));
+        return registrations.get(ethers.getAddress(l1Address))
+          ?? { exists: false, l2Address: ethers.ZeroAddress, noteReceivePubKey: { x: ethers.ZeroHash, yParity: 0n } };
+      },
+    },
+  };
+  const rejection = async (l1Address) => {
+    try {
+      await resolveL1Recipient({ context, l1Address });
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  const resolved = await resolveL1Recipient({ context, l1Address: joined });
+  expect(
+    resolved.l2Address === l2Address
+      && ethers.toBigInt(resolved.noteReceivePubKey.x) === ethers.toBigInt(noteReceivePubKey.x)
+      && resolved.noteReceivePubKey.yParity === 1,
+    "A registered L1 address should resolve to its channel-local address and note-receive key.",
+  );
+  const direct = Wallet.createRandom().address;
+  const recipients = await resolveTransferRecipients({
+    walletContext: null,
+    context,
+    recipients: [`l1:${joined}`, direct, `L1:${joined.toLowerCase()}`],
+  });
+  expect(
+    JSON.stringify(recipients) === JSON.stringify([l2Address, direct, l2Address]) && lookups.length === 3,
+    "wallet transfer-notes should resolve only l1: recipients and keep channel-local addresses as given.",
+  );
+
+  const missing = await rejection(stranger);
+  expect(
+    missing?.code === PRIVATE_STATE_CLI_ERROR_CODES.MISSING_CHANNEL_REGISTRATION && missing.message.includes(stranger),
+    "An L1 address that has not joined the channel must fail with MISSING_CHANNEL_REGISTRATION.",
+  );
+  const withoutKey = await rejection(keyless);
+  expect(
+    withoutKey !== null && withoutKey.message.includes("missing a registered note-receive public key"),
+    "A registration without a note-receive key must not resolve to a recipient.",
+  );
+}
+
+function testPaymentRequestUriRoundTripAndChecks() {
+  const request = {
+    network: "mainnet",
+    channelName: "shop channel",
+    recipient: Wallet.createRandom().address,
+    noteReceivePubKey: { x: ethers.hexlify(ethers.randomBytes(32)), yParity: 1 },
+    amount: "12.5",
+    reference: "invoice #1042",
+  };
+  const uri = encodePaymentRequestUri(request);
+  expect(uri.startsWith(`tokamak-private-state:${request.recipient}?v=1&`), "Payment requests should put the recipient in the URI path.");
+  const parsed = parsePaymentRequestUri(uri);
+  expect(
+    JSON.stringify(parsed) === JSON.stringify({ ...request, noteReceivePubKey: { ...request.noteReceivePubKey, x: request.noteReceivePubKey.x.toLowerCase() } }),
+    "Payment request URIs should round-trip every field.",
+  );
+  expect(parsePaymentRequestUri(encodePaymentRequestUri({ ...request, reference: null })).reference === null, "The reference should be optional.");
+  for (const tampered of [
+    uri.replace("v=1", "v=2"),
+    uri.replace("parity=1", "parity=2"),
+    uri.replace("parity=1&", ""),
+    uri.replace("amount=12.5", "amount=0"),
+    uri.replace("amount=12.5", "amount=-1"),
+    `${uri}&memo=x`,
+    `${uri}&amount=1`,
+    uri.replace("tokamak-private-state:", "ethereum:"),
+  ]) {
+    let parseError = null;
+    try {
+      parsePaymentRequestUri(tampered);
+    } catch (error) {
+      parseError = error;
+    }
+    expect(parseError !== null, `Malformed payment request should be rejected: ${tampered}`);
+  }
+
+  const runtimeSource = fs.readFileSync(runtimePath, "utf8");
+  const check = sourceBetween(runtimeSource, "async function assertPaymentRequestRegistration(", "async function handleWalletCreatePaymentRequest(");
+  expect(
+    check.includes("registration.exists") && check.includes("request.noteReceivePubKey.x"),
+    "Payment requests must be checked against the registered note-receive key.",
+  );
+  const transfer = sourceBetween(runtimeSource, "async function handleTransferNotes(", "async function executeTransferNotesPlan(");
+  expect(
+    indexInSource(transfer, "assertPaymentRequestRegistration(context.channelManager, paymentRequest)")
+      < indexInSource(transfer, "transferPlanFingerprint("),
+    "wallet pay-request must verify the request before planning the transfer.",
+  );
+  expect(
+    commandById("wallet-pay-request").fields.includes("request") && commandById("wallet-create-payment-request").fields.includes("reference"),
+    "Payment request commands should be registered.",
+  );
+}
+
+function testEncryptedNoteMemosRoundTripThroughCalldataTrailer() {
+  const noteReceivePrivateKey = ethers.toBeHex(0x1234567890abcdefn, 32);
+  const scope = { chainId: 11155111, channelId: 7, owner: Wallet.createRandom().address };
+  const commitment = ethers.hexlify(ethers.randomBytes(32));
+  const encryptedMemo = encryptNoteMemoForRecipient({
+    memo: "invoice #1042 ✓",
+    recipientNoteReceivePubKey: noteReceivePubKeyFromPrivateKey(noteReceivePrivateKey),
+    ...scope,
+    commitment,
+  });
+  expect(
+    decryptNoteMemo({ encryptedMemo, noteReceivePrivateKey, ...scope, commitment }) === "invoice #1042 ✓",
+    "The recipient's note-receive key should decrypt the memo.",
+  );
+  for (const [label, overrides] of [
+    ["another commitment", { commitment: ethers.hexlify(ethers.randomBytes(32)) }],
+    ["another owner", { owner: Wallet.createRandom().address }],
+    ["another key", { noteReceivePrivateKey: ethers.toBeHex(0x42n, 32) }],
+  ]) {
+    let decryptError = null;
+    try {
+      decryptNoteMemo({ encryptedMemo, noteReceivePrivateKey, ...scope, commitment, ...overrides });
+    } catch (error) {
+      decryptError = error;
+    }
+    expect(decryptError !== null, `A memo must not decrypt under ${label}.`);
+  }
+
+  const calldata = ethers.hexlify(ethers.randomBytes(4 + 32 * 6));
+  expect(decodeNoteMemoTrailer(calldata).length === 0, "Calldata without a trailer should carry no memos.");
+  const entries = [
+    { commitment: ethers.hexlify(ethers.randomBytes(32)), encryptedMemo },
+    { commitment, encryptedMemo: ethers.hexlify(ethers.randomBytes(70)) },
+  ];
+  const decoded = decodeNoteMemoTrailer(ethers.concat([calldata, encodeNoteMemoTrailer(entries)]));
+  expect(
+    JSON.stringify(decoded) === JSON.stringify(entries.map((entry) => ({ ...entry, commitment: entry.commitment.toLowerCase() }))),
+    "The memo trailer should round-trip every entry after the ABI calldata.",
+  );
+
+  const runtimeSource = fs.readFileSync(runtimePath, "utf8");
+  const persistence = sourceBetween(
+    runtimeSource,
+    "function sanitizeTrackedNoteForPersistence(",
+    "function buildWalletSpendingKeyMetadata(",
+  );
+  expect(
+    persistence.includes("encryptedMemo: normalized.encryptedMemo") && !persistence.includes("memo: normalized.memo"),
+    "Wallet files should persist only the encrypted memo.",
+  );
+  expect(commandById("wallet-transfer-notes").fields.includes("memos"), "wallet transfer-notes should accept --memos.");
+}
+
+function testStrippedOrReplacedNoteMemoReadsAsNoMemo() {
+  const noteReceivePrivateKey = ethers.toBeHex(0x1234567890abcdefn, 32);
+  const scope = { chainId: 11155111, channelId: 7, owner: Wallet.createRandom().address };
+  const commitment = ethers.hexlify(ethers.randomBytes(32));
+  const encryptedMemo = encryptNoteMemoForRecipient({
+    memo: "rent",
+    recipientNoteReceivePubKey: noteReceivePubKeyFromPrivateKey(noteReceivePrivateKey),
+    ...scope,
+    commitment,
+  });
+  const calldata = ethers.hexlify(ethers.randomBytes(4 + 32 * 6));
+  const relayed = (trailer) => readNoteMemoTrailer(ethers.concat([calldata, trailer]));
+  const readMemo = (entries) => {
+    const entry = entries.find((candidate) => candidate.commitment === commitment.toLowerCase());
+    return entry ? tryDecryptNoteMemo({ encryptedMemo: entry.encryptedMemo, noteReceivePrivateKey, ...scope, commitment }) : null;
+  };
+
+  expect(readMemo(relayed(encodeNoteMemoTrailer([{ commitment, encryptedMemo }]))) === "rent", "An intact trailer should yield the memo.");
+  expect(readMemo(readNoteMemoTrailer(calldata)) === null, "A stripped trailer should read as no memo.");
+  const trailer = ethers.getBytes(encodeNoteMemoTrailer([{ commitment, encryptedMemo }]));
+  const truncated = ethers.concat([commitment, ethers.toBeHex(200, 2), ethers.randomBytes(10), ethers.toBeHex(44, 4), trailer.slice(-8)]);
+  expect(relayed(truncated).length === 0, "A truncated trailer should read as no memos instead of failing.");
+  const oversized = Uint8Array.from(trailer);
+  oversized.set(ethers.getBytes(ethers.toBeHex(0xffffffff, 4)), oversized.length - 12);
+  expect(relayed(oversized).length === 0, "A trailer with a bad length should read as no memos instead of failing.");
+  for (const [label, replacement] of [
+    ["random bytes", ethers.hexlify(ethers.randomBytes(80))],
+    ["a header-only memo", ethers.hexlify(ethers.randomBytes(10))],
+    ["another recipient's memo", encryptNoteMemoForRecipient({
+      memo: "rent",
+      recipientNoteReceivePubKey: noteReceivePubKeyFromPrivateKey(ethers.toBeHex(0x42n, 32)),
+      ...scope,
+      commitment,
+    })],
+  ]) {
+    expect(
+      readMemo(relayed(encodeNoteMemoTrailer([{ commitment, encryptedMemo: replacement }]))) === null,
+      `A memo replaced with ${label} should read as no memo.`,
+    );
+  }
+}
+
+const NOTE_SCHEME_TEST_VECTORS = Object.freeze([
+  { label: "zero", value: "0", nonce: "0x000000000000000000000001", ephemeralPrivateKey: "0x05" },
+  { label: "one base unit", value: "1", nonce: "0x0102030405060708090a0b0c", ephemeralPrivateKey: "0x0badc0de" },
+  { label: "1.5 tokens", value: "1500000000000000000", nonce: "0xffffffffffffffffffffffff", ephemeralPrivateKey: "0x1234567890abcdef" },
+  {
+    label: "largest field element",
+    value: (BLS12_381_SCALAR_FIELD_MODULUS - 1n).toString(),
+    nonce: "0x00000000000000000000ffff",
+    ephemeralPrivateKey: "0x0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e",
+  },
+]);
+
+function testEncryptedNoteSchemeRegistryVectors() {
+  const noteReceivePrivateKey = ethers.toBeHex(0x2a2a2a2a2a2a2a2an, 32);
+  const recipientNoteReceivePubKey = noteReceivePubKeyFromPrivateKey(noteReceivePrivateKey);
+  const scope = { chainId: 11155111, channelId: 7, owner: "0x00000000000000000000000000000000000000a1" };
+  const schemes = Object.values(ENCRYPTED_NOTE_SCHEMES);
+  expect(schemes.length >= 3, "The note scheme registry should include both v1 schemes and transfer-v2.");
+  expect(
+    new Set(schemes.map((scheme) => scheme.name)).size === schemes.length
+      && schemes.every((scheme) => ENCRYPTED_NOTE_SCHEMES[scheme.id] === scheme && scheme.packing && scheme.kdf && scheme.aead),
+    "Every note scheme should be keyed by its ID and declare a unique name, packing, KDF, and AEAD.",
+  );
+
+  const ciphertextsByVector = new Map();
+  for (const scheme of schemes) {
+    for (const vector of NOTE_SCHEME_TEST_VECTORS) {
+      const inputs = { scheme: scheme.id, recipientNoteReceivePubKey, ...scope, ...vector };
+      const encryptedValue = encryptNoteValue(inputs);
+      const label = `${scheme.name} / ${vector.label}`;
+      expect(
+        JSON.stringify(encryptedValue) === JSON.stringify(encryptNoteValue(inputs)),
+        `${label}: a fixed ephemeral key and nonce should give a fixed ciphertext.`,
+      );
+      expect(readEncryptedNoteScheme(encryptedValue) === scheme.id, `${label}: the packed scheme byte should be the scheme ID.`);
+      const decrypted = decryptNoteValue({ encryptedValue, noteReceivePrivateKey, ...scope });
+      expect(decrypted.value === vector.value && decrypted.scheme === scheme, `${label}: decryption should dispatch by scheme ID.`);
+      let wrongOwnerError = null;
+      try {
+        decryptNoteValue({ encryptedValue, noteReceivePrivateKey, ...scope, owner: "0x00000000000000000000000000000000000000b2" });
+      } catch (error) {
+        wrongOwnerError = error;
+      }
+      expect(wrongOwnerError !== null, `${label}: another owner must fail the integrity tag.`);
+      const seen = ciphertextsByVector.get(vector.label) ?? new Set();
+      seen.add(encryptedValue[2]);
+      ciphertextsByVector.set(vector.label, seen);
+    }
+  }
+  expect(
+    [...ciphertextsByVector.values()].every((ciphertexts) => ciphertexts.size === schemes.length),
+    "Each scheme should derive its own key stream for the same inputs.",
+  );
+
+  const v2 = encryptNoteValueForRecipient({
+    value: "5",
+    recipientNoteReceivePubKey,
+    ...scope,
+    scheme: ENCRYPTED_NOTE_SCHEME_TRANSFER_V2,
+  });
+  const paddedHeader = ethers.getBytes(v2[1]);
+  paddedHeader[31] = 1;
+  let headerTamperError = null;
+  try {
+    decryptNoteValue({ encryptedValue: [v2[0], ethers.hexlify(paddedHeader), v2[2]], noteReceivePrivateKey, ...scope });
+  } catch (error) {
+    headerTamperError = error;
+  }
+  expect(headerTamperError !== null, "transfer-v2 should authenticate every header byte.");
+
+  let crossKindError = null;
+  try {
+    decryptMintEncryptedNoteValue({ encryptedValue: v2, noteReceivePrivateKey, ...scope });
+  } catch (error) {
+    crossKindError = error;
+  }
+  expect(crossKindError?.message.includes("scheme mismatch"), "Mint decryption should refuse transfer schemes.");
+
+  const unknownHeader = ethers.getBytes(v2[1]);
+  unknownHeader[29] = 0xff;
+  let unknownSchemeError = null;
+  try {
+    decryptNoteValue({ encryptedValue: [v2[0], ethers.hexlify(unknownHeader), v2[2]], noteReceivePrivateKey, ...scope });
+  } catch (error) {
+    unknownSchemeError = error;
+  }
+  expect(unknownSchemeError?.message.includes("not supported"), "Unknown scheme IDs should be rejected by name.");
+}
+
+async function testWalletHookDeliveryRetriesInOrder() {
+  expect(
+    parseWalletHookEventTypes("all").length === 4
+      && parseWalletHookEventTypes("note-spent,note-received").join(",") === "note-spent,note-received",
+    "Hook event lists should accept all or known event names.",
+  );
+  const received = { commitment: "0x01", status: "unused", value: "5" };
+  const cursor = walletHookCursor({ notes: [received], rootVectorHash: "0xaa", lifecycleStatus: "active" });
+  const diff = diffWalletHookEvents({
+    cursor,
+    notes: [{ ...received, status: "spent" }, { commitment: "0x02", status: "unused", value: "7" }],
+    rootVectorHash: "0xbb",
+    lifecycleStatus: "exited",
+    exit: { exitedAtTxHash: "0xcc", exitedAtBlockNumber: 9 },
+  });
+  expect(
+    diff.events.map((event) => event.type).join(",") === "note-spent,note-received,channel-root-changed,wallet-exited",
+    "Hook diffs should report spent, received, root, and exit events.",
+  );
+  const repeat = diffWalletHookEvents({
+    cursor: diff.cursor,
+    notes: [{ ...received, status: "spent" }, { commitment: "0x02", status: "unused", value: "7" }],
+    rootVectorHash: "0xbb",
+    lifecycleStatus: "exited",
+  });
+  expect(repeat.events.length === 0, "An advanced hook cursor should not report the same events again.");
+
+  const hooks = [
+    { id: "flaky", events: ["note-received", "note-spent"], exec: "true" },
+    { id: "exits", events: ["wallet-exited"], exec: "true" },
+  ];
+  const pending = enqueueWalletHookDeliveries({ pending: [], hooks, events: diff.events });
+  expect(
+    enqueueWalletHookDeliveries({ pending, hooks, events: diff.events }).length === pending.length,
+    "Re-enqueuing the same events should not duplicate deliveries.",
+  );
+  const deliveries = [];
+  const first = await flushWalletHookDeliveries({
+    pending,
+    hooks,
+    deliver: async (hook, event) => {
+      deliveries.push(`${hook.id}:${event.type}`);
+      if (hook.id === "flaky") {
+        throw new Error("offline");
+      }
+    },
+    runAttempts: 3,
+    sleep: async () => {},
+  });
+  expect(
+    deliveries.join(",") === "flaky:note-spent,flaky:note-spent,flaky:note-spent,exits:wallet-exited"
+      && first.pending.length === 2
+      && first.pending[0].attempts === 3
+      && first.pending[0].event.type === "note-spent",
+    "A failing hook should retry, keep its queue in order, and not block other hooks.",
+  );
+  const commandPathDeliveries = [];
+  const commandPath = await flushWalletHookDeliveries({
+    pending: first.pending,
+    hooks,
+    deliver: async (hook, event) => {
+      commandPathDeliveries.push(`${hook.id}:${event.type}`);
+      throw new Error("offline");
+    },
+    sleep: async () => {
+      throw new Error("Command-path hook delivery must not wait between attempts.");
+    },
+  });
+  expect(
+    commandPathDeliveries.join(",") === "flaky:note-spent"
+      && commandPath.pending.length === 2
+      && commandPath.pending[0].attempts === 4,
+    "By default a command makes one hook delivery attempt and leaves the queue for the next run.",
+  );
+  const second = await flushWalletHookDeliveries({
+    pending: first.pending,
+    hooks,
+    deliver: async () => {},
+    sleep: async () => {},
+  });
+  expect(
+    second.pending.length === 0 && second.delivered.map((entry) => entry.event.type).join(",") === "note-spent,note-received",
+    "Queued hook deliveries should drain in order once the hook recovers.",
+  );
+  const abandoned = await flushWalletHookDeliveries({
+    pending: [{ ...first.pending[0], attempts: 9 }],
+    hooks,
+    deliver: async () => {
+      throw new Error("offline");
+    },
+    sleep: async () => {},
+  });
+  expect(abandoned.abandoned.length === 1 && abandoned.pending.length === 0, "Deliveries should be abandoned after ten attempts.");
+  expect(
+    commandById("wallet-add-hook").fields.includes("exec") && commandById("wallet-remove-hook").fields.includes("hookId"),
+    "Wallet hook commands should be registered.",
+  );
+}
+
+function testChannelDirectoryCountsMembersFromEvents() {
+  const bridgeCore = Wallet.createRandom().address;
+  const manager = Wallet.createRandom().address;
+  const directory = createChannelDirectory({ chainId: 1, bridgeCore, fromBlock: 100 });
+  expect(directory.lastScannedBlock === 99, "A new channel directory should start scanning at its first block.");
+  expect(channelDirectoryMatches(directory, { chainId: 1, bridgeCore: bridgeCore.toLowerCase() }), "A cache should match its bridge.");
+  expect(
+    !channelDirectoryMatches(directory, { chainId: 11155111, bridgeCore })
+      && !channelDirectoryMatches(directory, { chainId: 1, bridgeCore: Wallet.createRandom().address })
+      && !channelDirectoryMatches(null, { chainId: 1, bridgeCore }),
+    "A cache from another chain or BridgeCore must be rebuilt.",
+  );
+  expect(
+    channelDirectoryMatches(directory, { chainId: 1, bridgeCore, fromBlock: 100 })
+      && !channelDirectoryMatches(directory, { chainId: 1, bridgeCore, fromBlock: 99 }),
+    "A cache that starts after --from-block must be rebuilt from that block.",
+  );
+  const created = {
+    channelId: 42n,
+    dappId: 1n,
+    manager: manager.toLowerCase(),
+    bridgeTokenVault: Wallet.createRandom().address,
+    blockNumber: 120,
+    transactionHash: ethers.hexlify(ethers.randomBytes(32)),
+  };
+  recordChannelCreated(directory, created);
+  for (const joined of [true, true, true, false]) {
+    recordChannelMembershipChange(directory, { manager, joined });
+  }
+  const channel = directory.channels["42"];
+  expect(channel.manager === manager && channel.dappId === 1, "Channel entries should normalize event fields.");
+  expect(channelMemberCount(channel) === 2, "Member count should subtract exits from registrations.");
+  for (const attempt of [
+    () => recordChannelCreated(directory, created),
+    () => recordChannelMembershipChange(directory, { manager: Wallet.createRandom().address, joined: true }),
+  ]) {
+    let directoryError = null;
+    try {
+      attempt();
+    } catch (error) {
+      directoryError = error;
+    }
+    expect(directoryError !== null, "Duplicate channels and membership events from unknown managers must be rejected.");
+  }
+
+  const channelManagerInterface = new ethers.Interface([
+    "event ChannelTokenVaultIdentityRegistered(address indexed l1Address, address indexed l2Address, bytes32 indexed channelTokenVaultKey, uint256 leafIndex, uint256 joinTollPaid, uint64 joinedAt, bytes32 noteReceivePubKeyX, uint8 noteReceivePubKeyYParity)",
+    "event ChannelTokenVaultIdentityExited(address indexed l1Address, uint256 indexed leafIndex)",
+    "event JoinTollUpdated(uint256 previousJoinToll, uint256 newJoinToll)",
+  ]);
+  const otherManager = Wallet.createRandom().address;
+  recordChannelCreated(directory, { ...created, channelId: 43n, manager: otherManager, blockNumber: 130 });
+  const membershipLog = (address, eventName, values) => ({
+    address,
+    transactionHash: ethers.hexlify(ethers.randomBytes(32)),
+    ...channelManagerInterface.encodeEventLog(eventName, values),
+  });
+  const registeredLog = (address, leafIndex) => membershipLog(address, "ChannelTokenVaultIdentityRegistered", [
+    Wallet.createRandom().address,
+    Wallet.createRandom().address,
+    ethers.hexlify(ethers.randomBytes(32)),
+    leafIndex,
+    10n,
+    1767225600n,
+    ethers.hexlify(ethers.randomBytes(32)),
+    1,
+  ]);
+  const exitedLog = (address, leafIndex) => membershipLog(address, "ChannelTokenVaultIdentityExited", [
+    Wallet.createRandom().address,
+    leafIndex,
+  ]);
+  recordChannelMembershipLogs(directory, {
+    channelManagerInterface,
+    logs: [
+      registeredLog(otherManager, 1n),
+      registeredLog(manager, 3n),
+      registeredLog(otherManager, 2n),
+      exitedLog(otherManager, 1n),
+      exitedLog(manager, 3n),
+      exitedLog(otherManager, 2n),
+      registeredLog(otherManager.toLowerCase(), 3n),
+    ],
+  });
+  expect(
+    channelMemberCount(directory.channels["42"]) === 2 && channelMemberCount(directory.channels["43"]) === 1,
+    "Membership logs should count toward the channel whose manager emitted them, with exits subtracted.",
+  );
+  expect(
+    directory.channels["43"].joinedCount === 3 && directory.channels["43"].exitedCount === 2,
+    "Each registration and exit log should be counted once.",
+  );
+  let logError = null;
+  try {
+    recordChannelMembershipLogs(directory, {
+      channelManagerInterface,
+      logs: [membershipLog(manager, "JoinTollUpdated", [0n, 1n])],
+    });
+  } catch (error) {
+    logError = error;
+  }
+  expect(
+    logError !== null && channelMemberCount(directory.channels["42"]) === 2,
+    "Logs that are not membership events must not change member counts.",
+  );
+
+  const runtimeSource = fs.readFileSync(runtimePath, "utf8");
+  const scan = sourceBetween(runtimeSource, "async function scanChannelDirectory(", "async function findContractDeploymentBlock(");
+  expect(
+    !scan.includes("collectLogs: true") && scan.split("fetchLogsChunked(provider").length === 3,
+    "channel list must scan through the rate-limited chunked log reader.",
+  );
+  const list = sourceBetween(runtimeSource, "async function handleChannelList(", "function channelDirectoryPath(");
+  expect(
+    indexInSource(list, "writeJson(directoryPath, directory)") < indexInSource(list, "loadChannelContext("),
+    "channel list must cache the scan before reading per-channel state.",
+  );
+  const command = commandById("channel-list");
+  expect(
+    command.installMode === "read-only" && command.fields.includes("leader") && !command.fields.includes("channelName"),
+    "channel list should be a read-only command that needs no channel name.",
+  );
+  expect(
+    command.fields.includes("fromBlock")
+      && scan.includes("startBlock ?? await findContractDeploymentBlock("),
+    "channel list should start at --from-block before searching for the deployment block with eth_getCode.",
+  );
+}
+
+function testChannelMemberRegistryPairsExitsAndRefunds() {
+  const alice = Wallet.createRandom().address;
+  const bob = Wallet.createRandom().address;
+  const exitTxHash = ethers.hexlify(ethers.randomBytes(32));
+  const registered = (l1Address, leafIndex, blockNumber) => ({
+    l1Address,
+    l2Address: Wallet.createRandom().address,
+    leafIndex: BigInt(leafIndex),
+    joinTollPaid: 10n,
+    joinedAt: 1767225600n,
+    blockNumber,
+    logIndex: 0,
+    transactionHash: ethers.hexlify(ethers.randomBytes(32)),
+  });
+  const members = buildChannelMemberRegistry({
+    registeredEvents: [registered(bob, 2, 20), registered(alice, 1, 10), registered(alice, 1, 40)],
+    exitedEvents: [{ l1Address: alice.toLowerCase(), leafIndex: 1n, blockNumber: 30, logIndex: 1, transactionHash: exitTxHash }],
+    refundEvents: [{ user: alice, amount: 7n, refundBps: 7000n, transactionHash: exitTxHash.toUpperCase().replace("0X", "0x") }],
+  });
+  expect(
+    members.map((member) => `${member.l1Address}:${member.status}`).join(",")
+      === [`${alice}:exited`, `${bob}:member`, `${alice}:member`].join(","),
+    "Each registration should be one member row in chain order, closed by its exit.",
+  );
+  expect(
+    members[0].exitBlock === 30 && members[0].refundPaid === "7" && members[0].refundBps === 7000
+      && members[1].exitBlock === null && members[1].refundPaid === null,
+    "Exits should carry the refund paid in the same transaction.",
+  );
+  expect(members[0].joinedAt === "2026-01-01T00:00:00.000Z", "Join time should come from the registration event.");
+  let exitError = null;
+  try {
+    buildChannelMemberRegistry({
+      registeredEvents: [],
+      exitedEvents: [{ l1Address: bob, leafIndex: 2n, blockNumber: 5, logIndex: 0, transactionHash: exitTxHash }],
+      refundEvents: [],
+    });
+  } catch (error) {
+    exitError = error;
+  }
+  expect(exitError !== null, "An exit without a registration must be rejected.");
+
+  const page = paginateChannelMembers(members, parseChannelMemberPage({ page: "2", pageSize: "2" }));
+  expect(page.totalPages === 2 && page.members.length === 1 && page.members[0] === members[2], "Pages should slice member rows.");
+  for (const options of [{ page: "0" }, { pageSize: "1001" }, { pageSize: "1.5" }]) {
+    let pageError = null;
+    try {
+      parseChannelMemberPage(options);
+    } catch (error) {
+      pageError = error;
+    }
+    expect(pageError !== null, `Invalid pagination ${JSON.stringify(options)} must be rejected.`);
+  }
+  const csv = formatChannelMembersCsv(members).split("\n");
+  expect(csv[0].startsWith("l1Address,l2Address,leafIndex,status,joinBlock") && csv.length === 5, "CSV export should have a header and one row per member.");
+
+  const command = commandById("channel-get-members");
+  expect(
+    command.installMode === "read-only" && ["page", "pageSize", "output"].every((field) => command.fields.includes(field)),
+    "channel get-members should be a read-only command with pagination and export options.",
+  );
+}
+
+async function testChannelAdminCommandsUseLeaderSignerAndPolicyWarning() {
+  const leader = Wallet.createRandom().address;
+  const channelInfo = { leader, manager: Wallet.createRandom().address, dappId: 3n };
+  const channelManager = {
+    getAddress: async () => channelInfo.manager,
+    dappMetadataDigestSchema: async () => ethers.ZeroHash,
+    dappMetadataDigest: async () => ethers.id("dapp"),
+    functionRoot: async () => ethers.id("functions"),
+    grothVerifier: async () => Wallet.createRandom().address,
+    grothVerifierCompatibleBackendVersion: async () => "1.0.0",
+    tokamakVerifier: async () => Wallet.createRandom().address,
+    tokamakVerifierCompatibleBackendVersion: async () => "2.0.0",
+  };
+  const runAdminTransaction = async (action, signerAddress) => {
+    const steps = [];
+    const events = [];
+    let runError = null;
+    try {
+      await runCommandInProcess({
+        args: { command: action.replaceAll(" ", "-") },
+        dispatch: async () => {
+          await submitChannelAdminTransaction({
+            action,
+            signer: { address: signerAddress },
+            channelName: "shop channel",
+            channelId: 7n,
+            channelInfo,
+            channelManager,
+            call: {
+              dryRun: async () => steps.push("dry-run"),
+              submit: async () => {
+                steps.push("submit");
+                return { wait: async () => ({ hash: ethers.ZeroHash }) };
+              },
+            },
+          });
+        },
+        output: { event: (event) => events.push(event) },
+      });
+    } catch (error) {
+      runError = error;
+    }
+    return { steps, events, runError };
+  };
+
+  for (const action of ["channel admin set-join-toll", "channel admin set-observer"]) {
+    const rejected = await runAdminTransaction(action, Wallet.createRandom().address);
+    expect(
+      rejected.runError?.message.includes(`Only the channel leader ${leader}`) && rejected.steps.length === 0,
+      `${action} must reject a non-leader signer before any dry-run or submit.`,
+    );
+    const accepted = await runAdminTransaction(action, leader.toLowerCase());
+    const warnings = accepted.events.filter((event) => event.event === "warning" && event.kind === "channel-policy");
+    expect(
+      accepted.runError === null && accepted.steps.join(",") === "dry-run,submit",
+      `${action} should dry-run and then submit for the channel leader.`,
+    );
+    expect(
+      warnings.length === 1
+        && warnings[0].details.action === action
+        && warnings[0].details.channelManager === channelInfo.manager
+        && warnings[0].details.policySnapshot.dappId === 3,
+      `${action} should emit the immutable channel policy warning with the policy snapshot.`,
+    );
+  }
+
+  const runtimeSource = fs.readFileSync(runtimePath, "utf8");
+  for (const [start, end, action] of [
+    ["async function handleChannelAdminSetJoinToll(", "async function handleChannelAdminSetObserver(", "channel admin set-join-toll"],
+    ["async function handleChannelAdminSetObserver(", "async function handleChannelAdminShowPolicy(", "channel admin set-observer"],
+  ]) {
+    const handler = sourceBetween(runtimeSource, start, end);
+    expect(
+      handler.includes(`submitChannelAdminTransaction({\n    action: "${action}",`) && !handler.includes("dryRunThenSubmitTransaction("),
+      `${start} must submit through the leader-checked channel admin path.`,
+    );
+  }
+  const termsGated = sourceBetween(runtimeSource, "const TERMS_GATED_COMMAND_IDS", "]));");
+  expect(
+    termsGated.includes("\"channel-admin-set-join-toll\"") && termsGated.includes("\"channel-admin-set-observer\""),
+    "Channel admin transactions must require current Terms acceptance.",
+  );
+  const parse = sourceBetween(runtimeSource, "function parseArgs(", "function configureOutput(");
+  expect(
+    parse.includes("parsed.positional[0] === \"channel\" && parsed.positional[1] === \"admin\""),
+    "channel admin subcommands should parse as three-word commands.",
+  );
+  for (const [commandId, installMode] of [
+    ["channel-admin-set-join-toll", "full"],
+    ["channel-admin-set-observer", "full"],
+    ["channel-admin-show-policy", "read-only"],
+    ["channel-admin-show-refund-schedule", "read-only"],
+  ]) {
+    const command = commandById(commandId);
+    expect(command?.installMode === installMode, `${commandId} should be a ${installMode} command.`);
+    expect(
+      (installMode === "full") === command.fields.includes("leaderAccount"),
+      `${commandId} should take --leader-account only when it submits a transaction.`,
+    );
+  }
+}
+
 async function main() {
   testSecretCommandsRegistered();
   testBrowserWalletAccountGrammar();
@@ -1774,6 +3740,33 @@ async function main() {
   testL1TransactionBrowserWalletFlowCoverage();
   testWalletOwnerBrowserFallbackFlowCoverage();
   testNoteCommandBrowserSubmitterFlowCoverage();
+  testAutomaticTransferNoteSelection();
+  testNoteConsolidationPlan();
+  testRegisteredControllerFunctionMatrix();
+  testBatchPaymentFilePlanning();
+  testBatchPaymentResumeSkipsSettledRows();
+  testBatchPaymentFileRerunNeedsExplicitBatch();
+  await testServeRunsCommandsOverJsonRpc();
+  await testProgrammaticApiReturnsResultsAndThrows();
+  testWalletWatchIsCommandLineOnly();
+  await testWalletHookDeliveryRetriesInOrder();
+  await testHardwareWalletSignerMatchesLocalKey();
+  await testRemoteSignerDelegatesAndVerifies();
+  testKeystoreEncryptsSecretFiles();
+  await testKeyAgentReleasesApprovedKeys();
+  await testWatchOnlyWalletRefusesSpending();
+  testBackupSharesRestoreFromThresholdSubset();
+  testEncryptedWalletExportsRoundTrip();
+  testWalletDeltaMergesByOnChainState();
+  testContactsResolveAndFlagExitedRegistrations();
+  await testTransferRecipientsResolveL1Addresses();
+  testPaymentRequestUriRoundTripAndChecks();
+  testEncryptedNoteMemosRoundTripThroughCalldataTrailer();
+  testStrippedOrReplacedNoteMemoReadsAsNoMemo();
+  testEncryptedNoteSchemeRegistryVectors();
+  testChannelDirectoryCountsMembersFromEvents();
+  testChannelMemberRegistryPairsExitsAndRefunds();
+  await testChannelAdminCommandsUseLeaderSignerAndPolicyWarning();
   testMissingAccountSelectsBrowserWalletMode();
   await testBrowserWalletHumanConnectsFromLocalCallback();
   await testBrowserWalletHumanRejectsLocalCallback();